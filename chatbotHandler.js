@@ -1,12 +1,15 @@
 // server/chatbotHandler.js
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getPubSub } = require('./services/pubsub');
 
 // Khởi tạo Gemini client
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
 
-// Lưu trữ lịch sử trò chuyện theo pageId (tạm thời trong bộ nhớ)
-const chatHistories = new Map();
+// Lịch sử trò chuyện theo pageId được lưu trong pub/sub dùng chung để mọi instance cùng đọc được,
+// và tự hết hạn sau một khoảng thời gian không có tin nhắn mới
+const CHAT_HISTORY_TTL_SECONDS = parseInt(process.env.CHAT_HISTORY_TTL_SECONDS) || 24 * 60 * 60;
+const historyKey = (pageId) => `chatbot:history:${pageId}`;
 
 // Hàm gọi API của Gemini để lấy phản hồi thông minh
 const callGeminiAPI = async (prompt, pageId) => {
@@ -42,7 +45,7 @@ const callGeminiAPI = async (prompt, pageId) => {
 // Logic xử lý chatbot
 const getChatbotResponse = async (message, pageId, pageTitle = '', blocks = []) => {
   // Lấy lịch sử trò chuyện của pageId
-  let history = chatHistories.get(pageId) || [];
+  let history = (await getPubSub().get(historyKey(pageId))) || [];
   
   // Tạo prompt chi tiết
   let prompt = `You are IdeaBot, a helpful assistant for a collaborative workspace app called IdeaHive. Your goal is to assist users in managing their projects, providing clear instructions for using the app, and offering creative ideas based on their project context. Respond in the same language as the user's message.
@@ -92,7 +95,7 @@ const getChatbotResponse = async (message, pageId, pageTitle = '', blocks = [])
   if (history.length > 5) {
     history = history.slice(-5);
   }
-  chatHistories.set(pageId, history);
+  await getPubSub().set(historyKey(pageId), history, CHAT_HISTORY_TTL_SECONDS);
 
   return response;
 };
@@ -109,11 +112,6 @@ const setupChatbotHandler = (io, socket) => {
       socket.emit('chatbotResponse', { message: 'Sorry, something went wrong.' });
     }
   });
-
-  // Xóa lịch sử trò chuyện khi người dùng ngắt kết nối
-  socket.on('disconnect', () => {
-    chatHistories.delete(socket.id);
-  });
 };
 
 module.exports = { setupChatbotHandler };
\ No newline at end of file
@@ -0,0 +1,439 @@
+// server/collaborationHandler.js
+const { getPageAccess } = require('./services/permissionService');
+const blockService = require('./services/blockService');
+const syncedBlockService = require('./services/syncedBlockService');
+const presenceService = require('./services/presenceService');
+const { getMongoDB } = require('./config/mongoClient');
+const { BadRequestError } = require('./middlewares/error');
+
+// Hàm xử lý các sự kiện cộng tác trên trang qua Socket.io
+const setupCollaborationHandler = (io, socket) => {
+  // Các trang socket đã tham gia: pageId -> { role, canEdit }
+  const joinedPages = new Map();
+
+  // Từ chối một sự kiện: gửi lỗi về client thay vì âm thầm bỏ qua
+  const rejectEvent = (event, pageId, message, ack, details = {}) => {
+    console.warn(`Rejected ${event} from user ${socket.user.id} on page ${pageId}: ${message}`);
+    socket.emit('collaborationError', { event, pageId, message, ...details });
+    if (typeof ack === 'function') {
+      ack({ ok: false, message, ...details });
+    }
+  };
+
+  // Thông báo block nguồn vừa thay đổi tới trang chứa nó và các trang có block đồng bộ tham chiếu tới nó
+  // (trừ socket gửi sự kiện, vốn nhận kết quả qua ack)
+  const emitToSyncedPages = (event, source, references, payload) => {
+    const pageIds = new Set([source.pageId, ...references.map(reference => reference.pageId)]);
+    pageIds.forEach((pageId) => {
+      socket.to(pageId).emit(event, { ...payload, pageId, sourcePageId: source.pageId });
+    });
+  };
+
+  // Kiểm tra socket đã vào phòng và vẫn có quyền chỉnh sửa trang. Quyền được tính lại ở mỗi sự kiện ghi vì có thể
+  // đã bị thu hồi (hoặc trang bị xóa) sau khi socket tham gia; socket mất quyền xem sẽ bị đưa ra khỏi phòng.
+  const ensureCanEdit = async (event, pageId, ack) => {
+    if (!joinedPages.has(pageId)) {
+      rejectEvent(event, pageId, 'Bạn chưa tham gia trang này', ack);
+      return false;
+    }
+
+    try {
+      const access = await getPageAccess(pageId, socket.user.id);
+      if (!access.canView) {
+        await leavePage(pageId);
+        rejectEvent(event, pageId, 'Không còn quyền truy cập trang này', ack);
+        return false;
+      }
+
+      joinedPages.set(pageId, { role: access.role, canEdit: access.canEdit });
+      if (!access.canEdit) {
+        rejectEvent(event, pageId, 'Không có quyền chỉnh sửa trang này', ack);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error(`Error checking access for ${event}:`, error);
+      rejectEvent(event, pageId, 'Lỗi khi kiểm tra quyền', ack);
+      return false;
+    }
+  };
+
+  // Khi client tham gia một trang cụ thể
+  socket.on('joinPage', async (data, ack) => {
+    const pageId = typeof data === 'string' ? data : data?.pageId;
+    if (!pageId) {
+      return rejectEvent('joinPage', null, 'Thiếu pageId', ack);
+    }
+
+    try {
+      const access = await getPageAccess(pageId, socket.user.id);
+
+      if (!access.page) {
+        return rejectEvent('joinPage', pageId, 'Trang không tồn tại', ack);
+      }
+
+      if (!access.canView) {
+        return rejectEvent('joinPage', pageId, 'Không có quyền truy cập trang này', ack);
+      }
+
+      joinedPages.set(pageId, { role: access.role, canEdit: access.canEdit });
+      socket.join(pageId);
+      console.log(`User ${socket.user.id} (${socket.id}) joined page ${pageId} as ${access.role || 'PUBLIC'}`);
+
+      // Ghi nhận hiện diện và báo cho những người đang xem trang
+      const entry = await presenceService.join(pageId, socket.id, socket.user.id);
+      socket.to(pageId).emit('presenceJoined', { pageId, user: entry });
+
+      if (typeof ack === 'function') {
+        const presence = await presenceService.list(pageId);
+        ack({ ok: true, pageId, role: access.role, canEdit: access.canEdit, presence });
+      }
+    } catch (error) {
+      console.error('Error in joinPage:', error);
+      rejectEvent('joinPage', pageId, 'Lỗi khi tham gia trang', ack);
+    }
+  });
+
+  // Rời phòng của trang và thông báo người dùng đã rời đi
+  const leavePage = async (pageId) => {
+    joinedPages.delete(pageId);
+    socket.leave(pageId);
+
+    const entry = await presenceService.leave(pageId, socket.id);
+    if (entry) {
+      io.to(pageId).emit('presenceLeft', { pageId, userId: entry.userId, socketId: socket.id });
+    }
+  };
+
+  // Khi client rời khỏi trang
+  socket.on('leavePage', async (data) => {
+    const pageId = typeof data === 'string' ? data : data?.pageId;
+    if (!pageId) return;
+
+    try {
+      await leavePage(pageId);
+    } catch (error) {
+      console.error('Error in leavePage:', error);
+    }
+  });
+
+  // Chia sẻ block đang focus và vị trí con trỏ/vùng chọn của người dùng
+  socket.on('cursorUpdate', async (data) => {
+    const { pageId, blockId, selection } = data || {};
+    if (!pageId || !joinedPages.has(pageId)) {
+      return rejectEvent('cursorUpdate', pageId || null, 'Bạn chưa tham gia trang này');
+    }
+
+    try {
+      const entry = await presenceService.updateCursor(pageId, socket.id, { blockId, selection });
+      if (entry) {
+        socket.to(pageId).emit('cursorUpdated', {
+          pageId,
+          userId: entry.userId,
+          socketId: socket.id,
+          blockId: entry.blockId,
+          selection: entry.selection
+        });
+      }
+    } catch (error) {
+      console.error('Error in cursorUpdate:', error);
+    }
+  });
+
+  // Heartbeat giữ cho người dùng còn được tính là đang có mặt trên các trang đã tham gia
+  socket.on('presenceHeartbeat', async () => {
+    try {
+      for (const pageId of joinedPages.keys()) {
+        const present = await presenceService.heartbeat(pageId, socket.id);
+        // Socket đã bị xem là hết hạn nhưng vẫn còn kết nối: ghi nhận lại hiện diện
+        if (!present) {
+          const entry = await presenceService.join(pageId, socket.id, socket.user.id);
+          socket.to(pageId).emit('presenceJoined', { pageId, user: entry });
+        }
+      }
+    } catch (error) {
+      console.error('Error in presenceHeartbeat:', error);
+    }
+  });
+
+  // Lấy block và đảm bảo block thuộc đúng trang mà socket đang thao tác
+  const findPageBlock = async (mongoDB, pageId, blockId) => {
+    const block = await blockService.findBlock(mongoDB, blockId);
+    if (block.pageId !== pageId) {
+      throw new BadRequestError('Block không thuộc trang này');
+    }
+    return block;
+  };
+
+  // Lắng nghe sự kiện cập nhật block từ client: lưu vào MongoDB rồi phát block đã lưu
+  socket.on('blockUpdate', async (data, ack) => {
+    const payload = typeof data === 'string' ? { content: data } : data;
+    if (!payload || !payload.pageId || !payload.blockId) {
+      return rejectEvent('blockUpdate', payload?.pageId || null, 'Dữ liệu blockUpdate không hợp lệ', ack);
+    }
+    if (!(await ensureCanEdit('blockUpdate', payload.pageId, ack))) return;
+
+    try {
+      const { pageId, blockId } = payload;
+      // Chỉ nhận các trường nội dung; vị trí block được thay đổi qua API riêng
+      const updateData = {};
+      ['type', 'content', 'properties'].forEach((field) => {
+        if (payload[field] !== undefined) updateData[field] = payload[field];
+      });
+
+      const mongoDB = await getMongoDB();
+      const block = await findPageBlock(mongoDB, pageId, blockId);
+
+      if (syncedBlockService.isSyncedBlock(block)) {
+        const sourceBlockId = updateData.properties?.sourceBlockId;
+
+        // Đổi block nguồn của block đồng bộ
+        if (sourceBlockId !== undefined) {
+          await syncedBlockService.requireSourceBlock(mongoDB, sourceBlockId, socket.user.id);
+          const result = await blockService.updateBlock(mongoDB, block, socket.user.id, { properties: { sourceBlockId } });
+          const [rendered] = await syncedBlockService.resolveSyncedBlocks(mongoDB, [result.block], socket.user.id);
+
+          socket.to(pageId).emit('blockUpdate', { ...rendered, pageId, blockId: rendered._id, version: result.version });
+          if (typeof ack === 'function') {
+            ack({ ok: true, block: rendered, version: result.version });
+          }
+          return;
+        }
+
+        // Chỉnh sửa nội dung qua block đồng bộ được ghi vào block nguồn
+        const { block: source, references } = await syncedBlockService.updateSource(mongoDB, block, socket.user.id, updateData);
+        emitToSyncedPages('syncedBlockUpdated', source, references, {
+          sourceBlockId: source._id,
+          block: source,
+          userId: socket.user.id
+        });
+
+        const [rendered] = await syncedBlockService.resolveSyncedBlocks(mongoDB, [block], socket.user.id);
+        if (typeof ack === 'function') {
+          ack({ ok: true, block: rendered });
+        }
+        return;
+      }
+
+      const result = await blockService.updateBlock(mongoDB, block, socket.user.id, updateData);
+
+      const canonical = { ...result.block, pageId, blockId: result.block._id, version: result.version };
+      socket.to(pageId).emit('blockUpdate', canonical);
+
+      // Các trang có block đồng bộ tham chiếu tới block này cần hiển thị lại
+      const references = await syncedBlockService.findReferences(mongoDB, [block._id]);
+      if (references.length > 0) {
+        emitToSyncedPages('syncedBlockUpdated', result.block, references, {
+          sourceBlockId: result.block._id,
+          block: result.block,
+          userId: socket.user.id
+        });
+      }
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, block: result.block, version: result.version });
+      }
+    } catch (error) {
+      console.error('Error in blockUpdate:', error);
+      rejectEvent('blockUpdate', payload.pageId, error.status ? error.message : 'Lỗi khi cập nhật block', ack);
+    }
+  });
+
+  // Lắng nghe thao tác văn bản trên nội dung block (gõ đồng thời trên cùng một đoạn văn)
+  socket.on('blockOperation', async (data, ack) => {
+    const { pageId, blockId, revision, ops, clientId } = data || {};
+    if (!pageId || !blockId || !Array.isArray(ops)) {
+      return rejectEvent('blockOperation', pageId || null, 'Dữ liệu blockOperation không hợp lệ', ack);
+    }
+    if (!(await ensureCanEdit('blockOperation', pageId, ack))) return;
+
+    try {
+      const mongoDB = await getMongoDB();
+      const block = await findPageBlock(mongoDB, pageId, blockId);
+
+      // Thao tác trên block đồng bộ được áp dụng lên block nguồn
+      const target = syncedBlockService.isSyncedBlock(block)
+        ? await syncedBlockService.requireSourceBlock(
+          mongoDB, syncedBlockService.getSourceBlockId(block), socket.user.id, { edit: true }
+        )
+        : block;
+      const result = await blockService.applyOperation(mongoDB, target, socket.user.id, { revision, ops, clientId });
+
+      // Các client khác (trên trang nguồn và các trang có block đồng bộ) nhận thao tác đã rebase để áp dụng lên
+      // bản sao của mình
+      const references = await syncedBlockService.findReferences(mongoDB, [target._id]);
+      emitToSyncedPages('blockOperation', target, references, {
+        blockId: target._id.toString(),
+        revision: result.revision,
+        ops: result.ops,
+        clientId: clientId || null,
+        userId: socket.user.id
+      });
+      if (typeof ack === 'function') {
+        ack({
+          ok: true,
+          blockId: target._id.toString(),
+          revision: result.revision,
+          ops: result.ops,
+          version: result.version
+        });
+      }
+    } catch (error) {
+      console.error('Error in blockOperation:', error);
+      // status 409: thao tác xung đột với chỉnh sửa đồng thời, client gửi lại thao tác
+      rejectEvent(
+        'blockOperation',
+        pageId,
+        error.status ? error.message : 'Lỗi khi áp dụng thao tác',
+        ack,
+        error.status ? { status: error.status } : {}
+      );
+    }
+  });
+
+  // Lắng nghe sự kiện thêm block mới: tạo block trong MongoDB rồi phát block có `_id` do server cấp
+  socket.on('addBlock', async (data, ack) => {
+    const { pageId, block } = data || {};
+    if (!pageId || !block || !block.type) {
+      return rejectEvent('addBlock', pageId || null, 'Dữ liệu addBlock không hợp lệ', ack);
+    }
+    if (!(await ensureCanEdit('addBlock', pageId, ack))) return;
+
+    try {
+      const mongoDB = await getMongoDB();
+
+      // Block đồng bộ: block nguồn phải tồn tại và người dùng phải xem được trang chứa nó
+      if (block.type === syncedBlockService.SYNCED_BLOCK_TYPE) {
+        await syncedBlockService.requireSourceBlock(mongoDB, block.properties?.sourceBlockId, socket.user.id);
+      }
+
+      const result = await blockService.createBlock(mongoDB, {
+        pageId,
+        userId: socket.user.id,
+        type: block.type,
+        content: block.content,
+        position: Number.isInteger(block.position) ? block.position : undefined,
+        properties: block.properties,
+        parentId: block.parentId || null
+      });
+
+      io.to(pageId).emit('blockAdded', result.block); // Gửi đến tất cả client trong page
+      if (typeof ack === 'function') {
+        // tempId giúp client thay block tạm bằng block đã lưu
+        ack({ ok: true, tempId: block.tempId, block: result.block, version: result.version });
+      }
+    } catch (error) {
+      console.error('Error in addBlock:', error);
+      rejectEvent('addBlock', pageId, error.status ? error.message : 'Lỗi khi tạo block', ack);
+    }
+  });
+
+  // Lắng nghe sự kiện di chuyển block (kéo thả, thụt lề) cùng các block con
+  socket.on('moveBlock', async (data, ack) => {
+    const { pageId, blockId, parentId, position } = data || {};
+    if (!pageId || !blockId) {
+      return rejectEvent('moveBlock', pageId || null, 'Dữ liệu moveBlock không hợp lệ', ack);
+    }
+    if (!(await ensureCanEdit('moveBlock', pageId, ack))) return;
+
+    try {
+      const mongoDB = await getMongoDB();
+      const block = await findPageBlock(mongoDB, pageId, blockId);
+      const result = await blockService.moveBlock(mongoDB, block, socket.user.id, { parentId, position });
+
+      io.to(pageId).emit('blockMoved', {
+        pageId,
+        blockId,
+        parentId: result.block.parentId || null,
+        position: result.block.position,
+        version: result.version
+      });
+      if (typeof ack === 'function') {
+        ack({ ok: true, block: result.block, version: result.version });
+      }
+    } catch (error) {
+      console.error('Error in moveBlock:', error);
+      rejectEvent('moveBlock', pageId, error.status ? error.message : 'Lỗi khi di chuyển block', ack);
+    }
+  });
+
+  // Lắng nghe sự kiện xóa block: xóa khỏi MongoDB rồi thông báo cho cả trang.
+  // Block đang là nguồn của block đồng bộ ở nơi khác chỉ bị xóa khi gửi `detach: true` (tách các bản đồng bộ trước)
+  socket.on('deleteBlock', async (data, ack) => {
+    const { pageId, blockId, detach } = data || {};
+    if (!pageId || !blockId) {
+      return rejectEvent('deleteBlock', pageId || null, 'Dữ liệu deleteBlock không hợp lệ', ack);
+    }
+    if (!(await ensureCanEdit('deleteBlock', pageId, ack))) return;
+
+    try {
+      const mongoDB = await getMongoDB();
+      const block = await findPageBlock(mongoDB, pageId, blockId);
+
+      const references = await syncedBlockService.findExternalReferences(mongoDB, block);
+      let detached = [];
+      if (references.length > 0) {
+        if (detach !== true) {
+          return rejectEvent(
+            'deleteBlock',
+            pageId,
+            'Block đang được đồng bộ tới nơi khác, gửi detach=true để tách các bản đồng bộ trước khi xóa',
+            ack,
+            { references }
+          );
+        }
+        detached = await syncedBlockService.detachReferences(mongoDB, references, socket.user.id);
+        detached.forEach((item) => {
+          io.to(item.pageId).emit('syncedBlockDetached', {
+            pageId: item.pageId,
+            blockId: item.blockId,
+            version: item.version,
+            userId: socket.user.id
+          });
+        });
+      }
+
+      const result = await blockService.deleteBlock(mongoDB, block, socket.user.id);
+
+      io.to(pageId).emit('blockDeleted', blockId); // Gửi đến tất cả client trong page (client xóa cả block con)
+      if (typeof ack === 'function') {
+        ack({ ok: true, blockId, deletedIds: result.deletedIds, version: result.version, detached });
+      }
+    } catch (error) {
+      console.error('Error in deleteBlock:', error);
+      rejectEvent('deleteBlock', pageId, error.status ? error.message : 'Lỗi khi xóa block', ack);
+    }
+  });
+
+  socket.on('disconnect', async () => {
+    try {
+      for (const pageId of [...joinedPages.keys()]) {
+        await leavePage(pageId);
+      }
+    } catch (error) {
+      console.error('Error cleaning up presence on disconnect:', error);
+    }
+  });
+};
+
+// Định kỳ xóa những người dùng không còn gửi heartbeat (mất kết nối không báo trước)
+const startPresenceSweeper = (io) => {
+  const timeoutMs = parseInt(process.env.PRESENCE_TIMEOUT_MS) || 60000;
+
+  const timer = setInterval(async () => {
+    try {
+      const removed = await presenceService.removeExpired(timeoutMs);
+      removed.forEach(({ pageId, entry }) => {
+        io.to(pageId).emit('presenceLeft', { pageId, userId: entry.userId, socketId: entry.socketId });
+      });
+    } catch (error) {
+      console.error('Error sweeping expired presence:', error);
+    }
+  }, Math.max(Math.floor(timeoutMs / 4), 1000));
+
+  // Không giữ tiến trình sống chỉ vì bộ đếm này
+  timer.unref();
+  return timer;
+};
+
+module.exports = { setupCollaborationHandler, startPresenceSweeper };
@@ -0,0 +1,25 @@
+const { MongoClient } = require('mongodb');
+const mongoConfig = require('./mongodb');
+
+// Kết nối MongoDB dùng chung cho các tiến trình chạy lâu (WebSocket, job nền)
+let clientPromise = null;
+
+/**
+ * Lấy database MongoDB từ kết nối dùng chung, tạo kết nối ở lần gọi đầu tiên.
+ * @async
+ * @returns {Promise<Db>} - Đối tượng database của MongoDB.
+ */
+const getMongoDB = async () => {
+  if (!clientPromise) {
+    clientPromise = MongoClient.connect(mongoConfig.url).catch((error) => {
+      // Cho phép thử kết nối lại ở lần gọi sau
+      clientPromise = null;
+      throw error;
+    });
+  }
+
+  const client = await clientPromise;
+  return client.db(mongoConfig.dbName);
+};
+
+module.exports = { getMongoDB };
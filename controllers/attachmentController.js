@@ -1,6 +1,6 @@
 const { MongoClient, ObjectId } = require('mongodb');
 const mongoConfig = require('../config/mongodb');
-const dbMysql = require('../config/database');
+const { getPageAccess } = require('../services/permissionService');
 
 /**
  * Tải lên tệp đính kèm
@@ -28,6 +28,18 @@ const uploadAttachment = async (req, res) => {
     const mongoDb = client.db(mongoConfig.dbName);
     const attachmentsCollection = mongoDb.collection('attachments');
 
+    // Đính kèm vào block: cần quyền chỉnh sửa trang chứa block
+    if (blockId) {
+      const block = await mongoDb.collection('blocks').findOne({ _id: new ObjectId(blockId) });
+      if (block) {
+        const access = await getPageAccess(block.pageId, userId);
+        if (!access.canEdit) {
+          await client.close();
+          return res.status(403).json({ message: 'Không có quyền đính kèm tệp vào trang này' });
+        }
+      }
+    }
+
     // Tạo metadata cho attachment
     const attachment = {
       _id: new ObjectId(),
@@ -89,20 +101,10 @@ const getAttachmentById = async (req, res) => {
     if (attachment.blockId) {
       const block = await mongoDb.collection('blocks').findOne({ _id: attachment.blockId });
       if (block) {
-        const [pages] = await dbMysql.query('SELECT workspace_id FROM pages WHERE id = ?', [block.pageId]);
-        if (pages.length > 0) {
-          const workspaceId = pages[0].workspace_id;
-          const [memberCheck] = await dbMysql.query(
-            `SELECT wm.* FROM workspace_members wm
-             JOIN roles r ON wm.role_id = r.id
-             WHERE wm.workspace_id = ? AND wm.user_id = ?
-             AND r.name IN ('OWNER', 'ADMIN', 'MEMBER', 'VIEWER')`,
-            [workspaceId, userId]
-          );
-          if (memberCheck.length === 0) {
-            await client.close();
-            return res.status(403).json({ message: 'Không có quyền xem tệp đính kèm này' });
-          }
+        const access = await getPageAccess(block.pageId, userId);
+        if (!access.canView) {
+          await client.close();
+          return res.status(403).json({ message: 'Không có quyền xem tệp đính kèm này' });
         }
       }
     } else if (attachment.uploadedBy !== userId) {
@@ -157,20 +159,10 @@ const deleteAttachment = async (req, res) => {
       if (attachment.blockId) {
         const block = await mongoDb.collection('blocks').findOne({ _id: attachment.blockId });
         if (block) {
-          const [pages] = await dbMysql.query('SELECT workspace_id FROM pages WHERE id = ?', [block.pageId]);
-          if (pages.length > 0) {
-            const workspaceId = pages[0].workspace_id;
-            const [memberCheck] = await dbMysql.query(
-              `SELECT wm.* FROM workspace_members wm
-               JOIN roles r ON wm.role_id = r.id
-               WHERE wm.workspace_id = ? AND wm.user_id = ?
-               AND r.name IN ('OWNER', 'ADMIN')`,
-              [workspaceId, userId]
-            );
-            if (memberCheck.length === 0) {
-              await client.close();
-              return res.status(403).json({ message: 'Không có quyền xóa tệp đính kèm này' });
-            }
+          const access = await getPageAccess(block.pageId, userId);
+          if (!access.canManage) {
+            await client.close();
+            return res.status(403).json({ message: 'Không có quyền xóa tệp đính kèm này' });
           }
         }
       } else {
@@ -1,7 +1,44 @@
 const { MongoClient, ObjectId } = require('mongodb');
 const { validationResult } = require('express-validator');
-const db = require('../config/database');
 const mongoConfig = require('../config/mongodb');
+const blockService = require('../services/blockService');
+const blockBatchService = require('../services/blockBatchService');
+const blockConversionService = require('../services/blockConversionService');
+const blockMoveService = require('../services/blockMoveService');
+const blockTypes = require('../services/blockTypes');
+const syncedBlockService = require('../services/syncedBlockService');
+const { getPageAccess } = require('../services/permissionService');
+
+/**
+ * Thông báo block nguồn vừa thay đổi tới trang chứa nó và các trang có block đồng bộ tham chiếu tới nó.
+ * @param {Object} req - Đối tượng request (lấy Socket.io từ app).
+ * @param {string} event - Tên sự kiện.
+ * @param {Object} source - Block nguồn.
+ * @param {Array} references - Các block đồng bộ tham chiếu tới block nguồn.
+ * @param {Object} payload - Dữ liệu gửi kèm.
+ */
+const emitToSyncedPages = (req, event, source, references, payload) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const pageIds = new Set([source.pageId, ...references.map(reference => reference.pageId)]);
+  pageIds.forEach((pageId) => {
+    io.to(pageId).emit(event, { ...payload, pageId, sourcePageId: source.pageId });
+  });
+};
+
+/**
+ * API lấy danh mục các loại block được hỗ trợ cùng nội dung và thuộc tính của từng loại.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về danh sách loại block.
+ * @example
+ * GET /api/block-types
+ */
+const getBlockTypes = async (req, res) => {
+  res.status(200).json({ types: blockTypes.listBlockTypes() });
+};
 
 /**
  * API tạo block mới.
@@ -12,7 +49,7 @@ const mongoConfig = require('../config/mongodb');
  * @throws {Error} - Trả về lỗi nếu không thể tạo block.
  * @example
  * POST /api/blocks
- * Body: { "pageId": "uuidv4", "type": "text", "content": "Nội dung", "position": 0 }
+ * Body: { "pageId": "uuidv4", "type": "paragraph", "content": "Nội dung", "position": 0, "parentId": "optional-block-id" }
  */
 const createBlock = async (req, res) => {
   let client;
@@ -31,37 +68,20 @@ const createBlock = async (req, res) => {
       return res.status(401).json({ message: 'Chưa đăng nhập' });
     }
 
-    const { pageId, type, content, position, properties } = req.body;
-    console.log('Request data:', { pageId, type, content, position, properties });
+    const { pageId, type, content, position, properties, parentId } = req.body;
+    console.log('Request data:', { pageId, type, content, position, properties, parentId });
 
-    console.log('Querying pages...');
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
-    console.log('Pages result:', pages);
+    console.log('Checking page access...');
+    const access = await getPageAccess(pageId, userId);
+    console.log('Access result:', access.access);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       console.log('Page not found:', pageId);
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-    console.log('Page found:', page);
-
-    console.log('Checking workspace membership...');
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-    console.log('Member check result:', memberCheck);
-
-    if (memberCheck.length === 0) {
-      console.log('No edit permission for user:', userId, 'in workspace:', workspaceId);
+    if (!access.canEdit) {
+      console.log('No edit permission for user:', userId, 'on page:', pageId);
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
 
@@ -70,94 +90,29 @@ const createBlock = async (req, res) => {
     const mongoDB = client.db(mongoConfig.dbName);
     console.log('MongoDB connected');
 
-    console.log('Fetching page content...');
-    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
-    console.log('Page content:', pageContent);
+    // Block đồng bộ: block nguồn phải tồn tại và người dùng phải xem được trang chứa nó
+    if (type === syncedBlockService.SYNCED_BLOCK_TYPE) {
+      await syncedBlockService.requireSourceBlock(mongoDB, properties?.sourceBlockId, userId);
+    }
 
-    const now = new Date();
-    const newBlock = {
+    console.log('Inserting new block...');
+    const { block: createdBlock } = await blockService.createBlock(mongoDB, {
       pageId,
+      userId,
       type,
-      content: content || '',
-      position: position !== undefined ? position : pageContent?.blocks?.length || 0,
-      properties: properties || {},
-      children: [],
-      createdBy: userId,
-      createdAt: now,
-      updatedAt: now
-    };
-    console.log('New block:', newBlock);
-
-    console.log('Inserting new block...');
-    const result = await mongoDB.collection('blocks').insertOne(newBlock);
-    const blockId = result.insertedId;
-    console.log('Block inserted with ID:', blockId);
-
-    if (pageContent) {
-      if (position !== undefined) {
-        console.log('Adjusting block positions...');
-        const currentBlocks = await mongoDB.collection('blocks')
-          .find({ pageId, _id: { $in: pageContent.blocks.map(id => {
-            try {
-              return new ObjectId(id);
-            } catch (e) {
-              console.error('Invalid block ID in pageContent.blocks:', id, e);
-              return null;
-            }
-          }).filter(id => id !== null) } })
-          .sort({ position: 1 })
-          .toArray();
-        console.log('Current blocks:', currentBlocks);
-
-        for (const block of currentBlocks) {
-          if (block.position >= position) {
-            console.log('Updating position for block:', block._id);
-            await mongoDB.collection('blocks').updateOne(
-              { _id: block._id },
-              { $set: { position: block.position + 1, updatedAt: now } }
-            );
-          }
-        }
-      }
-
-      const updatedBlocks = [...pageContent.blocks];
-      updatedBlocks.splice(position !== undefined ? position : updatedBlocks.length, 0, blockId);
-      console.log('Updating page_content with blocks:', updatedBlocks);
-
-      await mongoDB.collection('page_contents').updateOne(
-        { pageId },
-        { 
-          $set: {
-            blocks: updatedBlocks,
-            version: pageContent.version + 1,
-            lastEditedBy: userId,
-            lastEditedAt: now
-          }
-        }
-      );
-    } else {
-      console.log('Creating new page_content...');
-      await mongoDB.collection('page_contents').insertOne({
-        pageId,
-        blocks: [blockId],
-        version: 1,
-        lastEditedBy: userId,
-        lastEditedAt: now
-      });
-    }
-
-    console.log('Fetching created block...');
-    const createdBlock = await mongoDB.collection('blocks').findOne({ _id: blockId });
-
-    console.log('Updating page updated_at...');
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [pageId]
-    );
+      content,
+      position,
+      properties,
+      parentId
+    });
+    console.log('Block inserted with ID:', createdBlock._id);
 
     console.log('Sending response...');
     res.status(201).json(createdBlock);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error in createBlock:', error.stack);
     res.status(500).json({ message: 'Lỗi khi tạo block', error: error.message });
   } finally {
@@ -201,28 +156,14 @@ const getBlock = async (req, res) => {
     }
     
     // Kiểm tra quyền truy cập trang
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [block.pageId]
-    );
+    const access = await getPageAccess(block.pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập trang (nếu không phải public)
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
     
     res.status(200).json(block);
@@ -236,6 +177,7 @@ const getBlock = async (req, res) => {
 
 /**
  * API cập nhật block.
+ * Với block đồng bộ, chỉnh sửa nội dung được ghi vào block nguồn; gửi `properties.sourceBlockId` để đổi block nguồn.
  * @async
  * @param {Object} req - Đối tượng request từ client.
  * @param {Object} res - Đối tượng response để gửi phản hồi.
@@ -269,65 +211,59 @@ const updateBlock = async (req, res) => {
     }
     
     // Kiểm tra quyền chỉnh sửa trang
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [block.pageId]
-    );
+    const access = await getPageAccess(block.pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
     
-    // Cập nhật block
-    updateData.updatedAt = new Date();
-    
-    await mongoDB.collection('blocks').updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
-    
-    // Lấy thông tin block sau khi cập nhật
-    const updatedBlock = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
-    
-    // Cập nhật thời gian sửa đổi trang trong bảng SQL
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [block.pageId]
-    );
-    
-    // Cập nhật version của page_content
-    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
-    if (pageContent) {
-      await mongoDB.collection('page_contents').updateOne(
-        { pageId: block.pageId },
-        { 
-          $set: {
-            version: pageContent.version + 1,
-            lastEditedBy: userId,
-            lastEditedAt: new Date()
-          }
-        }
-      );
+    if (syncedBlockService.isSyncedBlock(block)) {
+      const sourceBlockId = updateData.properties?.sourceBlockId;
+
+      // Đổi block nguồn của block đồng bộ
+      if (sourceBlockId !== undefined) {
+        await syncedBlockService.requireSourceBlock(mongoDB, sourceBlockId, userId);
+        const { block: updatedBlock } = await blockService.updateBlock(mongoDB, block, userId, {
+          properties: { sourceBlockId }
+        });
+        const [rendered] = await syncedBlockService.resolveSyncedBlocks(mongoDB, [updatedBlock], userId);
+        return res.status(200).json(rendered);
+      }
+
+      // Chỉnh sửa nội dung qua block đồng bộ được ghi vào block nguồn
+      const { block: source, references } = await syncedBlockService.updateSource(mongoDB, block, userId, updateData);
+      emitToSyncedPages(req, 'syncedBlockUpdated', source, references, {
+        sourceBlockId: source._id,
+        block: source,
+        userId
+      });
+
+      const [rendered] = await syncedBlockService.resolveSyncedBlocks(mongoDB, [block], userId);
+      return res.status(200).json(rendered);
+    }
+
+    // Cập nhật block, thời gian sửa đổi trang và version của page_content
+    const { block: updatedBlock } = await blockService.updateBlock(mongoDB, block, userId, updateData);
+
+    // Các trang có block đồng bộ tham chiếu tới block này cần hiển thị lại
+    const references = await syncedBlockService.findReferences(mongoDB, [block._id]);
+    if (references.length > 0) {
+      emitToSyncedPages(req, 'syncedBlockUpdated', updatedBlock, references, {
+        sourceBlockId: updatedBlock._id,
+        block: updatedBlock,
+        userId
+      });
     }
     
     res.status(200).json(updatedBlock);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Lỗi khi cập nhật block:', error);
     res.status(500).json({ message: 'Lỗi khi cập nhật block' });
   } finally {
@@ -337,13 +273,15 @@ const updateBlock = async (req, res) => {
 
 /**
  * API xóa block.
+ * Nếu block là nguồn của block đồng bộ ở nơi khác, trả về 409 kèm danh sách tham chiếu;
+ * gửi `detach=true` để biến các block đồng bộ thành bản sao độc lập rồi xóa.
  * @async
  * @param {Object} req - Đối tượng request từ client.
  * @param {Object} res - Đối tượng response để gửi phản hồi.
  * @returns {Promise<void>} - Trả về xác nhận xóa block.
  * @throws {Error} - Trả về lỗi nếu không thể xóa block.
  * @example
- * DELETE /api/blocks/:id
+ * DELETE /api/blocks/:id?detach=true
  */
 const deleteBlock = async (req, res) => {
   let client;
@@ -377,86 +315,49 @@ const deleteBlock = async (req, res) => {
       return res.status(404).json({ message: 'Block không tồn tại' });
     }
 
-    console.log('Querying pages...');
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [block.pageId]
-    );
-    console.log('Pages result:', pages);
+    console.log('Checking page access...');
+    const access = await getPageAccess(block.pageId, userId);
+    console.log('Access result:', access.access);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       console.log('Page not found:', block.pageId);
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-    console.log('Page found:', page);
-
-    console.log('Checking workspace membership...');
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-    console.log('Member check result:', memberCheck);
-
-    if (memberCheck.length === 0) {
-      console.log('No edit permission for user:', userId, 'in workspace:', workspaceId);
+    if (!access.canEdit) {
+      console.log('No edit permission for user:', userId, 'on page:', block.pageId);
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
 
-    console.log('Fetching page content...');
-    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
-    console.log('Page content:', pageContent);
-
-    if (pageContent) {
-      const updatedBlocks = pageContent.blocks.filter(
-        blockId => blockId.toString() !== id
-      );
-      console.log('Updated blocks after removal:', updatedBlocks);
-
-      await mongoDB.collection('page_contents').updateOne(
-        { pageId: block.pageId },
-        { 
-          $set: {
-            blocks: updatedBlocks,
-            version: pageContent.version + 1,
-            lastEditedBy: userId,
-            lastEditedAt: new Date()
-          }
-        }
-      );
-
-      console.log('Adjusting block positions...');
-      const blocksToUpdate = await mongoDB.collection('blocks').find({
-        pageId: block.pageId,
-        position: { $gt: block.position }
-      }).toArray();
-      console.log('Blocks to update:', blocksToUpdate);
-
-      for (const blockToUpdate of blocksToUpdate) {
-        await mongoDB.collection('blocks').updateOne(
-          { _id: blockToUpdate._id },
-          { $set: { position: blockToUpdate.position - 1 } }
-        );
+    // Block (hoặc block con) đang là nguồn của block đồng bộ ở nơi khác: cảnh báo, hoặc tách các bản đồng bộ nếu được yêu cầu
+    const references = await syncedBlockService.findExternalReferences(mongoDB, block);
+    let detached = [];
+    if (references.length > 0) {
+      if (req.query.detach !== 'true') {
+        return res.status(409).json({
+          message: 'Block đang được đồng bộ tới nơi khác, gửi detach=true để tách các bản đồng bộ trước khi xóa',
+          references
+        });
       }
-    }
+      detached = await syncedBlockService.detachReferences(mongoDB, references, userId);
 
-    console.log('Deleting block...');
-    await mongoDB.collection('blocks').deleteOne({ _id: new ObjectId(id) });
+      const io = req.app.get('io');
+      if (io) {
+        detached.forEach(({ blockId, pageId, version }) => {
+          io.to(pageId).emit('syncedBlockDetached', { pageId, blockId, version, userId });
+        });
+      }
+    }
 
-    console.log('Updating page updated_at...');
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [block.pageId]
-    );
+    console.log('Deleting block and its descendants...');
+    const { deletedIds } = await blockService.deleteBlock(mongoDB, block, userId);
 
     console.log('Sending response...');
-    res.status(200).json({ message: 'Xóa block thành công' });
+    res.status(200).json({ message: 'Xóa block thành công', deletedIds, detached });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Error in deleteBlock:', error.stack);
     res.status(500).json({ message: 'Lỗi khi xóa block', error: error.message });
   } finally {
@@ -476,7 +377,7 @@ const deleteBlock = async (req, res) => {
  * @throws {Error} - Trả về lỗi nếu không thể thay đổi vị trí block.
  * @example
  * PUT /api/blocks/:id/position
- * Body: { "position": 2 }
+ * Body: { "position": 2 } (vị trí trong các block cùng cha)
  */
 const updateBlockPosition = async (req, res) => {
   let client;
@@ -502,97 +403,24 @@ const updateBlockPosition = async (req, res) => {
     }
     
     // Kiểm tra quyền chỉnh sửa trang
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [block.pageId]
-    );
+    const access = await getPageAccess(block.pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
     
-    // Lấy thông tin page_content
-    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
-    
-    if (!pageContent) {
-      return res.status(404).json({ message: 'Không tìm thấy nội dung trang' });
-    }
-    
-    // Số lượng blocks hiện có
-    const totalBlocks = pageContent.blocks.length;
-    
-    // Kiểm tra vị trí mới có hợp lệ
-    if (position < 0 || position >= totalBlocks) {
-      return res.status(400).json({ message: 'Vị trí không hợp lệ' });
-    }
-    
-    // Vị trí hiện tại của block
-    const currentPosition = block.position;
-    
-    // Nếu vị trí không thay đổi, không cần làm gì
-    if (currentPosition === position) {
-      return res.status(200).json({ message: 'Vị trí không thay đổi' });
-    }
-    
-    // Tìm tất cả các block của trang
-    const blocksToReorder = await mongoDB.collection('blocks')
-      .find({ pageId: block.pageId })
-      .sort({ position: 1 })
-      .toArray();
-    
-    // Loại bỏ block hiện tại khỏi mảng
-    const filteredBlocks = blocksToReorder.filter(b => b._id.toString() !== id);
-    
-    // Chèn block vào vị trí mới
-    filteredBlocks.splice(position, 0, block);
-    
-    // Cập nhật vị trí của tất cả các block
-    for (let i = 0; i < filteredBlocks.length; i++) {
-      await mongoDB.collection('blocks').updateOne(
-        { _id: filteredBlocks[i]._id },
-        { $set: { position: i, updatedAt: new Date() } }
-      );
-    }
-    
-    // Cập nhật thứ tự trong page_contents
-    const updatedBlockIds = filteredBlocks.map(b => b._id);
-    
-    await mongoDB.collection('page_contents').updateOne(
-      { pageId: block.pageId },
-      { 
-        $set: {
-          blocks: updatedBlockIds,
-          version: pageContent.version + 1,
-          lastEditedBy: userId,
-          lastEditedAt: new Date()
-        }
-      }
-    );
-    
-    // Cập nhật thời gian sửa đổi trang trong bảng SQL
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [block.pageId]
-    );
+    // Di chuyển block (cùng các block con) trong phạm vi các block anh em; vị trí không đổi thì giữ nguyên khóa sắp xếp
+    await blockService.moveBlock(mongoDB, block, userId, { position });
     
     res.status(200).json({ message: 'Thay đổi vị trí block thành công' });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Lỗi khi thay đổi vị trí block:', error);
     res.status(500).json({ message: 'Lỗi khi thay đổi vị trí block' });
   } finally {
@@ -633,110 +461,656 @@ const duplicateBlock = async (req, res) => {
     }
     
     // Kiểm tra quyền chỉnh sửa trang
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [block.pageId]
-    );
+    const access = await getPageAccess(block.pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+    
+    // Nhân bản block cùng các block con, đặt ngay sau block gốc
+    const { block: duplicatedBlock } = await blockService.duplicateBlock(mongoDB, block, userId);
+    
+    res.status(201).json(duplicatedBlock);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi nhân bản block:', error);
+    res.status(500).json({ message: 'Lỗi khi nhân bản block' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * Thực hiện một thay đổi cấu trúc (di chuyển, thụt lề, giảm lề) lên block rồi thông báo cho trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @param {Function} action - (mongoDB, block, userId) => Promise<{ block, version }>.
+ * @param {string} errorMessage - Thông báo khi có lỗi không mong muốn.
+ * @returns {Promise<void>} - Trả về block sau khi thay đổi.
+ */
+const restructureBlock = async (req, res, action, errorMessage) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    // Lấy thông tin block
+    const block = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block không tồn tại' });
+    }
 
     // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    const access = await getPageAccess(block.pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
-    
-    // Tạo block mới dựa trên block cũ
-    const now = new Date();
-    const newBlock = {
-      pageId: block.pageId,
-      type: block.type,
+
+    const result = await action(mongoDB, block, userId);
+
+    // Thông báo cho các client đang mở trang qua WebSocket
+    const io = req.app.get('io');
+    if (io) {
+      io.to(block.pageId).emit('blockMoved', {
+        pageId: block.pageId,
+        blockId: id,
+        parentId: result.block.parentId || null,
+        position: result.block.position,
+        version: result.version
+      });
+    }
+
+    res.status(200).json({ block: result.block, version: result.version });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error(`${errorMessage}:`, error);
+    res.status(500).json({ message: errorMessage });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * Chuyển block cùng các block con sang trang khác (cần quyền chỉnh sửa cả hai trang)
+ * rồi thông báo cho cả hai trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về block sau khi chuyển và version mới của hai trang.
+ */
+const moveBlockToPage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { targetPageId, parentId, position } = req.body;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    // Lấy thông tin block
+    const block = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block không tồn tại' });
+    }
+
+    // Kiểm tra quyền chỉnh sửa trang nguồn và trang đích
+    const sourceAccess = await getPageAccess(block.pageId, userId);
+    const targetAccess = await getPageAccess(targetPageId, userId);
+
+    if (!sourceAccess.page || !targetAccess.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!sourceAccess.canEdit || !targetAccess.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang nguồn hoặc trang đích' });
+    }
+
+    const io = req.app.get('io');
+
+    // Trang đích chính là trang hiện tại: di chuyển trong trang như bình thường
+    if (targetPageId === block.pageId) {
+      const result = await blockService.moveBlock(mongoDB, block, userId, { parentId, position });
+      if (io) {
+        io.to(block.pageId).emit('blockMoved', {
+          pageId: block.pageId,
+          blockId: id,
+          parentId: result.block.parentId || null,
+          position: result.block.position,
+          version: result.version
+        });
+      }
+      return res.status(200).json({ block: result.block, version: result.version });
+    }
+
+    const result = await blockMoveService.moveBlockToPage(client, mongoDB, block, userId, {
+      pageId: targetPageId,
+      parentId,
+      position
+    });
+
+    // Thông báo cho các client đang mở trang nguồn và trang đích qua WebSocket
+    if (io) {
+      io.to(result.source.pageId).emit('blockMovedOut', {
+        pageId: result.source.pageId,
+        blockId: id,
+        blockIds: result.movedIds,
+        targetPageId: result.target.pageId,
+        version: result.source.version
+      });
+      io.to(result.target.pageId).emit('blockMovedIn', {
+        pageId: result.target.pageId,
+        blockId: id,
+        blockIds: result.movedIds,
+        sourcePageId: result.source.pageId,
+        parentId: result.block.parentId || null,
+        position: result.block.position,
+        version: result.target.version
+      });
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi chuyển block sang trang khác:', error);
+    res.status(500).json({ message: 'Lỗi khi chuyển block sang trang khác' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API di chuyển block cùng các block con tới block cha và vị trí mới trong trang,
+ * hoặc sang trang khác khi có `targetPageId`.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về block sau khi di chuyển.
+ * @throws {Error} - Trả về lỗi nếu không thể di chuyển block.
+ * @example
+ * POST /api/blocks/:id/move
+ * Body: { "parentId": "block-id-hoac-null", "position": 0 }
+ * Body: { "targetPageId": "uuidv4", "parentId": null, "position": 2 }
+ */
+const moveBlock = async (req, res) => {
+  const { targetPageId, parentId, position } = req.body;
+  if (targetPageId) {
+    return moveBlockToPage(req, res);
+  }
+  return restructureBlock(
+    req,
+    res,
+    (mongoDB, block, userId) => blockService.moveBlock(mongoDB, block, userId, { parentId, position }),
+    'Lỗi khi di chuyển block'
+  );
+};
+
+/**
+ * API thụt lề block (trở thành con cuối cùng của block liền trước).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về block sau khi thụt lề.
+ * @throws {Error} - Trả về lỗi nếu không thể thụt lề block.
+ * @example
+ * POST /api/blocks/:id/indent
+ */
+const indentBlock = async (req, res) => {
+  return restructureBlock(req, res, blockService.indentBlock, 'Lỗi khi thụt lề block');
+};
+
+/**
+ * API giảm lề block (đứng ngay sau block cha hiện tại).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về block sau khi giảm lề.
+ * @throws {Error} - Trả về lỗi nếu không thể giảm lề block.
+ * @example
+ * POST /api/blocks/:id/outdent
+ */
+const outdentBlock = async (req, res) => {
+  return restructureBlock(req, res, blockService.outdentBlock, 'Lỗi khi giảm lề block');
+};
+
+/**
+ * API lấy các thao tác văn bản của block kể từ một revision (dùng để đồng bộ lại khi client kết nối lại).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về revision hiện tại và các thao tác sau revision yêu cầu.
+ * @throws {Error} - Trả về lỗi nếu không thể lấy thao tác.
+ * @example
+ * GET /api/blocks/:id/operations?since=12
+ */
+const getBlockOperations = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const since = parseInt(req.query.since) || 0;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    // Lấy thông tin block
+    const block = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block không tồn tại' });
+    }
+
+    // Kiểm tra quyền truy cập trang
+    const access = await getPageAccess(block.pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
+    }
+
+    const operations = await blockService.getOperationsSince(mongoDB, block, since);
+
+    res.status(200).json({
+      blockId: block._id,
+      revision: block.revision || 0,
       content: block.content,
-      properties: { ...block.properties },
-      position: block.position + 1, // Đặt vị trí ngay sau block gốc
-      children: [...block.children], // Sao chép danh sách con
-      createdBy: userId,
-      createdAt: now,
-      updatedAt: now
-    };
-    
-    // Thêm block mới vào database
-    const result = await mongoDB.collection('blocks').insertOne(newBlock);
-    const newBlockId = result.insertedId;
-    
-    // Cập nhật vị trí của các block phía sau
-    const blocksToUpdate = await mongoDB.collection('blocks').find({
-      pageId: block.pageId,
-      position: { $gt: block.position },
-      _id: { $ne: newBlockId }
-    }).toArray();
-    
-    for (const blockToUpdate of blocksToUpdate) {
-      await mongoDB.collection('blocks').updateOne(
-        { _id: blockToUpdate._id },
-        { $set: { position: blockToUpdate.position + 1, updatedAt: now } }
-      );
+      operations: operations.map(operation => ({
+        revision: operation.revision,
+        ops: operation.ops,
+        clientId: operation.clientId,
+        userId: operation.userId,
+        createdAt: operation.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Lỗi khi lấy thao tác của block:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy thao tác của block' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API áp dụng thao tác văn bản lên nội dung block (biến đổi theo các thao tác đồng thời).
+ * Thao tác gửi tới block đồng bộ được áp dụng lên block nguồn.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về revision mới và thao tác sau khi rebase.
+ * @throws {Error} - Trả về lỗi nếu không thể áp dụng thao tác.
+ * @example
+ * POST /api/blocks/:id/operations
+ * Body: { "revision": 12, "ops": [5, "abc", -2, 10], "clientId": "optional-client-id" }
+ */
+const applyBlockOperation = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    
-    // Cập nhật page_contents
-    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
-    
-    if (pageContent) {
-      const updatedBlocks = [...pageContent.blocks];
-      const blockIndex = updatedBlocks.findIndex(b => b.toString() === id);
-      
-      if (blockIndex !== -1) {
-        updatedBlocks.splice(blockIndex + 1, 0, newBlockId);
-        
-        await mongoDB.collection('page_contents').updateOne(
-          { pageId: block.pageId },
-          { 
-            $set: {
-              blocks: updatedBlocks,
-              version: pageContent.version + 1,
-              lastEditedBy: userId,
-              lastEditedAt: now
-            }
-          }
-        );
+
+    const { id } = req.params;
+    const { revision, ops, clientId } = req.body;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    // Lấy thông tin block
+    const block = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block không tồn tại' });
+    }
+
+    // Kiểm tra quyền chỉnh sửa trang
+    const access = await getPageAccess(block.pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    // Thao tác trên block đồng bộ được áp dụng lên block nguồn
+    const target = syncedBlockService.isSyncedBlock(block)
+      ? await syncedBlockService.requireSourceBlock(
+        mongoDB, syncedBlockService.getSourceBlockId(block), userId, { edit: true }
+      )
+      : block;
+
+    const result = await blockService.applyOperation(mongoDB, target, userId, { revision, ops, clientId });
+
+    // Thông báo cho các client đang mở trang nguồn và các trang có block đồng bộ qua WebSocket
+    const references = await syncedBlockService.findReferences(mongoDB, [target._id]);
+    emitToSyncedPages(req, 'blockOperation', target, references, {
+      blockId: target._id.toString(),
+      revision: result.revision,
+      ops: result.ops,
+      clientId: clientId || null,
+      userId
+    });
+
+    res.status(200).json({
+      blockId: target._id.toString(),
+      revision: result.revision,
+      ops: result.ops,
+      version: result.version
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi áp dụng thao tác lên block:', error);
+    res.status(500).json({ message: 'Lỗi khi áp dụng thao tác lên block' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API đổi loại block (ví dụ đoạn văn sang danh sách, việc cần làm sang đoạn văn).
+ * Thuộc tính tương thích được giữ lại; nội dung nhiều dòng có thể được tách thành nhiều block.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về block sau khi đổi, các block được tách ra và version mới của trang.
+ * @throws {Error} - Trả về lỗi nếu không thể đổi loại block.
+ * @example
+ * POST /api/blocks/:id/convert
+ * Body: { "type": "bulleted_list", "properties": { "color": "blue" }, "split": true }
+ */
+const convertBlock = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { type, properties, split } = req.body;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    // Lấy thông tin block
+    const block = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(id) });
+
+    if (!block) {
+      return res.status(404).json({ message: 'Block không tồn tại' });
+    }
+
+    // Kiểm tra quyền chỉnh sửa trang
+    const access = await getPageAccess(block.pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    const result = await blockConversionService.convertBlock(mongoDB, block, userId, {
+      type,
+      properties,
+      split: Boolean(split)
+    });
+
+    // Thông báo cho các client đang mở trang qua WebSocket
+    const io = req.app.get('io');
+    if (io) {
+      io.to(block.pageId).emit('blockConverted', {
+        pageId: block.pageId,
+        blockId: id,
+        block: result.block,
+        newBlocks: result.newBlocks,
+        liftedIds: result.liftedIds,
+        version: result.version,
+        userId
+      });
+    }
+
+    res.status(200).json({
+      block: result.block,
+      newBlocks: result.newBlocks,
+      liftedIds: result.liftedIds,
+      version: result.version
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi đổi loại block:', error);
+    res.status(500).json({ message: 'Lỗi khi đổi loại block' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API áp dụng một lô thao tác create/update/move/delete lên block của trang trong một transaction.
+ * Cả lô chỉ tăng version của trang một lần và tạo một bản ghi lịch sử.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về version mới, ID các block của trang và kết quả từng thao tác.
+ * @throws {Error} - Trả về lỗi nếu không thể áp dụng lô thao tác.
+ * @example
+ * POST /api/pages/:id/blocks/batch
+ * Query: { "detach": "true" } (tách các block đồng bộ tham chiếu tới block bị xóa)
+ * Body: {
+ *   "operations": [
+ *     { "action": "create", "tempId": "new-1", "type": "to_do", "content": "Việc mới", "position": 0 },
+ *     { "action": "update", "blockId": "65f1c2...", "content": "Nội dung mới" },
+ *     { "action": "move", "blockId": "new-1", "parentId": "65f1c2...", "position": 0 },
+ *     { "action": "delete", "blockId": "65f1c3..." }
+ *   ]
+ * }
+ */
+const applyBlockBatch = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id: pageId } = req.params;
+    const { operations } = req.body;
+    const userId = req.user.id;
+
+    // Kiểm tra quyền chỉnh sửa trang
+    const access = await getPageAccess(pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const { sourceUpdates, ...result } = await blockBatchService.applyBatch(client, mongoDB, pageId, userId, operations, {
+      detach: req.query.detach === 'true'
+    });
+
+    await blockService.touchPage(pageId);
+
+    // Thông báo cho các client đang mở trang qua WebSocket
+    const io = req.app.get('io');
+    if (io) {
+      io.to(pageId).emit('blocksBatchApplied', {
+        pageId,
+        version: result.version,
+        blockIds: result.blockIds,
+        results: result.results,
+        userId
+      });
+      result.detached.forEach(({ blockId, pageId: detachedPageId, version }) => {
+        io.to(detachedPageId).emit('syncedBlockDetached', { pageId: detachedPageId, blockId, version, userId });
+      });
+    }
+
+    // Chỉnh sửa qua block đồng bộ đã được ghi vào block nguồn
+    sourceUpdates.forEach(({ block: source, references }) => {
+      emitToSyncedPages(req, 'syncedBlockUpdated', source, references, {
+        sourceBlockId: source._id,
+        block: source,
+        userId
+      });
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Lỗi khi áp dụng lô thao tác block:', error);
+    res.status(500).json({ message: 'Lỗi khi áp dụng lô thao tác block' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API liệt kê các block đồng bộ tham chiếu tới block (chỉ gồm các trang người dùng xem được).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về danh sách tham chiếu và tổng số tham chiếu.
+ * @throws {Error} - Trả về lỗi nếu không thể lấy danh sách tham chiếu.
+ * @example
+ * GET /api/blocks/:id/references
+ */
+const getBlockReferences = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const userId = req.user.id;
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const block = await blockService.findBlock(mongoDB, id);
+
+    // Kiểm tra quyền truy cập trang chứa block
+    const access = await getPageAccess(block.pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
+    }
+
+    const references = await syncedBlockService.findReferences(mongoDB, [block._id]);
+
+    // Chỉ trả về tham chiếu nằm trong các trang người dùng xem được
+    const pageTitles = new Map();
+    for (const pageId of new Set(references.map(reference => reference.pageId))) {
+      const pageAccess = await getPageAccess(pageId, userId);
+      if (pageAccess.canView) {
+        pageTitles.set(pageId, pageAccess.page.title);
       }
     }
-    
-    // Lấy thông tin block sau khi nhân bản
-    const duplicatedBlock = await mongoDB.collection('blocks').findOne({ _id: newBlockId });
-    
-    // Cập nhật thời gian sửa đổi trang trong bảng SQL
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [block.pageId]
-    );
-    
-    res.status(201).json(duplicatedBlock);
+
+    res.status(200).json({
+      blockId: block._id,
+      total: references.length,
+      references: references
+        .filter(reference => pageTitles.has(reference.pageId))
+        .map(reference => ({
+          blockId: reference._id,
+          pageId: reference.pageId,
+          pageTitle: pageTitles.get(reference.pageId)
+        }))
+    });
   } catch (error) {
-    console.error('Lỗi khi nhân bản block:', error);
-    res.status(500).json({ message: 'Lỗi khi nhân bản block' });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi lấy danh sách block đồng bộ:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy danh sách block đồng bộ' });
   } finally {
     if (client) await client.close();
   }
 };
 
 module.exports = {
+  getBlockTypes,
   createBlock,
   getBlock,
   updateBlock,
   deleteBlock,
   updateBlockPosition,
-  duplicateBlock
+  duplicateBlock,
+  moveBlock,
+  indentBlock,
+  outdentBlock,
+  convertBlock,
+  applyBlockBatch,
+  getBlockOperations,
+  applyBlockOperation,
+  getBlockReferences
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const { MongoClient, ObjectId } = require("mongodb");
 const mongoConfig = require("../config/mongodb");
 const db = require("../config/database");
+const { getPageAccess } = require("../services/permissionService");
 const { validationResult } = require("express-validator");
 
 /**
@@ -25,30 +26,16 @@ const getPageComments = async (req, res) => {
     const userId = req.user.id;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập trang (nếu không phải public)
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        "SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res
-          .status(403)
-          .json({ message: "Không có quyền truy cập trang này" });
-      }
+    if (!access.canView) {
+      return res
+        .status(403)
+        .json({ message: "Không có quyền truy cập trang này" });
     }
 
     // Kết nối MongoDB
@@ -117,28 +104,14 @@ const addPageComment = async (req, res) => {
     const { content, mentions = [] } = req.body;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập và chỉnh sửa
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER', 'VIEWER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    // Kiểm tra quyền bình luận (mức comment trở lên)
+    if (!access.canComment) {
       return res
         .status(403)
         .json({ message: "Không có quyền bình luận trên trang này" });
@@ -223,30 +196,16 @@ const getBlockComments = async (req, res) => {
     const pageId = block.pageId;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập trang (nếu không phải public)
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        "SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res
-          .status(403)
-          .json({ message: "Không có quyền truy cập trang này" });
-      }
+    if (!access.canView) {
+      return res
+        .status(403)
+        .json({ message: "Không có quyền truy cập trang này" });
     }
 
     // Lấy bình luận từ collection comments
@@ -326,28 +285,14 @@ const addBlockComment = async (req, res) => {
     const pageId = block.pageId;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập và chỉnh sửa
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER', 'VIEWER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    // Kiểm tra quyền bình luận (mức comment trở lên)
+    if (!access.canComment) {
       return res
         .status(403)
         .json({ message: "Không có quyền bình luận trên trang này" });
@@ -513,28 +458,14 @@ const deleteComment = async (req, res) => {
     const isCommentCreator = comment.userId === userId;
 
     if (!isCommentCreator) {
-      // Nếu không phải người tạo, kiểm tra quyền admin của workspace
-      const [pages] = await db.query(
-        "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-        [pageId]
-      );
+      // Nếu không phải người tạo, cần quyền quản lý trang (OWNER/ADMIN hoặc quyền full trên trang)
+      const access = await getPageAccess(pageId, userId);
 
-      if (pages.length === 0) {
+      if (!access.page) {
         return res.status(404).json({ message: "Trang không tồn tại" });
       }
 
-      const workspaceId = pages[0].workspace_id;
-
-      // Kiểm tra xem người dùng có quyền admin hoặc owner không
-      const [adminCheck] = await db.query(
-        `SELECT wm.* FROM workspace_members wm
-         JOIN roles r ON wm.role_id = r.id
-         WHERE wm.workspace_id = ? AND wm.user_id = ? 
-         AND r.name IN ('OWNER', 'ADMIN')`,
-        [workspaceId, userId]
-      );
-
-      if (adminCheck.length === 0) {
+      if (!access.canManage) {
         return res
           .status(403)
           .json({ message: "Không có quyền xóa bình luận này" });
@@ -594,29 +525,16 @@ const addReaction = async (req, res) => {
     const pageId = comment.pageId;
 
     // Kiểm tra quyền truy cập trang
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        "SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res
-          .status(403)
-          .json({ message: "Không có quyền truy cập trang này" });
-      }
+    if (!access.canView) {
+      return res
+        .status(403)
+        .json({ message: "Không có quyền truy cập trang này" });
     }
 
     // Cập nhật reactions
@@ -683,29 +601,16 @@ const removeReaction = async (req, res) => {
     const pageId = comment.pageId;
 
     // Kiểm tra quyền truy cập trang
-    const [pages] = await db.query(
-      "SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?",
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: "Trang không tồn tại" });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        "SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res
-          .status(403)
-          .json({ message: "Không có quyền truy cập trang này" });
-      }
+    if (!access.canView) {
+      return res
+        .status(403)
+        .json({ message: "Không có quyền truy cập trang này" });
     }
 
     // Cập nhật reactions - xóa userId khỏi mảng reactions của loại cụ thể
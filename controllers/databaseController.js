@@ -0,0 +1,496 @@
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
+const mongoConfig = require('../config/mongodb');
+const databaseService = require('../services/databaseService');
+const databaseColumns = require('../services/databaseColumns');
+const { getPageAccess, getWorkspacePageAccess } = require('../services/permissionService');
+const { NotFoundError, ForbiddenError } = require('../middlewares/error');
+
+/**
+ * Lấy cơ sở dữ liệu và kiểm tra quyền của người dùng trên trang chứa nó.
+ * @async
+ * @param {string} databaseId - ID cơ sở dữ liệu.
+ * @param {string} userId - ID người dùng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.edit=false] - Yêu cầu quyền chỉnh sửa.
+ * @returns {Promise<Object>} - Cơ sở dữ liệu.
+ * @throws {NotFoundError|ForbiddenError} - Nếu không tồn tại hoặc không có quyền.
+ */
+const requireDatabaseAccess = async (databaseId, userId, { edit = false } = {}) => {
+  const database = await databaseService.findDatabase(databaseId);
+  const access = await getPageAccess(database.page_id, userId);
+
+  if (!access.page) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  if (!(edit ? access.canEdit : access.canView)) {
+    throw new ForbiddenError(edit
+      ? 'Không có quyền chỉnh sửa cơ sở dữ liệu này'
+      : 'Không có quyền truy cập cơ sở dữ liệu này');
+  }
+  return database;
+};
+
+/**
+ * Thông báo thay đổi của cơ sở dữ liệu cho các client đang mở trang chứa nó.
+ * @param {Object} req - Đối tượng request (lấy Socket.io từ app).
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} event - Tên sự kiện.
+ * @param {Object} payload - Dữ liệu gửi kèm.
+ */
+const emitDatabaseEvent = (req, database, event, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(database.page_id).emit(event, { pageId: database.page_id, databaseId: database.id, ...payload });
+  }
+};
+
+/**
+ * Gửi phản hồi lỗi chung của các API cơ sở dữ liệu.
+ * @param {Object} res - Đối tượng response.
+ * @param {Error} error - Lỗi.
+ * @param {string} message - Thông báo khi lỗi không xác định.
+ */
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+/**
+ * API lấy danh mục loại cột.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về danh sách loại cột và toán tử lọc.
+ * @example
+ * GET /api/database-column-types
+ */
+const getColumnTypes = async (req, res) => {
+  res.status(200).json({ types: databaseColumns.listColumnTypes() });
+};
+
+/**
+ * API tạo cơ sở dữ liệu trong trang (kèm block hiển thị và view mặc định).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cơ sở dữ liệu, các view và block vừa tạo.
+ * @throws {Error} - Trả về lỗi nếu không thể tạo cơ sở dữ liệu.
+ * @example
+ * POST /api/pages/:id/databases
+ * Body: { "title": "Công việc", "columns": [{ "name": "Trạng thái", "type": "select", "options": ["Cần làm", "Xong"] }], "parentId": null, "position": 0 }
+ */
+const createDatabase = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id: pageId } = req.params;
+    const { title, columns, parentId, position } = req.body;
+    const userId = req.user.id;
+
+    // Kiểm tra quyền chỉnh sửa trang
+    const access = await getPageAccess(pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await databaseService.createDatabase(mongoDB, {
+      page: access.page,
+      userId,
+      title,
+      columns,
+      parentId,
+      position
+    });
+
+    // Thông báo cho các client đang mở trang qua WebSocket
+    const io = req.app.get('io');
+    if (io) {
+      io.to(pageId).emit('blockAdded', result.block);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi tạo cơ sở dữ liệu');
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API lấy cơ sở dữ liệu (định nghĩa cột và các view đã lưu).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cơ sở dữ liệu và các view.
+ * @example
+ * GET /api/databases/:id
+ */
+const getDatabase = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id);
+    const views = await databaseService.listViews(database.id);
+
+    res.status(200).json({ database, views });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy cơ sở dữ liệu');
+  }
+};
+
+/**
+ * API cập nhật tiêu đề cơ sở dữ liệu.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cơ sở dữ liệu sau khi cập nhật.
+ * @example
+ * PUT /api/databases/:id
+ * Body: { "title": "Công việc quý 3" }
+ */
+const updateDatabase = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id, { edit: true });
+    const updated = await databaseService.updateDatabase(database, { title: req.body.title });
+
+    emitDatabaseEvent(req, updated, 'databaseSchemaUpdated', { database: updated, userId: req.user.id });
+    res.status(200).json({ database: updated });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật cơ sở dữ liệu');
+  }
+};
+
+/**
+ * API thêm cột.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cột vừa thêm và cơ sở dữ liệu sau khi cập nhật.
+ * @example
+ * POST /api/databases/:id/columns
+ * Body: { "name": "Người phụ trách", "type": "person" }
+ */
+const addColumn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id, { edit: true });
+    const { name, type, options, relationDatabaseId } = req.body;
+    const result = await databaseService.addColumn(database, { name, type, options, relationDatabaseId });
+
+    emitDatabaseEvent(req, database, 'databaseSchemaUpdated', { database: result.database, userId: req.user.id });
+    res.status(201).json(result);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi thêm cột');
+  }
+};
+
+/**
+ * API cập nhật cột. Giá trị không còn hợp lệ với định nghĩa mới bị bỏ.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cột và cơ sở dữ liệu sau khi cập nhật.
+ * @example
+ * PUT /api/databases/:id/columns/:columnId
+ * Body: { "name": "Trạng thái", "options": [{ "id": "…", "name": "Cần làm" }, { "name": "Đang làm", "color": "blue" }] }
+ */
+const updateColumn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id, { edit: true });
+    const { name, type, options, relationDatabaseId } = req.body;
+    const result = await databaseService.updateColumn(database, req.params.columnId, {
+      name,
+      type,
+      options,
+      relationDatabaseId
+    });
+
+    emitDatabaseEvent(req, database, 'databaseSchemaUpdated', { database: result.database, userId: req.user.id });
+    res.status(200).json(result);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật cột');
+  }
+};
+
+/**
+ * API xóa cột cùng giá trị của nó ở mọi hàng.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về cơ sở dữ liệu sau khi cập nhật.
+ * @example
+ * DELETE /api/databases/:id/columns/:columnId
+ */
+const deleteColumn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id, { edit: true });
+    const updated = await databaseService.deleteColumn(database, req.params.columnId);
+
+    emitDatabaseEvent(req, database, 'databaseSchemaUpdated', { database: updated, userId: req.user.id });
+    res.status(200).json({ message: 'Xóa cột thành công', database: updated });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi xóa cột');
+  }
+};
+
+/**
+ * API lấy các hàng, theo view đã lưu nếu có `viewId`.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về { rows, total } hoặc { groups, total } khi view có nhóm.
+ * @example
+ * GET /api/databases/:id/rows?viewId=uuidv4
+ */
+const getRows = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id);
+    const { viewId } = req.query;
+
+    // Chỉ trả về các hàng có trang người dùng xem được
+    const options = { visiblePageIds: new Set((await getWorkspacePageAccess(database.workspace_id, req.user.id)).keys()) };
+    const result = viewId
+      ? await databaseService.queryView(database, viewId, options)
+      : await databaseService.queryRows(database, {}, options);
+
+    res.status(200).json({ databaseId: database.id, ...result });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy các hàng của cơ sở dữ liệu');
+  }
+};
+
+/**
+ * API lọc, sắp xếp và nhóm các hàng theo điều kiện gửi lên (không lưu thành view).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về { rows, total } hoặc { groups, total }.
+ * @example
+ * POST /api/databases/:id/query
+ * Body: {
+ *   "filters": [{ "columnId": "…", "operator": "equals", "value": "option-id" }],
+ *   "sorts": [{ "columnId": "…", "direction": "desc" }],
+ *   "groupBy": "column-id"
+ * }
+ */
+const queryRows = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const database = await requireDatabaseAccess(req.params.id, req.user.id);
+    const { filters, sorts, groupBy } = req.body;
+    const result = await databaseService.queryRows(database, { filters, sorts, groupBy }, {
+      visiblePageIds: new Set((await getWorkspacePageAccess(database.workspace_id, req.user.id)).keys())
+    });
+
+    res.status(200).json({ databaseId: database.id, ...result });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi truy vấn cơ sở dữ liệu');
+  }
+};
+
+/**
+ * API thêm hàng (tạo trang con của trang chứa cơ sở dữ liệu).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về hàng vừa tạo.
+ * @example
+ * POST /api/databases/:id/rows
+ * Body: { "title": "Viết báo cáo", "values": { "column-id": "option-id" } }
+ */
+const createRow = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const database = await requireDatabaseAccess(req.params.id, userId, { edit: true });
+    const { title, icon, values } = req.body;
+    const row = await databaseService.createRow(database, userId, { title, icon, values });
+
+    emitDatabaseEvent(req, database, 'databaseRowCreated', { row, userId });
+    res.status(201).json(row);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi thêm hàng');
+  }
+};
+
+/**
+ * API sửa giá trị các ô của một hàng (chỉ các cột được gửi lên; null để xóa giá trị).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về hàng sau khi cập nhật.
+ * @example
+ * PUT /api/databases/:id/rows/:rowId
+ * Body: { "values": { "title": "Tên mới", "column-id": 42, "other-column-id": null } }
+ */
+const updateRow = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const database = await requireDatabaseAccess(req.params.id, userId, { edit: true });
+    const row = await databaseService.updateRowValues(database, req.params.rowId, req.body.values);
+
+    emitDatabaseEvent(req, database, 'databaseRowUpdated', { row, userId });
+    res.status(200).json(row);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật hàng');
+  }
+};
+
+/**
+ * API tạo view đã lưu.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về view vừa tạo.
+ * @example
+ * POST /api/databases/:id/views
+ * Body: { "name": "Theo trạng thái", "type": "board", "filters": [], "sorts": [], "group_by": "column-id" }
+ */
+const createView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const database = await requireDatabaseAccess(req.params.id, userId, { edit: true });
+    const { name, type, filters, sorts, group_by } = req.body;
+    const view = await databaseService.createView(database, userId, { name, type, filters, sorts, group_by });
+
+    emitDatabaseEvent(req, database, 'databaseViewsUpdated', { views: await databaseService.listViews(database.id), userId });
+    res.status(201).json(view);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi tạo view');
+  }
+};
+
+/**
+ * API cập nhật view đã lưu.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về view sau khi cập nhật.
+ * @example
+ * PUT /api/databases/:id/views/:viewId
+ * Body: { "sorts": [{ "columnId": "column-id", "direction": "asc" }] }
+ */
+const updateView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const database = await requireDatabaseAccess(req.params.id, userId, { edit: true });
+    const { name, type, filters, sorts, group_by } = req.body;
+    const view = await databaseService.updateView(database, req.params.viewId, { name, type, filters, sorts, group_by });
+
+    emitDatabaseEvent(req, database, 'databaseViewsUpdated', { views: await databaseService.listViews(database.id), userId });
+    res.status(200).json(view);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật view');
+  }
+};
+
+/**
+ * API xóa view đã lưu.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về xác nhận xóa view.
+ * @example
+ * DELETE /api/databases/:id/views/:viewId
+ */
+const deleteView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const database = await requireDatabaseAccess(req.params.id, userId, { edit: true });
+    await databaseService.deleteView(database, req.params.viewId);
+
+    emitDatabaseEvent(req, database, 'databaseViewsUpdated', { views: await databaseService.listViews(database.id), userId });
+    res.status(200).json({ message: 'Xóa view thành công' });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi xóa view');
+  }
+};
+
+module.exports = {
+  getColumnTypes,
+  createDatabase,
+  getDatabase,
+  updateDatabase,
+  addColumn,
+  updateColumn,
+  deleteColumn,
+  getRows,
+  queryRows,
+  createRow,
+  updateRow,
+  createView,
+  updateView,
+  deleteView
+};
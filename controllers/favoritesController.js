@@ -1,4 +1,5 @@
 const dbMysql = require('../config/database');
+const { getPageAccess } = require('../services/permissionService');
 
 /**
  * Lấy danh sách trang yêu thích
@@ -15,7 +16,7 @@ const getFavorites = async (req, res) => {
       `SELECT f.page_id, p.title, p.workspace_id, p.icon, p.created_by, f.added_at
        FROM favorites f
        JOIN pages p ON f.page_id = p.id
-       WHERE f.user_id = ?`,
+       WHERE f.user_id = ? AND p.deleted_at IS NULL`,
       [userId]
     );
 
@@ -51,29 +52,15 @@ const addFavorite = async (req, res) => {
     }
 
     // Kiểm tra trang có tồn tại không
-    const [pages] = await dbMysql.query(
-      'SELECT id, workspace_id, is_public, created_by FROM pages WHERE id = ?',
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-
     // Kiểm tra quyền truy cập trang
-    if (!page.is_public && page.created_by !== userId) {
-      const [memberCheck] = await dbMysql.query(
-        `SELECT wm.* FROM workspace_members wm
-         JOIN roles r ON wm.role_id = r.id
-         WHERE wm.workspace_id = ? AND wm.user_id = ?
-         AND r.name IN ('OWNER', 'ADMIN', 'MEMBER', 'VIEWER')`,
-        [page.workspace_id, userId]
-      );
-      if (memberCheck.length === 0) {
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
 
     // Kiểm tra xem trang đã trong danh sách yêu thích chưa
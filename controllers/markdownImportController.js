@@ -0,0 +1,126 @@
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
+const mongoConfig = require('../config/mongodb');
+const markdownImportService = require('../services/markdownImportService');
+const publishingService = require('../services/publishingService');
+const { getPageAccess } = require('../services/permissionService');
+
+/**
+ * API nhập Markdown vào trang (thêm vào cuối nội dung hoặc thay thế toàn bộ nội dung).
+ * Nội dung gửi dưới dạng tệp (multipart, trường `file`) hoặc chuỗi `markdown` trong body.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/pages/:id/import/markdown
+ * Body: { "markdown": "# Ghi chú\n- [ ] Việc 1", "mode": "append" } (hoặc multipart: file, mode)
+ */
+const importMarkdown = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const markdown = req.file ? req.file.buffer.toString('utf8') : req.body.markdown;
+    if (typeof markdown !== 'string') {
+      return res.status(400).json({ message: 'Cần gửi tệp Markdown hoặc trường markdown' });
+    }
+
+    // Kiểm tra sự tồn tại của trang và quyền chỉnh sửa
+    const access = await getPageAccess(req.params.id, req.user.id);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await markdownImportService.importMarkdown(mongoDB, access.page, req.user.id, markdown, {
+      mode: req.body.mode || 'append'
+    });
+
+    res.set('ETag', `"${result.version}"`);
+    res.status(200).json({
+      message: 'Nhập Markdown thành công',
+      pageId: access.page.id,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Lỗi khi nhập Markdown:', error);
+    res.status(500).json({ message: 'Lỗi khi nhập Markdown' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API nhập tệp zip chứa nhiều tệp Markdown thành cây trang con của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/pages/:id/import/markdown/zip
+ * Body (multipart): file=<notes.zip>
+ */
+const importMarkdownArchive = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'Không có tệp zip nào được tải lên' });
+    }
+
+    // Tạo trang con: cần quyền chỉnh sửa trang cha
+    const access = await getPageAccess(req.params.id, req.user.id);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền tạo trang con trong trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await markdownImportService.importMarkdownArchive(mongoDB, access.page, req.user.id, req.file.buffer);
+    await publishingService.syncWorkspacePublications(access.page.workspace_id);
+
+    res.status(201).json({
+      message: `Đã nhập ${result.pages.length} trang từ tệp zip`,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi nhập tệp zip Markdown:', error);
+    res.status(500).json({ message: 'Lỗi khi nhập tệp zip Markdown' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+module.exports = {
+  importMarkdown,
+  importMarkdownArchive
+};
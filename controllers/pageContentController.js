@@ -2,6 +2,31 @@ const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const { MongoClient, ObjectId } = require('mongodb');
 const mongoConfig = require('../config/mongodb');
+const pageContentService = require('../services/pageContentService');
+const syncedBlockService = require('../services/syncedBlockService');
+const { ConflictError } = require('../middlewares/error');
+const { getPageAccess } = require('../services/permissionService');
+const { buildBlockTree } = require('../utils/blockTree');
+
+/**
+ * Lấy version mà client dựa vào khi lưu, từ header If-Match (ETag) hoặc body.baseVersion.
+ * @param {Object} req - Đối tượng request từ client.
+ * @returns {number|null} - Version gốc, hoặc null nếu client không gửi.
+ */
+const parseBaseVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && ifMatch.trim() !== '*') {
+    const version = parseInt(ifMatch.replace(/^W\//, '').replace(/"/g, ''), 10);
+    if (!Number.isNaN(version)) return version;
+  }
+
+  if (req.body.baseVersion !== undefined && req.body.baseVersion !== null) {
+    const version = parseInt(req.body.baseVersion, 10);
+    if (!Number.isNaN(version)) return version;
+  }
+
+  return null;
+};
 
 /**
  * API lấy nội dung trang từ MongoDB.
@@ -21,34 +46,18 @@ const getPageContent = async (req, res) => {
     console.log('Fetching page content for pageId:', pageId, 'userId:', userId);
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    console.log('Querying pages table...');
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
-    console.log('Pages result:', pages);
+    console.log('Checking page access...');
+    const access = await getPageAccess(pageId, userId);
+    console.log('Access result:', access.access);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       console.log('Page not found:', pageId);
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-    console.log('Page found:', page);
-
-    if (!page.is_public) {
-      console.log('Checking workspace membership...');
-      const [memberCheck] = await db.query(
-        'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-        [workspaceId, userId]
-      );
-      console.log('Member check result:', memberCheck);
-
-      if (memberCheck.length === 0) {
-        console.log('No access for user:', userId, 'to workspace:', workspaceId);
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      console.log('No access for user:', userId, 'to page:', pageId);
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
 
     console.log('Connecting to MongoDB...');
@@ -69,51 +78,21 @@ const getPageContent = async (req, res) => {
       });
     }
 
-    let blocks = [];
-    if (pageContent.blocks && pageContent.blocks.length > 0) {
-      console.log('Processing blocks:', pageContent.blocks);
-      const validBlockIds = pageContent.blocks
-        .map(block => {
-          // Nếu là chuỗi, thử chuyển thành ObjectId
-          if (typeof block === 'string') {
-            try {
-              return new ObjectId(block);
-            } catch (e) {
-              console.error('Invalid block ID string:', block, e);
-              return null;
-            }
-          }
-          // Nếu là đối tượng, lấy _id
-          else if (block && typeof block === 'object' && block._id) {
-            try {
-              return new ObjectId(block._id);
-            } catch (e) {
-              console.error('Invalid block._id:', block._id, e);
-              return null;
-            }
-          } else {
-            console.error('Unexpected block format:', block);
-            return null;
-          }
-        })
-        .filter(id => id !== null); // Loại bỏ các ID không hợp lệ
-      console.log('Valid block IDs:', validBlockIds);
-
-      if (validBlockIds.length > 0) {
-        blocks = await mongoDB.collection('blocks')
-          .find({ _id: { $in: validBlockIds } })
-          .sort({ position: 1 })
-          .toArray();
-        console.log('Blocks fetched:', blocks);
-      } else {
-        console.log('No valid block IDs found');
-      }
-    }
+    console.log('Fetching blocks...');
+    const blocks = await pageContentService.loadPageBlocks(mongoDB, pageContent);
+    console.log('Blocks fetched:', blocks.length);
+
+    // Lưu snapshot của version này để làm bản gốc khi client lưu lại (trộn ba chiều)
+    await pageContentService.saveSnapshot(mongoDB, pageId, pageContent.version, blocks);
+
+    // Block đồng bộ hiển thị nội dung của block nguồn (trường `synced`, không thuộc snapshot)
+    const renderedBlocks = await syncedBlockService.resolveSyncedBlocks(mongoDB, blocks, userId);
 
     console.log('Sending response...');
+    res.set('ETag', `"${pageContent.version}"`);
     res.status(200).json({
       pageId,
-      blocks,
+      blocks: buildBlockTree(renderedBlocks), // Cây block: children chứa các block con theo thứ tự
       version: pageContent.version
     });
   } catch (error) {
@@ -136,38 +115,26 @@ const getPageContent = async (req, res) => {
  * @throws {Error} - Trả về lỗi nếu không thể cập nhật nội dung trang.
  * @example
  * PUT /api/pages/:id/content
- * Body: { "blocks": [...blockData] }
+ * Headers: { "If-Match": "\"12\"" } (hoặc Body.baseVersion)
+ * Query: { "detach": "true" } (tách các block đồng bộ tham chiếu tới block bị xóa)
+ * Body: { "blocks": [{ ...blockData, "children": [...childBlocks] }], "baseVersion": 12, "merge": true }
  */
 const updatePageContent = async (req, res) => {
   let client;
   try {
     const { id: pageId } = req.params;
     const userId = req.user.id;
-    const { blocks } = req.body;
+    const { blocks, merge } = req.body;
+    const baseVersion = parseBaseVersion(req);
 
     // Kiểm tra sự tồn tại của trang và quyền chỉnh sửa
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
 
@@ -175,84 +142,38 @@ const updatePageContent = async (req, res) => {
     client = await MongoClient.connect(mongoConfig.url);
     const mongoDB = client.db(mongoConfig.dbName);
     
-    // Lấy thông tin nội dung trang hiện tại để xác định version
-    const currentPageContent = await mongoDB.collection('page_contents').findOne({ pageId });
-    
-    const nextVersion = currentPageContent ? currentPageContent.version + 1 : 1;
-    
-    // Lưu trữ block mới hoặc cập nhật block hiện có
-    const blockIds = [];
-    
-    for (let i = 0; i < blocks.length; i++) {
-      const block = blocks[i];
-      block.pageId = pageId;
-      block.position = i;
-      block.updatedAt = new Date();
-      
-      if (!block._id) {
-        // Block mới, thêm thông tin người tạo
-        block.createdBy = userId;
-        block.createdAt = new Date();
-        const result = await mongoDB.collection('blocks').insertOne(block);
-        blockIds.push(result.insertedId);
-      } else {
-        // Block hiện có, cập nhật
-        const blockId = typeof block._id === 'string' ? new ObjectId(block._id) : block._id;
-        const { _id, ...updateData } = block;
-        await mongoDB.collection('blocks').updateOne(
-          { _id: blockId },
-          { $set: updateData }
-        );
-        blockIds.push(blockId);
-      }
-    }
-    
-    // Lưu trữ lịch sử phiên bản
-    if (currentPageContent) {
-      await mongoDB.collection('page_history').insertOne({
-        pageId,
-        version: currentPageContent.version,
-        content: currentPageContent.blocks,
-        editedBy: userId,
-        editedAt: new Date()
-      });
-    }
-    
-    // Cập nhật hoặc tạo mới nội dung trang
-    if (currentPageContent) {
-      await mongoDB.collection('page_contents').updateOne(
-        { pageId },
-        { 
-          $set: {
-            blocks: blockIds,
-            version: nextVersion,
-            lastEditedBy: userId,
-            lastEditedAt: new Date()
-          }
-        }
-      );
-    } else {
-      await mongoDB.collection('page_contents').insertOne({
-        pageId,
-        blocks: blockIds,
-        version: nextVersion,
-        lastEditedBy: userId, 
-        lastEditedAt: new Date()
+    // Lưu nội dung, kiểm tra version client dựa vào (nếu có) để tránh ghi đè lẫn nhau
+    const { version: nextVersion, merged, detached } = await pageContentService.savePageContent(mongoDB, {
+      pageId,
+      userId,
+      blocks,
+      baseVersion,
+      merge: merge === true || req.query.merge === 'true',
+      detach: req.query.detach === 'true'
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      detached.forEach(({ blockId, pageId: detachedPageId, version }) => {
+        io.to(detachedPageId).emit('syncedBlockDetached', { pageId: detachedPageId, blockId, version, userId });
       });
     }
     
-    // Cập nhật thời gian sửa đổi trong bảng SQL
-    await db.query(
-      'UPDATE pages SET updated_at = NOW() WHERE id = ?',
-      [pageId]
-    );
-    
+    res.set('ETag', `"${nextVersion}"`);
     res.status(200).json({
-      message: 'Cập nhật nội dung trang thành công',
+      message: merged ? 'Đã trộn và cập nhật nội dung trang thành công' : 'Cập nhật nội dung trang thành công',
       pageId,
-      version: nextVersion
+      version: nextVersion,
+      merged,
+      detached
     });
   } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.status(409).json({ message: error.message, ...error.details });
+    }
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Lỗi khi cập nhật nội dung trang:', error);
     res.status(500).json({ message: 'Lỗi khi cập nhật nội dung trang' });
   } finally {
@@ -277,28 +198,14 @@ const getPageHistory = async (req, res) => {
     const userId = req.user.id;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập trang
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
 
     // Kết nối MongoDB
@@ -306,8 +213,9 @@ const getPageHistory = async (req, res) => {
     const mongoDB = client.db(mongoConfig.dbName);
     
     // Lấy lịch sử chỉnh sửa từ collection page_history
+    // Nội dung block lưu kèm từng phiên bản chỉ trả về khi xem phiên bản đó
     const historyEntries = await mongoDB.collection('page_history')
-      .find({ pageId })
+      .find({ pageId }, { projection: { blocks: 0 } })
       .sort({ version: -1 })
       .toArray();
 
@@ -360,28 +268,14 @@ const getPageVersion = async (req, res) => {
     const userId = req.user.id;
 
     // Kiểm tra sự tồn tại của trang và quyền truy cập
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền truy cập trang
-    if (!page.is_public) {
-      const [memberCheck] = await db.query(
-        'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-        [workspaceId, userId]
-      );
-
-      if (memberCheck.length === 0) {
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
 
     // Kết nối MongoDB
@@ -405,7 +299,8 @@ const getPageVersion = async (req, res) => {
         typeof id === 'string' ? new ObjectId(id) : id
       );
       
-      blocks = await mongoDB.collection('blocks')
+      // Phiên bản có lưu kèm nội dung block thì dùng bản đó, vì block có thể đã bị sửa hoặc xóa sau phiên bản này
+      blocks = historyEntry.blocks || await mongoDB.collection('blocks')
         .find({ _id: { $in: blockIds } })
         .toArray();
         
@@ -452,28 +347,13 @@ const restorePageVersion = async (req, res) => {
     const userId = req.user.id;
 
     // Kiểm tra sự tồn tại của trang và quyền chỉnh sửa
-    const [pages] = await db.query(
-      'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ?',
-      [pageId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const page = pages[0];
-    const workspaceId = page.workspace_id;
-
-    // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
 
@@ -503,10 +383,14 @@ const restorePageVersion = async (req, res) => {
       pageId,
       version: currentPageContent.version,
       content: currentPageContent.blocks,
+      blocks: await pageContentService.loadPageBlocks(mongoDB, currentPageContent),
       editedBy: userId,
       editedAt: new Date()
     });
 
+    // Block của phiên bản cũ đã bị xóa được tạo lại từ nội dung lưu kèm phiên bản
+    await pageContentService.restoreHistoryBlocks(mongoDB, historyEntry);
+
     // Cập nhật nội dung trang bằng nội dung từ phiên bản cũ
     await mongoDB.collection('page_contents').updateOne(
       { pageId },
@@ -1,5 +1,20 @@
 const { v4: uuidv4 } = require('uuid');
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
 const db = require('../config/database');
+const mongoConfig = require('../config/mongodb');
+const pageTrashService = require('../services/pageTrashService');
+const pageDuplicationService = require('../services/pageDuplicationService');
+const pageMoveService = require('../services/pageMoveService');
+const pageOrderService = require('../services/pageOrderService');
+const publishingService = require('../services/publishingService');
+const {
+  EDIT_ROLES,
+  getWorkspaceRole,
+  getAccessForPage,
+  getPageAccess,
+  getWorkspacePageAccess
+} = require('../services/permissionService');
 
 /**
  * API lấy danh sách trang trong workspace.
@@ -16,56 +31,51 @@ const getWorkspacePages = async (req, res) => {
     const { id: workspaceId } = req.params;
     const userId = req.user.id;
 
-    // Kiểm tra người dùng có quyền truy cập workspace không
-    const [memberCheck] = await db.query(
-      'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-      [workspaceId, userId]
-    );
+    // Quyền của người dùng trên từng trang (thành viên workspace hoặc khách được chia sẻ trang)
+    const accessMap = await getWorkspacePageAccess(workspaceId, userId);
+    const role = await getWorkspaceRole(workspaceId, userId);
 
-    if (memberCheck.length === 0) {
+    if (!role && accessMap.size === 0) {
       return res.status(403).json({ message: 'Không có quyền truy cập workspace này' });
     }
 
-    // Lấy danh sách trang root (không có parent_page_id) trong workspace
-    const [rootPages] = await db.query(
-      `SELECT p.id, p.title, p.icon, p.cover_url, p.is_public, p.share_link, 
-              p.created_at, p.updated_at, u.full_name as created_by_name
-       FROM pages p
-       JOIN users u ON p.created_by = u.id
-       WHERE p.workspace_id = ? AND p.parent_page_id IS NULL
-       ORDER BY p.updated_at DESC`,
-      [workspaceId]
-    );
-
-    // Lấy danh sách tất cả các trang trong workspace để xây dựng cấu trúc cây
+    // Lấy danh sách tất cả các trang trong workspace theo thứ tự anh em để xây dựng cấu trúc cây
+    // (hàng của cơ sở dữ liệu trong trang được hiển thị trong cơ sở dữ liệu, không nằm trong cây trang)
     const [allPages] = await db.query(
-      `SELECT p.id, p.title, p.icon, p.cover_url, p.is_public, p.parent_page_id, 
+      `SELECT p.id, p.title, p.icon, p.cover_url, p.is_public, p.share_link, p.parent_page_id, p.sort_key,
               p.created_at, p.updated_at, u.full_name as created_by_name
        FROM pages p
        JOIN users u ON p.created_by = u.id
-       WHERE p.workspace_id = ?
-       ORDER BY p.updated_at DESC`,
+       WHERE p.workspace_id = ? AND p.database_id IS NULL AND p.deleted_at IS NULL
+       ORDER BY ${pageOrderService.PAGE_ORDER}`,
       [workspaceId]
     );
 
+    // Chỉ giữ các trang người dùng xem được
+    const visiblePages = allPages.filter(page => accessMap.has(page.id));
+
     // Xây dựng cấu trúc cây cho các trang
     const pageMap = new Map();
-    allPages.forEach(page => {
+    visiblePages.forEach(page => {
+      page.access = accessMap.get(page.id);
       page.children = [];
       pageMap.set(page.id, page);
     });
 
     // Đưa các trang con vào trang cha
-    allPages.forEach(page => {
+    visiblePages.forEach(page => {
       if (page.parent_page_id && pageMap.has(page.parent_page_id)) {
         const parentPage = pageMap.get(page.parent_page_id);
         parentPage.children.push(page);
       }
     });
 
+    // Trang root (không có parent_page_id hoặc trang cha không xem được), mỗi trang kèm cây trang con theo đúng thứ tự
+    const rootPages = visiblePages.filter(page => !pageMap.has(page.parent_page_id));
+
     res.status(200).json({
       rootPages,
-      allPages
+      allPages: visiblePages
     });
   } catch (error) {
     console.error('Lỗi khi lấy danh sách trang:', error);
@@ -90,41 +100,47 @@ const createPage = async (req, res) => {
     const userId = req.user.id;
     const { title, icon, parent_page_id } = req.body;
 
-    // Kiểm tra người dùng có quyền trong workspace
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
-
-    if (memberCheck.length === 0) {
-      return res.status(403).json({ message: 'Không có quyền tạo trang trong workspace này' });
-    }
-
-    // Nếu có parent_page_id, kiểm tra xem nó có tồn tại và thuộc workspace không
     if (parent_page_id) {
-      const [parentCheck] = await db.query(
-        'SELECT * FROM pages WHERE id = ? AND workspace_id = ?',
-        [parent_page_id, workspaceId]
-      );
+      // Tạo trang con: cần quyền chỉnh sửa trang cha thuộc workspace
+      const parentAccess = await getPageAccess(parent_page_id, userId);
 
-      if (parentCheck.length === 0) {
+      if (!parentAccess.page || parentAccess.page.workspace_id !== workspaceId) {
         return res.status(400).json({ message: 'Trang cha không tồn tại hoặc không thuộc workspace này' });
       }
+
+      if (!parentAccess.canEdit) {
+        return res.status(403).json({ message: 'Không có quyền tạo trang con trong trang này' });
+      }
+    } else if (!EDIT_ROLES.includes(await getWorkspaceRole(workspaceId, userId))) {
+      // Tạo trang cấp gốc: cần vai trò được chỉnh sửa trong workspace
+      return res.status(403).json({ message: 'Không có quyền tạo trang trong workspace này' });
     }
 
     // Tạo ID mới cho trang
     const pageId = uuidv4();
 
-    // Thêm trang mới vào cơ sở dữ liệu
-    await db.query(
-      `INSERT INTO pages 
-       (id, workspace_id, title, icon, parent_page_id, created_by) 
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      [pageId, workspaceId, title, icon, parent_page_id || null, userId]
-    );
+    // Thêm trang mới vào cuối danh sách trang con của trang cha
+    const transaction = await db.beginTransaction();
+    try {
+      const sortKey = await pageOrderService.appendSortKey(transaction, workspaceId, parent_page_id || null);
+
+      await transaction.execute(
+        `INSERT INTO pages 
+         (id, workspace_id, title, icon, parent_page_id, sort_key, created_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [pageId, workspaceId, title, icon ?? null, parent_page_id || null, sortKey, userId]
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    // Trang con của trang đã xuất bản được thêm vào bản xuất bản
+    if (parent_page_id) {
+      await publishingService.syncWorkspacePublications(workspaceId);
+    }
 
     // Tạo nội dung trang mới trong MongoDB (nếu bạn sử dụng MongoDB cho nội dung)
     // Giả sử bạn có một service hoặc hàm để tạo nội dung trong MongoDB
@@ -132,7 +148,7 @@ const createPage = async (req, res) => {
 
     // Lấy thông tin trang mới đã tạo
     const [newPage] = await db.query(
-      `SELECT p.id, p.title, p.icon, p.cover_url, p.is_public, p.parent_page_id,
+      `SELECT p.id, p.title, p.icon, p.cover_url, p.is_public, p.parent_page_id, p.sort_key,
               p.created_at, p.updated_at, u.full_name as created_by_name
        FROM pages p
        JOIN users u ON p.created_by = u.id
@@ -171,7 +187,7 @@ const getPageDetails = async (req, res) => {
        FROM pages p
        JOIN workspaces w ON p.workspace_id = w.id
        JOIN users u ON p.created_by = u.id
-       WHERE p.id = ?`,
+       WHERE p.id = ? AND p.deleted_at IS NULL`,
       [pageId]
     );
 
@@ -180,36 +196,31 @@ const getPageDetails = async (req, res) => {
     }
 
     const page = pages[0];
-    const workspaceId = page.workspace_id;
 
-    // Kiểm tra quyền truy cập trang
-    // Nếu trang là public, cho phép truy cập
-    if (!page.is_public) {
-      // Kiểm tra người dùng có trong workspace không
-      const [memberCheck] = await db.query(
-        'SELECT * FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
-        [workspaceId, userId]
-      );
+    // Kiểm tra quyền truy cập trang (vai trò trong workspace, quyền riêng của trang hoặc trang public)
+    const access = await getPageAccess(pageId, userId);
 
-      if (memberCheck.length === 0) {
-        return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
-      }
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
     }
 
-    // Lấy các trang con (nếu có)
+    // Trang con và trang cha chỉ được trả về nếu người dùng xem được
+    const accessMap = await getWorkspacePageAccess(page.workspace_id, userId);
+
+    // Lấy các trang con (nếu có) theo thứ tự trong cây trang
     const [childPages] = await db.query(
-      `SELECT id, title, icon, updated_at 
-       FROM pages 
-       WHERE parent_page_id = ?
-       ORDER BY updated_at DESC`,
+      `SELECT p.id, p.title, p.icon, p.sort_key, p.updated_at 
+       FROM pages p
+       WHERE p.parent_page_id = ? AND p.deleted_at IS NULL
+       ORDER BY ${pageOrderService.PAGE_ORDER}`,
       [pageId]
     );
 
     // Lấy thông tin trang cha (nếu có)
     let parentPage = null;
-    if (page.parent_page_id) {
+    if (page.parent_page_id && accessMap.has(page.parent_page_id)) {
       const [parentResult] = await db.query(
-        'SELECT id, title, icon FROM pages WHERE id = ?',
+        'SELECT id, title, icon FROM pages WHERE id = ? AND deleted_at IS NULL',
         [page.parent_page_id]
       );
       if (parentResult.length > 0) {
@@ -223,7 +234,8 @@ const getPageDetails = async (req, res) => {
 
     const result = {
       ...page,
-      children: childPages,
+      access: access.access,
+      children: childPages.filter(child => accessMap.has(child.id)),
       parent: parentPage,
       // content: pageContent, // Nội dung từ MongoDB
     };
@@ -254,7 +266,7 @@ const updatePage = async (req, res) => {
 
     // Lấy thông tin trang hiện tại
     const [pages] = await db.query(
-      'SELECT * FROM pages WHERE id = ?',
+      'SELECT * FROM pages WHERE id = ? AND deleted_at IS NULL',
       [pageId]
     );
 
@@ -266,35 +278,38 @@ const updatePage = async (req, res) => {
     const workspaceId = page.workspace_id;
 
     // Kiểm tra quyền chỉnh sửa trang
-    const [memberCheck] = await db.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
+    const access = await getPageAccess(pageId, userId);
 
-    if (memberCheck.length === 0) {
+    if (!access.canEdit) {
       return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
     }
 
+    // Công khai / ngừng công khai trang là thao tác chia sẻ, cần quyền quản lý trang
+    if (is_public !== undefined && Boolean(is_public) !== Boolean(page.is_public) && !access.canManage) {
+      return res.status(403).json({ message: 'Không có quyền thay đổi chế độ công khai của trang này' });
+    }
+
     // Kiểm tra sự tồn tại của trang cha mới (nếu được cung cấp)
     if (parent_page_id && parent_page_id !== page.parent_page_id) {
-      // Kiểm tra trang cha mới có tồn tại không
-      const [parentCheck] = await db.query(
-        'SELECT * FROM pages WHERE id = ? AND workspace_id = ?',
-        [parent_page_id, workspaceId]
-      );
+      // Kiểm tra trang cha mới có tồn tại và người dùng được chỉnh sửa không
+      const parentAccess = await getPageAccess(parent_page_id, userId);
 
-      if (parentCheck.length === 0) {
+      if (!parentAccess.page || parentAccess.page.workspace_id !== workspaceId) {
         return res.status(400).json({ message: 'Trang cha không tồn tại hoặc không thuộc workspace này' });
       }
 
+      if (!parentAccess.canEdit) {
+        return res.status(403).json({ message: 'Không có quyền chuyển trang vào trang cha này' });
+      }
+
       // Kiểm tra xem trang cha mới có phải là con của trang hiện tại không (tránh vòng lặp)
       const isDescendant = await checkIfDescendant(pageId, parent_page_id, db);
       if (isDescendant) {
         return res.status(400).json({ message: 'Không thể chọn trang con làm trang cha' });
       }
+
+      // Chuyển trang vào cuối danh sách trang con của trang cha mới
+      await pageOrderService.reorderPage(page, { parentPageId: parent_page_id });
     }
 
     // Cập nhật metadata của trang
@@ -316,6 +331,10 @@ const updatePage = async (req, res) => {
       ]
     );
 
+    if (parent_page_id !== undefined && parent_page_id !== page.parent_page_id) {
+      await publishingService.syncWorkspacePublications(page.workspace_id);
+    }
+
     // Lấy thông tin trang sau khi cập nhật
     const [updatedPage] = await db.query(
       `SELECT p.*, u.full_name as created_by_name
@@ -336,168 +355,275 @@ const updatePage = async (req, res) => {
 };
 
 /**
- * API xóa trang.
+ * API xóa trang: chuyển trang và các trang con cháu vào thùng rác của workspace.
  * @async
  * @param {Object} req - Đối tượng request từ client.
  * @param {Object} res - Đối tượng response để gửi phản hồi.
- * @returns {Promise<void>} - Trả về thông báo xóa thành công.
+ * @returns {Promise<void>} - Trả về thông báo xóa thành công và ID các trang đã chuyển vào thùng rác.
  * @throws {Error} - Trả về lỗi nếu không thể xóa trang.
  * @example
  * DELETE /api/pages/:id
  */
 const deletePage = async (req, res) => {
-  // Use the beginTransaction function from your db module instead
-  const transaction = await db.beginTransaction();
-  
   try {
     const { id: pageId } = req.params;
     const userId = req.user.id;
 
     // Lấy thông tin trang
-    const pages = await transaction.execute(
-      'SELECT * FROM pages WHERE id = ?',
+    const [pages] = await db.query(
+      'SELECT * FROM pages WHERE id = ? AND deleted_at IS NULL',
       [pageId]
     );
 
     if (pages.length === 0) {
-      await transaction.rollback();
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
     const page = pages[0];
-    const workspaceId = page.workspace_id;
 
-    // Kiểm tra quyền xóa trang
-    const memberCheck = await transaction.execute(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN')`,
-      [workspaceId, userId]
-    );
+    // Kiểm tra quyền xóa trang (OWNER/ADMIN của workspace hoặc người có quyền full trên trang)
+    const access = await getPageAccess(pageId, userId);
 
-    if (memberCheck.length === 0) {
-      await transaction.rollback();
+    if (!access.canManage) {
       return res.status(403).json({ message: 'Không có quyền xóa trang này' });
     }
 
-    // Lấy danh sách tất cả các trang con (bao gồm cả cháu, chắt,...)
-    const descendantPages = await getAllDescendantPages(pageId, transaction);
-    const allPageIds = [pageId, ...descendantPages.map(p => p.id)];
+    // Chuyển trang và các trang con cháu vào thùng rác (giữ nguyên cấu trúc cây để khôi phục)
+    const pageIds = await pageTrashService.trashPage(page, userId);
+    await publishingService.syncWorkspacePublications(page.workspace_id);
 
-    // Xóa các favorites liên quan đến các trang này
-    await transaction.execute(
-      'DELETE FROM favorites WHERE page_id IN (?)',
-      [allPageIds]
-    );
+    // Thông báo cho các client đang mở các trang bị xóa
+    const io = req.app.get('io');
+    if (io) {
+      pageIds.forEach(id => io.to(id).emit('pageTrashed', { pageId: id, rootPageId: pageId, userId }));
+    }
 
-    // Cập nhật parent_page_id cho các trang con trực tiếp
-    await transaction.execute(
-      'UPDATE pages SET parent_page_id = ? WHERE parent_page_id = ?',
-      [page.parent_page_id, pageId]
-    );
+    res.status(200).json({
+      message: 'Đã chuyển trang vào thùng rác',
+      pageIds
+    });
+  } catch (error) {
+    console.error('Lỗi khi xóa trang:', error);
+    res.status(500).json({ message: 'Lỗi khi xóa trang' });
+  }
+};
 
-    // Xóa nội dung trang từ MongoDB (nếu có)
-    // Bạn cần triển khai phần này dựa trên cách bạn lưu trữ nội dung trong MongoDB
-    // await deletePageContentsFromMongoDB(allPageIds);
+/**
+ * API lấy danh sách trang trong thùng rác của workspace.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về các trang đã xóa (mới nhất trước) và thời điểm bị xóa vĩnh viễn.
+ * @throws {Error} - Trả về lỗi nếu không thể lấy thùng rác.
+ * @example
+ * GET /api/workspaces/:id/trash?limit=50&offset=0
+ */
+const getWorkspaceTrash = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    // Xóa trang từ MySQL
-    await transaction.execute(
-      'DELETE FROM pages WHERE id = ?',
+    const { id: workspaceId } = req.params;
+    const userId = req.user.id;
+    const { limit = 50, offset = 0 } = req.query;
+
+    // Chỉ liệt kê các trang người dùng xem được (thành viên workspace hoặc khách được chia sẻ trang)
+    const role = await getWorkspaceRole(workspaceId, userId);
+    const trash = await pageTrashService.listTrash(workspaceId, userId, { limit, offset });
+
+    if (!role && trash.total === 0) {
+      return res.status(403).json({ message: 'Không có quyền truy cập workspace này' });
+    }
+
+    res.status(200).json(trash);
+  } catch (error) {
+    console.error('Lỗi khi lấy thùng rác:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy thùng rác' });
+  }
+};
+
+/**
+ * API khôi phục trang từ thùng rác cùng các trang con cháu bị xóa theo.
+ * Nếu trang cha ban đầu đã bị xóa, trang được khôi phục ở cấp gốc của workspace.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về trang đã khôi phục và ID các trang được khôi phục.
+ * @throws {Error} - Trả về lỗi nếu không thể khôi phục trang.
+ * @example
+ * POST /api/pages/:id/restore
+ */
+const restorePage = async (req, res) => {
+  try {
+    const { id: pageId } = req.params;
+    const userId = req.user.id;
+
+    const page = await pageTrashService.findTrashedPage(pageId);
+
+    // Khôi phục trang cần quyền chỉnh sửa trang (tính như khi trang chưa bị xóa)
+    const access = await getAccessForPage(page, userId);
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền khôi phục trang này' });
+    }
+
+    const { pageIds, parentPageId } = await pageTrashService.restorePage(page);
+    await publishingService.syncWorkspacePublications(page.workspace_id);
+
+    const [restoredPage] = await db.query(
+      `SELECT p.*, u.full_name as created_by_name
+       FROM pages p
+       JOIN users u ON p.created_by = u.id
+       WHERE p.id = ?`,
       [pageId]
     );
 
-    await transaction.commit();
-    
     res.status(200).json({
-      message: 'Xóa trang thành công'
+      message: parentPageId === page.parent_page_id
+        ? 'Khôi phục trang thành công'
+        : 'Khôi phục trang thành công (trang cha đã bị xóa nên trang được đặt ở cấp gốc)',
+      page: restoredPage[0],
+      pageIds
     });
   } catch (error) {
-    await transaction.rollback();
-    console.error('Lỗi khi xóa trang:', error);
-    res.status(500).json({ message: 'Lỗi khi xóa trang' });
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi khôi phục trang:', error);
+    res.status(500).json({ message: 'Lỗi khi khôi phục trang' });
   }
 };
 
 /**
- * API nhân bản trang.
+ * API xóa vĩnh viễn trang trong thùng rác cùng các trang con cháu bị xóa theo,
+ * bao gồm block, bình luận và tệp đính kèm trong MongoDB.
  * @async
  * @param {Object} req - Đối tượng request từ client.
  * @param {Object} res - Đối tượng response để gửi phản hồi.
- * @returns {Promise<void>} - Trả về thông tin trang đã nhân bản.
+ * @returns {Promise<void>} - Trả về ID các trang đã bị xóa vĩnh viễn.
+ * @throws {Error} - Trả về lỗi nếu không thể xóa trang.
+ * @example
+ * DELETE /api/pages/:id/permanent
+ */
+const deletePagePermanently = async (req, res) => {
+  let client;
+  try {
+    const { id: pageId } = req.params;
+    const userId = req.user.id;
+
+    const page = await pageTrashService.findTrashedPage(pageId);
+
+    // Xóa vĩnh viễn cần toàn quyền trên trang
+    const access = await getAccessForPage(page, userId);
+
+    if (!access.canManage) {
+      return res.status(403).json({ message: 'Không có quyền xóa trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const pageIds = await pageTrashService.deleteTrashedPage(mongoDB, page);
+
+    res.status(200).json({
+      message: 'Đã xóa vĩnh viễn trang',
+      pageIds
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi xóa vĩnh viễn trang:', error);
+    res.status(500).json({ message: 'Lỗi khi xóa vĩnh viễn trang' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API nhân bản trang cùng các trang con cháu: nội dung (block), cơ sở dữ liệu trong trang và tùy chọn
+ * bình luận, tệp đính kèm. Có thể nhân bản sang workspace khác mà người dùng có quyền chỉnh sửa.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về thông tin trang đã nhân bản và số lượng dữ liệu đã chép.
  * @throws {Error} - Trả về lỗi nếu không thể nhân bản trang.
  * @example
  * POST /api/pages/:id/duplicate
+ * Body: { "workspace_id": "optional-target-workspace", "parent_page_id": null, "include_comments": true, "include_attachments": true }
  */
 const duplicatePage = async (req, res) => {
-  const transaction = await db.beginTransaction();
-  
+  let client;
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id: pageId } = req.params;
     const userId = req.user.id;
+    const { include_comments = false, include_attachments = true } = req.body;
 
-    // Lấy thông tin trang gốc
-    const pages = await transaction.execute(
-      'SELECT * FROM pages WHERE id = ?',
-      [pageId]
-    );
+    // Kiểm tra quyền xem trang gốc
+    const access = await getPageAccess(pageId, userId);
 
-    if (pages.length === 0) {
-      await transaction.rollback();
+    if (!access.page) {
       return res.status(404).json({ message: 'Trang không tồn tại' });
     }
 
-    const originalPage = pages[0];
-    const workspaceId = originalPage.workspace_id;
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền truy cập trang này' });
+    }
 
-    // Kiểm tra quyền trong workspace
-    const memberCheck = await transaction.execute(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ? 
-       AND r.name IN ('OWNER', 'ADMIN', 'MEMBER')`,
-      [workspaceId, userId]
-    );
+    const originalPage = access.page;
+    const workspaceId = req.body.workspace_id || originalPage.workspace_id;
 
-    if (memberCheck.length === 0) {
-      await transaction.rollback();
-      return res.status(403).json({ message: 'Không có quyền nhân bản trang trong workspace này' });
-    }
+    // Trang cha của bản sao: mặc định cùng trang cha với trang gốc khi nhân bản trong cùng workspace
+    let parentPageId = req.body.parent_page_id !== undefined
+      ? req.body.parent_page_id
+      : (workspaceId === originalPage.workspace_id ? originalPage.parent_page_id : null);
 
-    // Tạo ID mới cho trang nhân bản
-    const newPageId = uuidv4();
+    if (parentPageId) {
+      // Nhân bản vào trang cha: cần quyền chỉnh sửa trang cha thuộc workspace đích
+      const parentAccess = await getPageAccess(parentPageId, userId);
 
-    // Thêm trang mới vào cơ sở dữ liệu với dữ liệu từ trang gốc
-    await transaction.execute(
-      `INSERT INTO pages 
-       (id, workspace_id, title, icon, cover_url, parent_page_id, is_public, created_by) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        newPageId,
-        workspaceId,
-        `${originalPage.title} (Copy)`,
-        originalPage.icon,
-        originalPage.cover_url,
-        originalPage.parent_page_id,
-        originalPage.is_public,
-        userId
-      ]
-    );
+      if (!parentAccess.page || parentAccess.page.workspace_id !== workspaceId) {
+        return res.status(400).json({ message: 'Trang cha không tồn tại hoặc không thuộc workspace này' });
+      }
 
-    // Lấy danh sách các trang con của trang gốc
-    const childPages = await transaction.execute(
-      'SELECT * FROM pages WHERE parent_page_id = ?',
-      [pageId]
-    );
+      if (!parentAccess.canEdit) {
+        return res.status(403).json({ message: 'Không có quyền nhân bản trang vào trang cha này' });
+      }
+    } else {
+      parentPageId = null;
 
-    // Map để lưu trữ ánh xạ giữa ID trang cũ và ID trang mới
-    const pageIdMap = new Map();
-    pageIdMap.set(pageId, newPageId);
+      // Nhân bản ở cấp gốc: cần vai trò được chỉnh sửa trong workspace đích
+      const role = workspaceId === originalPage.workspace_id
+        ? access.role
+        : await getWorkspaceRole(workspaceId, userId);
 
-    // Nhân bản đệ quy các trang con
-    await duplicateChildPages(childPages, newPageId, userId, pageIdMap, transaction);
+      if (!EDIT_ROLES.includes(role)) {
+        return res.status(403).json({ message: 'Không có quyền nhân bản trang trong workspace này' });
+      }
+    }
 
-    await transaction.commit();
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await pageDuplicationService.duplicatePageTree(mongoDB, {
+      page: originalPage,
+      userId,
+      workspaceId,
+      parentPageId,
+      includeComments: include_comments,
+      includeAttachments: include_attachments,
+      visiblePageIds: new Set((await getWorkspacePageAccess(originalPage.workspace_id, userId)).keys())
+    });
+    await publishingService.syncWorkspacePublications(workspaceId);
 
     // Lấy thông tin trang mới đã tạo
     const [newPage] = await db.query(
@@ -505,17 +631,235 @@ const duplicatePage = async (req, res) => {
        FROM pages p
        JOIN users u ON p.created_by = u.id
        WHERE p.id = ?`,
-      [newPageId]
+      [result.pageId]
     );
 
     res.status(201).json({
       message: 'Nhân bản trang thành công',
-      page: newPage[0]
+      page: newPage[0],
+      pageIdMap: result.pageIdMap,
+      counts: result.counts
     });
   } catch (error) {
-    await transaction.rollback();
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
     console.error('Lỗi khi nhân bản trang:', error);
     res.status(500).json({ message: 'Lỗi khi nhân bản trang' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API chuyển trang cùng các trang con cháu sang workspace khác.
+ * Block, bình luận, tệp đính kèm và lịch sử đi theo trang; mục yêu thích của người không thuộc workspace đích bị bỏ;
+ * liên kết từ các trang ở lại workspace cũ (cột relation, block đồng bộ) được tách.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về trang sau khi chuyển và các thay đổi kèm theo.
+ * @throws {Error} - Trả về lỗi nếu không thể chuyển trang.
+ * @example
+ * POST /api/pages/:id/move
+ * Body: { "workspace_id": "target-workspace-id", "parent_page_id": "optional-parent-id" }
+ */
+const movePage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id: pageId } = req.params;
+    const userId = req.user.id;
+    const { workspace_id: workspaceId, parent_page_id: parentPageId = null } = req.body;
+
+    const access = await getPageAccess(pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    const page = access.page;
+
+    // Chuyển trang đi khỏi workspace giống như xóa trang khỏi workspace: cần quyền quản lý trang
+    if (!access.canManage) {
+      return res.status(403).json({ message: 'Không có quyền chuyển trang này' });
+    }
+
+    if (parentPageId) {
+      // Chuyển vào trang cha: cần quyền chỉnh sửa trang cha thuộc workspace đích
+      const parentAccess = await getPageAccess(parentPageId, userId);
+
+      if (!parentAccess.page || parentAccess.page.workspace_id !== workspaceId) {
+        return res.status(400).json({ message: 'Trang cha không tồn tại hoặc không thuộc workspace đích' });
+      }
+
+      if (!parentAccess.canEdit) {
+        return res.status(403).json({ message: 'Không có quyền chuyển trang vào trang cha này' });
+      }
+    } else if (!EDIT_ROLES.includes(await getWorkspaceRole(workspaceId, userId))) {
+      // Chuyển tới cấp gốc: cần vai trò được chỉnh sửa trong workspace đích
+      return res.status(403).json({ message: 'Không có quyền tạo trang trong workspace đích' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await pageMoveService.movePageToWorkspace(mongoDB, { page, userId, workspaceId, parentPageId });
+    await publishingService.syncWorkspacePublications(page.workspace_id);
+    await publishingService.syncWorkspacePublications(workspaceId);
+
+    // Thông báo cho các client đang mở các trang bị ảnh hưởng
+    const io = req.app.get('io');
+    if (io) {
+      result.pageIds.forEach(id => io.to(id).emit('pageMoved', {
+        pageId: id,
+        rootPageId: pageId,
+        fromWorkspaceId: page.workspace_id,
+        workspaceId,
+        userId
+      }));
+      result.relations.forEach(database => io.to(database.page_id).emit('databaseSchemaUpdated', {
+        pageId: database.page_id,
+        databaseId: database.id,
+        database,
+        userId
+      }));
+      result.syncedBlocks.forEach(({ blockId, pageId: blockPageId, version }) => {
+        io.to(blockPageId).emit('syncedBlockDetached', { pageId: blockPageId, blockId, version, userId });
+      });
+    }
+
+    const [movedPage] = await db.query(
+      `SELECT p.*, u.full_name as created_by_name
+       FROM pages p
+       JOIN users u ON p.created_by = u.id
+       WHERE p.id = ?`,
+      [pageId]
+    );
+
+    res.status(200).json({
+      message: 'Chuyển trang thành công',
+      page: movedPage[0],
+      pageIds: result.pageIds,
+      favoritesRemoved: result.favoritesRemoved,
+      detachedRelations: result.relations.map(database => database.id),
+      detachedSyncedBlocks: result.syncedBlocks.map(({ blockId }) => blockId)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi chuyển trang:', error);
+    res.status(500).json({ message: 'Lỗi khi chuyển trang' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API sắp xếp lại trang trong cây trang (kéo thả trên sidebar): đặt trang vào vị trí `position` trong danh sách
+ * trang con của trang cha (có thể đổi trang cha trong cùng workspace).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về trang sau khi sắp xếp và thứ tự mới của các trang anh em.
+ * @throws {Error} - Trả về lỗi nếu không thể sắp xếp trang.
+ * @example
+ * POST /api/pages/:id/reorder
+ * Body: { "parent_page_id": "optional-parent-id hoặc null (cấp gốc)", "position": 0 }
+ */
+const reorderPage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id: pageId } = req.params;
+    const userId = req.user.id;
+    const { position } = req.body;
+
+    const access = await getPageAccess(pageId, userId);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canEdit) {
+      return res.status(403).json({ message: 'Không có quyền chỉnh sửa trang này' });
+    }
+
+    const page = access.page;
+
+    if (page.database_id) {
+      return res.status(400).json({ message: 'Hàng của cơ sở dữ liệu không nằm trong cây trang' });
+    }
+
+    // Mặc định giữ nguyên trang cha, null để đưa trang lên cấp gốc
+    const parentPageId = req.body.parent_page_id !== undefined ? req.body.parent_page_id : page.parent_page_id;
+
+    if (parentPageId && parentPageId !== page.parent_page_id) {
+      if (parentPageId === pageId) {
+        return res.status(400).json({ message: 'Không thể chọn chính trang này làm trang cha' });
+      }
+
+      const parentAccess = await getPageAccess(parentPageId, userId);
+
+      if (!parentAccess.page || parentAccess.page.workspace_id !== page.workspace_id) {
+        return res.status(400).json({ message: 'Trang cha không tồn tại hoặc không thuộc workspace này' });
+      }
+
+      if (!parentAccess.canEdit) {
+        return res.status(403).json({ message: 'Không có quyền chuyển trang vào trang cha này' });
+      }
+
+      // Kiểm tra xem trang cha mới có phải là con của trang hiện tại không (tránh vòng lặp)
+      const isDescendant = await checkIfDescendant(pageId, parentPageId, db);
+      if (isDescendant) {
+        return res.status(400).json({ message: 'Không thể chọn trang con làm trang cha' });
+      }
+    } else if (!parentPageId && page.parent_page_id && !EDIT_ROLES.includes(access.role)) {
+      // Đưa trang lên cấp gốc: cần vai trò được chỉnh sửa trong workspace
+      return res.status(403).json({ message: 'Không có quyền đưa trang lên cấp gốc của workspace' });
+    }
+
+    const order = await pageOrderService.reorderPage(page, { parentPageId: parentPageId || null, position });
+    if ((parentPageId || null) !== page.parent_page_id) {
+      await publishingService.syncWorkspacePublications(page.workspace_id);
+    }
+
+    // Thông báo cho các client đang mở trang và trang cha (cũ và mới)
+    const io = req.app.get('io');
+    if (io) {
+      const payload = { pageId, parentPageId: parentPageId || null, previousParentPageId: page.parent_page_id, order, userId };
+      [pageId, page.parent_page_id, parentPageId]
+        .filter((id, index, ids) => id && ids.indexOf(id) === index)
+        .forEach(id => io.to(id).emit('pageReordered', payload));
+    }
+
+    const [reorderedPage] = await db.query(
+      `SELECT p.id, p.title, p.icon, p.parent_page_id, p.sort_key, p.updated_at
+       FROM pages p
+       WHERE p.id = ?`,
+      [pageId]
+    );
+
+    res.status(200).json({
+      message: 'Sắp xếp trang thành công',
+      page: reorderedPage[0],
+      order
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi sắp xếp trang:', error);
+    res.status(500).json({ message: 'Lỗi khi sắp xếp trang' });
   }
 };
 
@@ -559,88 +903,16 @@ async function checkIfDescendant(pageA, pageB, dbConnection) {
   return false;
 }
 
-/**
- * Hàm lấy tất cả các trang con cháu của một trang.
- * @async
- * @param {string} pageId - ID của trang cha.
- * @param {Object} connection - Kết nối database.
- * @returns {Promise<Array>} - Trả về mảng các trang con cháu.
- */
-const getAllDescendantPages = async (pageId, transaction) => {
-  let allDescendants = [];
-  let pagesToProcess = [pageId];
-
-  while (pagesToProcess.length > 0) {
-    const currentPageId = pagesToProcess.pop();
-    
-    // Get direct children of the current page
-    const childPages = await transaction.execute(
-      'SELECT * FROM pages WHERE parent_page_id = ?',
-      [currentPageId]
-    );
-    
-    if (childPages.length > 0) {
-      // Add these pages to our results
-      allDescendants = [...allDescendants, ...childPages];
-      
-      // Add their IDs to the list of pages we need to process
-      pagesToProcess = [...pagesToProcess, ...childPages.map(page => page.id)];
-    }
-  }
-
-  return allDescendants;
-};
-
-/**
- * Hàm nhân bản đệ quy các trang con.
- * @async
- * @param {Array} childPages - Mảng các trang con cần nhân bản.
- * @param {string} newParentId - ID của trang cha mới.
- * @param {string} userId - ID của người dùng thực hiện nhân bản.
- * @param {Map} pageIdMap - Map ánh xạ giữa ID trang cũ và ID trang mới.
- * @param {Object} transaction - Đối tượng transaction.
- * @returns {Promise<void>}
- */
-async function duplicateChildPages(childPages, newParentId, userId, pageIdMap, transaction) {
-  for (const childPage of childPages) {
-    const newChildId = uuidv4();
-    pageIdMap.set(childPage.id, newChildId);
-
-    // Tạo bản sao của trang con
-    await transaction.execute(
-      `INSERT INTO pages 
-       (id, workspace_id, title, icon, cover_url, parent_page_id, is_public, created_by) 
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        newChildId,
-        childPage.workspace_id,
-        childPage.title,
-        childPage.icon,
-        childPage.cover_url,
-        newParentId,
-        childPage.is_public,
-        userId
-      ]
-    );
-
-    // Lấy các trang con của trang con hiện tại
-    const grandChildPages = await transaction.execute(
-      'SELECT * FROM pages WHERE parent_page_id = ?',
-      [childPage.id]
-    );
-
-    // Đệ quy nhân bản các trang cháu
-    if (grandChildPages.length > 0) {
-      await duplicateChildPages(grandChildPages, newChildId, userId, pageIdMap, transaction);
-    }
-  }
-}
-
 module.exports = {
   getWorkspacePages,
   createPage,
   getPageDetails,
   updatePage,
   deletePage,
-  duplicatePage
+  getWorkspaceTrash,
+  restorePage,
+  deletePagePermanently,
+  duplicatePage,
+  movePage,
+  reorderPage
 };
@@ -0,0 +1,64 @@
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
+const mongoConfig = require('../config/mongodb');
+const pageExportService = require('../services/pageExportService');
+const { getPageAccess } = require('../services/permissionService');
+
+/**
+ * API xuất trang ra Markdown, HTML hoặc PDF (tải về dưới dạng tệp).
+ * Với `include_children=true`, trang và toàn bộ trang con người dùng xem được được xuất thành tệp zip giữ cây trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/pages/:id/export?format=pdf
+ * GET /api/pages/:id/export?format=md&include_children=true
+ * GET /api/pages/:id/export?format=html&attachments=embed
+ */
+const exportPage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Kiểm tra sự tồn tại của trang và quyền xem
+    const access = await getPageAccess(req.params.id, req.user.id);
+
+    if (!access.page) {
+      return res.status(404).json({ message: 'Trang không tồn tại' });
+    }
+
+    if (!access.canView) {
+      return res.status(403).json({ message: 'Không có quyền xem trang này' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const result = await pageExportService.exportPage(mongoDB, access.page, req.user.id, {
+      format: req.query.format,
+      includeChildren: req.query.include_children === 'true' || req.query.include_children === '1',
+      attachments: req.query.attachments || 'link'
+    });
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(result.fileName)}`);
+    res.status(200).send(result.data);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi xuất trang:', error);
+    res.status(500).json({ message: 'Lỗi khi xuất trang' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+module.exports = {
+  exportPage
+};
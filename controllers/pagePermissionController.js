@@ -0,0 +1,204 @@
+const { validationResult } = require('express-validator');
+const pagePermissionService = require('../services/pagePermissionService');
+const publishingService = require('../services/publishingService');
+const { getPageAccess } = require('../services/permissionService');
+const { NotFoundError, ForbiddenError } = require('../middlewares/error');
+
+/**
+ * Kiểm tra quyền của người dùng trên trang.
+ * @async
+ * @param {string} pageId - ID trang.
+ * @param {string} userId - ID người dùng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.manage=false] - Yêu cầu quyền quản lý (full).
+ * @returns {Promise<Object>} - Quyền truy cập (như getPageAccess).
+ * @throws {NotFoundError|ForbiddenError} - Nếu trang không tồn tại hoặc không có quyền.
+ */
+const requirePageAccess = async (pageId, userId, { manage = false } = {}) => {
+  const access = await getPageAccess(pageId, userId);
+
+  if (!access.page) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  if (!(manage ? access.canManage : access.canView)) {
+    throw new ForbiddenError(manage
+      ? 'Không có quyền quản lý quyền truy cập của trang này'
+      : 'Không có quyền truy cập trang này');
+  }
+  return access;
+};
+
+/**
+ * Thông báo danh sách quyền mới của trang cho các client đang mở trang.
+ * @param {Object} req - Đối tượng request (lấy Socket.io từ app).
+ * @param {string} pageId - ID trang.
+ * @param {Object} permissions - Danh sách quyền (từ pagePermissionService.listPagePermissions).
+ */
+const emitPermissionsUpdated = (req, pageId, permissions) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(pageId).emit('pagePermissionsUpdated', { pageId, ...permissions, userId: req.user.id });
+  }
+};
+
+/**
+ * Gửi phản hồi lỗi chung của các API quyền trang.
+ * @param {Object} res - Đối tượng response.
+ * @param {Error} error - Lỗi.
+ * @param {string} message - Thông báo khi lỗi không xác định.
+ */
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+/**
+ * API lấy danh sách quyền của trang (mục quyền riêng và mục kế thừa) cùng mức quyền của người dùng hiện tại.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/pages/:id/permissions
+ */
+const getPagePermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await requirePageAccess(req.params.id, req.user.id);
+    const permissions = await pagePermissionService.listPagePermissions(access.page);
+
+    res.status(200).json({ access: access.access, ...permissions });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy quyền của trang');
+  }
+};
+
+/**
+ * API cấp quyền trên trang cho người dùng hoặc nhóm (cập nhật mức quyền nếu đã có).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/pages/:id/permissions
+ * Body: { "principal_type": "user", "principal_id": "user-id", "access_level": "comment" }
+ */
+const grantPagePermission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page } = await requirePageAccess(req.params.id, req.user.id, { manage: true });
+    const permission = await pagePermissionService.grantPermission(page, req.user.id, req.body);
+
+    emitPermissionsUpdated(req, page.id, await pagePermissionService.listPagePermissions(page));
+    res.status(201).json({ message: 'Cấp quyền thành công', permission });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cấp quyền trang');
+  }
+};
+
+/**
+ * API đổi mức quyền của một mục quyền trên trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * PUT /api/pages/:id/permissions/:permissionId
+ * Body: { "access_level": "edit" }
+ */
+const updatePagePermission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page } = await requirePageAccess(req.params.id, req.user.id, { manage: true });
+    const permission = await pagePermissionService.updatePermission(page, req.params.permissionId, req.body.access_level);
+
+    emitPermissionsUpdated(req, page.id, await pagePermissionService.listPagePermissions(page));
+    res.status(200).json({ message: 'Cập nhật quyền thành công', permission });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật quyền trang');
+  }
+};
+
+/**
+ * API thu hồi một mục quyền trên trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * DELETE /api/pages/:id/permissions/:permissionId
+ */
+const revokePagePermission = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page } = await requirePageAccess(req.params.id, req.user.id, { manage: true });
+    await pagePermissionService.revokePermission(page, req.params.permissionId);
+
+    emitPermissionsUpdated(req, page.id, await pagePermissionService.listPagePermissions(page));
+    res.status(200).json({ message: 'Thu hồi quyền thành công' });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi thu hồi quyền trang');
+  }
+};
+
+/**
+ * API bật / tắt kế thừa quyền từ trang cha (và quyền mặc định của thành viên workspace).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * PUT /api/pages/:id/permissions/inheritance
+ * Body: { "inherit": false, "copy_inherited": true }
+ */
+const updatePageInheritance = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page } = await requirePageAccess(req.params.id, req.user.id, { manage: true });
+    const permissions = await pagePermissionService.setInheritance(page, req.user.id, {
+      inherit: req.body.inherit,
+      copyInherited: req.body.copy_inherited
+    });
+    // Trang ngừng kế thừa quyền rời khỏi bản xuất bản của trang tổ tiên (và ngược lại)
+    await publishingService.syncWorkspacePublications(page.workspace_id);
+
+    emitPermissionsUpdated(req, page.id, permissions);
+    res.status(200).json({
+      message: req.body.inherit ? 'Trang đã kế thừa quyền từ trang cha' : 'Trang đã ngừng kế thừa quyền từ trang cha',
+      ...permissions
+    });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật kế thừa quyền');
+  }
+};
+
+module.exports = {
+  getPagePermissions,
+  grantPagePermission,
+  updatePagePermission,
+  revokePagePermission,
+  updatePageInheritance
+};
@@ -0,0 +1,263 @@
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
+const mongoConfig = require('../config/mongodb');
+const publishingService = require('../services/publishingService');
+const { getWorkspaceRole, getPageAccess } = require('../services/permissionService');
+const { NotFoundError, ForbiddenError } = require('../middlewares/error');
+const { escapeHtml, renderHtmlDocument } = require('../utils/blockRenderer');
+
+// Trang xuất bản là HTML công khai: không chạy script, chỉ tải ảnh và style nội tuyến
+const PUBLISHED_PAGE_CSP = "default-src 'none'; img-src * data:; style-src 'unsafe-inline'; frame-ancestors 'none'";
+
+/**
+ * Kiểm tra quyền của người dùng trên trang.
+ * @async
+ * @param {string} pageId - ID trang.
+ * @param {string} userId - ID người dùng.
+ * @param {string} permission - Cờ quyền cần có ('canView' hoặc 'canManage').
+ * @returns {Promise<Object>} - Trang.
+ * @throws {NotFoundError|ForbiddenError} - Nếu trang không tồn tại hoặc không có quyền.
+ */
+const requirePageAccess = async (pageId, userId, permission) => {
+  const access = await getPageAccess(pageId, userId);
+
+  if (!access.page) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  if (!access[permission]) {
+    throw new ForbiddenError(permission === 'canManage'
+      ? 'Không có quyền xuất bản trang này'
+      : 'Không có quyền truy cập trang này');
+  }
+  return access.page;
+};
+
+/**
+ * API xuất bản trang cùng các trang con cháu thành trang web công khai (gọi lại để render lại toàn bộ).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/pages/:id/publish
+ */
+const publishPage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, 'canManage');
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const publication = await publishingService.publishPage(mongoDB, page, req.user.id);
+
+    res.status(200).json({ message: 'Xuất bản trang thành công', publication });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message, ...error.details });
+    }
+    console.error('Lỗi khi xuất bản trang:', error);
+    res.status(500).json({ message: 'Lỗi khi xuất bản trang' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API lấy bản xuất bản chứa trang (null nếu trang chưa được xuất bản).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/pages/:id/publish
+ */
+const getPagePublication = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, 'canView');
+    const publication = await publishingService.getPublication(page.id);
+
+    res.status(200).json({ publication });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi lấy thông tin xuất bản:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy thông tin xuất bản' });
+  }
+};
+
+/**
+ * API gỡ xuất bản trang (trang gốc của bản xuất bản).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * DELETE /api/pages/:id/publish
+ */
+const unpublishPage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, 'canManage');
+    await publishingService.unpublishPage(page);
+
+    res.status(200).json({ message: 'Đã gỡ xuất bản trang' });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi gỡ xuất bản trang:', error);
+    res.status(500).json({ message: 'Lỗi khi gỡ xuất bản trang' });
+  }
+};
+
+/**
+ * API lấy các bản xuất bản của workspace (thành viên workspace).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/workspaces/:id/publications
+ */
+const getWorkspacePublications = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await getWorkspaceRole(req.params.id, req.user.id);
+
+    if (!role) {
+      return res.status(403).json({ message: 'Không có quyền truy cập workspace này' });
+    }
+
+    const publications = await publishingService.listPublications(req.params.id);
+
+    res.status(200).json({ publications });
+  } catch (error) {
+    console.error('Lỗi khi lấy danh sách trang xuất bản:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy danh sách trang xuất bản' });
+  }
+};
+
+/**
+ * Gửi trang lỗi HTML cho trang web xuất bản.
+ * @param {Object} res - Đối tượng response.
+ * @param {number} status - Mã HTTP.
+ * @param {string} message - Thông báo.
+ */
+const sendErrorPage = (res, status, message) => {
+  res.status(status)
+    .set('Content-Security-Policy', PUBLISHED_PAGE_CSP)
+    .type('html')
+    .send(renderHtmlDocument({ title: message, body: `<p>${escapeHtml(message)}</p>` }));
+};
+
+/**
+ * Trang web xuất bản (không cần đăng nhập): trả về HTML của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /p/:workspaceSlug/:pageSlug
+ */
+const servePublishedPage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendErrorPage(res, 404, 'Trang không tồn tại hoặc chưa được xuất bản');
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const html = await publishingService.servePublishedPage(mongoDB, req.params.workspaceSlug, req.params.pageSlug);
+
+    res.status(200)
+      .set('Content-Security-Policy', PUBLISHED_PAGE_CSP)
+      .set('Cache-Control', 'no-cache')
+      .type('html')
+      .send(html);
+  } catch (error) {
+    if (error.status) {
+      return sendErrorPage(res, error.status, error.message);
+    }
+    console.error('Lỗi khi hiển thị trang xuất bản:', error);
+    sendErrorPage(res, 500, 'Lỗi khi hiển thị trang');
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * Tệp đính kèm của trang web xuất bản (không cần đăng nhập). Ảnh được hiển thị trực tiếp, tệp khác được tải xuống.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /p/:workspaceSlug/:pageSlug/files/:attachmentId
+ */
+const getPublishedFile = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(404).json({ message: 'Tệp đính kèm không tồn tại' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const { workspaceSlug, pageSlug, attachmentId } = req.params;
+    const attachment = await publishingService.getPublishedAttachment(mongoDB, workspaceSlug, pageSlug, attachmentId);
+
+    const fileType = attachment.fileType || 'application/octet-stream';
+    const inline = /^image\//.test(fileType) && fileType !== 'image/svg+xml';
+
+    res.status(200)
+      .set('Content-Type', fileType)
+      .set('X-Content-Type-Options', 'nosniff')
+      .set('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`)
+      .send(Buffer.from(attachment.fileData, 'base64'));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Lỗi khi lấy tệp đính kèm của trang xuất bản:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy tệp đính kèm' });
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+module.exports = {
+  publishPage,
+  getPagePublication,
+  unpublishPage,
+  getWorkspacePublications,
+  servePublishedPage,
+  getPublishedFile
+};
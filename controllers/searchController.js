@@ -1,6 +1,23 @@
 const { MongoClient, ObjectId } = require('mongodb');
 const mongoConfig = require('../config/mongodb');
 const dbMysql = require('../config/database');
+const { getWorkspaceRole, getWorkspacePageAccess, getAccessibleWorkspaceIds } = require('../services/permissionService');
+
+/**
+ * Lấy ID các trang người dùng xem được trong các workspace (theo quyền trang).
+ * @async
+ * @param {Array<string>} workspaceIds - ID các workspace.
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Array<string>>}
+ */
+const getViewablePageIds = async (workspaceIds, userId) => {
+  const pageIds = [];
+  for (const workspaceId of workspaceIds) {
+    const levels = await getWorkspacePageAccess(workspaceId, userId);
+    pageIds.push(...levels.keys());
+  }
+  return pageIds;
+};
 
 /**
  * Tìm kiếm toàn cục trên toàn hệ thống
@@ -23,24 +40,23 @@ const globalSearch = async (req, res) => {
     const blocksCollection = mongoDb.collection('blocks');
     const commentsCollection = mongoDb.collection('comments');
 
-    // 1. Tìm kiếm trang (pages) trong MySQL
+    // Các trang người dùng xem được trong workspace là thành viên hoặc được chia sẻ trang
+    const viewablePageIds = await getViewablePageIds(await getAccessibleWorkspaceIds(userId), userId);
+
+    // 1. Tìm kiếm trang (pages) trong MySQL: trang xem được hoặc trang public
     const [pages] = await dbMysql.query(
       `SELECT p.id, p.title, p.workspace_id, p.created_by
        FROM pages p
-       LEFT JOIN workspace_members wm ON p.workspace_id = wm.workspace_id
-       WHERE (p.title LIKE ? OR p.id = ?)
-       AND (p.is_public = TRUE OR p.created_by = ? OR wm.user_id = ?)`,
-      [`%${q}%`, q, userId, userId]
+       WHERE (p.title LIKE ? OR p.id = ?) AND p.deleted_at IS NULL
+       AND (p.is_public = TRUE OR p.id IN (?))`,
+      [`%${q}%`, q, viewablePageIds.length > 0 ? viewablePageIds : [null]]
     );
 
     // 2. Tìm kiếm blocks trong MongoDB
     const blocks = await blocksCollection
       .find({
         $text: { $search: q }, // Sử dụng text index đã tạo
-        $or: [
-          { createdBy: userId }, // Blocks do người dùng tạo
-          { pageId: { $in: pages.map(p => p.id) } } // Blocks trong trang người dùng có quyền
-        ]
+        pageId: { $in: viewablePageIds } // Blocks trong trang người dùng có quyền
       })
       .limit(50)
       .toArray();
@@ -48,10 +64,8 @@ const globalSearch = async (req, res) => {
     // 3. Tìm kiếm comments trong MongoDB
     const comments = await commentsCollection
       .find({
-        $or: [
-          { content: { $regex: q, $options: 'i' } }, // Tìm kiếm không phân biệt hoa thường
-          { pageId: { $in: pages.map(p => p.id) } } // Comments trong trang người dùng có quyền
-        ],
+        content: { $regex: q, $options: 'i' }, // Tìm kiếm không phân biệt hoa thường
+        pageId: { $in: viewablePageIds }, // Comments trong trang người dùng có quyền
         userId: { $exists: true } // Đảm bảo chỉ lấy comments hợp lệ
       })
       .limit(50)
@@ -104,15 +118,11 @@ const workspaceSearch = async (req, res) => {
       return res.status(400).json({ message: 'Vui lòng cung cấp từ khóa tìm kiếm' });
     }
 
-    // Kiểm tra quyền truy cập workspace
-    const [memberCheck] = await dbMysql.query(
-      `SELECT wm.* FROM workspace_members wm
-       JOIN roles r ON wm.role_id = r.id
-       WHERE wm.workspace_id = ? AND wm.user_id = ?`,
-      [workspaceId, userId]
-    );
+    // Kiểm tra quyền truy cập workspace: thành viên hoặc khách được chia sẻ trang trong workspace
+    const role = await getWorkspaceRole(workspaceId, userId);
+    const viewablePageIds = await getViewablePageIds([workspaceId], userId);
 
-    if (memberCheck.length === 0) {
+    if (!role && viewablePageIds.length === 0) {
       return res.status(403).json({ message: 'Không có quyền truy cập workspace này' });
     }
 
@@ -122,30 +132,30 @@ const workspaceSearch = async (req, res) => {
     const blocksCollection = mongoDb.collection('blocks');
     const commentsCollection = mongoDb.collection('comments');
 
-    // 1. Tìm kiếm trang (pages) trong workspace
-    const [pages] = await dbMysql.query(
-      `SELECT id, title, workspace_id, created_by
-       FROM pages
-       WHERE workspace_id = ? AND (title LIKE ? OR id = ?)`,
-      [workspaceId, `%${q}%`, q]
-    );
-
-    // 2. Tìm kiếm blocks trong workspace
+    // 1. Tìm kiếm trang (pages) trong workspace mà người dùng xem được
+    const [pages] = viewablePageIds.length > 0
+      ? await dbMysql.query(
+        `SELECT id, title, workspace_id, created_by
+         FROM pages
+         WHERE workspace_id = ? AND (title LIKE ? OR id = ?) AND deleted_at IS NULL AND id IN (?)`,
+        [workspaceId, `%${q}%`, q, viewablePageIds]
+      )
+      : [[]];
+
+    // 2. Tìm kiếm blocks trong các trang xem được của workspace
     const blocks = await blocksCollection
       .find({
         $text: { $search: q },
-        pageId: { $in: pages.map(p => p.id) }
+        pageId: { $in: viewablePageIds }
       })
       .limit(50)
       .toArray();
 
-    // 3. Tìm kiếm comments trong workspace
+    // 3. Tìm kiếm comments trong các trang xem được của workspace
     const comments = await commentsCollection
       .find({
-        $or: [
-          { content: { $regex: q, $options: 'i' } },
-          { pageId: { $in: pages.map(p => p.id) } }
-        ]
+        content: { $regex: q, $options: 'i' },
+        pageId: { $in: viewablePageIds }
       })
       .limit(50)
       .toArray();
@@ -0,0 +1,312 @@
+const { MongoClient } = require('mongodb');
+const { validationResult } = require('express-validator');
+const db = require('../config/database');
+const mongoConfig = require('../config/mongodb');
+const shareLinkService = require('../services/shareLinkService');
+const pageContentService = require('../services/pageContentService');
+const syncedBlockService = require('../services/syncedBlockService');
+const { MANAGER_ROLES, getWorkspaceRole, getPageAccess } = require('../services/permissionService');
+const { NotFoundError, ForbiddenError } = require('../middlewares/error');
+const { buildBlockTree } = require('../utils/blockTree');
+
+/**
+ * Kiểm tra quyền quản lý liên kết chia sẻ của trang (quyền full trên trang).
+ * @async
+ * @param {string} pageId - ID trang.
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Object>} - Trang.
+ * @throws {NotFoundError|ForbiddenError} - Nếu trang không tồn tại hoặc không có quyền.
+ */
+const requireManageAccess = async (pageId, userId) => {
+  const access = await getPageAccess(pageId, userId);
+
+  if (!access.page) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  if (!access.canManage) {
+    throw new ForbiddenError('Không có quyền quản lý liên kết chia sẻ của trang này');
+  }
+  return access.page;
+};
+
+/**
+ * Xác thực token trong request (mật khẩu gửi qua header X-Share-Password) và chọn trang cần xem trong cây được chia sẻ.
+ * @async
+ * @param {Object} req - Đối tượng request.
+ * @param {string|undefined} pageId - Trang con cần xem; mặc định là trang được chia sẻ.
+ * @returns {Promise<Object>} - { link, page, pageIds, tree, pageId }.
+ * @throws {NotFoundError|UnauthorizedError} - Nếu liên kết không dùng được hoặc trang không thuộc cây được chia sẻ.
+ */
+const resolveSharedPage = async (req, pageId) => {
+  const { link, page } = await shareLinkService.resolveShareLink(req.params.token, req.get('X-Share-Password'));
+  const { pageIds, tree } = await shareLinkService.getSharedTree(page);
+
+  const targetId = pageId || page.id;
+  if (!pageIds.has(targetId)) {
+    throw new NotFoundError('Trang không thuộc liên kết chia sẻ');
+  }
+  return { link, page, pageIds, tree, pageId: targetId };
+};
+
+/**
+ * Gửi phản hồi lỗi chung của các API liên kết chia sẻ.
+ * @param {Object} res - Đối tượng response.
+ * @param {Error} error - Lỗi.
+ * @param {string} message - Thông báo khi lỗi không xác định.
+ */
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message, ...error.details });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+/**
+ * API lấy các liên kết chia sẻ của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/pages/:id/share-links
+ */
+const getPageShareLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requireManageAccess(req.params.id, req.user.id);
+    const links = await shareLinkService.listShareLinks({ pageId: page.id });
+
+    res.status(200).json({ links });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy liên kết chia sẻ');
+  }
+};
+
+/**
+ * API tạo liên kết chia sẻ cho trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/pages/:id/share-links
+ * Body: { "access_level": "comment", "expires_at": "2030-01-01T00:00:00Z", "password": "optional" }
+ */
+const createPageShareLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requireManageAccess(req.params.id, req.user.id);
+    const link = await shareLinkService.createShareLink(page, req.user.id, {
+      accessLevel: req.body.access_level,
+      expiresAt: req.body.expires_at,
+      password: req.body.password
+    });
+
+    res.status(201).json({ message: 'Tạo liên kết chia sẻ thành công', link });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi tạo liên kết chia sẻ');
+  }
+};
+
+/**
+ * API thu hồi liên kết chia sẻ của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * DELETE /api/pages/:id/share-links/:linkId
+ */
+const revokePageShareLink = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requireManageAccess(req.params.id, req.user.id);
+    await shareLinkService.revokeShareLink(page, req.params.linkId);
+
+    res.status(200).json({ message: 'Đã thu hồi liên kết chia sẻ' });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi thu hồi liên kết chia sẻ');
+  }
+};
+
+/**
+ * API lấy mọi liên kết chia sẻ trong workspace (dành cho OWNER/ADMIN).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/workspaces/:id/share-links
+ */
+const getWorkspaceShareLinks = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const role = await getWorkspaceRole(req.params.id, req.user.id);
+
+    if (!MANAGER_ROLES.includes(role)) {
+      return res.status(403).json({ message: 'Chỉ OWNER hoặc ADMIN được xem liên kết chia sẻ của workspace' });
+    }
+
+    const links = await shareLinkService.listShareLinks({ workspaceId: req.params.id });
+
+    res.status(200).json({ links });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy liên kết chia sẻ');
+  }
+};
+
+/**
+ * API xem trang qua liên kết chia sẻ (không cần đăng nhập, chỉ đọc): cây trang được chia sẻ và nội dung của trang
+ * được chọn; liên kết mức comment trả về thêm bình luận của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/shared/:token?page_id=optional-child-page-id
+ * Headers: { "X-Share-Password": "optional" }
+ */
+const getSharedPage = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { link, tree, pageId } = await resolveSharedPage(req, req.query.page_id);
+
+    const [pages] = await db.query(
+      `SELECT p.id, p.title, p.icon, p.cover_url, p.parent_page_id, p.created_at, p.updated_at,
+              u.full_name as created_by_name
+       FROM pages p
+       JOIN users u ON p.created_by = u.id
+       WHERE p.id = ?`,
+      [pageId]
+    );
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+    const blocks = await pageContentService.loadPageBlocks(mongoDB, pageContent);
+
+    // Người xem ẩn danh: block đồng bộ chỉ hiển thị nội dung của block nguồn nằm trên trang public
+    const renderedBlocks = await syncedBlockService.resolveSyncedBlocks(mongoDB, blocks, null);
+
+    let comments;
+    if (link.access_level === 'comment') {
+      comments = await mongoDB.collection('comments')
+        .find({ pageId, blockId: { $exists: false } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      if (comments.length > 0) {
+        const [users] = await db.query(
+          'SELECT id, full_name FROM users WHERE id IN (?)',
+          [[...new Set(comments.map(comment => comment.userId))]]
+        );
+        const userMap = new Map(users.map(user => [user.id, { full_name: user.full_name }]));
+        comments = comments.map(comment => ({ ...comment, user: userMap.get(comment.userId) || null }));
+      }
+    }
+
+    res.status(200).json({
+      link: { access_level: link.access_level, expires_at: link.expires_at },
+      rootPageId: tree.id,
+      pages: [tree],
+      page: pages[0],
+      content: {
+        blocks: buildBlockTree(renderedBlocks),
+        version: pageContent ? pageContent.version : 0
+      },
+      ...(comments ? { comments } : {})
+    });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi xem trang được chia sẻ');
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+/**
+ * API bình luận trên trang qua liên kết chia sẻ mức comment (cần đăng nhập).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/shared/:token/comments
+ * Headers: { "X-Share-Password": "optional" }
+ * Body: { "content": "Góp ý", "page_id": "optional-child-page-id" }
+ */
+const addSharedComment = async (req, res) => {
+  let client;
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const { link, pageId } = await resolveSharedPage(req, req.body.page_id);
+
+    if (link.access_level !== 'comment') {
+      return res.status(403).json({ message: 'Liên kết chia sẻ chỉ cho phép xem' });
+    }
+
+    // Kết nối MongoDB
+    client = await MongoClient.connect(mongoConfig.url);
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    const newComment = {
+      pageId,
+      userId,
+      content: req.body.content,
+      mentions: [],
+      reactions: {},
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+    const result = await mongoDB.collection('comments').insertOne(newComment);
+    newComment._id = result.insertedId;
+
+    const [users] = await db.query('SELECT full_name FROM users WHERE id = ?', [userId]);
+    if (users.length > 0) {
+      newComment.user = { full_name: users[0].full_name };
+    }
+
+    res.status(201).json(newComment);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi bình luận qua liên kết chia sẻ');
+  } finally {
+    if (client) await client.close();
+  }
+};
+
+module.exports = {
+  getPageShareLinks,
+  createPageShareLink,
+  revokePageShareLink,
+  getWorkspaceShareLinks,
+  getSharedPage,
+  addSharedComment
+};
@@ -0,0 +1,286 @@
+const { validationResult } = require('express-validator');
+const taskViewService = require('../services/taskViewService');
+const { getPageAccess, getWorkspacePageAccess } = require('../services/permissionService');
+const { NotFoundError, ForbiddenError } = require('../middlewares/error');
+
+/**
+ * Kiểm tra quyền của người dùng trên trang.
+ * @async
+ * @param {string} pageId - ID trang.
+ * @param {string} userId - ID người dùng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.edit=false] - Yêu cầu quyền chỉnh sửa.
+ * @returns {Promise<Object>} - Trang.
+ * @throws {NotFoundError|ForbiddenError} - Nếu trang không tồn tại hoặc không có quyền.
+ */
+const requirePageAccess = async (pageId, userId, { edit = false } = {}) => {
+  const access = await getPageAccess(pageId, userId);
+
+  if (!access.page) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  if (!(edit ? access.canEdit : access.canView)) {
+    throw new ForbiddenError(edit
+      ? 'Không có quyền chỉnh sửa trang này'
+      : 'Không có quyền truy cập trang này');
+  }
+  return access.page;
+};
+
+/**
+ * Thông báo thay đổi trạng thái/hạn chót của trang cho các client đang mở trang đó và trang cha
+ * (nơi hiển thị bảng Kanban, lịch).
+ * @param {Object} req - Đối tượng request (lấy Socket.io từ app).
+ * @param {string|null} parentPageId - ID trang cha.
+ * @param {Object} task - Công việc sau khi cập nhật.
+ */
+const emitTaskUpdated = (req, parentPageId, task) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const payload = { pageId: task.id, parentPageId, task, userId: req.user.id };
+  io.to(task.id).emit('taskUpdated', payload);
+  if (parentPageId) {
+    io.to(parentPageId).emit('taskUpdated', payload);
+  }
+};
+
+/**
+ * Thông báo danh sách view công việc mới cho các client đang mở trang.
+ * @async
+ * @param {Object} req - Đối tượng request (lấy Socket.io từ app).
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<void>}
+ */
+const emitTaskViewsUpdated = async (req, pageId) => {
+  const io = req.app.get('io');
+  if (io) {
+    const views = await taskViewService.listTaskViews(pageId);
+    io.to(pageId).emit('taskViewsUpdated', { pageId, views, userId: req.user.id });
+  }
+};
+
+/**
+ * Gửi phản hồi lỗi chung của các API view công việc.
+ * @param {Object} res - Đối tượng response.
+ * @param {Error} error - Lỗi.
+ * @param {string} message - Thông báo khi lỗi không xác định.
+ */
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+/**
+ * API cập nhật trạng thái và hạn chót của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về công việc sau khi cập nhật.
+ * @example
+ * PUT /api/pages/:id/task
+ * Body: { "status": "Đang làm", "due_date": "2026-11-05" }
+ */
+const updateTaskFields = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, { edit: true });
+    const { status, due_date } = req.body;
+    const task = await taskViewService.updateTaskFields(page.id, { status, due_date });
+
+    emitTaskUpdated(req, page.parent_page_id, task);
+    res.status(200).json({ task });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật trạng thái trang');
+  }
+};
+
+/**
+ * API lấy các view công việc của trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về danh sách view.
+ * @example
+ * GET /api/pages/:id/task-views
+ */
+const getTaskViews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id);
+    const views = await taskViewService.listTaskViews(page.id);
+
+    res.status(200).json({ pageId: page.id, views });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy các view công việc');
+  }
+};
+
+/**
+ * API tạo view công việc.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về view vừa tạo.
+ * @example
+ * POST /api/pages/:id/task-views
+ * Body: { "name": "Tiến độ", "type": "board", "lanes": ["Cần làm", "Đang làm", "Hoàn thành"] }
+ */
+const createTaskView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.id;
+    const page = await requirePageAccess(req.params.id, userId, { edit: true });
+    const { name, type, lanes } = req.body;
+    const view = await taskViewService.createTaskView(page.id, userId, { name, type, lanes });
+
+    await emitTaskViewsUpdated(req, page.id);
+    res.status(201).json(view);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi tạo view công việc');
+  }
+};
+
+/**
+ * API cập nhật view công việc.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về view sau khi cập nhật.
+ * @example
+ * PUT /api/pages/:id/task-views/:viewId
+ * Body: { "lanes": ["Cần làm", "Đang làm", "Chờ duyệt", "Hoàn thành"] }
+ */
+const updateTaskView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, { edit: true });
+    const { name, type, lanes } = req.body;
+    const view = await taskViewService.updateTaskView(page.id, req.params.viewId, { name, type, lanes });
+
+    await emitTaskViewsUpdated(req, page.id);
+    res.status(200).json(view);
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật view công việc');
+  }
+};
+
+/**
+ * API xóa view công việc.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về thông báo thành công.
+ * @example
+ * DELETE /api/pages/:id/task-views/:viewId
+ */
+const deleteTaskView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, { edit: true });
+    await taskViewService.deleteTaskView(page.id, req.params.viewId);
+
+    await emitTaskViewsUpdated(req, page.id);
+    res.status(200).json({ message: 'Xóa view thành công' });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi xóa view công việc');
+  }
+};
+
+/**
+ * API truy vấn view công việc: board trả về các cột theo trạng thái, calendar trả về các ngày theo hạn chót,
+ * mỗi nhóm được phân trang.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về view và kết quả đã nhóm.
+ * @example
+ * GET /api/pages/:id/task-views/:viewId/query?limit=20
+ * GET /api/pages/:id/task-views/:viewId/query?lane=Đang%20làm&offset=20
+ * GET /api/pages/:id/task-views/:viewId/query?from=2026-11-01&to=2026-11-30
+ */
+const queryTaskView = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id);
+    const view = await taskViewService.findTaskView(page.id, req.params.viewId);
+    const { lane, from, to, date, limit, offset } = req.query;
+    // Chỉ các trang con người dùng xem được mới hiện trên board/lịch và được tính vào tổng
+    const visiblePageIds = new Set((await getWorkspacePageAccess(page.workspace_id, req.user.id)).keys());
+    const result = await taskViewService.queryTaskView(view, { lane, from, to, date, limit, offset, visiblePageIds });
+
+    res.status(200).json({ view, ...result });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi truy vấn view công việc');
+  }
+};
+
+/**
+ * API kéo thả trang con giữa các cột của view board.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>} - Trả về công việc sau khi di chuyển.
+ * @example
+ * POST /api/pages/:id/task-views/:viewId/move
+ * Body: { "pageId": "…", "status": "Hoàn thành", "position": 0 }
+ */
+const moveTask = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = await requirePageAccess(req.params.id, req.user.id, { edit: true });
+    const view = await taskViewService.findTaskView(page.id, req.params.viewId);
+    const { pageId, status, position } = req.body;
+
+    // Kéo thả đổi trạng thái của chính trang con nên cần cả quyền chỉnh sửa trang đó
+    await requirePageAccess(pageId, req.user.id, { edit: true });
+    const visiblePageIds = new Set((await getWorkspacePageAccess(page.workspace_id, req.user.id)).keys());
+    const task = await taskViewService.moveTask(view, { taskId: pageId, status, position, visiblePageIds });
+
+    emitTaskUpdated(req, page.id, task);
+    res.status(200).json({ task });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi di chuyển công việc');
+  }
+};
+
+module.exports = {
+  updateTaskFields,
+  getTaskViews,
+  createTaskView,
+  updateTaskView,
+  deleteTaskView,
+  queryTaskView,
+  moveTask
+};
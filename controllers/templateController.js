@@ -3,6 +3,8 @@ const db = require('../config/database');
 const { MongoClient, ObjectId } = require('mongodb');
 const mongoConfig = require('../config/mongodb');
 const { mongo } = require('mongoose');
+const { validateBlock } = require('../services/blockTypes');
+const { generateNKeysBetween, isValidKey } = require('../utils/fractionalIndex');
 
 /**
  * API lấy danh sách templates của người dùng hiện tại.
@@ -550,7 +552,7 @@ const applyTemplate = async (req, res) => {
 
     // Lấy thông tin trang
     const [pages] = await db.query(
-      'SELECT * FROM pages WHERE id = ?',
+      'SELECT * FROM pages WHERE id = ? AND deleted_at IS NULL',
       [pageId]
     );
 
@@ -621,6 +623,21 @@ const applyTemplate = async (req, res) => {
       return res.status(404).json({ message: 'Không tìm thấy nội dung template' });
     }
 
+    // Kiểm tra các block của template theo danh mục loại block trước khi ghi vào trang
+    let templateBlocks;
+    try {
+      templateBlocks = templateContent.content.map((templateBlock, index) => ({
+        ...templateBlock,
+        ...validateBlock(templateBlock, { label: `Block #${index + 1} của template` })
+      }));
+    } catch (error) {
+      await client.close();
+      if (error.status) {
+        return res.status(error.status).json({ message: error.message });
+      }
+      throw error;
+    }
+
     // Lấy nội dung trang hiện tại
     const currentPageContent = await pageContentsCollection.findOne({ pageId });
     
@@ -650,16 +667,18 @@ const applyTemplate = async (req, res) => {
 
       // Tạo blocks mới từ template
       const newBlocks = [];
-      for (let i = 0; i < templateContent.content.length; i++) {
-        const templateBlock = templateContent.content[i];
+      const sortKeys = generateNKeysBetween(null, null, templateBlocks.length);
+      for (let i = 0; i < templateBlocks.length; i++) {
+        const { position, children, ...templateBlock } = templateBlocks[i];
         const newBlock = {
           ...templateBlock,
           _id: new ObjectId(),
           pageId,
+          parentId: null,
           createdBy: userId,
           createdAt: new Date(),
           updatedAt: new Date(),
-          position: i
+          sortKey: sortKeys[i]
         };
         await blocksCollection.insertOne(newBlock);
         newBlocks.push(newBlock._id);
@@ -681,32 +700,35 @@ const applyTemplate = async (req, res) => {
       );
     } else {
       // Nếu không overwrite, thêm nội dung template vào cuối trang
-      let startPosition = 0;
+      let lastSortKey = null;
       const newBlocks = [];
 
-      // Nếu trang đã có nội dung, lấy vị trí bắt đầu
+      // Nếu trang đã có nội dung, lấy khóa sắp xếp lớn nhất của các block cấp cao nhất
       if (currentPageContent && currentPageContent.blocks) {
-        const lastBlock = await blocksCollection.findOne(
-          { _id: new ObjectId(currentPageContent.blocks[currentPageContent.blocks.length - 1]) },
-          { sort: { position: -1 } }
-        );
-        if (lastBlock) {
-          startPosition = lastBlock.position + 1;
+        const topLevelBlocks = await blocksCollection.find({
+          _id: { $in: currentPageContent.blocks.map(id => new ObjectId(id)) },
+          parentId: null
+        }).toArray();
+        const topLevelKeys = topLevelBlocks.map(block => block.sortKey).filter(isValidKey).sort();
+        if (topLevelKeys.length > 0) {
+          lastSortKey = topLevelKeys[topLevelKeys.length - 1];
         }
         newBlocks.push(...currentPageContent.blocks);
       }
 
       // Thêm blocks mới từ template
-      for (let i = 0; i < templateContent.content.length; i++) {
-        const templateBlock = templateContent.content[i];
+      const sortKeys = generateNKeysBetween(lastSortKey, null, templateBlocks.length);
+      for (let i = 0; i < templateBlocks.length; i++) {
+        const { position, children, ...templateBlock } = templateBlocks[i];
         const newBlock = {
           ...templateBlock,
           _id: new ObjectId(),
           pageId,
+          parentId: null,
           createdBy: userId,
           createdAt: new Date(),
           updatedAt: new Date(),
-          position: startPosition + i
+          sortKey: sortKeys[i]
         };
         await blocksCollection.insertOne(newBlock);
         newBlocks.push(newBlock._id);
@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
 const db = require('../config/database');
 
 /**
@@ -149,6 +150,61 @@ const updateUserAvatar = async (req, res) => {
   }
 };
 
+/**
+ * Nhận dạng loại ảnh từ các byte đầu của dữ liệu.
+ * @param {Buffer} data - Dữ liệu ảnh.
+ * @returns {string} - MIME type.
+ */
+const detectImageType = (data) => {
+  if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'image/jpeg';
+  if (data.length >= 6 && ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6))) return 'image/gif';
+  if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+  return 'application/octet-stream';
+};
+
+/**
+ * API lấy ảnh đại diện của người dùng (dữ liệu ảnh, không phải JSON).
+ * Chỉ xem được ảnh của bản thân hoặc của người cùng workspace.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/usersProfile/:id/avatar
+ */
+const getUserAvatar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [users] = await db.query(
+      `SELECT u.avatar_binary FROM users u
+       WHERE u.id = ? AND (u.id = ? OR EXISTS (
+         SELECT 1 FROM workspace_members target
+         JOIN workspace_members viewer ON viewer.workspace_id = target.workspace_id
+         WHERE target.user_id = u.id AND viewer.user_id = ?
+       ))`,
+      [req.params.id, req.user.id, req.user.id]
+    );
+
+    if (users.length === 0 || !users[0].avatar_binary) {
+      return res.status(404).json({ message: 'Không tìm thấy ảnh đại diện' });
+    }
+
+    const avatar = users[0].avatar_binary;
+    res.set('Content-Type', detectImageType(avatar));
+    res.set('Cache-Control', 'private, max-age=300');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.status(200).send(avatar);
+  } catch (error) {
+    console.error('Lỗi khi lấy ảnh đại diện:', error);
+    res.status(500).json({ message: 'Lỗi khi lấy ảnh đại diện' });
+  }
+};
+
 /**
  * API lấy cài đặt người dùng.
  * @async
@@ -314,6 +370,7 @@ module.exports = {
   getUserProfile,
   updateUserProfile,
   updateUserAvatar,
+  getUserAvatar,
   getUserSettings,
   updateUserSettings,
   deleteUserAccount
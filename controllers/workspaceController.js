@@ -5,7 +5,10 @@ const {
   NotFoundError,
   ForbiddenError,
 } = require("../middlewares/error");
-const { executeQuery, beginTransaction } = require("../config/database");
+const { MongoClient } = require("mongodb");
+const { executeQuery } = require("../config/database");
+const mongoConfig = require("../config/mongodb");
+const dataDeletionService = require("../services/dataDeletionService");
 
 /**
  * Lấy danh sách workspaces của người dùng
@@ -188,39 +191,19 @@ const deleteWorkspace = async (req, res, next) => {
       );
     }
 
-    // Transaction để xóa tất cả dữ liệu liên quan đến workspace
-    const transaction = await beginTransaction();
-
+    // Xóa trang, template, thành viên, lời mời cùng dữ liệu MongoDB của workspace
+    const client = await MongoClient.connect(mongoConfig.url);
     try {
-      // Xóa tất cả các trang thuộc workspace
-      await transaction.execute("DELETE FROM pages WHERE workspace_id = ?", [
-        id,
-      ]);
-
-      // Xóa tất cả thành viên của workspace
-      await transaction.execute(
-        "DELETE FROM workspace_members WHERE workspace_id = ?",
-        [id]
-      );
-
-      // Xóa tất cả lời mời đến workspace
-      await transaction.execute(
-        "DELETE FROM workspace_invitations WHERE workspace_id = ?",
-        [id]
-      );
-
-      // Xóa workspace
-      await transaction.execute("DELETE FROM workspaces WHERE id = ?", [id]);
-
-      await transaction.commit();
+      const mongoDB = client.db(mongoConfig.dbName);
+      const deleted = await dataDeletionService.deleteWorkspaceData(mongoDB, id);
 
       res.status(200).json({
         success: true,
         message: "Workspace đã được xóa thành công",
+        deleted,
       });
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
+    } finally {
+      await client.close();
     }
   } catch (error) {
     logger.error("Error deleting workspace:", error);
@@ -551,6 +534,20 @@ const removeMember = async (req, res, next) => {
 
     await executeQuery(deleteMemberQuery, [id, userId]);
 
+    // Bỏ người dùng khỏi các nhóm và thu hồi quyền trang đã cấp riêng cho họ trong workspace
+    await executeQuery(
+      `DELETE gm FROM workspace_group_members gm
+       JOIN workspace_groups g ON g.id = gm.group_id
+       WHERE g.workspace_id = ? AND gm.user_id = ?`,
+      [id, userId]
+    );
+    await executeQuery(
+      `DELETE pp FROM page_permissions pp
+       JOIN pages p ON p.id = pp.page_id
+       WHERE p.workspace_id = ? AND pp.principal_type = 'user' AND pp.principal_id = ?`,
+      [id, userId]
+    );
+
     res.status(200).json({
       success: true,
       message: "Đã xóa thành viên khỏi workspace",
@@ -0,0 +1,230 @@
+const { validationResult } = require('express-validator');
+const workspaceGroupService = require('../services/workspaceGroupService');
+const { MANAGER_ROLES, getWorkspaceRole } = require('../services/permissionService');
+const { ForbiddenError } = require('../middlewares/error');
+
+/**
+ * Kiểm tra vai trò của người dùng trong workspace.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} userId - ID người dùng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.manage=false] - Yêu cầu quyền quản lý nhóm (OWNER, ADMIN).
+ * @throws {ForbiddenError} - Nếu không có quyền.
+ */
+const requireWorkspaceRole = async (workspaceId, userId, { manage = false } = {}) => {
+  const role = await getWorkspaceRole(workspaceId, userId);
+
+  if (!role) {
+    throw new ForbiddenError('Không có quyền truy cập workspace này');
+  }
+  if (manage && !MANAGER_ROLES.includes(role)) {
+    throw new ForbiddenError('Chỉ OWNER hoặc ADMIN được quản lý nhóm');
+  }
+};
+
+/**
+ * Gửi phản hồi lỗi chung của các API nhóm.
+ * @param {Object} res - Đối tượng response.
+ * @param {Error} error - Lỗi.
+ * @param {string} message - Thông báo khi lỗi không xác định.
+ */
+const handleError = (res, error, message) => {
+  if (error.status) {
+    return res.status(error.status).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+/**
+ * API lấy danh sách nhóm của workspace.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/workspaces/:id/groups
+ */
+const getGroups = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id);
+    const groups = await workspaceGroupService.listGroups(req.params.id);
+
+    res.status(200).json({ groups });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy danh sách nhóm');
+  }
+};
+
+/**
+ * API lấy thông tin nhóm cùng danh sách thành viên.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * GET /api/workspaces/:id/groups/:groupId
+ */
+const getGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id);
+    const group = await workspaceGroupService.findGroup(req.params.id, req.params.groupId);
+
+    res.status(200).json({ group });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi lấy thông tin nhóm');
+  }
+};
+
+/**
+ * API tạo nhóm mới trong workspace.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/workspaces/:id/groups
+ * Body: { "name": "Marketing" }
+ */
+const createGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id, { manage: true });
+    const group = await workspaceGroupService.createGroup(req.params.id, req.user.id, { name: req.body.name });
+
+    res.status(201).json({ message: 'Tạo nhóm thành công', group });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi tạo nhóm');
+  }
+};
+
+/**
+ * API đổi tên nhóm.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * PUT /api/workspaces/:id/groups/:groupId
+ * Body: { "name": "Marketing team" }
+ */
+const updateGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id, { manage: true });
+    const current = await workspaceGroupService.findGroup(req.params.id, req.params.groupId);
+    const group = await workspaceGroupService.updateGroup(current, { name: req.body.name });
+
+    res.status(200).json({ message: 'Cập nhật nhóm thành công', group });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi cập nhật nhóm');
+  }
+};
+
+/**
+ * API xóa nhóm (các quyền trang cấp cho nhóm bị thu hồi).
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * DELETE /api/workspaces/:id/groups/:groupId
+ */
+const deleteGroup = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id, { manage: true });
+    const group = await workspaceGroupService.findGroup(req.params.id, req.params.groupId);
+    await workspaceGroupService.deleteGroup(group);
+
+    res.status(200).json({ message: 'Xóa nhóm thành công' });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi xóa nhóm');
+  }
+};
+
+/**
+ * API thêm thành viên workspace vào nhóm.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * POST /api/workspaces/:id/groups/:groupId/members
+ * Body: { "user_ids": ["user-1", "user-2"] }
+ */
+const addGroupMembers = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id, { manage: true });
+    const current = await workspaceGroupService.findGroup(req.params.id, req.params.groupId);
+    const group = await workspaceGroupService.addMembers(current, req.body.user_ids);
+
+    res.status(200).json({ message: 'Thêm thành viên vào nhóm thành công', group });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi thêm thành viên vào nhóm');
+  }
+};
+
+/**
+ * API bỏ thành viên khỏi nhóm.
+ * @async
+ * @param {Object} req - Đối tượng request từ client.
+ * @param {Object} res - Đối tượng response để gửi phản hồi.
+ * @returns {Promise<void>}
+ * @example
+ * DELETE /api/workspaces/:id/groups/:groupId/members/:userId
+ */
+const removeGroupMember = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requireWorkspaceRole(req.params.id, req.user.id, { manage: true });
+    const current = await workspaceGroupService.findGroup(req.params.id, req.params.groupId);
+    const group = await workspaceGroupService.removeMember(current, req.params.userId);
+
+    res.status(200).json({ message: 'Đã bỏ thành viên khỏi nhóm', group });
+  } catch (error) {
+    handleError(res, error, 'Lỗi khi bỏ thành viên khỏi nhóm');
+  }
+};
+
+module.exports = {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addGroupMembers,
+  removeGroupMember
+};
@@ -6,6 +6,15 @@ class BadRequestError extends Error {
     }
   }
   
+  class UnauthorizedError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'UnauthorizedError';
+      this.status = 401;
+      this.details = details;
+    }
+  }
+  
   class NotFoundError extends Error {
     constructor(message) {
       super(message);
@@ -22,4 +31,13 @@ class BadRequestError extends Error {
     }
   }
   
-  module.exports = { BadRequestError, NotFoundError, ForbiddenError };
\ No newline at end of file
+  class ConflictError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'ConflictError';
+      this.status = 409;
+      this.details = details;
+    }
+  }
+  
+  module.exports = { BadRequestError, UnauthorizedError, NotFoundError, ForbiddenError, ConflictError };
\ No newline at end of file
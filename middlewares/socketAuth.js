@@ -0,0 +1,33 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Middleware xác thực kết nối Socket.io bằng JWT (cùng cơ chế với middlewares/auth.js).
+ * Token được lấy từ `socket.handshake.auth.token` hoặc header Authorization 'Bearer <token>'.
+ * @param {Object} socket - Socket đang thực hiện handshake.
+ * @param {Function} next - Hàm chuyển tiếp của Socket.io.
+ */
+module.exports = (socket, next) => {
+  try {
+    // Ưu tiên token gửi qua tùy chọn `auth` của client, sau đó tới header Authorization
+    let token = socket.handshake.auth?.token;
+    const authHeader = socket.handshake.headers?.authorization;
+
+    if (!token && authHeader && authHeader.startsWith('Bearer ')) {
+      token = authHeader.split(' ')[1];
+    }
+
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    // Xác thực token bằng JWT_SECRET
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Gắn thông tin người dùng vào socket để các handler phía sau sử dụng
+    socket.user = decoded;
+
+    next();
+  } catch (error) {
+    return next(new Error('Authentication failed'));
+  }
+};
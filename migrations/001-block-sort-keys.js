@@ -0,0 +1,41 @@
+/*
+ * Chuyển thứ tự block từ `position` (số nguyên) sang khóa sắp xếp phân số `sortKey`.
+ * Thứ tự hiện tại là thứ tự trong page_contents.blocks; `position` và `children` không còn được lưu.
+ */
+const blockTree = require('../utils/blockTree');
+const { toBlockObjectIds } = require('../services/blockService');
+
+/**
+ * Cấp khóa sắp xếp cho block của mọi trang theo thứ tự hiện tại.
+ * @async
+ * @param {Object} context - { db, mongoDB }.
+ */
+const up = async ({ mongoDB }) => {
+  const cursor = mongoDB.collection('page_contents').find({}, { projection: { pageId: 1, blocks: 1 } });
+
+  for await (const pageContent of cursor) {
+    const blockIds = toBlockObjectIds(pageContent.blocks);
+    if (blockIds.length === 0) continue;
+
+    const blocks = await mongoDB.collection('blocks').find({ _id: { $in: blockIds } }).toArray();
+    const blockMap = new Map(blocks.map(block => [block._id.toString(), block]));
+    const listed = [...new Set(blockIds.map(id => id.toString()))]
+      .filter(id => blockMap.has(id))
+      .map(id => ({ ...blockMap.get(id), sortKey: null }));
+
+    const keyedBlocks = blockTree.assignSortKeys(blockTree.orderBlockTree(listed));
+    await mongoDB.collection('blocks').bulkWrite(keyedBlocks.map(block => ({
+      updateOne: {
+        filter: { _id: block._id },
+        update: {
+          $set: { parentId: block.parentId, sortKey: block.sortKey },
+          $unset: { position: '', children: '' }
+        }
+      }
+    })));
+  }
+
+  await mongoDB.collection('blocks').createIndex({ pageId: 1, parentId: 1 });
+};
+
+module.exports = { up };
@@ -0,0 +1,17 @@
+/*
+ * Chỉ mục để tìm nhanh các block đồng bộ tham chiếu tới một block nguồn.
+ */
+
+/**
+ * Tạo chỉ mục theo `properties.sourceBlockId` cho các block đồng bộ.
+ * @async
+ * @param {Object} context - { db, mongoDB }.
+ */
+const up = async ({ mongoDB }) => {
+  await mongoDB.collection('blocks').createIndex(
+    { 'properties.sourceBlockId': 1 },
+    { partialFilterExpression: { type: 'synced_block' } }
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,34 @@
+-- Cơ sở dữ liệu trong trang (database block): mỗi hàng là một trang, giá trị các cột lưu trong pages.properties
+
+CREATE TABLE IF NOT EXISTS page_databases (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  page_id CHAR(36) NOT NULL,
+  title VARCHAR(255) NOT NULL,
+  column_schema JSON NOT NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_page_databases_workspace (workspace_id),
+  INDEX idx_page_databases_page (page_id)
+);
+
+-- Các view đã lưu: bộ lọc, sắp xếp và nhóm được áp dụng phía server
+CREATE TABLE IF NOT EXISTS database_views (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  database_id CHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'table',
+  filters JSON NOT NULL,
+  sorts JSON NOT NULL,
+  group_by VARCHAR(36) NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_database_views_database (database_id)
+);
+
+ALTER TABLE pages
+  ADD COLUMN database_id CHAR(36) NULL,
+  ADD COLUMN properties JSON NULL,
+  ADD INDEX idx_pages_database (database_id);
@@ -0,0 +1,23 @@
+-- Chế độ xem công việc (bảng Kanban, lịch) trên các trang con của một trang
+
+-- Trạng thái, hạn chót và thứ tự trong cột Kanban của từng trang.
+-- task_sort_key là khóa sắp xếp phân số (utils/fractionalIndex) nên cần so sánh phân biệt hoa thường (ascii_bin)
+ALTER TABLE pages
+  ADD COLUMN status VARCHAR(100) NULL,
+  ADD COLUMN due_date DATE NULL,
+  ADD COLUMN task_sort_key VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NULL,
+  ADD INDEX idx_pages_parent_status (parent_page_id, status),
+  ADD INDEX idx_pages_parent_due_date (parent_page_id, due_date);
+
+-- Các view đã lưu của trang cha: board (lanes là danh sách trạng thái theo thứ tự cột) hoặc calendar
+CREATE TABLE IF NOT EXISTS page_task_views (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  page_id CHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'board',
+  lanes JSON NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_page_task_views_page (page_id)
+);
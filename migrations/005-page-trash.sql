@@ -0,0 +1,9 @@
+-- Thùng rác của workspace: xóa trang chỉ đánh dấu cả cây trang con, khôi phục hoặc xóa vĩnh viễn sau
+-- deleted_root_id là trang được người dùng xóa (gốc của mục trong thùng rác); các trang con bị xóa theo trỏ tới gốc đó
+
+ALTER TABLE pages
+  ADD COLUMN deleted_at DATETIME NULL,
+  ADD COLUMN deleted_by CHAR(36) NULL,
+  ADD COLUMN deleted_root_id CHAR(36) NULL,
+  ADD INDEX idx_pages_workspace_deleted (workspace_id, deleted_at),
+  ADD INDEX idx_pages_deleted_root (deleted_root_id);
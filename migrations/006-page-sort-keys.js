@@ -0,0 +1,41 @@
+/*
+ * Thứ tự các trang cùng cấp trong cây trang (sidebar): khóa sắp xếp phân số `pages.sort_key`.
+ * Trang hiện có được cấp khóa theo thứ tự tạo trong từng nhóm anh em.
+ */
+const { generateNKeysBetween } = require('../utils/fractionalIndex');
+
+/**
+ * Thêm cột sort_key và cấp khóa cho các trang hiện có.
+ * @async
+ * @param {Object} context - { db, mongoDB }.
+ */
+const up = async ({ db }) => {
+  // Khóa phân số cần so sánh phân biệt hoa thường (ascii_bin)
+  await db.query(
+    `ALTER TABLE pages
+       ADD COLUMN sort_key VARCHAR(255) CHARACTER SET ascii COLLATE ascii_bin NULL,
+       ADD INDEX idx_pages_workspace_parent_sort (workspace_id, parent_page_id, sort_key)`
+  );
+
+  const [pages] = await db.query(
+    `SELECT id, workspace_id, parent_page_id FROM pages
+     WHERE database_id IS NULL
+     ORDER BY workspace_id, parent_page_id, created_at, id`
+  );
+
+  const groups = new Map();
+  pages.forEach(page => {
+    const group = `${page.workspace_id}:${page.parent_page_id || ''}`;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(page.id);
+  });
+
+  for (const pageIds of groups.values()) {
+    const keys = generateNKeysBetween(null, null, pageIds.length);
+    for (let i = 0; i < pageIds.length; i++) {
+      await db.query('UPDATE pages SET sort_key = ? WHERE id = ?', [keys[i], pageIds[i]]);
+    }
+  }
+};
+
+module.exports = { up };
@@ -0,0 +1,39 @@
+-- Phân quyền theo trang: nhóm người dùng trong workspace và các mục quyền của trang
+
+-- Nhóm người dùng của workspace (dùng để cấp quyền trang cho nhiều người cùng lúc)
+CREATE TABLE IF NOT EXISTS workspace_groups (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_workspace_groups_name (workspace_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS workspace_group_members (
+  group_id CHAR(36) NOT NULL,
+  user_id CHAR(36) NOT NULL,
+  added_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, user_id),
+  INDEX idx_workspace_group_members_user (user_id)
+);
+
+-- Mục quyền của trang: người dùng hoặc nhóm với mức view / comment / edit / full
+CREATE TABLE IF NOT EXISTS page_permissions (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  page_id CHAR(36) NOT NULL,
+  principal_type VARCHAR(10) NOT NULL,
+  principal_id CHAR(36) NOT NULL,
+  access_level VARCHAR(10) NOT NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_page_permissions_principal (page_id, principal_type, principal_id),
+  INDEX idx_page_permissions_principal (principal_type, principal_id)
+);
+
+-- Trang ngừng kế thừa quyền từ trang cha: chỉ OWNER/ADMIN và các mục quyền của chính trang (cùng trang con
+-- tiếp tục kế thừa từ nó) có quyền truy cập
+ALTER TABLE pages
+  ADD COLUMN inherit_permissions TINYINT(1) NOT NULL DEFAULT 1;
@@ -0,0 +1,15 @@
+-- Liên kết chia sẻ công khai của trang: token thu hồi được, mức quyền view / comment, hạn dùng và mật khẩu tùy chọn
+
+CREATE TABLE IF NOT EXISTS page_share_links (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  page_id CHAR(36) NOT NULL,
+  token CHAR(64) NOT NULL,
+  access_level VARCHAR(10) NOT NULL DEFAULT 'view',
+  password_hash VARCHAR(255) NULL,
+  expires_at DATETIME NULL,
+  created_by CHAR(36) NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at DATETIME NULL,
+  UNIQUE KEY uq_page_share_links_token (token),
+  INDEX idx_page_share_links_page (page_id)
+);
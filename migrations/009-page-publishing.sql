@@ -0,0 +1,31 @@
+-- Xuất bản cây trang thành trang web tĩnh chỉ đọc tại /p/:workspaceSlug/:pageSlug
+-- published_pages giữ slug (không đổi khi đổi tiêu đề) và bản HTML đã render của từng trang; bản HTML được render lại
+-- khi version nội dung hoặc cây điều hướng thay đổi
+
+ALTER TABLE workspaces
+  ADD COLUMN slug VARCHAR(120) NULL,
+  ADD UNIQUE KEY uq_workspaces_slug (slug);
+
+CREATE TABLE IF NOT EXISTS page_publications (
+  id CHAR(36) NOT NULL PRIMARY KEY,
+  workspace_id CHAR(36) NOT NULL,
+  root_page_id CHAR(36) NOT NULL,
+  published_by CHAR(36) NOT NULL,
+  published_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_page_publications_root (root_page_id),
+  INDEX idx_page_publications_workspace (workspace_id)
+);
+
+CREATE TABLE IF NOT EXISTS published_pages (
+  page_id CHAR(36) NOT NULL PRIMARY KEY,
+  publication_id CHAR(36) NOT NULL,
+  workspace_id CHAR(36) NOT NULL,
+  slug VARCHAR(120) NOT NULL,
+  html MEDIUMTEXT NULL,
+  content_version INT NULL,
+  nav_hash CHAR(40) NULL,
+  rendered_at DATETIME NULL,
+  UNIQUE KEY uq_published_pages_slug (workspace_id, slug),
+  INDEX idx_published_pages_publication (publication_id)
+);
@@ -0,0 +1,5 @@
+-- Trang xuất bản có block đồng bộ hiển thị nội dung của block nguồn trên trang khác; sources_hash ghi lại version của
+-- các trang nguồn lúc render để HTML được render lại khi nội dung nguồn thay đổi
+
+ALTER TABLE published_pages
+  ADD COLUMN sources_hash CHAR(40) NULL;
@@ -0,0 +1,85 @@
+/*
+ * Chạy các migration chưa được áp dụng theo thứ tự tên tệp trong thư mục này.
+ *   - Tệp .sql: các câu lệnh SQL (kết thúc bằng dấu ';' cuối dòng) chạy trên MySQL.
+ *   - Tệp .js: export hàm `up({ db, mongoDB })`.
+ * Tên các migration đã chạy được lưu trong bảng schema_migrations.
+ * Sử dụng: npm run migrate
+ */
+const fs = require('fs');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const db = require('../config/database');
+const mongoConfig = require('../config/mongodb');
+
+const MIGRATION_PATTERN = /^\d+[-_].+\.(sql|js)$/;
+
+/**
+ * Tách tệp SQL thành các câu lệnh riêng (mysql2 không bật multipleStatements).
+ * @param {string} sql - Nội dung tệp SQL.
+ * @returns {Array<string>} - Danh sách câu lệnh.
+ */
+const splitStatements = (sql) => sql
+  .split(/;\s*$/m)
+  .map(statement => statement.replace(/^\s*--.*$/gm, '').trim())
+  .filter(statement => statement.length > 0);
+
+/**
+ * Chạy các migration chưa được áp dụng.
+ * @async
+ * @returns {Promise<Array<string>>} - Tên các migration vừa chạy.
+ */
+const runMigrations = async () => {
+  await db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       name VARCHAR(255) NOT NULL PRIMARY KEY,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     )`
+  );
+
+  const [appliedRows] = await db.query('SELECT name FROM schema_migrations');
+  const applied = new Set(appliedRows.map(row => row.name));
+
+  const pending = fs.readdirSync(__dirname)
+    .filter(file => MIGRATION_PATTERN.test(file) && !applied.has(file))
+    .sort();
+
+  if (pending.length === 0) return [];
+
+  const client = await MongoClient.connect(mongoConfig.url);
+  try {
+    const mongoDB = client.db(mongoConfig.dbName);
+
+    for (const file of pending) {
+      console.log(`Running migration ${file}...`);
+      const filePath = path.join(__dirname, file);
+
+      if (file.endsWith('.sql')) {
+        for (const statement of splitStatements(fs.readFileSync(filePath, 'utf8'))) {
+          await db.query(statement);
+        }
+      } else {
+        await require(filePath).up({ db, mongoDB });
+      }
+
+      await db.query('INSERT INTO schema_migrations (name) VALUES (?)', [file]);
+    }
+  } finally {
+    await client.close();
+  }
+
+  return pending;
+};
+
+if (require.main === module) {
+  runMigrations()
+    .then((migrations) => {
+      console.log(migrations.length > 0 ? `Applied ${migrations.length} migration(s).` : 'No pending migrations.');
+    })
+    .catch((error) => {
+      console.error('Migration failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
+}
+
+module.exports = { runMigrations };
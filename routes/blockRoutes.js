@@ -2,7 +2,14 @@ const express = require("express");
 const router = express.Router();
 const blockController = require("../controllers/blockController");
 const authenticated = require("../middlewares/auth");
-const { param, body } = require("express-validator");
+const { param, body, query } = require("express-validator");
+
+// List supported block types
+router.get(
+  "/block-types",
+  authenticated,
+  blockController.getBlockTypes
+);
 
 // Create a new block
 router.post(
@@ -12,6 +19,7 @@ router.post(
   body("type").isString().withMessage("Loại block không hợp lệ"),
   body("content").optional(),
   body("position").isInt().optional().withMessage("Vị trí phải là số nguyên"),
+  body("parentId").optional({ nullable: true }).isMongoId().withMessage("Block cha không hợp lệ"),
   blockController.createBlock
 );
 
@@ -39,6 +47,7 @@ router.delete(
   "/blocks/:id",
   authenticated,
   param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  query("detach").optional().isBoolean().withMessage("detach phải là true hoặc false"),
   blockController.deleteBlock
 );
 
@@ -47,7 +56,7 @@ router.put(
   "/blocks/:id/position",
   authenticated,
   param("id").isMongoId().withMessage("Block ID không hợp lệ"),
-  body("position").isInt().withMessage("Vị trí phải là số nguyên"),
+  body("position").isInt().withMessage("Vị trí phải là số nguyên").toInt(),
   blockController.updateBlockPosition
 );
 
@@ -59,4 +68,82 @@ router.post(
   blockController.duplicateBlock
 );
 
+// Move a block (with its descendants) under another parent or position, or to another page
+router.post(
+  "/blocks/:id/move",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  body("targetPageId").optional().isUUID().withMessage("Trang đích không hợp lệ"),
+  body("parentId").optional({ nullable: true }).isMongoId().withMessage("Block cha không hợp lệ"),
+  body("position").optional().isInt({ min: 0 }).withMessage("Vị trí phải là số nguyên không âm").toInt(),
+  blockController.moveBlock
+);
+
+// Indent a block under its previous sibling
+router.post(
+  "/blocks/:id/indent",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  blockController.indentBlock
+);
+
+// Outdent a block to its parent's level
+router.post(
+  "/blocks/:id/outdent",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  blockController.outdentBlock
+);
+
+// Convert a block to another block type
+router.post(
+  "/blocks/:id/convert",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  body("type").isString().notEmpty().withMessage("Loại block không hợp lệ"),
+  body("properties").optional().isObject().withMessage("Thuộc tính phải là một đối tượng"),
+  body("split").optional().isBoolean().withMessage("split phải là boolean").toBoolean(),
+  blockController.convertBlock
+);
+
+// Apply a batch of block operations to a page in one transaction
+router.post(
+  "/pages/:id/blocks/batch",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("operations").isArray({ min: 1 }).withMessage("Danh sách thao tác phải là mảng không rỗng"),
+  body("operations.*.action")
+    .isIn(["create", "update", "move", "delete"])
+    .withMessage("Hành động phải là create, update, move hoặc delete"),
+  body("operations.*.position").optional().isInt({ min: 0 }).withMessage("Vị trí phải là số nguyên không âm").toInt(),
+  blockController.applyBlockBatch
+);
+
+// Get text operations of a block since a revision
+router.get(
+  "/blocks/:id/operations",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  query("since").optional().isInt({ min: 0 }).withMessage("Revision phải là số nguyên không âm"),
+  blockController.getBlockOperations
+);
+
+// Apply a text operation to block content
+router.post(
+  "/blocks/:id/operations",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  body("revision").isInt({ min: 0 }).withMessage("Revision phải là số nguyên không âm").toInt(),
+  body("ops").isArray().withMessage("Thao tác phải là một mảng"),
+  blockController.applyBlockOperation
+);
+
+// List synced blocks that reference a block
+router.get(
+  "/blocks/:id/references",
+  authenticated,
+  param("id").isMongoId().withMessage("Block ID không hợp lệ"),
+  blockController.getBlockReferences
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,149 @@
+const express = require("express");
+const router = express.Router();
+const databaseController = require("../controllers/databaseController");
+const authenticated = require("../middlewares/auth");
+const { param, body, query } = require("express-validator");
+
+// List supported database column types
+router.get(
+  "/database-column-types",
+  authenticated,
+  databaseController.getColumnTypes
+);
+
+// Create a database inside a page
+router.post(
+  "/pages/:id/databases",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("title").isString().trim().notEmpty().withMessage("Tiêu đề cơ sở dữ liệu là bắt buộc"),
+  body("columns").optional().isArray().withMessage("columns phải là một mảng"),
+  body("parentId").optional({ nullable: true }).isMongoId().withMessage("Block cha không hợp lệ"),
+  body("position").optional().isInt({ min: 0 }).withMessage("Vị trí phải là số nguyên không âm").toInt(),
+  databaseController.createDatabase
+);
+
+// Get database schema and saved views
+router.get(
+  "/databases/:id",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  databaseController.getDatabase
+);
+
+// Update database title
+router.put(
+  "/databases/:id",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("title").optional().isString().trim().notEmpty().withMessage("Tiêu đề không được để trống"),
+  databaseController.updateDatabase
+);
+
+// Add a column
+router.post(
+  "/databases/:id/columns",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("name").isString().withMessage("Tên cột không hợp lệ"),
+  body("type").isString().withMessage("Loại cột không hợp lệ"),
+  body("options").optional().isArray().withMessage("options phải là một mảng"),
+  databaseController.addColumn
+);
+
+// Update a column
+router.put(
+  "/databases/:id/columns/:columnId",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("name").optional().isString().withMessage("Tên cột không hợp lệ"),
+  body("type").optional().isString().withMessage("Loại cột không hợp lệ"),
+  body("options").optional().isArray().withMessage("options phải là một mảng"),
+  databaseController.updateColumn
+);
+
+// Delete a column
+router.delete(
+  "/databases/:id/columns/:columnId",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  databaseController.deleteColumn
+);
+
+// Get rows, optionally through a saved view
+router.get(
+  "/databases/:id/rows",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  query("viewId").optional().isUUID().withMessage("View ID không hợp lệ"),
+  databaseController.getRows
+);
+
+// Filter, sort and group rows without saving a view
+router.post(
+  "/databases/:id/query",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("filters").optional().isArray().withMessage("filters phải là một mảng"),
+  body("sorts").optional().isArray().withMessage("sorts phải là một mảng"),
+  body("groupBy").optional({ nullable: true }).isString().withMessage("groupBy phải là ID cột"),
+  databaseController.queryRows
+);
+
+// Add a row
+router.post(
+  "/databases/:id/rows",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("title").optional().isString().withMessage("Tiêu đề không hợp lệ"),
+  body("values").optional().isObject().withMessage("values phải là một đối tượng"),
+  databaseController.createRow
+);
+
+// Edit row cells
+router.put(
+  "/databases/:id/rows/:rowId",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  param("rowId").isUUID().withMessage("ID hàng không hợp lệ"),
+  body("values").isObject().withMessage("values phải là một đối tượng"),
+  databaseController.updateRow
+);
+
+// Create a saved view
+router.post(
+  "/databases/:id/views",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  body("name").isString().trim().notEmpty().withMessage("Tên view là bắt buộc"),
+  body("type").optional().isIn(["table", "board", "list"]).withMessage("Loại view phải là table, board hoặc list"),
+  body("filters").optional().isArray().withMessage("filters phải là một mảng"),
+  body("sorts").optional().isArray().withMessage("sorts phải là một mảng"),
+  body("group_by").optional({ nullable: true }).isString().withMessage("group_by phải là ID cột"),
+  databaseController.createView
+);
+
+// Update a saved view
+router.put(
+  "/databases/:id/views/:viewId",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  body("name").optional().isString().trim().notEmpty().withMessage("Tên view không được để trống"),
+  body("type").optional().isIn(["table", "board", "list"]).withMessage("Loại view phải là table, board hoặc list"),
+  body("filters").optional().isArray().withMessage("filters phải là một mảng"),
+  body("sorts").optional().isArray().withMessage("sorts phải là một mảng"),
+  body("group_by").optional({ nullable: true }).isString().withMessage("group_by phải là ID cột"),
+  databaseController.updateView
+);
+
+// Delete a saved view
+router.delete(
+  "/databases/:id/views/:viewId",
+  authenticated,
+  param("id").isUUID().withMessage("Database ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  databaseController.deleteView
+);
+
+module.exports = router;
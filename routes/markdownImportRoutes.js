@@ -0,0 +1,32 @@
+const express = require("express");
+const router = express.Router();
+const multer = require("multer");
+const markdownImportController = require("../controllers/markdownImportController");
+const authenticated = require("../middlewares/auth");
+const { param, body } = require("express-validator");
+
+// Files are kept in memory: the Markdown is parsed and stored, nothing is written to disk
+const markdownUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const archiveUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 20 * 1024 * 1024 } });
+
+// Import a Markdown file (or a `markdown` string) into a page
+router.post(
+  "/pages/:id/import/markdown",
+  authenticated,
+  markdownUpload.single("file"),
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("markdown").optional().isString().withMessage("markdown phải là chuỗi"),
+  body("mode").optional().isIn(["append", "replace"]).withMessage("mode phải là append hoặc replace"),
+  markdownImportController.importMarkdown
+);
+
+// Import a zip of Markdown files as a tree of sub-pages
+router.post(
+  "/pages/:id/import/markdown/zip",
+  authenticated,
+  archiveUpload.single("file"),
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  markdownImportController.importMarkdownArchive
+);
+
+module.exports = router;
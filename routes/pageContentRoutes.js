@@ -18,6 +18,8 @@ router.put(
   authenticated,
   param("id").isUUID().withMessage("Page ID không hợp lệ"),
   body("blocks").isArray().withMessage("Blocks phải là một mảng"),
+  body("baseVersion").optional().isInt({ min: 0 }).withMessage("baseVersion phải là số nguyên không âm"),
+  body("merge").optional().isBoolean().withMessage("merge phải là giá trị boolean"),
   pageContentController.updatePageContent
 );
 
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const pageExportController = require("../controllers/pageExportController");
+const authenticated = require("../middlewares/auth");
+const { param, query } = require("express-validator");
+
+// Export a page (optionally with all descendant pages as a zip) to Markdown, HTML or PDF
+router.get(
+  "/pages/:id/export",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  query("format").isIn(["md", "html", "pdf"]).withMessage("format phải là md, html hoặc pdf"),
+  query("include_children").optional().isBoolean().withMessage("include_children phải là true hoặc false"),
+  query("attachments").optional().isIn(["link", "embed"]).withMessage("attachments phải là link hoặc embed"),
+  pageExportController.exportPage
+);
+
+module.exports = router;
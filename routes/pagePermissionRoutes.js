@@ -0,0 +1,57 @@
+const express = require("express");
+const router = express.Router();
+const pagePermissionController = require("../controllers/pagePermissionController");
+const authenticated = require("../middlewares/auth");
+const { param, body } = require("express-validator");
+
+const ACCESS_LEVELS = ["view", "comment", "edit", "full"];
+
+// List a page's own and inherited permission entries
+router.get(
+  "/pages/:id/permissions",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  pagePermissionController.getPagePermissions
+);
+
+// Turn inheritance from the parent page on or off
+router.put(
+  "/pages/:id/permissions/inheritance",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("inherit").isBoolean().withMessage("inherit phải là boolean").toBoolean(),
+  body("copy_inherited").optional().isBoolean().withMessage("copy_inherited phải là boolean").toBoolean(),
+  pagePermissionController.updatePageInheritance
+);
+
+// Grant a user or group access to a page
+router.post(
+  "/pages/:id/permissions",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("principal_type").isIn(["user", "group"]).withMessage("principal_type phải là user hoặc group"),
+  body("principal_id").isUUID().withMessage("principal_id không hợp lệ"),
+  body("access_level").isIn(ACCESS_LEVELS).withMessage(`access_level phải là một trong: ${ACCESS_LEVELS.join(", ")}`),
+  pagePermissionController.grantPagePermission
+);
+
+// Change the access level of a permission entry
+router.put(
+  "/pages/:id/permissions/:permissionId",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("permissionId").isUUID().withMessage("Permission ID không hợp lệ"),
+  body("access_level").isIn(ACCESS_LEVELS).withMessage(`access_level phải là một trong: ${ACCESS_LEVELS.join(", ")}`),
+  pagePermissionController.updatePagePermission
+);
+
+// Revoke a permission entry
+router.delete(
+  "/pages/:id/permissions/:permissionId",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("permissionId").isUUID().withMessage("Permission ID không hợp lệ"),
+  pagePermissionController.revokePagePermission
+);
+
+module.exports = router;
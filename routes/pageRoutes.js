@@ -3,7 +3,7 @@ const router = express.Router();
 const pageController = require('../controllers/pageController');
 const authenticated = require('../middlewares/auth');
 // const validator = require('../middlewares/validator');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 
 console.log('getWorkspacePages exists:', !!pageController.getWorkspacePages);
 console.log('createPage exists:', !!pageController.createPage);
@@ -48,11 +48,56 @@ router.delete('/pages/:id',authenticated,
   pageController.deletePage
 );
 
+// Lấy thùng rác của workspace
+router.get('/workspaces/:id/trash',authenticated,
+  param('id').isUUID().withMessage('Workspace ID không hợp lệ'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit phải từ 1 đến 100').toInt(),
+  query('offset').optional().isInt({ min: 0 }).withMessage('offset phải là số nguyên không âm').toInt(),
+
+  pageController.getWorkspaceTrash
+);
+
+// Khôi phục trang từ thùng rác
+router.post('/pages/:id/restore',authenticated,
+  param('id').isUUID().withMessage('Page ID không hợp lệ'),
+
+  pageController.restorePage
+);
+
+// Xóa vĩnh viễn trang trong thùng rác
+router.delete('/pages/:id/permanent',authenticated,
+  param('id').isUUID().withMessage('Page ID không hợp lệ'),
+
+  pageController.deletePagePermanently
+);
+
 // Nhân bản trang
 router.post('/pages/:id/duplicate',authenticated,
   param('id').isUUID().withMessage('Page ID không hợp lệ'),
-  
+  body('workspace_id').optional().isUUID().withMessage('Workspace ID không hợp lệ'),
+  body('parent_page_id').optional({ nullable: true }).isUUID().withMessage('Parent page ID không hợp lệ'),
+  body('include_comments').optional().isBoolean().withMessage('include_comments phải là boolean').toBoolean(),
+  body('include_attachments').optional().isBoolean().withMessage('include_attachments phải là boolean').toBoolean(),
+
   pageController.duplicatePage
 );
 
+// Chuyển trang sang workspace khác
+router.post('/pages/:id/move',authenticated,
+  param('id').isUUID().withMessage('Page ID không hợp lệ'),
+  body('workspace_id').isUUID().withMessage('Workspace ID không hợp lệ'),
+  body('parent_page_id').optional({ nullable: true }).isUUID().withMessage('Parent page ID không hợp lệ'),
+
+  pageController.movePage
+);
+
+// Sắp xếp lại trang trong cây trang (kéo thả trên sidebar)
+router.post('/pages/:id/reorder',authenticated,
+  param('id').isUUID().withMessage('Page ID không hợp lệ'),
+  body('parent_page_id').optional({ nullable: true }).isUUID().withMessage('ID trang cha không hợp lệ'),
+  body('position').optional({ nullable: true }).isInt({ min: 0 }).withMessage('position phải là số nguyên không âm').toInt(),
+
+  pageController.reorderPage
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const publishingController = require("../controllers/publishingController");
+const { param } = require("express-validator");
+
+const slug = (name) => param(name).matches(/^[a-z0-9-]{1,120}$/);
+
+// Published page HTML (no sign-in)
+router.get(
+  "/:workspaceSlug/:pageSlug",
+  slug("workspaceSlug"),
+  slug("pageSlug"),
+  publishingController.servePublishedPage
+);
+
+// Attachments used on a published page (no sign-in)
+router.get(
+  "/:workspaceSlug/:pageSlug/files/:attachmentId",
+  slug("workspaceSlug"),
+  slug("pageSlug"),
+  param("attachmentId").isMongoId(),
+  publishingController.getPublishedFile
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const publishingController = require("../controllers/publishingController");
+const authenticated = require("../middlewares/auth");
+const { param } = require("express-validator");
+
+// Publish a page and its descendants as a public read-only site (re-renders every page when called again)
+router.post(
+  "/pages/:id/publish",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  publishingController.publishPage
+);
+
+// Get the publication that contains a page
+router.get(
+  "/pages/:id/publish",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  publishingController.getPagePublication
+);
+
+// Unpublish a publication root
+router.delete(
+  "/pages/:id/publish",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  publishingController.unpublishPage
+);
+
+// List a workspace's publications
+router.get(
+  "/workspaces/:id/publications",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  publishingController.getWorkspacePublications
+);
+
+module.exports = router;
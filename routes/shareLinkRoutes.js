@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const shareLinkController = require("../controllers/shareLinkController");
+const authenticated = require("../middlewares/auth");
+const { param, body, query } = require("express-validator");
+
+// List a page's share links
+router.get(
+  "/pages/:id/share-links",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  shareLinkController.getPageShareLinks
+);
+
+// Create a share link with view/comment access, optional expiry and password
+router.post(
+  "/pages/:id/share-links",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("access_level").optional().isIn(["view", "comment"]).withMessage("access_level phải là view hoặc comment"),
+  body("expires_at").optional({ nullable: true }).isISO8601().withMessage("expires_at phải là thời điểm ISO 8601"),
+  body("password").optional({ nullable: true }).isString().isLength({ min: 4, max: 128 })
+    .withMessage("Mật khẩu phải dài từ 4 đến 128 ký tự"),
+  shareLinkController.createPageShareLink
+);
+
+// Revoke a share link
+router.delete(
+  "/pages/:id/share-links/:linkId",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("linkId").isUUID().withMessage("Link ID không hợp lệ"),
+  shareLinkController.revokePageShareLink
+);
+
+// List every share link in a workspace (owners and admins)
+router.get(
+  "/workspaces/:id/share-links",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  shareLinkController.getWorkspaceShareLinks
+);
+
+// Open a shared page without signing in (read-only)
+router.get(
+  "/shared/:token",
+  param("token").isHexadecimal().isLength({ min: 64, max: 64 }).withMessage("Token không hợp lệ"),
+  query("page_id").optional().isUUID().withMessage("Page ID không hợp lệ"),
+  shareLinkController.getSharedPage
+);
+
+// Comment through a comment-level share link
+router.post(
+  "/shared/:token/comments",
+  authenticated,
+  param("token").isHexadecimal().isLength({ min: 64, max: 64 }).withMessage("Token không hợp lệ"),
+  body("page_id").optional().isUUID().withMessage("Page ID không hợp lệ"),
+  body("content").notEmpty().withMessage("Nội dung bình luận không được để trống"),
+  shareLinkController.addSharedComment
+);
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require("express");
+const router = express.Router();
+const taskViewController = require("../controllers/taskViewController");
+const authenticated = require("../middlewares/auth");
+const { param, body, query } = require("express-validator");
+
+// Set a page's task status and due date
+router.put(
+  "/pages/:id/task",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("status").optional({ nullable: true }).isString().withMessage("Trạng thái phải là chuỗi"),
+  body("due_date").optional({ nullable: true }).isISO8601({ strict: true }).withMessage("Hạn chót phải là ngày dạng YYYY-MM-DD"),
+  taskViewController.updateTaskFields
+);
+
+// List saved board/calendar views of a page
+router.get(
+  "/pages/:id/task-views",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  taskViewController.getTaskViews
+);
+
+// Create a board/calendar view
+router.post(
+  "/pages/:id/task-views",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  body("name").isString().trim().notEmpty().withMessage("Tên view là bắt buộc"),
+  body("type").optional().isIn(["board", "calendar"]).withMessage("Loại view phải là board hoặc calendar"),
+  body("lanes").optional().isArray().withMessage("lanes phải là một mảng"),
+  taskViewController.createTaskView
+);
+
+// Update a board/calendar view
+router.put(
+  "/pages/:id/task-views/:viewId",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  body("name").optional().isString().trim().notEmpty().withMessage("Tên view không được để trống"),
+  body("type").optional().isIn(["board", "calendar"]).withMessage("Loại view phải là board hoặc calendar"),
+  body("lanes").optional().isArray().withMessage("lanes phải là một mảng"),
+  taskViewController.updateTaskView
+);
+
+// Delete a board/calendar view
+router.delete(
+  "/pages/:id/task-views/:viewId",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  taskViewController.deleteTaskView
+);
+
+// Query a view: child pages grouped into lanes (board) or days (calendar), paginated per group
+router.get(
+  "/pages/:id/task-views/:viewId/query",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  query("lane").optional().isString().withMessage("lane không hợp lệ"),
+  query("from").optional().isISO8601({ strict: true }).withMessage("from phải là ngày dạng YYYY-MM-DD"),
+  query("to").optional().isISO8601({ strict: true }).withMessage("to phải là ngày dạng YYYY-MM-DD"),
+  query("date").optional().isISO8601({ strict: true }).withMessage("date phải là ngày dạng YYYY-MM-DD"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).withMessage("limit phải từ 1 đến 100").toInt(),
+  query("offset").optional().isInt({ min: 0 }).withMessage("offset phải là số nguyên không âm").toInt(),
+  taskViewController.queryTaskView
+);
+
+// Drag a child page into a board lane
+router.post(
+  "/pages/:id/task-views/:viewId/move",
+  authenticated,
+  param("id").isUUID().withMessage("Page ID không hợp lệ"),
+  param("viewId").isUUID().withMessage("View ID không hợp lệ"),
+  body("pageId").isUUID().withMessage("ID trang con không hợp lệ"),
+  body("status").custom(value => value === null || typeof value === "string").withMessage("Trạng thái của cột đích là bắt buộc (null cho cột chưa có trạng thái)"),
+  body("position").optional().isInt({ min: 0 }).withMessage("Vị trí phải là số nguyên không âm").toInt(),
+  taskViewController.moveTask
+);
+
+module.exports = router;
@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const userProfileController = require('../controllers/userProfileController');
 const authenticated = require('../middlewares/auth');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 const multer = require('multer');
 
 const upload = multer({
@@ -31,6 +31,13 @@ router.put('/avatar',
   userProfileController.updateUserAvatar
 );
 
+// Lấy ảnh đại diện của người dùng (bản thân hoặc thành viên cùng workspace)
+router.get('/:id/avatar',
+  authenticated,
+  param('id').isUUID().withMessage('User ID không hợp lệ'),
+  userProfileController.getUserAvatar
+);
+
 // Lấy cài đặt người dùng
 router.get('/users/settings',
   authenticated,
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const workspaceGroupController = require("../controllers/workspaceGroupController");
+const authenticated = require("../middlewares/auth");
+const { param, body } = require("express-validator");
+
+// List groups of a workspace
+router.get(
+  "/workspaces/:id/groups",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  workspaceGroupController.getGroups
+);
+
+// Create a group
+router.post(
+  "/workspaces/:id/groups",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  body("name").isString().trim().notEmpty().withMessage("Tên nhóm là bắt buộc"),
+  workspaceGroupController.createGroup
+);
+
+// Get a group with its members
+router.get(
+  "/workspaces/:id/groups/:groupId",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  param("groupId").isUUID().withMessage("Group ID không hợp lệ"),
+  workspaceGroupController.getGroup
+);
+
+// Rename a group
+router.put(
+  "/workspaces/:id/groups/:groupId",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  param("groupId").isUUID().withMessage("Group ID không hợp lệ"),
+  body("name").isString().trim().notEmpty().withMessage("Tên nhóm không được để trống"),
+  workspaceGroupController.updateGroup
+);
+
+// Delete a group and the page permissions granted to it
+router.delete(
+  "/workspaces/:id/groups/:groupId",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  param("groupId").isUUID().withMessage("Group ID không hợp lệ"),
+  workspaceGroupController.deleteGroup
+);
+
+// Add workspace members to a group
+router.post(
+  "/workspaces/:id/groups/:groupId/members",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  param("groupId").isUUID().withMessage("Group ID không hợp lệ"),
+  body("user_ids").isArray({ min: 1 }).withMessage("user_ids phải là mảng không rỗng"),
+  body("user_ids.*").isUUID().withMessage("User ID không hợp lệ"),
+  workspaceGroupController.addGroupMembers
+);
+
+// Remove a member from a group
+router.delete(
+  "/workspaces/:id/groups/:groupId/members/:userId",
+  authenticated,
+  param("id").isUUID().withMessage("Workspace ID không hợp lệ"),
+  param("groupId").isUUID().withMessage("Group ID không hợp lệ"),
+  param("userId").isUUID().withMessage("User ID không hợp lệ"),
+  workspaceGroupController.removeGroupMember
+);
+
+module.exports = router;
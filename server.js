@@ -9,6 +9,15 @@ const invitationRoutes = require('./routes/invitationRoutes');
 const pageRoutes = require('./routes/pageRoutes');
 const pageContentRoutes = require('./routes/pageContentRoutes');
 const blockRoutes = require('./routes/blockRoutes');
+const databaseRoutes = require('./routes/databaseRoutes');
+const taskViewRoutes = require('./routes/taskViewRoutes');
+const pagePermissionRoutes = require('./routes/pagePermissionRoutes');
+const workspaceGroupRoutes = require('./routes/workspaceGroupRoutes');
+const shareLinkRoutes = require('./routes/shareLinkRoutes');
+const publishingRoutes = require('./routes/publishingRoutes');
+const publishedSiteRoutes = require('./routes/publishedSiteRoutes');
+const markdownImportRoutes = require('./routes/markdownImportRoutes');
+const pageExportRoutes = require('./routes/pageExportRoutes');
 const commentRoutes = require('./routes/commentRoutes');
 const templateRoutes = require('./routes/templatesRoute');
 const attachmentRoutes = require('./routes/attachmentsRoute');
@@ -16,6 +25,12 @@ const searchRoutes = require('./routes/searchRoute');
 const favoritesRoutes = require('./routes/favoritesRoute');
 const subscriptionsRoute = require('./routes/subscriptionsRoute');
 const { setupChatbotHandler } = require('./chatbotHandler');
+const { setupCollaborationHandler, startPresenceSweeper } = require('./collaborationHandler');
+const socketAuth = require('./middlewares/socketAuth');
+const { getPubSub, createSocketAdapter } = require('./services/pubsub');
+const { startBlockRebalancer } = require('./services/blockRebalancer');
+const { startTrashPurger } = require('./services/trashPurger');
+const { startOrphanReconciler } = require('./services/orphanReconciler');
 
 const app = express();
 require('dotenv').config();
@@ -28,8 +43,14 @@ const io = new Server(server, {
   },
 });
 
+// Chia sẻ broadcast giữa các instance qua pub/sub (PUBSUB_DRIVER=redis khi chạy nhiều instance)
+io.adapter(createSocketAdapter(getPubSub()));
+
+// Cho phép các controller phát sự kiện realtime qua req.app.get('io')
+app.set('io', io);
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag'] })); // ETag dùng cho If-Match khi lưu nội dung trang
 app.use(express.json());
 
 // Routes
@@ -41,44 +62,30 @@ app.use('/api/invitations', invitationRoutes);
 app.use('/api', pageRoutes);
 app.use('/api', pageContentRoutes);
 app.use('/api', blockRoutes);
+app.use('/api', databaseRoutes);
+app.use('/api', taskViewRoutes);
+app.use('/api', pagePermissionRoutes);
+app.use('/api', workspaceGroupRoutes);
+app.use('/api', shareLinkRoutes);
+app.use('/api', publishingRoutes);
+app.use('/api', markdownImportRoutes);
+app.use('/api', pageExportRoutes);
 app.use('/api', commentRoutes);
 app.use('/api/attachments', attachmentRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/favorites', favoritesRoutes);
 app.use('/api/subscriptions', subscriptionsRoute);
+app.use('/p', publishedSiteRoutes); // Trang web xuất bản công khai
+
+// Xác thực JWT cho mọi kết nối WebSocket
+io.use(socketAuth);
 
 // Xử lý WebSocket
 io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
-
-  // Khi client tham gia một trang cụ thể
-  socket.on('joinPage', (pageId) => {
-    socket.join(pageId);
-    console.log(`User ${socket.id} joined page ${pageId}`);
-  });
-
-  // Lắng nghe sự kiện cập nhật block từ client
-  socket.on('blockUpdate', (data) => {
-    console.log(`Received block update for page ${data.pageId}, block ${data.blockId}:`, data);
-    const payload = typeof data === 'string' ? { content: data } : data;
-    if (!payload.pageId || !payload.blockId) {
-      console.error('Invalid blockUpdate payload:', payload);
-      return;
-    }
-    socket.to(payload.pageId).emit('blockUpdate', payload);
-  });
+  console.log('A user connected:', socket.id, 'userId:', socket.user.id);
 
-  // Lắng nghe sự kiện thêm block mới
-  socket.on('addBlock', ({ pageId, block }) => {
-    console.log(`New block added to page ${pageId}:`, block);
-    io.to(pageId).emit('blockAdded', block); // Gửi đến tất cả client trong page
-  });
-
-  // Lắng nghe sự kiện xóa block
-  socket.on('deleteBlock', ({ pageId, blockId }) => {
-    console.log(`Block ${blockId} deleted from page ${pageId}`);
-    io.to(pageId).emit('blockDeleted', blockId); // Gửi đến tất cả client trong page
-  });
+  // Gọi hàm xử lý cộng tác trên trang (phòng, quyền, chỉnh sửa block)
+  setupCollaborationHandler(io, socket);
 
   // Gọi hàm xử lý chatbot
   setupChatbotHandler(io, socket);
@@ -88,6 +95,18 @@ io.on('connection', (socket) => {
   });
 });
 
+// Dọn dẹp hiện diện của các kết nối đã hết hạn heartbeat
+startPresenceSweeper(io);
+
+// Cấp lại khóa sắp xếp block ở nền khi khóa đã quá dài
+startBlockRebalancer(io);
+
+// Xóa vĩnh viễn các trang đã quá thời gian lưu giữ trong thùng rác
+startTrashPurger();
+
+// Báo cáo tài liệu MongoDB mồ côi (không còn trang/template trong MySQL)
+startOrphanReconciler();
+
 // MongoDB connection và các phần khác giữ nguyên
 const mongoose = require('mongoose');
 const config = require('./config/mongodb');
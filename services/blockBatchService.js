@@ -0,0 +1,410 @@
+const { ObjectId } = require('mongodb');
+const { BadRequestError, ConflictError } = require('../middlewares/error');
+const { getBlockId } = require('../utils/blockDiff');
+const blockTree = require('../utils/blockTree');
+const blockService = require('./blockService');
+const blockTypes = require('./blockTypes');
+const textOperations = require('./textOperations');
+const syncedBlockService = require('./syncedBlockService');
+
+// Số thao tác tối đa trong một lô
+const MAX_BATCH_OPERATIONS = 500;
+
+const BATCH_ACTIONS = ['create', 'update', 'move', 'delete'];
+
+/**
+ * Gắn số thứ tự thao tác vào lỗi dữ liệu không hợp lệ để client biết thao tác nào bị từ chối.
+ * @param {Error} error - Lỗi gốc.
+ * @param {number} index - Vị trí thao tác trong lô.
+ * @returns {Error} - Lỗi cần ném ra.
+ */
+const withOperationLabel = (error, index) => {
+  if (error.status !== 400) return error;
+  return new BadRequestError(`Thao tác #${index + 1}: ${error.message}`);
+};
+
+/**
+ * Áp dụng các thao tác của lô lên danh sách block trong bộ nhớ.
+ * Thao tác `update` gửi tới block đồng bộ (không đổi block nguồn) không sửa block đó mà được ghi vào block nguồn,
+ * như blockController.updateBlock: các thao tác này được trả về trong `sourceUpdates`.
+ * @param {Array} currentBlocks - Các block hiện tại của trang theo thứ tự tài liệu.
+ * @param {Array} operations - Danh sách thao tác.
+ * @param {Object} context - { pageId, userId, now }.
+ * @returns {Object} - { blocks, createdIds, removedIds, changes, results, sourceUpdates, syncedSources } với
+ *   `sourceUpdates` là [{ index, instance, data }] và `syncedSources` là [{ index, sourceBlockId }] của các block đồng bộ
+ *   được tạo hoặc đổi block nguồn trong lô (`index` là vị trí thao tác).
+ * @throws {BadRequestError} - Nếu một thao tác không hợp lệ.
+ */
+const planBatch = (currentBlocks, operations, { pageId, userId, now }) => {
+  let blocks = [...currentBlocks];
+  const tempIds = new Map();
+  const createdIds = new Set();
+  const removedIds = [];
+  // Trường type/content/properties thay đổi của các block đã có, theo ID
+  const changes = new Map();
+  const results = [];
+  const sourceUpdates = [];
+  const syncedSources = [];
+
+  // ID trong thao tác có thể là ID thật hoặc tempId của block tạo ở thao tác trước
+  const resolveId = (ref) => {
+    if (ref === undefined || ref === null) return ref;
+    if (tempIds.has(ref)) return tempIds.get(ref);
+    return blockService.toObjectId(ref);
+  };
+
+  operations.forEach((operation, index) => {
+    try {
+      switch (operation.action) {
+        case 'create': {
+          const fields = blockTypes.validateBlock(
+            { type: operation.type, content: operation.content, properties: operation.properties }
+          );
+          const parentId = resolveId(operation.parentId) || null;
+          if (parentId) {
+            blockService.requireParentBlock(blocks, parentId);
+          }
+
+          const newBlock = {
+            _id: new ObjectId(),
+            pageId,
+            parentId,
+            type: fields.type,
+            content: fields.content,
+            properties: fields.properties,
+            revision: 0,
+            createdBy: userId,
+            createdAt: now,
+            updatedAt: now
+          };
+          if (operation.tempId !== undefined) {
+            if (tempIds.has(operation.tempId)) {
+              throw new BadRequestError(`tempId '${operation.tempId}' bị trùng`);
+            }
+            tempIds.set(operation.tempId, newBlock._id);
+          }
+
+          if (syncedBlockService.isSyncedBlock(newBlock)) {
+            syncedSources.push({ index, sourceBlockId: syncedBlockService.getSourceBlockId(newBlock) });
+          }
+
+          blocks = blockTree.insertBlocks(blocks, [newBlock], operation.position);
+          createdIds.add(getBlockId(newBlock));
+          results.push({ action: 'create', tempId: operation.tempId ?? null, blockId: newBlock._id });
+          break;
+        }
+
+        case 'update': {
+          const blockId = resolveId(operation.blockId);
+          const current = blockService.requirePageBlock(blocks, blockId, 'Block không thuộc nội dung trang');
+
+          // Chỉnh sửa nội dung qua block đồng bộ được ghi vào block nguồn
+          if (syncedBlockService.isSyncedBlock(current) && operation.properties?.sourceBlockId === undefined) {
+            const data = {};
+            ['type', 'content', 'properties'].forEach((field) => {
+              if (operation[field] !== undefined) data[field] = operation[field];
+            });
+            sourceUpdates.push({ index, instance: current, data });
+            results.push({
+              action: 'update',
+              blockId: current._id,
+              sourceBlockId: syncedBlockService.getSourceBlockId(current)
+            });
+            break;
+          }
+
+          const fields = blockTypes.validateBlock(
+            { type: operation.type, content: operation.content, properties: operation.properties },
+            { current }
+          );
+          const hasChildren = blocks.some(item => blockTree.getParentId(item) === getBlockId(current));
+          if (fields.type && hasChildren && !blockTypes.allowsChildren(fields)) {
+            throw new BadRequestError(`Block loại '${fields.type}' không thể chứa block con`);
+          }
+
+          const updated = { ...current, ...fields, updatedAt: now };
+          if (syncedBlockService.isSyncedBlock(updated) &&
+            syncedBlockService.getSourceBlockId(updated) !== syncedBlockService.getSourceBlockId(current)) {
+            syncedSources.push({ index, sourceBlockId: syncedBlockService.getSourceBlockId(updated) });
+          }
+          blocks = blocks.map(item => (item === current ? updated : item));
+          if (!createdIds.has(getBlockId(current))) {
+            changes.set(getBlockId(current), { ...changes.get(getBlockId(current)), ...fields });
+          }
+          results.push({ action: 'update', blockId: current._id });
+          break;
+        }
+
+        case 'move': {
+          const blockId = resolveId(operation.blockId);
+          blocks = blockService.moveWithinBlocks(blocks, blockId, {
+            parentId: resolveId(operation.parentId),
+            position: operation.position
+          });
+          results.push({ action: 'move', blockId });
+          break;
+        }
+
+        case 'delete': {
+          const blockId = resolveId(operation.blockId);
+          const current = blockService.requirePageBlock(blocks, blockId, 'Block không thuộc nội dung trang');
+          const subtreeIds = blockTree.getSubtreeIds(blocks, current._id);
+
+          blocks = blocks.filter(item => !subtreeIds.has(getBlockId(item)));
+          subtreeIds.forEach((id) => {
+            changes.delete(id);
+            // Block vừa tạo trong lô chỉ cần bỏ đi, không có gì để xóa trong database
+            if (!createdIds.delete(id)) removedIds.push(new ObjectId(id));
+          });
+          results.push({ action: 'delete', blockId: current._id, deletedIds: [...subtreeIds] });
+          break;
+        }
+
+        default:
+          throw new BadRequestError(`hành động '${operation.action}' không hợp lệ, chỉ hỗ trợ: ${BATCH_ACTIONS.join(', ')}`);
+      }
+    } catch (error) {
+      throw withOperationLabel(error, index);
+    }
+  });
+
+  return { blocks, createdIds, removedIds, changes, results, sourceUpdates, syncedSources };
+};
+
+/**
+ * Ghi kết quả của lô vào MongoDB trong transaction: block, page_contents (tăng version một lần)
+ * và một bản ghi page_history.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {ClientSession} session - Phiên MongoDB của transaction.
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID người thực hiện.
+ * @param {Array} operations - Danh sách thao tác.
+ * @returns {Promise<Object>} - { version, blockIds, results, sourceUpdates }.
+ */
+const runBatch = async (mongoDB, session, pageId, userId, operations) => {
+  const now = new Date();
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId }, { session });
+  const currentBlocks = await blockService.loadPageBlocks(mongoDB, pageContent, { session });
+
+  const { blocks, createdIds, removedIds, changes, results, sourceUpdates } = planBatch(currentBlocks, operations, {
+    pageId,
+    userId,
+    now
+  });
+
+  const orderedBlocks = blockTree.assignSortKeys(blockTree.orderBlockTree(blocks));
+  const blockIds = orderedBlocks.map(block => block._id);
+
+  // Một lần tăng version cho cả lô; trạng thái trước lô được lưu vào lịch sử
+  let version = null;
+  if (pageContent) {
+    const updated = await mongoDB.collection('page_contents').findOneAndUpdate(
+      { pageId, version: pageContent.version },
+      {
+        $set: { blocks: blockIds, lastEditedBy: userId, lastEditedAt: now },
+        $inc: { version: 1 }
+      },
+      { returnDocument: 'after', session }
+    );
+    if (!updated) {
+      throw new ConflictError('Nội dung trang đã thay đổi trong lúc áp dụng thao tác, vui lòng thử lại');
+    }
+    version = updated.version;
+
+    await mongoDB.collection('page_history').insertOne({
+      pageId,
+      version: pageContent.version,
+      content: pageContent.blocks,
+      editedBy: userId,
+      editedAt: now,
+      change: { action: 'batch', operations: operations.length }
+    }, { session });
+  } else if (orderedBlocks.length > 0) {
+    version = 1;
+    await mongoDB.collection('page_contents').insertOne({
+      pageId,
+      blocks: blockIds,
+      version,
+      lastEditedBy: userId,
+      lastEditedAt: now
+    }, { session });
+  }
+
+  const previousMap = new Map(currentBlocks.map(block => [getBlockId(block), block]));
+  const writes = [];
+  const blockOperations = [];
+
+  orderedBlocks.forEach((block) => {
+    const blockId = getBlockId(block);
+    if (createdIds.has(blockId)) {
+      writes.push({ insertOne: { document: blockService.toStoredBlock(block) } });
+      return;
+    }
+
+    const previous = previousMap.get(blockId);
+    const fields = changes.get(blockId);
+    if (!fields && !blockService.hasStructureChanged(previous, block)) return;
+
+    const update = {
+      $set: {
+        ...fields,
+        parentId: block.parentId,
+        sortKey: block.sortKey,
+        updatedAt: now
+      }
+    };
+
+    // Nội dung bị ghi đè được ghi nhận như một thao tác để các thao tác đồng thời được rebase đúng
+    if (fields && fields.content !== undefined) {
+      update.$inc = { revision: 1 };
+      const bothText = typeof previous.content === 'string' && typeof fields.content === 'string';
+      blockOperations.push({
+        blockId: block._id,
+        pageId,
+        revision: (previous.revision || 0) + 1,
+        ops: bothText ? textOperations.fromReplacement(previous.content, fields.content) : null,
+        clientId: null,
+        userId,
+        createdAt: now
+      });
+    }
+
+    writes.push({ updateOne: { filter: { _id: block._id }, update } });
+  });
+
+  if (writes.length > 0) {
+    await mongoDB.collection('blocks').bulkWrite(writes, { session });
+  }
+  if (blockOperations.length > 0) {
+    await mongoDB.collection('block_operations').insertMany(blockOperations, { session });
+  }
+  if (removedIds.length > 0) {
+    await mongoDB.collection('blocks').deleteMany({ _id: { $in: removedIds } }, { session });
+    await mongoDB.collection('block_operations').deleteMany({ blockId: { $in: removedIds } }, { session });
+  }
+
+  await blockService.queueRebalanceIfNeeded(pageId, orderedBlocks);
+
+  return { version, blockIds, results, sourceUpdates };
+};
+
+/**
+ * Kiểm tra block đồng bộ của lô trước khi ghi, như blockController với từng block: block nguồn của block đồng bộ
+ * được tạo phải xem được, block nguồn nhận chỉnh sửa qua block đồng bộ phải sửa được, và block bị xóa đang là nguồn
+ * của block đồng bộ khác bị từ chối hoặc các bản đồng bộ được tách ra khi `detach` được bật.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID người thực hiện.
+ * @param {Array} operations - Danh sách thao tác.
+ * @param {boolean} detach - Tách các block đồng bộ tham chiếu tới block bị xóa thay vì từ chối.
+ * @returns {Promise<Array>} - [{ blockId, pageId, version }] của các block đồng bộ đã tách.
+ * @throws {ConflictError} - Nếu block bị xóa đang được đồng bộ tới nơi khác (kèm `references`) mà `detach` không được bật.
+ * @throws {NotFoundError|ForbiddenError|BadRequestError} - Nếu block nguồn không hợp lệ hoặc không đủ quyền.
+ */
+const checkSyncedBlocks = async (mongoDB, pageId, userId, operations, detach) => {
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+  const currentBlocks = await blockService.loadPageBlocks(mongoDB, pageContent);
+  const { removedIds, sourceUpdates, syncedSources } = planBatch(currentBlocks, operations, {
+    pageId,
+    userId,
+    now: new Date()
+  });
+
+  for (const { index, sourceBlockId } of syncedSources) {
+    try {
+      await syncedBlockService.requireSourceBlock(mongoDB, sourceBlockId, userId);
+    } catch (error) {
+      throw withOperationLabel(error, index);
+    }
+  }
+  // Chỉnh sửa gửi tới block nguồn chỉ được ghi sau transaction, nên được kiểm tra trước để không hỏng giữa chừng
+  for (const { index, instance, data } of sourceUpdates) {
+    try {
+      const source = await syncedBlockService.requireSourceBlock(
+        mongoDB, syncedBlockService.getSourceBlockId(instance), userId, { edit: true }
+      );
+      if (data.type === syncedBlockService.SYNCED_BLOCK_TYPE) {
+        throw new BadRequestError('Không thể đổi block nguồn thành block đồng bộ');
+      }
+      blockTypes.validateBlock(data, { current: source });
+    } catch (error) {
+      throw withOperationLabel(error, index);
+    }
+  }
+
+  const references = await syncedBlockService.findReferencesOutside(mongoDB, removedIds);
+  if (references.length === 0) return [];
+  if (!detach) {
+    throw new ConflictError('Block đang được đồng bộ tới nơi khác, gửi detach=true để tách các bản đồng bộ trước khi xóa', {
+      references
+    });
+  }
+  return syncedBlockService.detachReferences(mongoDB, references, userId);
+};
+
+/**
+ * Áp dụng một lô thao tác create/update/move/delete lên block của trang theo thứ tự, trong một transaction MongoDB.
+ * Hoặc tất cả thao tác được ghi, hoặc không thao tác nào được ghi. Yêu cầu MongoDB chạy dạng replica set.
+ * Thao tác `create` có thể khai báo `tempId` để các thao tác sau tham chiếu tới block vừa tạo (blockId, parentId).
+ * Chỉnh sửa gửi tới block đồng bộ được ghi vào block nguồn sau khi transaction hoàn tất.
+ * @async
+ * @param {MongoClient} client - Kết nối MongoDB (dùng để mở session).
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID người thực hiện.
+ * @param {Array} operations - Danh sách thao tác theo thứ tự áp dụng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.detach=false] - Tách các block đồng bộ tham chiếu tới block bị xóa thay vì từ chối.
+ * @returns {Promise<Object>} - { version, blockIds, results, detached, sourceUpdates } với `blockIds` là ID các block
+ *   của trang theo thứ tự tài liệu sau lô, `results` là kết quả từng thao tác, `detached` là các block đồng bộ đã tách
+ *   và `sourceUpdates` là [{ block, references }] của các block nguồn đã sửa qua block đồng bộ.
+ * @throws {BadRequestError} - Nếu lô rỗng, quá lớn hoặc có thao tác không hợp lệ.
+ * @throws {ConflictError} - Nếu nội dung trang thay đổi đồng thời, hoặc block bị xóa đang được đồng bộ tới nơi khác.
+ * @example
+ * await applyBatch(client, mongoDB, pageId, userId, [
+ *   { action: 'create', tempId: 'a', type: 'to_do', content: 'Việc mới' },
+ *   { action: 'move', blockId: 'a', parentId: null, position: 0 },
+ *   { action: 'delete', blockId: '65f1c2...' }
+ * ]);
+ */
+const applyBatch = async (client, mongoDB, pageId, userId, operations, { detach = false } = {}) => {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new BadRequestError('Danh sách thao tác không được rỗng');
+  }
+  if (operations.length > MAX_BATCH_OPERATIONS) {
+    throw new BadRequestError(`Mỗi lô chỉ được tối đa ${MAX_BATCH_OPERATIONS} thao tác`);
+  }
+
+  // Các bản đồng bộ được tách trước khi lô xóa block nguồn, như blockController.deleteBlock
+  const detached = await checkSyncedBlocks(mongoDB, pageId, userId, operations, detach);
+
+  const session = client.startSession();
+  let result;
+  try {
+    // withTransaction tự chạy lại khi gặp lỗi tạm thời (ví dụ xung đột ghi)
+    await session.withTransaction(async () => {
+      result = await runBatch(mongoDB, session, pageId, userId, operations);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  let { version } = result;
+  const sourceUpdates = [];
+  for (const { instance, data } of result.sourceUpdates) {
+    const updated = await syncedBlockService.updateSource(mongoDB, instance, userId, data);
+    sourceUpdates.push({ block: updated.block, references: updated.references });
+    // Block nguồn nằm ngay trong trang này làm version tăng thêm
+    if (updated.block.pageId === pageId) version = updated.version;
+  }
+
+  return { version, blockIds: result.blockIds, results: result.results, detached, sourceUpdates };
+};
+
+module.exports = {
+  MAX_BATCH_OPERATIONS,
+  planBatch,
+  applyBatch
+};
@@ -0,0 +1,192 @@
+const { ObjectId } = require('mongodb');
+const { BadRequestError } = require('../middlewares/error');
+const { getBlockId } = require('../utils/blockDiff');
+const blockTree = require('../utils/blockTree');
+const blockService = require('./blockService');
+const blockTypes = require('./blockTypes');
+
+// Nội dung văn bản có dạng đường dẫn được chuyển vào thuộc tính `url` khi đổi sang block không có nội dung
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+
+/**
+ * Chuyển nội dung block sang dạng nội dung của loại mới.
+ * @param {Object} block - Block hiện tại.
+ * @param {Object} source - Định nghĩa loại hiện tại.
+ * @param {Object} target - Định nghĩa loại mới.
+ * @returns {*} - Nội dung theo dạng của loại mới.
+ */
+const convertContent = (block, source, target) => {
+  const content = block.content ?? '';
+  const properties = block.properties || {};
+
+  if (target.content === 'none') return '';
+
+  if (target.content === 'text') {
+    if (source.content === 'text') return content;
+    if (source.content === 'table') return content.map(row => row.join('\t')).join('\n');
+    // Block không có nội dung (ảnh, tệp, nhúng): lấy chú thích hoặc đường dẫn làm nội dung
+    return properties.caption || properties.name || properties.url || '';
+  }
+
+  // Đổi sang bảng: mỗi dòng là một hàng, các ô ngăn cách bởi tab
+  if (source.content === 'table') return content;
+  const lines = source.content === 'text' && content !== '' ? content.split(/\r?\n/) : [''];
+  const rows = lines.map(line => line.split('\t'));
+  const width = Math.max(...rows.map(row => row.length));
+  return rows.map(row => [...row, ...new Array(width - row.length).fill('')]);
+};
+
+/**
+ * Giữ lại các thuộc tính loại mới hỗ trợ và có giá trị hợp lệ.
+ * @param {Object} block - Block hiện tại.
+ * @param {Object} source - Định nghĩa loại hiện tại.
+ * @param {Object} target - Định nghĩa loại mới.
+ * @returns {Object} - Thuộc tính sau khi ánh xạ.
+ */
+const mapProperties = (block, source, target) => {
+  const properties = {};
+  Object.entries(block.properties || {}).forEach(([name, value]) => {
+    const schema = target.properties[name];
+    if (schema && value !== null && blockTypes.checkProperty(schema, value) === null) {
+      properties[name] = value;
+    }
+  });
+
+  // Nội dung văn bản là một đường dẫn: dùng làm URL của ảnh, tệp hoặc nội dung nhúng
+  const content = typeof block.content === 'string' ? block.content.trim() : '';
+  if (source.content === 'text' && target.content === 'none' && target.properties.url &&
+    properties.url === undefined && URL_PATTERN.test(content)) {
+    properties.url = content;
+  }
+
+  return properties;
+};
+
+/**
+ * Tính type/content/properties của block sau khi đổi loại.
+ * @param {Object} block - Block hiện tại.
+ * @param {string} type - Loại block mới.
+ * @param {Object} [overrides] - Thuộc tính client muốn đặt thêm cho loại mới.
+ * @returns {Object} - { type, content, properties } đã kiểm tra theo danh mục.
+ * @throws {BadRequestError} - Nếu loại mới không được hỗ trợ hoặc kết quả không hợp lệ.
+ */
+const convertFields = (block, type, overrides = {}) => {
+  const target = blockTypes.getBlockType(type);
+  if (!target) {
+    throw new BadRequestError(`Loại block '${type}' không được hỗ trợ`);
+  }
+  // Block cũ có loại chưa đăng ký được xem như đoạn văn
+  const source = blockTypes.getBlockType(block.type) || blockTypes.getBlockType('paragraph');
+
+  return blockTypes.validateBlock({
+    type,
+    content: convertContent(block, source, target),
+    properties: { ...mapProperties(block, source, target), ...overrides }
+  });
+};
+
+/**
+ * Đổi loại block, ánh xạ nội dung và thuộc tính sang loại mới.
+ * Với `split`, nội dung nhiều dòng được tách thành nhiều block cùng loại: block hiện tại giữ dòng đầu,
+ * mỗi dòng không rỗng còn lại thành một block mới đặt ngay sau nó.
+ * Nếu loại mới không chứa được block con, các block con trực tiếp được đưa ra ngang hàng, sau block đã đổi.
+ * Trạng thái trước khi đổi được ghi vào page_history.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần đổi loại (đã kiểm tra quyền).
+ * @param {string} userId - ID người thực hiện.
+ * @param {Object} options - Tùy chọn.
+ * @param {string} options.type - Loại block mới.
+ * @param {Object} [options.properties] - Thuộc tính đặt thêm cho loại mới.
+ * @param {boolean} [options.split=false] - Tách nội dung nhiều dòng thành nhiều block.
+ * @returns {Promise<Object>} - { block, newBlocks, liftedIds, version }.
+ * @throws {BadRequestError} - Nếu loại mới không được hỗ trợ hoặc không thể đổi.
+ */
+const convertBlock = async (mongoDB, block, userId, { type, properties, split = false }) => {
+  const fields = convertFields(block, type, properties);
+  const now = new Date();
+
+  // Tách nội dung nhiều dòng: block hiện tại giữ dòng đầu tiên
+  const newBlocks = [];
+  if (split && blockTypes.hasTextContent(fields.type)) {
+    const [firstLine, ...otherLines] = fields.content.split(/\r?\n/);
+    fields.content = firstLine;
+    otherLines
+      .filter(line => line.trim() !== '')
+      .forEach((line) => {
+        newBlocks.push({
+          _id: new ObjectId(),
+          pageId: block.pageId,
+          type: fields.type,
+          content: line,
+          properties: { ...fields.properties },
+          revision: 0,
+          createdBy: userId,
+          createdAt: now,
+          updatedAt: now
+        });
+      });
+  }
+
+  const liftChildren = !blockTypes.allowsChildren(fields);
+  let previousBlockIds = [];
+  let liftedIds = [];
+
+  const { version, blocks: pageBlocks } = await blockService.restructurePage(mongoDB, block.pageId, userId, (blocks) => {
+    const current = blockService.requirePageBlock(blocks, block._id, 'Block không thuộc nội dung trang');
+    previousBlockIds = blocks.map(item => item._id);
+    liftedIds = [];
+
+    // Loại mới không chứa được block con: đưa các block con trực tiếp lên cùng cấp
+    let result = blocks.map((item) => {
+      if (!liftChildren || blockTree.getParentId(item) !== getBlockId(current)) return item;
+      liftedIds.push(item._id);
+      return { ...item, parentId: current.parentId || null, sortKey: null };
+    });
+
+    const parentId = current.parentId || null;
+    const siblings = blockTree.getSiblings(result, parentId);
+    const index = siblings.findIndex(item => getBlockId(item) === getBlockId(current));
+
+    // Các block tách ra đứng ngay sau block hiện tại, trước các block con được đưa lên
+    newBlocks.forEach((newBlock, offset) => {
+      newBlock.parentId = parentId;
+      result = blockTree.insertBlocks(result, [newBlock], index + 1 + offset);
+    });
+
+    return { blocks: result, newBlocks };
+  });
+
+  const updatedBlock = await blockService.writeBlockChanges(mongoDB, block, userId, fields);
+
+  // Lưu trạng thái trước khi đổi loại để có thể xem lại/khôi phục
+  if (version !== null) {
+    await mongoDB.collection('page_history').insertOne({
+      pageId: block.pageId,
+      version: version - 1,
+      content: previousBlockIds,
+      editedBy: userId,
+      editedAt: now,
+      change: {
+        action: 'convert',
+        blockId: block._id,
+        fromType: block.type,
+        toType: fields.type,
+        before: { type: block.type, content: block.content, properties: block.properties || {} }
+      }
+    });
+  }
+
+  await blockService.touchPage(block.pageId);
+
+  // Trả về block tách ra với parentId/position đã tính lại
+  const newIds = new Set(newBlocks.map(getBlockId));
+  const createdBlocks = pageBlocks.filter(item => newIds.has(getBlockId(item)));
+
+  return { block: updatedBlock, newBlocks: createdBlocks, liftedIds, version };
+};
+
+module.exports = {
+  convertFields,
+  convertBlock
+};
@@ -0,0 +1,115 @@
+const { BadRequestError } = require('../middlewares/error');
+const { getBlockId } = require('../utils/blockDiff');
+const blockTree = require('../utils/blockTree');
+const blockService = require('./blockService');
+
+/**
+ * Chuyển block cùng toàn bộ block con cháu sang trang khác trong một transaction MongoDB.
+ * Cập nhật page_contents và lịch sử của cả hai trang; bình luận, tệp đính kèm và lịch sử thao tác
+ * của các block được chuyển theo sang trang đích. Yêu cầu MongoDB chạy dạng replica set.
+ * @async
+ * @param {MongoClient} client - Kết nối MongoDB (dùng để mở session).
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần chuyển (đã kiểm tra quyền trên cả hai trang).
+ * @param {string} userId - ID người thực hiện.
+ * @param {Object} target - Vị trí đích.
+ * @param {string} target.pageId - ID trang đích.
+ * @param {string|null} [target.parentId] - ID block cha trong trang đích; mặc định là cấp cao nhất.
+ * @param {number} [target.position] - Vị trí trong các block anh em ở trang đích; mặc định là cuối.
+ * @returns {Promise<Object>} - { block, movedIds, source: { pageId, version }, target: { pageId, version } }.
+ * @throws {BadRequestError} - Nếu block cha hoặc vị trí đích không hợp lệ.
+ * @throws {ConflictError} - Nếu một trong hai trang đang bị thay đổi đồng thời.
+ */
+const moveBlockToPage = async (client, mongoDB, block, userId, { pageId: targetPageId, parentId = null, position }) => {
+  const sourcePageId = block.pageId;
+  const targetParentId = parentId ? blockService.toObjectId(parentId) : null;
+
+  const session = client.startSession();
+  try {
+    let result;
+
+    await session.withTransaction(async () => {
+      const now = new Date();
+      let group = [];
+
+      // Gỡ cây con khỏi trang nguồn (không xóa tài liệu block)
+      const source = await blockService.restructurePage(mongoDB, sourcePageId, userId, (blocks) => {
+        const current = blockService.requirePageBlock(blocks, block._id, 'Block không thuộc nội dung trang');
+        const subtreeIds = blockTree.getSubtreeIds(blocks, current._id);
+
+        // Block gốc đứng đầu nhóm, nhận block cha và khóa sắp xếp mới ở trang đích
+        group = blocks
+          .filter(item => subtreeIds.has(getBlockId(item)))
+          .map(item => (getBlockId(item) === getBlockId(current)
+            ? { ...item, parentId: targetParentId, sortKey: null }
+            : item));
+
+        return { blocks: blocks.filter(item => !subtreeIds.has(getBlockId(item))) };
+      }, { session });
+
+      // Chèn cây con vào trang đích
+      const target = await blockService.restructurePage(mongoDB, targetPageId, userId, (blocks) => {
+        if (targetParentId) {
+          blockService.requireParentBlock(blocks, targetParentId);
+        }
+        const siblingCount = blockTree.getSiblings(blocks, targetParentId).length;
+        if (position !== undefined && (!Number.isInteger(position) || position < 0 || position > siblingCount)) {
+          throw new BadRequestError('Vị trí không hợp lệ');
+        }
+        return { blocks: blockTree.insertBlocks(blocks, group, position) };
+      }, { session });
+
+      const movedIds = group.map(item => item._id);
+
+      // Bình luận, tệp đính kèm và lịch sử thao tác đi theo block
+      await mongoDB.collection('comments').updateMany(
+        { blockId: { $in: movedIds } },
+        { $set: { pageId: targetPageId } },
+        { session }
+      );
+      await mongoDB.collection('attachments').updateMany(
+        { blockId: { $in: movedIds } },
+        { $set: { pageId: targetPageId } },
+        { session }
+      );
+      await mongoDB.collection('block_operations').updateMany(
+        { blockId: { $in: movedIds } },
+        { $set: { pageId: targetPageId } },
+        { session }
+      );
+
+      // Lưu trạng thái trước khi chuyển của cả hai trang
+      const historyEntries = [
+        { page: source, pageId: sourcePageId, change: { action: 'moveBlockOut', blockId: block._id, toPageId: targetPageId } },
+        { page: target, pageId: targetPageId, change: { action: 'moveBlockIn', blockId: block._id, fromPageId: sourcePageId } }
+      ].filter(({ page }) => page.version !== null && page.version > 1);
+
+      for (const { page, pageId, change } of historyEntries) {
+        await mongoDB.collection('page_history').insertOne({
+          pageId,
+          version: page.version - 1,
+          content: page.previousBlockIds,
+          editedBy: userId,
+          editedAt: now,
+          change
+        }, { session });
+      }
+
+      result = {
+        block: blockService.requirePageBlock(target.blocks, block._id, 'Block không thuộc nội dung trang'),
+        movedIds,
+        source: { pageId: sourcePageId, version: source.version },
+        target: { pageId: targetPageId, version: target.version }
+      };
+    });
+
+    await blockService.touchPage(sourcePageId);
+    await blockService.touchPage(targetPageId);
+
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = { moveBlockToPage };
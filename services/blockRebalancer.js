@@ -0,0 +1,45 @@
+const { getMongoDB } = require('../config/mongoClient');
+const blockService = require('./blockService');
+const { getPubSub } = require('./pubsub');
+
+/**
+ * Định kỳ cấp lại khóa sắp xếp cho các trang trong hàng đợi (khóa đã quá dài sau nhiều lần chèn liên tiếp).
+ * Mỗi trang chỉ được một instance xử lý: instance xóa được trang khỏi hàng đợi mới cấp lại khóa.
+ * @param {Object} io - Đối tượng Socket.io để báo cho các client đang mở trang.
+ * @returns {Timeout} - Bộ đếm thời gian của tác vụ nền.
+ */
+const startBlockRebalancer = (io) => {
+  const intervalMs = parseInt(process.env.BLOCK_REBALANCE_INTERVAL_MS) || 60000;
+
+  const timer = setInterval(async () => {
+    try {
+      const pubsub = getPubSub();
+      const pageIds = await pubsub.setMembers(blockService.REBALANCE_QUEUE_KEY);
+      if (pageIds.length === 0) return;
+
+      const mongoDB = await getMongoDB();
+      for (const pageId of pageIds) {
+        if (!(await pubsub.setRemove(blockService.REBALANCE_QUEUE_KEY, pageId))) continue;
+
+        try {
+          const version = await blockService.rebalancePage(mongoDB, pageId);
+          if (version !== null) {
+            io.to(pageId).emit('blocksRebalanced', { pageId, version });
+          }
+        } catch (error) {
+          // Trang đang được chỉnh sửa liên tục: để lại cho lần chạy sau
+          await pubsub.setAdd(blockService.REBALANCE_QUEUE_KEY, pageId);
+          console.error(`Error rebalancing blocks of page ${pageId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Error running block rebalancer:', error);
+    }
+  }, intervalMs);
+
+  // Không giữ tiến trình sống chỉ vì bộ đếm này
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startBlockRebalancer };
@@ -0,0 +1,850 @@
+const { ObjectId } = require('mongodb');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError, ConflictError } = require('../middlewares/error');
+const { getBlockId } = require('../utils/blockDiff');
+const blockTree = require('../utils/blockTree');
+const { generateNKeysBetween } = require('../utils/fractionalIndex');
+const blockTypes = require('./blockTypes');
+const textOperations = require('./textOperations');
+const { getPubSub } = require('./pubsub');
+
+// Các trường không cho phép ghi đè khi cập nhật block
+const PROTECTED_FIELDS = ['_id', 'pageId', 'createdBy', 'createdAt', 'revision'];
+
+// Các trường cấu trúc cây chỉ được thay đổi qua các thao tác di chuyển block
+const STRUCTURE_FIELDS = ['parentId', 'children', 'position', 'sortKey'];
+
+// Khóa sắp xếp dài hơn giới hạn này thì các block anh em được cấp lại khóa ở nền
+const MAX_SORT_KEY_LENGTH = parseInt(process.env.BLOCK_SORT_KEY_MAX_LENGTH) || 32;
+
+// Tập các trang chờ cấp lại khóa sắp xếp (dùng chung giữa các instance qua pub/sub)
+const REBALANCE_QUEUE_KEY = 'blocks:rebalance';
+
+// Số lần thử lại khi có thao tác khác được ghi cùng lúc lên một block (hoặc cấu trúc trang)
+const MAX_OPERATION_RETRIES = 5;
+
+/**
+ * Chuyển ID block sang ObjectId.
+ * @param {string|ObjectId} id - ID của block.
+ * @returns {ObjectId} - ObjectId tương ứng.
+ * @throws {BadRequestError} - Nếu ID không hợp lệ.
+ */
+const toObjectId = (id) => {
+  if (id instanceof ObjectId) return id;
+  if (!ObjectId.isValid(id)) {
+    throw new BadRequestError('Block ID không hợp lệ');
+  }
+  return new ObjectId(id);
+};
+
+/**
+ * Lấy block theo ID.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string|ObjectId} blockId - ID của block.
+ * @returns {Promise<Object>} - Block tìm được.
+ * @throws {NotFoundError} - Nếu block không tồn tại.
+ */
+const findBlock = async (mongoDB, blockId) => {
+  const block = await mongoDB.collection('blocks').findOne({ _id: toObjectId(blockId) });
+  if (!block) {
+    throw new NotFoundError('Block không tồn tại');
+  }
+  return block;
+};
+
+/**
+ * Chuyển danh sách ID block trong page_contents (chuỗi, ObjectId hoặc đối tượng có _id) sang ObjectId.
+ * @param {Array} blockRefs - Danh sách tham chiếu block.
+ * @returns {Array<ObjectId>} - Danh sách ObjectId hợp lệ.
+ */
+const toBlockObjectIds = (blockRefs = []) => blockRefs
+  .map((ref) => {
+    const id = ref && typeof ref === 'object' && !(ref instanceof ObjectId) ? ref._id : ref;
+    if (!id || !ObjectId.isValid(id)) {
+      console.error('Invalid block reference in page_contents:', ref);
+      return null;
+    }
+    return new ObjectId(id);
+  })
+  .filter(id => id !== null);
+
+/**
+ * Lấy các block của trang theo thứ tự tài liệu lưu trong page_contents.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object|null} pageContent - Tài liệu page_contents của trang.
+ * @param {Object} [options] - Tùy chọn truy vấn MongoDB (ví dụ { session } khi chạy trong transaction).
+ * @returns {Promise<Array>} - Danh sách block phẳng.
+ */
+const loadPageBlocks = async (mongoDB, pageContent, options = {}) => {
+  const blockIds = toBlockObjectIds(pageContent?.blocks);
+  if (blockIds.length === 0) return [];
+
+  // Chỉ lấy block thuộc trang: ID lạ trong page_contents không kéo được block của trang khác vào trang này
+  const query = { _id: { $in: blockIds } };
+  if (pageContent.pageId) query.pageId = pageContent.pageId;
+
+  const blocks = await mongoDB.collection('blocks')
+    .find(query, options)
+    .toArray();
+
+  const blockMap = new Map(blocks.map(block => [block._id.toString(), block]));
+  const seen = new Set();
+  return blockTree.sortBlocksByKey(blockIds
+    .filter((id) => {
+      const key = id.toString();
+      if (seen.has(key) || !blockMap.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map(id => blockMap.get(id.toString())));
+};
+
+/**
+ * Bỏ các trường được tính lại khi đọc (position, children, nội dung nguồn của block đồng bộ) trước khi lưu block.
+ * @param {Object} block - Block theo thứ tự tài liệu.
+ * @returns {Object} - Tài liệu block để lưu vào MongoDB.
+ */
+const toStoredBlock = (block) => {
+  const { position, children, synced, ...stored } = block;
+  return stored;
+};
+
+/**
+ * Tăng version của page_contents và ghi nhận người chỉnh sửa.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} [extraSet={}] - Các trường cần $set thêm (ví dụ danh sách blocks).
+ * @returns {Promise<number|null>} - Version mới, hoặc null nếu trang chưa có page_contents.
+ */
+const bumpPageVersion = async (mongoDB, pageId, userId, extraSet = {}) => {
+  const pageContent = await mongoDB.collection('page_contents').findOneAndUpdate(
+    { pageId },
+    {
+      $set: { ...extraSet, lastEditedBy: userId, lastEditedAt: new Date() },
+      $inc: { version: 1 }
+    },
+    { returnDocument: 'after' }
+  );
+  return pageContent ? pageContent.version : null;
+};
+
+/**
+ * Cập nhật thời gian sửa đổi của trang trong bảng SQL.
+ * @async
+ * @param {string} pageId - ID của trang.
+ */
+const touchPage = async (pageId) => {
+  await db.query('UPDATE pages SET updated_at = NOW() WHERE id = ?', [pageId]);
+};
+
+/**
+ * Kiểm tra block cha hoặc khóa sắp xếp của block đã thay đổi so với bản đã lưu.
+ * @param {Object|undefined} previous - Block đã lưu.
+ * @param {Object} block - Block sau khi sắp xếp lại cây.
+ * @returns {boolean}
+ */
+const hasStructureChanged = (previous, block) => !previous ||
+  blockTree.getParentId(previous) !== blockTree.getParentId(block) ||
+  previous.sortKey !== block.sortKey;
+
+/**
+ * Đưa trang vào hàng đợi cấp lại khóa sắp xếp nếu có khóa đã quá dài.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {Array} blocks - Các block của trang.
+ */
+const queueRebalanceIfNeeded = async (pageId, blocks) => {
+  if (!blocks.some(block => block.sortKey && block.sortKey.length > MAX_SORT_KEY_LENGTH)) return;
+
+  try {
+    await getPubSub().setAdd(REBALANCE_QUEUE_KEY, pageId);
+  } catch (error) {
+    // Chỉ ảnh hưởng độ dài khóa, lần ghi sau sẽ đưa trang vào hàng đợi lại
+    console.error('Error queueing block rebalance:', error);
+  }
+};
+
+/**
+ * Hoàn tác các block đã ghi của một lần restructurePage không cập nhật được page_contents: xóa block vừa thêm và
+ * trả block bị sửa về trang, block cha và khóa sắp xếp cũ.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array<ObjectId>} insertedIds - ID các block vừa thêm.
+ * @param {Array<Object>} originals - { _id, pageId, parentId, sortKey } của các block bị sửa trước khi ghi.
+ * @param {Object} [options] - Tùy chọn ghi MongoDB.
+ */
+const undoBlockWrites = async (mongoDB, insertedIds, originals, options = {}) => {
+  const writes = [
+    ...insertedIds.map(_id => ({ deleteOne: { filter: { _id } } })),
+    ...originals.map((original) => {
+      const $set = { pageId: original.pageId };
+      const $unset = {};
+      ['parentId', 'sortKey'].forEach((field) => {
+        if (original[field] === undefined) {
+          $unset[field] = '';
+        } else {
+          $set[field] = original[field];
+        }
+      });
+      const update = Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+      return { updateOne: { filter: { _id: original._id }, update } };
+    })
+  ];
+
+  if (writes.length > 0) {
+    await mongoDB.collection('blocks').bulkWrite(writes, options);
+  }
+};
+
+/**
+ * Thay đổi cấu trúc cây block của trang (thêm, xóa, di chuyển block).
+ * `mutate` nhận danh sách block hiện tại theo thứ tự tài liệu và trả về danh sách mới; parentId, position
+ * và children được tính lại từ danh sách này. Block mới hoặc vừa di chuyển (không có `sortKey`) được cấp
+ * khóa nằm giữa hai block anh em, nên chỉ các block đó phải ghi lại.
+ * Block được ghi trước, page_contents được cập nhật có điều kiện theo version sau cùng; nếu có thay đổi khác chen vào
+ * thì hoàn tác các block đã ghi, đọc lại và thử lại.
+ * Block đã có ở trang khác được đưa vào danh sách (không nằm trong `newBlocks`) sẽ được chuyển sang trang này.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Function} mutate - (blocks) => { blocks, newBlocks, removedIds }.
+ * @param {Object} [options] - Tùy chọn ghi MongoDB (ví dụ { session } khi chạy trong transaction).
+ * @returns {Promise<Object>} - { version, blocks, previousBlockIds } với `blocks` là danh sách block sau khi thay đổi
+ *   và `previousBlockIds` là page_contents.blocks trước khi thay đổi.
+ * @throws {ConflictError} - Nếu không thể ghi do có quá nhiều thay đổi đồng thời.
+ */
+const restructurePage = async (mongoDB, pageId, userId, mutate, options = {}) => {
+  for (let attempt = 0; attempt < MAX_OPERATION_RETRIES; attempt++) {
+    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId }, options);
+    const currentBlocks = await loadPageBlocks(mongoDB, pageContent, options);
+    const { blocks, newBlocks = [], removedIds = [] } = await mutate(currentBlocks);
+
+    const orderedBlocks = blockTree.assignSortKeys(blockTree.orderBlockTree(blocks));
+    const blockIds = orderedBlocks.map(block => block._id);
+    const now = new Date();
+
+    // Block mới và block đổi cha hoặc khóa sắp xếp được ghi trong một lần bulkWrite
+    const previousMap = new Map(currentBlocks.map(block => [block._id.toString(), block]));
+    const newIds = new Set(newBlocks.map(block => block._id.toString()));
+    const writes = [];
+    const insertedIds = [];
+    const updatedIds = [];
+
+    orderedBlocks.forEach((block) => {
+      if (newIds.has(block._id.toString())) {
+        writes.push({ insertOne: { document: toStoredBlock(block) } });
+        insertedIds.push(block._id);
+        return;
+      }
+
+      if (hasStructureChanged(previousMap.get(block._id.toString()), block)) {
+        writes.push({
+          updateOne: {
+            filter: { _id: block._id },
+            update: { $set: { pageId, parentId: block.parentId, sortKey: block.sortKey, updatedAt: now } }
+          }
+        });
+        updatedIds.push(block._id);
+      }
+    });
+
+    // Ghi block trước, tăng version sau cùng: nếu dừng giữa chừng, page_contents không trỏ tới block chưa được ghi.
+    // Vị trí cũ của các block bị sửa được giữ lại để hoàn tác khi version đã bị thay đổi khác chen vào.
+    const originals = updatedIds.length > 0
+      ? await mongoDB.collection('blocks')
+        .find({ _id: { $in: updatedIds } }, { ...options, projection: { pageId: 1, parentId: 1, sortKey: 1 } })
+        .toArray()
+      : [];
+
+    if (writes.length > 0) {
+      await mongoDB.collection('blocks').bulkWrite(writes, options);
+    }
+
+    let version = null;
+    if (pageContent) {
+      const updated = await mongoDB.collection('page_contents').findOneAndUpdate(
+        { pageId, version: pageContent.version },
+        {
+          $set: { blocks: blockIds, lastEditedBy: userId, lastEditedAt: now },
+          $inc: { version: 1 }
+        },
+        { ...options, returnDocument: 'after' }
+      );
+      if (!updated) {
+        await undoBlockWrites(mongoDB, insertedIds, originals, options);
+        continue;
+      }
+      version = updated.version;
+    } else if (blockIds.length > 0) {
+      version = 1;
+      await mongoDB.collection('page_contents').insertOne({
+        pageId,
+        blocks: blockIds,
+        version,
+        lastEditedBy: userId,
+        lastEditedAt: now
+      }, options);
+    }
+
+    // Block bị xóa chỉ được xóa khi page_contents không còn trỏ tới chúng
+    if (removedIds.length > 0) {
+      await mongoDB.collection('blocks').deleteMany({ _id: { $in: removedIds } }, options);
+      await mongoDB.collection('block_operations').deleteMany({ blockId: { $in: removedIds } }, options);
+    }
+
+    await queueRebalanceIfNeeded(pageId, orderedBlocks);
+
+    return { version, blocks: orderedBlocks, previousBlockIds: pageContent ? pageContent.blocks : [] };
+  }
+
+  throw new ConflictError('Cấu trúc trang đang được thay đổi đồng thời, vui lòng thử lại');
+};
+
+/**
+ * Cấp lại khóa sắp xếp phân bố đều cho các nhóm block anh em có khóa quá dài.
+ * Thứ tự block không đổi. Khóa mới được ghi trước, version của trang được tăng có điều kiện sau cùng để các thay đổi
+ * cấu trúc đồng thời (đã tính khóa dựa trên khóa cũ) phải đọc lại; nếu có thay đổi khác chen vào thì trả lại khóa cũ
+ * (trừ block đã được ghi khóa khác) và thử lại.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @returns {Promise<number|null>} - Version mới, hoặc null nếu không cần cấp lại khóa.
+ * @throws {ConflictError} - Nếu trang liên tục bị thay đổi trong lúc cấp lại khóa.
+ */
+const rebalancePage = async (mongoDB, pageId) => {
+  for (let attempt = 0; attempt < MAX_OPERATION_RETRIES; attempt++) {
+    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+    if (!pageContent) return null;
+
+    const blocks = blockTree.orderBlockTree(await loadPageBlocks(mongoDB, pageContent));
+    const groups = new Map();
+    blocks.forEach((block) => {
+      const parentId = blockTree.getParentId(block);
+      if (!groups.has(parentId)) groups.set(parentId, []);
+      groups.get(parentId).push(block);
+    });
+
+    const writes = [];
+    const undo = [];
+    groups.forEach((siblings) => {
+      if (!siblings.some(block => !block.sortKey || block.sortKey.length > MAX_SORT_KEY_LENGTH)) return;
+
+      const keys = generateNKeysBetween(null, null, siblings.length);
+      siblings.forEach((block, index) => {
+        if (block.sortKey === keys[index]) return;
+        writes.push({
+          updateOne: { filter: { _id: block._id }, update: { $set: { sortKey: keys[index] } } }
+        });
+        undo.push({
+          updateOne: {
+            filter: { _id: block._id, sortKey: keys[index] },
+            update: block.sortKey === undefined ? { $unset: { sortKey: '' } } : { $set: { sortKey: block.sortKey } }
+          }
+        });
+      });
+    });
+
+    if (writes.length === 0) return null;
+
+    await mongoDB.collection('blocks').bulkWrite(writes);
+
+    const updated = await mongoDB.collection('page_contents').findOneAndUpdate(
+      { pageId, version: pageContent.version },
+      { $inc: { version: 1 } },
+      { returnDocument: 'after' }
+    );
+    if (updated) return updated.version;
+
+    await mongoDB.collection('blocks').bulkWrite(undo);
+  }
+
+  throw new ConflictError('Cấu trúc trang đang được thay đổi đồng thời, vui lòng thử lại');
+};
+
+/**
+ * Tìm block trong danh sách block của trang.
+ * @param {Array} blocks - Danh sách block của trang.
+ * @param {string|ObjectId} blockId - ID block cần tìm.
+ * @param {string} message - Thông báo lỗi nếu không tìm thấy.
+ * @returns {Object} - Block tìm được.
+ * @throws {BadRequestError} - Nếu block không thuộc trang.
+ */
+const requirePageBlock = (blocks, blockId, message) => {
+  const block = blocks.find(item => getBlockId(item) === blockId.toString());
+  if (!block) {
+    throw new BadRequestError(message);
+  }
+  return block;
+};
+
+/**
+ * Tìm block cha trong trang và kiểm tra loại của nó cho phép chứa block con.
+ * @param {Array} blocks - Danh sách block của trang.
+ * @param {string|ObjectId} parentId - ID block cha.
+ * @returns {Object} - Block cha.
+ * @throws {BadRequestError} - Nếu block cha không thuộc trang hoặc không thể chứa block con.
+ */
+const requireParentBlock = (blocks, parentId) => {
+  const parent = requirePageBlock(blocks, parentId, 'Block cha không thuộc trang này');
+  if (!blockTypes.allowsChildren(parent)) {
+    throw new BadRequestError(`Block loại '${parent.type}' không thể chứa block con`);
+  }
+  return parent;
+};
+
+/**
+ * Tạo block mới trong trang (hoặc bên trong một block cha) và cập nhật page_contents.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} data - Dữ liệu block.
+ * @param {string} data.pageId - ID của trang.
+ * @param {string} data.userId - ID người tạo.
+ * @param {string} data.type - Loại block.
+ * @param {*} [data.content] - Nội dung block.
+ * @param {number} [data.position] - Vị trí trong các block anh em; mặc định là cuối.
+ * @param {Object} [data.properties] - Thuộc tính của block.
+ * @param {string|null} [data.parentId] - ID block cha; null để tạo ở cấp cao nhất.
+ * @returns {Promise<Object>} - { block, version } với block đã lưu (có `_id` do server cấp).
+ * @throws {BadRequestError} - Nếu dữ liệu không hợp lệ với loại block hoặc block cha không thuộc trang.
+ */
+const createBlock = async (mongoDB, { pageId, userId, type, content, position, properties, parentId = null }) => {
+  // Kiểm tra nội dung, thuộc tính theo loại block và điền giá trị mặc định
+  const fields = blockTypes.validateBlock({ type, content, properties });
+
+  const now = new Date();
+  const newBlock = {
+    _id: new ObjectId(),
+    pageId,
+    parentId: parentId ? toObjectId(parentId) : null,
+    type: fields.type,
+    content: fields.content,
+    properties: fields.properties,
+    revision: 0,
+    createdBy: userId,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const { version, blocks: pageBlocks } = await restructurePage(mongoDB, pageId, userId, (blocks) => {
+    if (newBlock.parentId) {
+      requireParentBlock(blocks, newBlock.parentId);
+    }
+    return {
+      blocks: blockTree.insertBlocks(blocks, [newBlock], position),
+      newBlocks: [newBlock]
+    };
+  });
+
+  await touchPage(pageId);
+
+  const block = requirePageBlock(pageBlocks, newBlock._id, 'Block không thuộc nội dung trang');
+  return { block, version };
+};
+
+/**
+ * Ghi các trường đã kiểm tra vào block; nội dung thay đổi được ghi nhận như một thao tác.
+ * Không tăng version của trang (bên gọi tự xử lý).
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block hiện tại.
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} changes - Các trường cần $set.
+ * @returns {Promise<Object>} - Block sau khi cập nhật.
+ * @throws {NotFoundError} - Nếu block không còn tồn tại.
+ */
+const writeBlockChanges = async (mongoDB, block, userId, changes) => {
+  // Ghi đè nội dung cũng là một thao tác: tăng revision để các thao tác cũ được rebase đúng
+  const contentChanged = changes.content !== undefined;
+  const update = { $set: { ...changes, updatedAt: new Date() } };
+  if (contentChanged) {
+    update.$inc = { revision: 1 };
+  }
+
+  const previous = await mongoDB.collection('blocks').findOneAndUpdate(
+    { _id: block._id },
+    update,
+    { returnDocument: 'before' }
+  );
+
+  if (!previous) {
+    throw new NotFoundError('Block không tồn tại');
+  }
+
+  if (contentChanged) {
+    const bothText = typeof previous.content === 'string' && typeof changes.content === 'string';
+    await recordOperation(mongoDB, previous, userId, {
+      revision: (previous.revision || 0) + 1,
+      // null đánh dấu nội dung bị thay thế hoàn toàn, không thể rebase qua
+      ops: bothText ? textOperations.fromReplacement(previous.content, changes.content) : null
+    });
+  }
+
+  return mongoDB.collection('blocks').findOne({ _id: block._id });
+};
+
+/**
+ * Cập nhật nội dung/thuộc tính của block và tăng version của trang.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block hiện tại (đã kiểm tra quyền).
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} updateData - Các trường cần cập nhật.
+ * @returns {Promise<Object>} - { block, version } với block sau khi cập nhật.
+ * @throws {BadRequestError} - Nếu dữ liệu không hợp lệ với loại block.
+ */
+const updateBlock = async (mongoDB, block, userId, updateData) => {
+  const changes = { ...updateData };
+  [...PROTECTED_FIELDS, ...STRUCTURE_FIELDS].forEach(field => delete changes[field]);
+
+  // Kiểm tra loại, nội dung, thuộc tính theo danh mục loại block
+  if (['type', 'content', 'properties'].some(field => changes[field] !== undefined)) {
+    Object.assign(changes, blockTypes.validateBlock(
+      { type: changes.type, content: changes.content, properties: changes.properties },
+      { current: block }
+    ));
+    if (changes.type && !blockTypes.allowsChildren({ type: changes.type })) {
+      const childCount = await mongoDB.collection('blocks').countDocuments({ pageId: block.pageId, parentId: block._id });
+      if (childCount > 0) {
+        throw new BadRequestError(`Block loại '${changes.type}' không thể chứa block con`);
+      }
+    }
+  }
+
+  const updatedBlock = await writeBlockChanges(mongoDB, block, userId, changes);
+
+  await touchPage(block.pageId);
+  const version = await bumpPageVersion(mongoDB, block.pageId, userId);
+
+  return { block: updatedBlock, version };
+};
+
+/**
+ * Lưu một thao tác đã áp dụng vào lịch sử thao tác của block.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block được thao tác.
+ * @param {string} userId - ID người thực hiện.
+ * @param {Object} operation - { revision, ops, clientId } với `revision` là revision sau khi áp dụng.
+ */
+const recordOperation = async (mongoDB, block, userId, { revision, ops, clientId }) => {
+  await mongoDB.collection('block_operations').insertOne({
+    blockId: block._id,
+    pageId: block.pageId,
+    revision,
+    ops,
+    clientId: clientId || null,
+    userId,
+    createdAt: new Date()
+  });
+};
+
+/**
+ * Lấy các thao tác của block sau một revision, theo thứ tự áp dụng.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần lấy thao tác.
+ * @param {number} sinceRevision - Chỉ lấy các thao tác có revision lớn hơn giá trị này.
+ * @returns {Promise<Array>} - Danh sách thao tác.
+ */
+const getOperationsSince = async (mongoDB, block, sinceRevision) => {
+  return mongoDB.collection('block_operations')
+    .find({ blockId: block._id, revision: { $gt: sinceRevision } })
+    .sort({ revision: 1 })
+    .toArray();
+};
+
+/**
+ * Áp dụng thao tác văn bản của client lên nội dung block.
+ * Thao tác được tạo trên `revision` cũ sẽ được biến đổi (rebase) qua các thao tác đã lưu sau đó,
+ * nhờ vậy các client cùng gõ trên một đoạn văn đều hội tụ về cùng một nội dung.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block hiện tại (đã kiểm tra quyền).
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} operation - Thao tác từ client.
+ * @param {number} operation.revision - Revision của block mà client dựa vào.
+ * @param {Array} operation.ops - Thao tác văn bản (xem services/textOperations.js).
+ * @param {string} [operation.clientId] - ID phiên soạn thảo của client.
+ * @returns {Promise<Object>} - { block, ops, revision, version } với `ops` là thao tác sau khi rebase.
+ * @throws {BadRequestError} - Nếu revision hoặc thao tác không hợp lệ với nội dung block.
+ * @throws {ConflictError} - Nếu block liên tục bị chỉnh sửa đồng thời trong lúc rebase.
+ */
+const applyOperation = async (mongoDB, block, userId, { revision, ops, clientId }) => {
+  const clientOps = textOperations.normalize(ops);
+  let current = block;
+
+  for (let attempt = 0; attempt < MAX_OPERATION_RETRIES; attempt++) {
+    const currentRevision = current.revision || 0;
+    const content = current.content ?? '';
+
+    if (!Number.isInteger(revision) || revision < 0 || revision > currentRevision) {
+      throw new BadRequestError('Revision không hợp lệ');
+    }
+    if (typeof content !== 'string' || !blockTypes.hasTextContent(current.type)) {
+      throw new BadRequestError('Block không có nội dung dạng văn bản');
+    }
+
+    const concurrentOps = await getOperationsSince(mongoDB, current, revision);
+
+    // Lịch sử chưa đầy đủ nghĩa là có thao tác khác đang được ghi; đọc lại block và thử lại
+    if (concurrentOps.length === currentRevision - revision) {
+      let rebased = clientOps;
+      for (const stored of concurrentOps) {
+        if (!stored.ops) {
+          throw new BadRequestError('Nội dung block đã bị thay thế, vui lòng tải lại block');
+        }
+        [, rebased] = textOperations.transform(stored.ops, rebased);
+      }
+
+      const newContent = textOperations.apply(content, rebased);
+      const newRevision = currentRevision + 1;
+
+      const result = await mongoDB.collection('blocks').updateOne(
+        { _id: current._id, revision: currentRevision === 0 ? { $in: [0, null] } : currentRevision },
+        { $set: { content: newContent, revision: newRevision, updatedAt: new Date() } }
+      );
+
+      if (result.matchedCount === 1) {
+        await recordOperation(mongoDB, current, userId, { revision: newRevision, ops: rebased, clientId });
+
+        await touchPage(current.pageId);
+        const version = await bumpPageVersion(mongoDB, current.pageId, userId);
+        const updatedBlock = await mongoDB.collection('blocks').findOne({ _id: current._id });
+
+        return { block: updatedBlock, ops: rebased, revision: newRevision, version };
+      }
+    }
+
+    current = await findBlock(mongoDB, current._id);
+  }
+
+  throw new ConflictError('Block đang được chỉnh sửa đồng thời, vui lòng thử lại');
+};
+
+/**
+ * Di chuyển block cùng con cháu trong danh sách block của trang (không ghi vào database).
+ * @param {Array} blocks - Danh sách block phẳng theo thứ tự tài liệu.
+ * @param {string|ObjectId} blockId - ID block cần di chuyển.
+ * @param {Object} target - { parentId, position } như của moveBlock.
+ * @returns {Array} - Danh sách block mới.
+ * @throws {BadRequestError} - Nếu block cha mới không hợp lệ hoặc vị trí nằm ngoài phạm vi.
+ */
+const moveWithinBlocks = (blocks, blockId, { parentId, position } = {}) => {
+  const current = requirePageBlock(blocks, blockId, 'Block không thuộc nội dung trang');
+  const newParentId = parentId === undefined ? current.parentId || null : parentId && toObjectId(parentId);
+
+  const subtreeIds = blockTree.getSubtreeIds(blocks, current._id);
+  if (newParentId) {
+    requireParentBlock(blocks, newParentId);
+    if (subtreeIds.has(newParentId.toString())) {
+      throw new BadRequestError('Không thể di chuyển block vào chính nó hoặc block con của nó');
+    }
+  }
+
+  const remaining = blocks.filter(item => !subtreeIds.has(getBlockId(item)));
+  const siblings = blockTree.getSiblings(remaining, newParentId);
+  if (position !== undefined && (!Number.isInteger(position) || position < 0 || position > siblings.length)) {
+    throw new BadRequestError('Vị trí không hợp lệ');
+  }
+
+  // Vị trí không đổi: giữ nguyên danh sách để không phải cấp khóa sắp xếp mới
+  const currentSiblings = blockTree.getSiblings(blocks, current.parentId);
+  const currentIndex = currentSiblings.findIndex(item => getBlockId(item) === getBlockId(current));
+  const targetIndex = position === undefined ? siblings.length : position;
+  if (blockTree.getParentId(current) === (newParentId ? newParentId.toString() : null) && currentIndex === targetIndex) {
+    return blocks;
+  }
+
+  // Block gốc bỏ khóa sắp xếp cũ để được cấp khóa mới tại vị trí đích
+  const group = blocks
+    .filter(item => subtreeIds.has(getBlockId(item)))
+    .map(item => (getBlockId(item) === getBlockId(current) ? { ...item, parentId: newParentId, sortKey: null } : item));
+  // Block gốc của cây con phải đứng đầu nhóm khi chèn
+  group.sort((a, b) => (getBlockId(a) === getBlockId(current) ? -1 : getBlockId(b) === getBlockId(current) ? 1 : 0));
+
+  return blockTree.insertBlocks(remaining, group, position);
+};
+
+/**
+ * Di chuyển block cùng toàn bộ block con cháu tới block cha và vị trí mới trong trang.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần di chuyển (đã kiểm tra quyền).
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} target - Vị trí đích.
+ * @param {string|null} [target.parentId] - ID block cha mới; null cho cấp cao nhất, bỏ qua để giữ block cha hiện tại.
+ * @param {number} [target.position] - Vị trí trong các block anh em mới; mặc định là cuối.
+ * @returns {Promise<Object>} - { block, version } với block sau khi di chuyển.
+ * @throws {BadRequestError} - Nếu block cha mới không hợp lệ hoặc vị trí nằm ngoài phạm vi.
+ */
+const moveBlock = async (mongoDB, block, userId, { parentId, position } = {}) => {
+  const { version, blocks: pageBlocks } = await restructurePage(mongoDB, block.pageId, userId, blocks => ({
+    blocks: moveWithinBlocks(blocks, block._id, { parentId, position })
+  }));
+
+  await touchPage(block.pageId);
+
+  const movedBlock = requirePageBlock(pageBlocks, block._id, 'Block không thuộc nội dung trang');
+  return { block: movedBlock, version };
+};
+
+/**
+ * Thụt lề block: đưa block (cùng con cháu) vào làm con cuối cùng của block anh em liền trước.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần thụt lề (đã kiểm tra quyền).
+ * @param {string} userId - ID người chỉnh sửa.
+ * @returns {Promise<Object>} - { block, version }.
+ * @throws {BadRequestError} - Nếu block không có block anh em liền trước.
+ */
+const indentBlock = async (mongoDB, block, userId) => {
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
+  const blocks = await loadPageBlocks(mongoDB, pageContent);
+  const current = requirePageBlock(blocks, block._id, 'Block không thuộc nội dung trang');
+
+  const siblings = blockTree.getSiblings(blocks, current.parentId);
+  const index = siblings.findIndex(item => getBlockId(item) === getBlockId(current));
+  if (index <= 0) {
+    throw new BadRequestError('Không thể thụt lề block đầu tiên trong danh sách');
+  }
+
+  return moveBlock(mongoDB, block, userId, { parentId: siblings[index - 1]._id });
+};
+
+/**
+ * Giảm lề block: đưa block (cùng con cháu) ra ngoài, đứng ngay sau block cha hiện tại.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần giảm lề (đã kiểm tra quyền).
+ * @param {string} userId - ID người chỉnh sửa.
+ * @returns {Promise<Object>} - { block, version }.
+ * @throws {BadRequestError} - Nếu block đang ở cấp cao nhất.
+ */
+const outdentBlock = async (mongoDB, block, userId) => {
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
+  const blocks = await loadPageBlocks(mongoDB, pageContent);
+  const current = requirePageBlock(blocks, block._id, 'Block không thuộc nội dung trang');
+
+  if (!current.parentId) {
+    throw new BadRequestError('Block đã ở cấp cao nhất');
+  }
+
+  const parent = requirePageBlock(blocks, current.parentId, 'Block cha không thuộc trang này');
+  const parentSiblings = blockTree.getSiblings(blocks, parent.parentId);
+  const parentIndex = parentSiblings.findIndex(item => getBlockId(item) === getBlockId(parent));
+
+  return moveBlock(mongoDB, block, userId, { parentId: parent.parentId || null, position: parentIndex + 1 });
+};
+
+/**
+ * Nhân bản block cùng toàn bộ block con cháu, đặt bản sao ngay sau block gốc.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần nhân bản (đã kiểm tra quyền).
+ * @param {string} userId - ID người thực hiện.
+ * @returns {Promise<Object>} - { block, version } với block là bản sao của block gốc.
+ */
+const duplicateBlock = async (mongoDB, block, userId) => {
+  const now = new Date();
+  let copyId = null;
+
+  const { version, blocks: pageBlocks } = await restructurePage(mongoDB, block.pageId, userId, (blocks) => {
+    const current = requirePageBlock(blocks, block._id, 'Block không thuộc nội dung trang');
+    const subtreeIds = blockTree.getSubtreeIds(blocks, current._id);
+
+    // Cấp ID mới cho từng block trong cây con, giữ nguyên quan hệ cha-con giữa các bản sao
+    const idMap = new Map([...subtreeIds].map(id => [id, new ObjectId()]));
+    const copies = blocks
+      .filter(item => subtreeIds.has(getBlockId(item)))
+      .map(item => ({
+        ...item,
+        _id: idMap.get(getBlockId(item)),
+        parentId: getBlockId(item) === getBlockId(current)
+          ? current.parentId || null
+          : idMap.get(blockTree.getParentId(item)),
+        // Bản sao gốc nhận khóa mới sau block gốc; con cháu giữ khóa vì thứ tự bên trong không đổi
+        sortKey: getBlockId(item) === getBlockId(current) ? null : item.sortKey,
+        properties: { ...item.properties },
+        revision: 0,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now
+      }));
+    copyId = idMap.get(getBlockId(current));
+
+    const siblings = blockTree.getSiblings(blocks, current.parentId);
+    const index = siblings.findIndex(item => getBlockId(item) === getBlockId(current));
+
+    return {
+      blocks: blockTree.insertBlocks(blocks, copies, index + 1),
+      newBlocks: copies
+    };
+  });
+
+  await touchPage(block.pageId);
+
+  const duplicatedBlock = requirePageBlock(pageBlocks, copyId, 'Block không thuộc nội dung trang');
+  return { block: duplicatedBlock, version };
+};
+
+/**
+ * Xóa block cùng toàn bộ block con cháu khỏi trang và cập nhật page_contents.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block cần xóa (đã kiểm tra quyền).
+ * @param {string} userId - ID người xóa.
+ * @returns {Promise<Object>} - { blockId, deletedIds, version }.
+ */
+const deleteBlock = async (mongoDB, block, userId) => {
+  let deletedIds = [block._id];
+
+  const { version } = await restructurePage(mongoDB, block.pageId, userId, (blocks) => {
+    const subtreeIds = blockTree.getSubtreeIds(blocks, block._id);
+    deletedIds = [...subtreeIds].map(id => new ObjectId(id));
+
+    return {
+      blocks: blocks.filter(item => !subtreeIds.has(getBlockId(item))),
+      removedIds: deletedIds
+    };
+  });
+
+  await touchPage(block.pageId);
+
+  return { blockId: block._id, deletedIds, version };
+};
+
+module.exports = {
+  MAX_SORT_KEY_LENGTH,
+  REBALANCE_QUEUE_KEY,
+  PROTECTED_FIELDS,
+  toObjectId,
+  findBlock,
+  toBlockObjectIds,
+  loadPageBlocks,
+  toStoredBlock,
+  bumpPageVersion,
+  touchPage,
+  hasStructureChanged,
+  queueRebalanceIfNeeded,
+  restructurePage,
+  rebalancePage,
+  requirePageBlock,
+  requireParentBlock,
+  createBlock,
+  writeBlockChanges,
+  updateBlock,
+  recordOperation,
+  getOperationsSince,
+  applyOperation,
+  moveWithinBlocks,
+  moveBlock,
+  indentBlock,
+  outdentBlock,
+  duplicateBlock,
+  deleteBlock
+};
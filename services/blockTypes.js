@@ -0,0 +1,352 @@
+const { BadRequestError } = require('../middlewares/error');
+
+/*
+ * Danh mục các loại block được hỗ trợ.
+ * Mỗi loại khai báo:
+ *   - content: dạng nội dung ('text' - chuỗi, 'none' - không có nội dung, 'table' - mảng các hàng, mỗi hàng là mảng chuỗi)
+ *   - properties: các thuộc tính được phép, mỗi thuộc tính có `type` ('string' | 'url' | 'boolean' | 'number' | 'enum'),
+ *     `values` (với enum), `required` và `default`
+ *   - allowsChildren: block có thể chứa block con hay không
+ */
+
+const COLORS = [
+  'default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red',
+  'gray_background', 'brown_background', 'orange_background', 'yellow_background', 'green_background',
+  'blue_background', 'purple_background', 'pink_background', 'red_background'
+];
+
+const colorProperty = { type: 'enum', values: COLORS, default: 'default' };
+
+const BLOCK_TYPES = {
+  paragraph: {
+    label: 'Đoạn văn',
+    content: 'text',
+    properties: { color: colorProperty },
+    allowsChildren: true
+  },
+  heading_1: {
+    label: 'Tiêu đề 1',
+    content: 'text',
+    properties: { color: colorProperty, toggleable: { type: 'boolean', default: false } },
+    allowsChildren: true
+  },
+  heading_2: {
+    label: 'Tiêu đề 2',
+    content: 'text',
+    properties: { color: colorProperty, toggleable: { type: 'boolean', default: false } },
+    allowsChildren: true
+  },
+  heading_3: {
+    label: 'Tiêu đề 3',
+    content: 'text',
+    properties: { color: colorProperty, toggleable: { type: 'boolean', default: false } },
+    allowsChildren: true
+  },
+  to_do: {
+    label: 'Việc cần làm',
+    content: 'text',
+    properties: { color: colorProperty, checked: { type: 'boolean', default: false } },
+    allowsChildren: true
+  },
+  bulleted_list: {
+    label: 'Danh sách dấu chấm',
+    content: 'text',
+    properties: { color: colorProperty },
+    allowsChildren: true
+  },
+  numbered_list: {
+    label: 'Danh sách đánh số',
+    content: 'text',
+    properties: { color: colorProperty, start: { type: 'number' } },
+    allowsChildren: true
+  },
+  code: {
+    label: 'Mã nguồn',
+    content: 'text',
+    properties: {
+      language: { type: 'string', default: 'plain text' },
+      wrap: { type: 'boolean', default: false },
+      caption: { type: 'string' }
+    },
+    allowsChildren: false
+  },
+  quote: {
+    label: 'Trích dẫn',
+    content: 'text',
+    properties: { color: colorProperty },
+    allowsChildren: true
+  },
+  callout: {
+    label: 'Chú thích nổi bật',
+    content: 'text',
+    properties: { color: { ...colorProperty, default: 'gray_background' }, icon: { type: 'string', default: '💡' } },
+    allowsChildren: true
+  },
+  image: {
+    label: 'Hình ảnh',
+    content: 'none',
+    properties: {
+      url: { type: 'url' },
+      attachmentId: { type: 'string' },
+      caption: { type: 'string' },
+      width: { type: 'number' }
+    },
+    allowsChildren: false
+  },
+  file: {
+    label: 'Tệp đính kèm',
+    content: 'none',
+    properties: {
+      url: { type: 'url' },
+      attachmentId: { type: 'string' },
+      name: { type: 'string' },
+      size: { type: 'number' },
+      caption: { type: 'string' }
+    },
+    allowsChildren: false
+  },
+  divider: {
+    label: 'Đường phân cách',
+    content: 'none',
+    properties: {},
+    allowsChildren: false
+  },
+  table: {
+    label: 'Bảng',
+    content: 'table',
+    properties: {
+      hasColumnHeader: { type: 'boolean', default: false },
+      hasRowHeader: { type: 'boolean', default: false }
+    },
+    allowsChildren: false
+  },
+  embed: {
+    label: 'Nhúng nội dung',
+    content: 'none',
+    properties: {
+      url: { type: 'url', required: true },
+      caption: { type: 'string' },
+      height: { type: 'number' }
+    },
+    allowsChildren: false
+  },
+  database: {
+    label: 'Cơ sở dữ liệu',
+    content: 'none',
+    properties: {
+      databaseId: { type: 'string', required: true }
+    },
+    allowsChildren: false
+  },
+  synced_block: {
+    label: 'Block đồng bộ',
+    content: 'none',
+    properties: {
+      sourceBlockId: { type: 'string', required: true }
+    },
+    allowsChildren: false
+  }
+};
+
+// Loại block cũ được lưu trước khi có danh mục, tự động chuyển sang loại tương ứng
+const TYPE_ALIASES = {
+  text: 'paragraph'
+};
+
+/**
+ * Chuẩn hóa tên loại block (áp dụng bí danh cũ).
+ * @param {string} type - Loại block.
+ * @returns {string} - Loại block chuẩn.
+ */
+const normalizeType = (type) => TYPE_ALIASES[type] || type;
+
+/**
+ * Lấy định nghĩa của loại block.
+ * @param {string} type - Loại block.
+ * @returns {Object|null} - Định nghĩa, hoặc null nếu loại không tồn tại.
+ */
+const getBlockType = (type) => BLOCK_TYPES[normalizeType(type)] || null;
+
+/**
+ * Kiểm tra block có được phép chứa block con hay không.
+ * @param {Object} block - Block.
+ * @returns {boolean}
+ */
+const allowsChildren = (block) => Boolean(getBlockType(block.type)?.allowsChildren);
+
+/**
+ * Kiểm tra loại block có nội dung dạng văn bản hay không.
+ * @param {string} type - Loại block.
+ * @returns {boolean}
+ */
+const hasTextContent = (type) => getBlockType(type)?.content === 'text';
+
+/**
+ * Danh sách loại block cho client.
+ * @returns {Array} - [{ type, label, content, properties, allowsChildren }].
+ */
+const listBlockTypes = () => Object.entries(BLOCK_TYPES).map(([type, definition]) => ({
+  type,
+  ...definition
+}));
+
+/**
+ * Lấy nội dung mặc định theo dạng nội dung.
+ * @param {string} contentKind - Dạng nội dung của loại block.
+ * @returns {*}
+ */
+const defaultContent = (contentKind) => {
+  if (contentKind === 'table') return [['']];
+  return '';
+};
+
+/**
+ * Kiểm tra nội dung theo dạng nội dung của loại block.
+ * @param {string} contentKind - Dạng nội dung.
+ * @param {*} content - Nội dung cần kiểm tra.
+ * @returns {string|null} - Thông báo lỗi, hoặc null nếu hợp lệ.
+ */
+const checkContent = (contentKind, content) => {
+  if (contentKind === 'text' && typeof content !== 'string') {
+    return 'nội dung phải là chuỗi';
+  }
+  if (contentKind === 'none' && content !== '' && content !== null) {
+    return 'không có nội dung';
+  }
+  if (contentKind === 'table') {
+    const isGrid = Array.isArray(content) &&
+      content.length > 0 &&
+      content.every(row => Array.isArray(row) && row.length === content[0].length &&
+        row.every(cell => typeof cell === 'string'));
+    if (!isGrid) {
+      return 'nội dung phải là mảng các hàng có cùng số ô, mỗi ô là chuỗi';
+    }
+  }
+  return null;
+};
+
+/**
+ * Kiểm tra giá trị của một thuộc tính.
+ * @param {Object} schema - Khai báo của thuộc tính.
+ * @param {*} value - Giá trị cần kiểm tra.
+ * @returns {string|null} - Thông báo lỗi, hoặc null nếu hợp lệ.
+ */
+const checkProperty = (schema, value) => {
+  switch (schema.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'phải là chuỗi';
+    case 'url':
+      return typeof value === 'string' && /^(https?:\/\/|\/)/i.test(value) ? null : 'phải là URL hợp lệ';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'phải là boolean';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'phải là số';
+    case 'enum':
+      return schema.values.includes(value) ? null : `phải là một trong: ${schema.values.join(', ')}`;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Kiểm tra và chuẩn hóa dữ liệu block theo danh mục loại block.
+ * Khi tạo mới (mặc định), nội dung và thuộc tính còn thiếu được điền giá trị mặc định.
+ * Khi cập nhật (`current` là block hiện tại), chỉ các trường được gửi lên được kiểm tra; nếu đổi loại,
+ * nội dung hiện tại phải hợp lệ với loại mới và các thuộc tính loại mới không hỗ trợ bị bỏ đi.
+ * @param {Object} data - { type, content, properties } cần kiểm tra.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Object} [options.current] - Block hiện tại khi cập nhật.
+ * @param {string} [options.label] - Tên block trong thông báo lỗi (ví dụ "Block #3").
+ * @returns {Object} - Các trường đã chuẩn hóa (chỉ gồm các trường cần ghi).
+ * @throws {BadRequestError} - Nếu dữ liệu không hợp lệ.
+ * @example
+ * validateBlock({ type: 'to_do', content: 'Viết báo cáo' });
+ * // => { type: 'to_do', content: 'Viết báo cáo', properties: { color: 'default', checked: false } }
+ */
+const validateBlock = (data, { current = null, label = 'Block' } = {}) => {
+  const type = normalizeType(data.type !== undefined ? data.type : current?.type);
+  const definition = BLOCK_TYPES[type];
+  if (!definition) {
+    throw new BadRequestError(`${label}: loại block '${data.type ?? current?.type}' không được hỗ trợ`);
+  }
+
+  const typeChanged = current !== null && type !== normalizeType(current.type);
+  const result = {};
+  // Luôn ghi loại khi tạo mới, khi được gửi lên hoặc khi loại cũ được chuẩn hóa qua bí danh
+  if (data.type !== undefined || type !== current?.type) {
+    result.type = type;
+  }
+
+  // Nội dung: kiểm tra khi tạo mới, khi được gửi lên, hoặc khi đổi loại
+  if (current === null || data.content !== undefined || typeChanged) {
+    let content = data.content !== undefined ? data.content : current?.content;
+    if (content === undefined || (content === null && definition.content !== 'none')) {
+      content = defaultContent(definition.content);
+    }
+    if (definition.content === 'none' && content === null) {
+      content = '';
+    }
+
+    const contentError = checkContent(definition.content, content);
+    if (contentError) {
+      throw new BadRequestError(`${label} (${type}): ${contentError}`);
+    }
+    result.content = content;
+  }
+
+  // Thuộc tính: kiểm tra khi tạo mới, khi được gửi lên, hoặc khi đổi loại
+  if (current === null || data.properties !== undefined || typeChanged) {
+    const rawProperties = data.properties !== undefined ? data.properties : current?.properties || {};
+    if (rawProperties === null || typeof rawProperties !== 'object' || Array.isArray(rawProperties)) {
+      throw new BadRequestError(`${label} (${type}): properties phải là một đối tượng`);
+    }
+    const properties = { ...rawProperties };
+
+    // Đổi loại mà không gửi thuộc tính mới: bỏ các thuộc tính loại mới không hỗ trợ hoặc không hợp lệ
+    if (typeChanged && data.properties === undefined) {
+      Object.keys(properties).forEach((name) => {
+        const schema = definition.properties[name];
+        if (!schema || checkProperty(schema, properties[name])) delete properties[name];
+      });
+    }
+
+    Object.entries(properties).forEach(([name, value]) => {
+      const schema = definition.properties[name];
+      if (!schema) {
+        throw new BadRequestError(`${label} (${type}): thuộc tính '${name}' không được hỗ trợ`);
+      }
+      if (value === null) {
+        delete properties[name];
+        return;
+      }
+      const propertyError = checkProperty(schema, value);
+      if (propertyError) {
+        throw new BadRequestError(`${label} (${type}): thuộc tính '${name}' ${propertyError}`);
+      }
+    });
+
+    Object.entries(definition.properties).forEach(([name, schema]) => {
+      if (properties[name] !== undefined) return;
+      if (schema.default !== undefined) {
+        properties[name] = schema.default;
+      } else if (schema.required) {
+        throw new BadRequestError(`${label} (${type}): thiếu thuộc tính bắt buộc '${name}'`);
+      }
+    });
+
+    result.properties = properties;
+  }
+
+  return result;
+};
+
+module.exports = {
+  BLOCK_TYPES,
+  normalizeType,
+  getBlockType,
+  allowsChildren,
+  hasTextContent,
+  listBlockTypes,
+  checkProperty,
+  validateBlock
+};
@@ -0,0 +1,231 @@
+const db = require('../config/database');
+
+/*
+ * Xóa dữ liệu của trang/workspace trên cả MySQL và MongoDB.
+ * Dữ liệu MongoDB luôn được xóa trước, bản ghi MySQL (nguồn để biết trang nào cần xóa) bị xóa sau cùng trong một
+ * transaction: nếu một bước lỗi, gọi lại với cùng tham số sẽ xóa tiếp phần còn lại. Các hàm đều có thể chạy lại
+ * nhiều lần. Tài liệu MongoDB không còn trang/template tương ứng (do lỗi giữa chừng hoặc dữ liệu cũ) được tìm
+ * bằng reconcileOrphans.
+ */
+
+// Các collection có trường pageId, theo thứ tự xóa (blocks sau cùng để vẫn tìm được tệp đính kèm theo blockId)
+const PAGE_COLLECTIONS = ['comments', 'block_operations', 'page_history', 'page_snapshots', 'page_contents', 'blocks'];
+
+// Số ID mỗi lần kiểm tra sự tồn tại trong MySQL
+const LOOKUP_BATCH_SIZE = 500;
+
+/**
+ * Tạo chuỗi placeholder cho mệnh đề IN (transaction.execute không hỗ trợ truyền mảng).
+ * @param {Array} values - Danh sách giá trị.
+ * @returns {string}
+ */
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Xóa tài liệu MongoDB của các trang: tệp đính kèm, bình luận, lịch sử thao tác, lịch sử phiên bản,
+ * snapshot, nội dung và block.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Array<string>} pageIds - ID các trang.
+ * @returns {Promise<Object>} - Số tài liệu đã xóa theo collection.
+ * @example
+ * await deletePageDocuments(mongoDB, ['page-1', 'page-2']);
+ * // => { attachments: 2, comments: 5, block_operations: 40, page_history: 12, page_snapshots: 3, page_contents: 2, blocks: 30 }
+ */
+const deletePageDocuments = async (mongoDB, pageIds) => {
+  const deleted = {};
+  if (pageIds.length === 0) return deleted;
+
+  const blockIds = await mongoDB.collection('blocks')
+    .find({ pageId: { $in: pageIds } }, { projection: { _id: 1 } })
+    .map(block => block._id)
+    .toArray();
+
+  const attachments = await mongoDB.collection('attachments').deleteMany({
+    $or: [{ blockId: { $in: blockIds } }, { pageId: { $in: pageIds } }]
+  });
+  deleted.attachments = attachments.deletedCount;
+
+  for (const collection of PAGE_COLLECTIONS) {
+    const result = await mongoDB.collection(collection).deleteMany({ pageId: { $in: pageIds } });
+    deleted[collection] = result.deletedCount;
+  }
+
+  return deleted;
+};
+
+/**
+ * Xóa các bản ghi MySQL gắn với tập trang (yêu thích, quyền trang, liên kết chia sẻ, bản xuất bản, view công việc,
+ * cơ sở dữ liệu trong trang) và chính các trang.
+ * @async
+ * @param {Object} transaction - Transaction MySQL.
+ * @param {string} where - Điều kiện chọn trang trên bảng pages.
+ * @param {Array} params - Tham số của điều kiện.
+ * @returns {Promise<void>}
+ */
+const deletePageRows = async (transaction, where, params) => {
+  const pageIds = `SELECT id FROM pages WHERE ${where}`;
+
+  await transaction.execute(`DELETE FROM favorites WHERE page_id IN (${pageIds})`, params);
+  await transaction.execute(`DELETE FROM page_permissions WHERE page_id IN (${pageIds})`, params);
+  await transaction.execute(`DELETE FROM page_share_links WHERE page_id IN (${pageIds})`, params);
+  await transaction.execute(
+    `DELETE FROM published_pages WHERE page_id IN (${pageIds}) OR publication_id IN (SELECT id FROM page_publications WHERE root_page_id IN (${pageIds}))`,
+    [...params, ...params]
+  );
+  await transaction.execute(`DELETE FROM page_publications WHERE root_page_id IN (${pageIds})`, params);
+  await transaction.execute(`DELETE FROM page_task_views WHERE page_id IN (${pageIds})`, params);
+  await transaction.execute(
+    `DELETE FROM database_views WHERE database_id IN (SELECT id FROM page_databases WHERE page_id IN (${pageIds}))`,
+    params
+  );
+  await transaction.execute(`DELETE FROM page_databases WHERE page_id IN (${pageIds})`, params);
+  await transaction.execute(`DELETE FROM pages WHERE ${where}`, params);
+};
+
+/**
+ * Xóa vĩnh viễn các trang trên cả MongoDB và MySQL.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Array<string>} pageIds - ID các trang.
+ * @returns {Promise<Object>} - Số tài liệu MongoDB đã xóa theo collection.
+ */
+const deletePages = async (mongoDB, pageIds) => {
+  if (pageIds.length === 0) return {};
+
+  const deleted = await deletePageDocuments(mongoDB, pageIds);
+
+  const transaction = await db.beginTransaction();
+  try {
+    await deletePageRows(transaction, `id IN (${placeholders(pageIds)})`, pageIds);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return deleted;
+};
+
+/**
+ * Xóa vĩnh viễn workspace: mọi trang (kể cả trong thùng rác), template, nhóm, thành viên, lời mời
+ * cùng tài liệu MongoDB của chúng.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {string} workspaceId - ID workspace.
+ * @returns {Promise<Object>} - { pages, templates, documents } với documents là số tài liệu MongoDB đã xóa theo collection.
+ */
+const deleteWorkspaceData = async (mongoDB, workspaceId) => {
+  const [pages] = await db.query('SELECT id FROM pages WHERE workspace_id = ?', [workspaceId]);
+  const [templates] = await db.query('SELECT id FROM templates WHERE workspace_id = ?', [workspaceId]);
+  const pageIds = pages.map(({ id }) => id);
+  const templateIds = templates.map(({ id }) => id);
+
+  const documents = await deletePageDocuments(mongoDB, pageIds);
+  const templateResult = await mongoDB.collection('templates').deleteMany({ _id: { $in: templateIds } });
+  documents.templates = templateResult.deletedCount;
+
+  const transaction = await db.beginTransaction();
+  try {
+    await deletePageRows(transaction, 'workspace_id = ?', [workspaceId]);
+    await transaction.execute('DELETE FROM templates WHERE workspace_id = ?', [workspaceId]);
+    await transaction.execute(
+      'DELETE FROM workspace_group_members WHERE group_id IN (SELECT id FROM workspace_groups WHERE workspace_id = ?)',
+      [workspaceId]
+    );
+    await transaction.execute('DELETE FROM workspace_groups WHERE workspace_id = ?', [workspaceId]);
+    await transaction.execute('DELETE FROM workspace_members WHERE workspace_id = ?', [workspaceId]);
+    await transaction.execute('DELETE FROM workspace_invitations WHERE workspace_id = ?', [workspaceId]);
+    await transaction.execute('DELETE FROM workspaces WHERE id = ?', [workspaceId]);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return { pages: pageIds.length, templates: templateIds.length, documents };
+};
+
+/**
+ * Lọc ra các ID không còn bản ghi trong bảng MySQL.
+ * @async
+ * @param {string} table - Tên bảng (pages hoặc templates).
+ * @param {Array<string>} ids - Danh sách ID.
+ * @returns {Promise<Array<string>>}
+ */
+const findMissingIds = async (table, ids) => {
+  const missing = [];
+  for (let start = 0; start < ids.length; start += LOOKUP_BATCH_SIZE) {
+    const batch = ids.slice(start, start + LOOKUP_BATCH_SIZE);
+    const [rows] = await db.query(`SELECT id FROM ${table} WHERE id IN (?)`, [batch]);
+    const existing = new Set(rows.map(({ id }) => id));
+    missing.push(...batch.filter(id => !existing.has(id)));
+  }
+  return missing;
+};
+
+/**
+ * Tìm (và tùy chọn xóa) tài liệu MongoDB mồ côi:
+ *   - tài liệu của các collection theo trang có pageId không còn trong MySQL;
+ *   - tệp đính kèm gắn với block không còn tồn tại hoặc trang không còn tồn tại;
+ *   - nội dung template không còn bản ghi trong MySQL.
+ * Trang trong thùng rác vẫn còn bản ghi MySQL nên dữ liệu của chúng không bị coi là mồ côi.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.remove=false] - Xóa các tài liệu mồ côi tìm được.
+ * @returns {Promise<Object>} - Báo cáo { pageIds, collections: { [collection]: count }, attachments, templateIds, removed }.
+ */
+const reconcileOrphans = async (mongoDB, { remove = false } = {}) => {
+  const referencedPageIds = new Set();
+  for (const collection of PAGE_COLLECTIONS) {
+    const ids = await mongoDB.collection(collection).distinct('pageId');
+    ids.filter(id => typeof id === 'string').forEach(id => referencedPageIds.add(id));
+  }
+  const attachmentPageIds = await mongoDB.collection('attachments').distinct('pageId');
+  attachmentPageIds.filter(id => typeof id === 'string').forEach(id => referencedPageIds.add(id));
+
+  const pageIds = await findMissingIds('pages', [...referencedPageIds]);
+
+  const collections = {};
+  for (const collection of PAGE_COLLECTIONS) {
+    const count = pageIds.length > 0
+      ? await mongoDB.collection(collection).countDocuments({ pageId: { $in: pageIds } })
+      : 0;
+    if (count > 0) collections[collection] = count;
+  }
+
+  // Tệp đính kèm có blockId nhưng block đã bị xóa (tệp tải lên chưa gắn block có blockId null)
+  const detachedAttachments = await mongoDB.collection('attachments').aggregate([
+    { $match: { blockId: { $ne: null } } },
+    { $project: { blockId: 1 } },
+    { $lookup: { from: 'blocks', localField: 'blockId', foreignField: '_id', pipeline: [{ $project: { _id: 1 } }], as: 'block' } },
+    { $match: { block: { $size: 0 } } },
+    { $project: { _id: 1 } }
+  ]).toArray();
+  const attachmentIds = detachedAttachments.map(({ _id }) => _id);
+  const attachmentFilter = { $or: [{ _id: { $in: attachmentIds } }, { pageId: { $in: pageIds } }] };
+  const attachments = await mongoDB.collection('attachments').countDocuments(attachmentFilter);
+
+  const templateDocumentIds = await mongoDB.collection('templates').distinct('_id');
+  const templateIds = await findMissingIds('templates', templateDocumentIds.filter(id => typeof id === 'string'));
+
+  const report = { pageIds, collections, attachments, templateIds, removed: false };
+
+  if (remove) {
+    await mongoDB.collection('attachments').deleteMany(attachmentFilter);
+    await deletePageDocuments(mongoDB, pageIds);
+    await mongoDB.collection('templates').deleteMany({ _id: { $in: templateIds } });
+    report.removed = true;
+  }
+
+  return report;
+};
+
+module.exports = {
+  PAGE_COLLECTIONS,
+  deletePageDocuments,
+  deletePages,
+  deleteWorkspaceData,
+  reconcileOrphans
+};
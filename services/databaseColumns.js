@@ -0,0 +1,267 @@
+const { v4: uuidv4 } = require('uuid');
+const { BadRequestError } = require('../middlewares/error');
+
+/*
+ * Danh mục các loại cột của cơ sở dữ liệu trong trang.
+ * Mỗi loại khai báo:
+ *   - operators: các toán tử lọc được hỗ trợ
+ *   - sortable: có thể sắp xếp theo cột hay không
+ *   - groupable: có thể nhóm theo cột hay không
+ * Cột `title` luôn có sẵn, giá trị là tiêu đề của trang (hàng); các cột khác lưu trong pages.properties.
+ */
+
+const TITLE_COLUMN_ID = 'title';
+
+const TEXT_OPERATORS = ['equals', 'not_equals', 'contains', 'not_contains', 'starts_with', 'ends_with', 'is_empty', 'is_not_empty'];
+const LIST_OPERATORS = ['contains', 'not_contains', 'is_empty', 'is_not_empty'];
+
+const COLUMN_TYPES = {
+  title: {
+    label: 'Tiêu đề',
+    operators: TEXT_OPERATORS,
+    sortable: true,
+    groupable: false
+  },
+  text: {
+    label: 'Văn bản',
+    operators: TEXT_OPERATORS,
+    sortable: true,
+    groupable: false
+  },
+  number: {
+    label: 'Số',
+    operators: [
+      'equals', 'not_equals', 'greater_than', 'less_than', 'greater_than_or_equal_to', 'less_than_or_equal_to',
+      'is_empty', 'is_not_empty'
+    ],
+    sortable: true,
+    groupable: false
+  },
+  select: {
+    label: 'Lựa chọn',
+    operators: ['equals', 'not_equals', 'is_empty', 'is_not_empty'],
+    sortable: true,
+    groupable: true
+  },
+  multi_select: {
+    label: 'Nhiều lựa chọn',
+    operators: LIST_OPERATORS,
+    sortable: false,
+    groupable: true
+  },
+  date: {
+    label: 'Ngày',
+    operators: ['equals', 'before', 'after', 'on_or_before', 'on_or_after', 'is_empty', 'is_not_empty'],
+    sortable: true,
+    groupable: false
+  },
+  person: {
+    label: 'Người',
+    operators: LIST_OPERATORS,
+    sortable: false,
+    groupable: true
+  },
+  checkbox: {
+    label: 'Hộp kiểm',
+    operators: ['equals'],
+    sortable: true,
+    groupable: true
+  },
+  relation: {
+    label: 'Liên kết',
+    operators: LIST_OPERATORS,
+    sortable: false,
+    groupable: false
+  }
+};
+
+const OPTION_COLORS = ['default', 'gray', 'brown', 'orange', 'yellow', 'green', 'blue', 'purple', 'pink', 'red'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Lấy định nghĩa của loại cột.
+ * @param {string} type - Loại cột.
+ * @returns {Object|null}
+ */
+const getColumnType = (type) => COLUMN_TYPES[type] || null;
+
+/**
+ * Danh sách loại cột cho client (không gồm cột tiêu đề có sẵn).
+ * @returns {Array} - [{ type, label, operators, sortable, groupable }].
+ */
+const listColumnTypes = () => Object.entries(COLUMN_TYPES)
+  .filter(([type]) => type !== TITLE_COLUMN_ID)
+  .map(([type, definition]) => ({ type, ...definition }));
+
+/**
+ * Tìm cột theo ID.
+ * @param {Array} columns - Danh sách cột.
+ * @param {string} columnId - ID cột.
+ * @returns {Object} - Cột tìm được.
+ * @throws {BadRequestError} - Nếu cột không tồn tại.
+ */
+const requireColumn = (columns, columnId) => {
+  const column = columns.find(item => item.id === columnId);
+  if (!column) {
+    throw new BadRequestError(`Cột '${columnId}' không tồn tại`);
+  }
+  return column;
+};
+
+/**
+ * Chuẩn hóa danh sách lựa chọn của cột select/multi_select (cấp ID cho lựa chọn mới).
+ * @param {*} options - Danh sách lựa chọn client gửi lên.
+ * @param {string} label - Tên cột trong thông báo lỗi.
+ * @returns {Array} - [{ id, name, color }].
+ * @throws {BadRequestError} - Nếu danh sách không hợp lệ.
+ */
+const normalizeOptions = (options, label) => {
+  if (!Array.isArray(options)) {
+    throw new BadRequestError(`${label}: options phải là một mảng`);
+  }
+
+  const names = new Set();
+  return options.map((option) => {
+    const name = typeof option === 'string' ? option : option?.name;
+    if (typeof name !== 'string' || name.trim() === '') {
+      throw new BadRequestError(`${label}: tên lựa chọn không được để trống`);
+    }
+    if (names.has(name.trim())) {
+      throw new BadRequestError(`${label}: lựa chọn '${name.trim()}' bị trùng`);
+    }
+    names.add(name.trim());
+
+    const color = option?.color ?? 'default';
+    if (!OPTION_COLORS.includes(color)) {
+      throw new BadRequestError(`${label}: màu lựa chọn phải là một trong: ${OPTION_COLORS.join(', ')}`);
+    }
+    return { id: typeof option?.id === 'string' && option.id ? option.id : uuidv4(), name: name.trim(), color };
+  });
+};
+
+/**
+ * Kiểm tra và chuẩn hóa định nghĩa cột.
+ * Khi tạo mới (mặc định), `name` và `type` là bắt buộc; khi cập nhật (`current` là cột hiện tại) chỉ các trường
+ * được gửi lên được kiểm tra. Kiểm tra cơ sở dữ liệu đích của cột relation do databaseService thực hiện.
+ * @param {Object} data - { name, type, options, relationDatabaseId }.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Object} [options.current] - Cột hiện tại khi cập nhật.
+ * @returns {Object} - Cột đã chuẩn hóa { id, name, type, options?, relationDatabaseId? }.
+ * @throws {BadRequestError} - Nếu định nghĩa không hợp lệ.
+ * @example
+ * validateColumn({ name: 'Trạng thái', type: 'select', options: ['Cần làm', 'Đang làm', 'Xong'] });
+ * // => { id: '…', name: 'Trạng thái', type: 'select', options: [{ id: '…', name: 'Cần làm', color: 'default' }, …] }
+ */
+const validateColumn = (data, { current = null } = {}) => {
+  const name = data.name !== undefined ? data.name : current?.name;
+  const type = data.type !== undefined ? data.type : current?.type;
+  const label = `Cột '${name}'`;
+
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+    throw new BadRequestError('Tên cột không được để trống và tối đa 100 ký tự');
+  }
+  if (current?.type === 'title' && type !== 'title') {
+    throw new BadRequestError('Không thể đổi loại cột tiêu đề');
+  }
+  if (!getColumnType(type) || (type === 'title' && current?.type !== 'title')) {
+    throw new BadRequestError(`${label}: loại cột '${type}' không được hỗ trợ`);
+  }
+
+  const column = { id: current ? current.id : uuidv4(), name: name.trim(), type };
+
+  if (type === 'select' || type === 'multi_select') {
+    const rawOptions = data.options !== undefined
+      ? data.options
+      : (current && ['select', 'multi_select'].includes(current.type) ? current.options : []);
+    column.options = normalizeOptions(rawOptions || [], label);
+  }
+
+  if (type === 'relation') {
+    const relationDatabaseId = data.relationDatabaseId !== undefined
+      ? data.relationDatabaseId
+      : current?.relationDatabaseId;
+    if (typeof relationDatabaseId !== 'string' || relationDatabaseId === '') {
+      throw new BadRequestError(`${label}: thiếu relationDatabaseId`);
+    }
+    column.relationDatabaseId = relationDatabaseId;
+  }
+
+  return column;
+};
+
+/**
+ * Kiểm tra và chuẩn hóa giá trị của một ô theo loại cột.
+ * Kiểm tra người dùng (person) và trang liên kết (relation) có tồn tại do databaseService thực hiện.
+ * @param {Object} column - Định nghĩa cột.
+ * @param {*} value - Giá trị cần kiểm tra; null để xóa giá trị.
+ * @returns {*} - Giá trị đã chuẩn hóa (null nếu ô trống).
+ * @throws {BadRequestError} - Nếu giá trị không hợp lệ.
+ */
+const normalizeCellValue = (column, value) => {
+  const label = `Cột '${column.name}'`;
+  if (value === null || value === undefined) return null;
+
+  switch (column.type) {
+    case 'title':
+    case 'text':
+      if (typeof value !== 'string') throw new BadRequestError(`${label}: giá trị phải là chuỗi`);
+      return value;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) throw new BadRequestError(`${label}: giá trị phải là số`);
+      return value;
+    case 'checkbox':
+      if (typeof value !== 'boolean') throw new BadRequestError(`${label}: giá trị phải là boolean`);
+      return value;
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new BadRequestError(`${label}: giá trị phải là ngày dạng ISO 8601 (YYYY-MM-DD)`);
+      }
+      return value;
+    case 'select':
+      if (!column.options.some(option => option.id === value)) {
+        throw new BadRequestError(`${label}: lựa chọn '${value}' không tồn tại`);
+      }
+      return value;
+    case 'multi_select': {
+      if (!Array.isArray(value)) throw new BadRequestError(`${label}: giá trị phải là mảng ID lựa chọn`);
+      const missing = value.find(id => !column.options.some(option => option.id === id));
+      if (missing !== undefined) throw new BadRequestError(`${label}: lựa chọn '${missing}' không tồn tại`);
+      return value.length > 0 ? [...new Set(value)] : null;
+    }
+    case 'person':
+    case 'relation':
+      if (!Array.isArray(value) || !value.every(id => typeof id === 'string' && id !== '')) {
+        throw new BadRequestError(`${label}: giá trị phải là mảng ID`);
+      }
+      return value.length > 0 ? [...new Set(value)] : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Kiểm tra giá trị đã lưu còn hợp lệ với định nghĩa cột (sau khi đổi loại cột hoặc xóa lựa chọn).
+ * @param {Object} column - Định nghĩa cột mới.
+ * @param {*} value - Giá trị đã lưu.
+ * @returns {boolean}
+ */
+const isValidCellValue = (column, value) => {
+  try {
+    return normalizeCellValue(column, value) !== null;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  TITLE_COLUMN_ID,
+  COLUMN_TYPES,
+  OPTION_COLORS,
+  getColumnType,
+  listColumnTypes,
+  requireColumn,
+  validateColumn,
+  normalizeCellValue,
+  isValidCellValue
+};
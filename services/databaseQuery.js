@@ -0,0 +1,330 @@
+const { BadRequestError } = require('../middlewares/error');
+const databaseColumns = require('./databaseColumns');
+
+/*
+ * Lọc, sắp xếp và nhóm các hàng của cơ sở dữ liệu trong trang theo view.
+ * Hàng có dạng { id, title, values } với `values` là giá trị các cột theo ID cột.
+ */
+
+const VIEW_TYPES = ['table', 'board', 'list'];
+
+// Toán tử không cần giá trị so sánh
+const VALUELESS_OPERATORS = ['is_empty', 'is_not_empty'];
+
+/**
+ * Lấy giá trị ô của hàng theo cột.
+ * @param {Object} row - Hàng.
+ * @param {Object} column - Định nghĩa cột.
+ * @returns {*} - Giá trị, null nếu ô trống.
+ */
+const getCellValue = (row, column) => {
+  const value = column.id === databaseColumns.TITLE_COLUMN_ID ? row.title : row.values?.[column.id];
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+  return value;
+};
+
+/**
+ * Kiểm tra và chuẩn hóa điều kiện lọc, sắp xếp và nhóm theo danh sách cột.
+ * @param {Object} data - { filters, sorts, groupBy }.
+ * @param {Array} columns - Danh sách cột của cơ sở dữ liệu.
+ * @returns {Object} - { filters, sorts, groupBy } đã chuẩn hóa.
+ * @throws {BadRequestError} - Nếu điều kiện không hợp lệ.
+ */
+const validateQuery = ({ filters = [], sorts = [], groupBy = null }, columns) => {
+  if (!Array.isArray(filters)) throw new BadRequestError('filters phải là một mảng');
+  if (!Array.isArray(sorts)) throw new BadRequestError('sorts phải là một mảng');
+
+  const normalizedFilters = filters.map((filter, index) => {
+    const label = `Bộ lọc #${index + 1}`;
+    const column = databaseColumns.requireColumn(columns, filter?.columnId);
+    const { operators } = databaseColumns.getColumnType(column.type);
+    if (!operators.includes(filter.operator)) {
+      throw new BadRequestError(`${label}: toán tử của cột '${column.name}' phải là một trong: ${operators.join(', ')}`);
+    }
+    if (VALUELESS_OPERATORS.includes(filter.operator)) {
+      return { columnId: column.id, operator: filter.operator };
+    }
+
+    // Với cột dạng danh sách, giá trị so sánh là một phần tử
+    let { value } = filter;
+    if (['multi_select', 'person', 'relation'].includes(column.type)) {
+      value = databaseColumns.normalizeCellValue(column, [value])?.[0] ?? null;
+    } else {
+      value = databaseColumns.normalizeCellValue(column, value);
+    }
+    if (value === null) {
+      throw new BadRequestError(`${label}: thiếu giá trị so sánh`);
+    }
+    return { columnId: column.id, operator: filter.operator, value };
+  });
+
+  const normalizedSorts = sorts.map((sort) => {
+    const column = databaseColumns.requireColumn(columns, sort?.columnId);
+    if (!databaseColumns.getColumnType(column.type).sortable) {
+      throw new BadRequestError(`Không thể sắp xếp theo cột '${column.name}'`);
+    }
+    const direction = sort.direction ?? 'asc';
+    if (!['asc', 'desc'].includes(direction)) {
+      throw new BadRequestError('Chiều sắp xếp phải là asc hoặc desc');
+    }
+    return { columnId: column.id, direction };
+  });
+
+  let normalizedGroupBy = null;
+  if (groupBy !== null && groupBy !== undefined) {
+    const column = databaseColumns.requireColumn(columns, groupBy);
+    if (!databaseColumns.getColumnType(column.type).groupable) {
+      throw new BadRequestError(`Không thể nhóm theo cột '${column.name}'`);
+    }
+    normalizedGroupBy = column.id;
+  }
+
+  return { filters: normalizedFilters, sorts: normalizedSorts, groupBy: normalizedGroupBy };
+};
+
+/**
+ * Kiểm tra và chuẩn hóa view đã lưu.
+ * @param {Object} data - { name, type, filters, sorts, groupBy }.
+ * @param {Array} columns - Danh sách cột của cơ sở dữ liệu.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Object} [options.current] - View hiện tại khi cập nhật.
+ * @returns {Object} - { name, type, filters, sorts, groupBy }.
+ * @throws {BadRequestError} - Nếu view không hợp lệ.
+ */
+const validateView = (data, columns, { current = null } = {}) => {
+  const name = data.name !== undefined ? data.name : current?.name;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+    throw new BadRequestError('Tên view không được để trống và tối đa 255 ký tự');
+  }
+
+  const type = data.type !== undefined ? data.type : current?.type || 'table';
+  if (!VIEW_TYPES.includes(type)) {
+    throw new BadRequestError(`Loại view phải là một trong: ${VIEW_TYPES.join(', ')}`);
+  }
+
+  const query = validateQuery({
+    filters: data.filters !== undefined ? data.filters : current?.filters,
+    sorts: data.sorts !== undefined ? data.sorts : current?.sorts,
+    groupBy: data.groupBy !== undefined ? data.groupBy : current?.groupBy
+  }, columns);
+
+  if (type === 'board' && !query.groupBy) {
+    throw new BadRequestError('View dạng bảng Kanban phải nhóm theo một cột');
+  }
+
+  return { name: name.trim(), type, ...query };
+};
+
+/**
+ * Lấy phần ngày (YYYY-MM-DD) của giá trị ngày.
+ * @param {string} value - Giá trị ngày ISO 8601.
+ * @returns {string}
+ */
+const toDay = (value) => value.slice(0, 10);
+
+/**
+ * Kiểm tra hàng thỏa một điều kiện lọc.
+ * @param {Object} row - Hàng.
+ * @param {Object} column - Định nghĩa cột.
+ * @param {Object} filter - { operator, value }.
+ * @returns {boolean}
+ */
+const matchesFilter = (row, column, { operator, value }) => {
+  const cell = getCellValue(row, column);
+
+  if (operator === 'is_empty') return cell === null;
+  if (operator === 'is_not_empty') return cell !== null;
+
+  switch (column.type) {
+    case 'title':
+    case 'text': {
+      const text = (cell || '').toLocaleLowerCase();
+      const target = value.toLocaleLowerCase();
+      if (operator === 'equals') return text === target;
+      if (operator === 'not_equals') return text !== target;
+      if (operator === 'contains') return text.includes(target);
+      if (operator === 'not_contains') return !text.includes(target);
+      if (operator === 'starts_with') return text.startsWith(target);
+      if (operator === 'ends_with') return text.endsWith(target);
+      return false;
+    }
+    case 'number':
+      if (operator === 'not_equals') return cell !== value;
+      if (cell === null) return false;
+      if (operator === 'equals') return cell === value;
+      if (operator === 'greater_than') return cell > value;
+      if (operator === 'less_than') return cell < value;
+      if (operator === 'greater_than_or_equal_to') return cell >= value;
+      if (operator === 'less_than_or_equal_to') return cell <= value;
+      return false;
+    case 'select':
+      if (operator === 'equals') return cell === value;
+      if (operator === 'not_equals') return cell !== value;
+      return false;
+    case 'date': {
+      if (cell === null) return false;
+      const day = toDay(cell);
+      const target = toDay(value);
+      if (operator === 'equals') return day === target;
+      if (operator === 'before') return day < target;
+      if (operator === 'after') return day > target;
+      if (operator === 'on_or_before') return day <= target;
+      if (operator === 'on_or_after') return day >= target;
+      return false;
+    }
+    case 'checkbox':
+      return (cell === true) === value;
+    case 'multi_select':
+    case 'person':
+    case 'relation':
+      if (operator === 'contains') return (cell || []).includes(value);
+      if (operator === 'not_contains') return !(cell || []).includes(value);
+      return false;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Lọc hàng theo các điều kiện (tất cả điều kiện phải thỏa).
+ * @param {Array} rows - Danh sách hàng.
+ * @param {Array} columns - Danh sách cột.
+ * @param {Array} filters - Điều kiện lọc đã chuẩn hóa.
+ * @returns {Array}
+ */
+const filterRows = (rows, columns, filters) => {
+  if (filters.length === 0) return rows;
+  return rows.filter(row => filters.every(filter => matchesFilter(
+    row,
+    databaseColumns.requireColumn(columns, filter.columnId),
+    filter
+  )));
+};
+
+/**
+ * So sánh hai giá trị ô cùng cột (ô trống luôn đứng sau).
+ * @param {Object} column - Định nghĩa cột.
+ * @param {*} a - Giá trị thứ nhất.
+ * @param {*} b - Giá trị thứ hai.
+ * @returns {number}
+ */
+const compareCells = (column, a, b) => {
+  switch (column.type) {
+    case 'number':
+      return a - b;
+    case 'checkbox':
+      return Number(a) - Number(b);
+    case 'date':
+      return Date.parse(a) - Date.parse(b);
+    case 'select': {
+      // Theo thứ tự lựa chọn trong định nghĩa cột
+      const order = column.options.map(option => option.id);
+      return order.indexOf(a) - order.indexOf(b);
+    }
+    default:
+      return String(a).localeCompare(String(b), 'vi', { sensitivity: 'base' });
+  }
+};
+
+/**
+ * Sắp xếp hàng theo nhiều cột (ổn định, giữ thứ tự ban đầu khi bằng nhau).
+ * @param {Array} rows - Danh sách hàng.
+ * @param {Array} columns - Danh sách cột.
+ * @param {Array} sorts - Điều kiện sắp xếp đã chuẩn hóa.
+ * @returns {Array}
+ */
+const sortRows = (rows, columns, sorts) => {
+  if (sorts.length === 0) return rows;
+
+  const sortColumns = sorts.map(sort => ({ ...sort, column: databaseColumns.requireColumn(columns, sort.columnId) }));
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { column, direction } of sortColumns) {
+        const valueA = getCellValue(a.row, column);
+        const valueB = getCellValue(b.row, column);
+        if (valueA === null && valueB === null) continue;
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+
+        const result = compareCells(column, valueA, valueB);
+        if (result !== 0) return direction === 'desc' ? -result : result;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+/**
+ * Nhóm hàng theo cột. Cột select/multi_select có đủ nhóm theo thứ tự lựa chọn (kể cả nhóm rỗng);
+ * hàng có nhiều giá trị (multi_select, person) xuất hiện ở mỗi nhóm tương ứng; nhóm "trống" đứng cuối.
+ * @param {Array} rows - Danh sách hàng (đã lọc và sắp xếp).
+ * @param {Object} column - Cột dùng để nhóm.
+ * @returns {Array} - [{ value, label, rows }].
+ */
+const groupRows = (rows, column) => {
+  const groups = new Map();
+  const addGroup = (value, label) => {
+    if (!groups.has(value)) groups.set(value, { value, label, rows: [] });
+    return groups.get(value);
+  };
+
+  if (column.type === 'select' || column.type === 'multi_select') {
+    column.options.forEach(option => addGroup(option.id, option.name));
+  }
+  if (column.type === 'checkbox') {
+    addGroup(true, 'Đã chọn');
+    addGroup(false, 'Chưa chọn');
+  }
+
+  const emptyRows = [];
+  rows.forEach((row) => {
+    const cell = getCellValue(row, column);
+    if (column.type === 'checkbox') {
+      groups.get(cell === true).rows.push(row);
+      return;
+    }
+    if (cell === null) {
+      emptyRows.push(row);
+      return;
+    }
+    (Array.isArray(cell) ? cell : [cell]).forEach((value) => {
+      const group = groups.get(value) || addGroup(value, String(value));
+      group.rows.push(row);
+    });
+  });
+
+  const result = [...groups.values()];
+  if (column.type !== 'checkbox') {
+    result.push({ value: null, label: `Không có ${column.name}`, rows: emptyRows });
+  }
+  return result;
+};
+
+/**
+ * Áp dụng bộ lọc, sắp xếp và nhóm lên các hàng.
+ * @param {Array} rows - Danh sách hàng theo thứ tự tạo.
+ * @param {Array} columns - Danh sách cột.
+ * @param {Object} query - { filters, sorts, groupBy } đã chuẩn hóa (kết quả của validateQuery).
+ * @returns {Object} - { rows, total } hoặc { groups, total } khi có nhóm.
+ */
+const runQuery = (rows, columns, { filters, sorts, groupBy }) => {
+  const result = sortRows(filterRows(rows, columns, filters), columns, sorts);
+
+  if (groupBy) {
+    return { groups: groupRows(result, databaseColumns.requireColumn(columns, groupBy)), total: result.length };
+  }
+  return { rows: result, total: result.length };
+};
+
+module.exports = {
+  VIEW_TYPES,
+  getCellValue,
+  validateQuery,
+  validateView,
+  filterRows,
+  sortRows,
+  groupRows,
+  runQuery
+};
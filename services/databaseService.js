@@ -0,0 +1,690 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../middlewares/error');
+const blockService = require('./blockService');
+const databaseColumns = require('./databaseColumns');
+const databaseQuery = require('./databaseQuery');
+
+/*
+ * Cơ sở dữ liệu trong trang: bảng page_databases lưu tiêu đề và định nghĩa cột (column_schema),
+ * mỗi hàng là một trang con của trang chứa cơ sở dữ liệu (pages.database_id), giá trị các cột
+ * lưu trong pages.properties theo ID cột. Trang hiển thị cơ sở dữ liệu qua block loại `database`.
+ */
+
+const DATABASE_BLOCK_TYPE = 'database';
+
+const ROW_FIELDS = 'p.id, p.title, p.icon, p.properties, p.created_by, p.created_at, p.updated_at';
+
+/**
+ * Đọc giá trị cột JSON (mysql2 đã parse sẵn, hoặc chuỗi với một số driver).
+ * @param {*} value - Giá trị cột.
+ * @param {*} fallback - Giá trị mặc định nếu trống.
+ * @returns {*}
+ */
+const parseJson = (value, fallback) => {
+  if (value === null || value === undefined) return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+/**
+ * Đường dẫn JSON tới giá trị của cột trong pages.properties.
+ * @param {string} columnId - ID cột.
+ * @returns {string}
+ */
+const toJsonPath = (columnId) => `$."${columnId}"`;
+
+/**
+ * Chuyển bản ghi page_databases sang dạng trả về.
+ * @param {Object} record - Bản ghi SQL.
+ * @returns {Object} - { id, workspace_id, page_id, title, columns, created_by, created_at, updated_at }.
+ */
+const toDatabase = ({ column_schema: columnSchema, ...record }) => ({
+  ...record,
+  columns: parseJson(columnSchema, [])
+});
+
+/**
+ * Chuyển bản ghi database_views sang dạng trả về.
+ * @param {Object} record - Bản ghi SQL.
+ * @returns {Object}
+ */
+const toView = (record) => ({
+  ...record,
+  filters: parseJson(record.filters, []),
+  sorts: parseJson(record.sorts, [])
+});
+
+/**
+ * Chuyển bản ghi trang sang hàng của cơ sở dữ liệu.
+ * @param {Object} record - Bản ghi SQL của trang.
+ * @returns {Object} - { id, title, icon, values, created_by, created_at, updated_at }.
+ */
+const toRow = ({ properties, ...record }) => ({
+  ...record,
+  values: parseJson(properties, {})
+});
+
+/**
+ * Lấy cơ sở dữ liệu theo ID.
+ * @async
+ * @param {string} databaseId - ID cơ sở dữ liệu.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu cơ sở dữ liệu không tồn tại.
+ */
+const findDatabase = async (databaseId) => {
+  const [databases] = await db.query('SELECT * FROM page_databases WHERE id = ?', [databaseId]);
+  if (databases.length === 0) {
+    throw new NotFoundError('Cơ sở dữ liệu không tồn tại');
+  }
+  return toDatabase(databases[0]);
+};
+
+/**
+ * Lấy các view đã lưu của cơ sở dữ liệu theo thứ tự tạo.
+ * @async
+ * @param {string} databaseId - ID cơ sở dữ liệu.
+ * @returns {Promise<Array>}
+ */
+const listViews = async (databaseId) => {
+  const [views] = await db.query(
+    'SELECT * FROM database_views WHERE database_id = ? ORDER BY created_at ASC, id ASC',
+    [databaseId]
+  );
+  return views.map(toView);
+};
+
+/**
+ * Lấy view theo ID.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} viewId - ID view.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu view không thuộc cơ sở dữ liệu.
+ */
+const findView = async (database, viewId) => {
+  const [views] = await db.query(
+    'SELECT * FROM database_views WHERE id = ? AND database_id = ?',
+    [viewId, database.id]
+  );
+  if (views.length === 0) {
+    throw new NotFoundError('View không tồn tại');
+  }
+  return toView(views[0]);
+};
+
+/**
+ * Kiểm tra cơ sở dữ liệu đích của các cột relation cùng workspace.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {Array} columns - Các cột cần kiểm tra.
+ * @throws {BadRequestError} - Nếu cơ sở dữ liệu đích không tồn tại trong workspace.
+ */
+const checkRelationTargets = async (workspaceId, columns) => {
+  const targetIds = [...new Set(columns
+    .filter(column => column.type === 'relation')
+    .map(column => column.relationDatabaseId))];
+  if (targetIds.length === 0) return;
+
+  const [targets] = await db.query(
+    'SELECT id FROM page_databases WHERE workspace_id = ? AND id IN (?)',
+    [workspaceId, targetIds]
+  );
+  const found = new Set(targets.map(target => target.id));
+  const missing = targetIds.find(id => !found.has(id));
+  if (missing) {
+    throw new BadRequestError(`Cơ sở dữ liệu liên kết '${missing}' không tồn tại trong workspace`);
+  }
+};
+
+/**
+ * Kiểm tra và chuẩn hóa giá trị các ô của một hàng.
+ * Người dùng (person) phải là thành viên workspace, trang liên kết (relation) phải là hàng của cơ sở dữ liệu đích.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Object} values - Giá trị theo ID cột; null để xóa giá trị.
+ * @returns {Promise<Object>} - { title, set, remove } với `title` là tiêu đề mới (undefined nếu không đổi),
+ *   `set` là các giá trị cần ghi và `remove` là ID các cột cần xóa giá trị.
+ * @throws {BadRequestError} - Nếu giá trị không hợp lệ.
+ */
+const normalizeRowValues = async (database, values) => {
+  if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+    throw new BadRequestError('values phải là một đối tượng');
+  }
+
+  const result = { title: undefined, set: {}, remove: [] };
+
+  for (const [columnId, rawValue] of Object.entries(values)) {
+    const column = databaseColumns.requireColumn(database.columns, columnId);
+    const value = databaseColumns.normalizeCellValue(column, rawValue);
+
+    if (column.type === 'title') {
+      result.title = value || '';
+      continue;
+    }
+    if (value === null) {
+      result.remove.push(columnId);
+      continue;
+    }
+
+    if (column.type === 'person') {
+      const [members] = await db.query(
+        'SELECT user_id FROM workspace_members WHERE workspace_id = ? AND user_id IN (?)',
+        [database.workspace_id, value]
+      );
+      const memberIds = new Set(members.map(member => member.user_id));
+      const missing = value.find(id => !memberIds.has(id));
+      if (missing) {
+        throw new BadRequestError(`Cột '${column.name}': người dùng '${missing}' không thuộc workspace`);
+      }
+    }
+
+    if (column.type === 'relation') {
+      const [pages] = await db.query(
+        'SELECT id FROM pages WHERE database_id = ? AND id IN (?) AND deleted_at IS NULL',
+        [column.relationDatabaseId, value]
+      );
+      const pageIds = new Set(pages.map(page => page.id));
+      const missing = value.find(id => !pageIds.has(id));
+      if (missing) {
+        throw new BadRequestError(`Cột '${column.name}': trang '${missing}' không thuộc cơ sở dữ liệu liên kết`);
+      }
+    }
+
+    result.set[columnId] = value;
+  }
+
+  return result;
+};
+
+/**
+ * Tạo cơ sở dữ liệu trong trang cùng block hiển thị và view mặc định.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} data - Dữ liệu cơ sở dữ liệu.
+ * @param {Object} data.page - Trang chứa cơ sở dữ liệu (bản ghi SQL có workspace_id).
+ * @param {string} data.userId - ID người tạo.
+ * @param {string} data.title - Tiêu đề.
+ * @param {Array} [data.columns] - Các cột ngoài cột tiêu đề.
+ * @param {string|null} [data.parentId] - ID block cha của block hiển thị.
+ * @param {number} [data.position] - Vị trí của block hiển thị.
+ * @returns {Promise<Object>} - { database, views, block, version }.
+ * @throws {BadRequestError} - Nếu định nghĩa cột không hợp lệ.
+ * @example
+ * await createDatabase(mongoDB, {
+ *   page, userId, title: 'Công việc',
+ *   columns: [{ name: 'Trạng thái', type: 'select', options: ['Cần làm', 'Xong'] }, { name: 'Hạn', type: 'date' }]
+ * });
+ */
+const createDatabase = async (mongoDB, { page, userId, title, columns = [], parentId = null, position }) => {
+  if (!Array.isArray(columns)) {
+    throw new BadRequestError('columns phải là một mảng');
+  }
+
+  const schema = [
+    { id: databaseColumns.TITLE_COLUMN_ID, name: 'Tên', type: 'title' },
+    ...columns.map(column => databaseColumns.validateColumn(column))
+  ];
+  await checkRelationTargets(page.workspace_id, schema);
+
+  const databaseId = uuidv4();
+  await db.query(
+    `INSERT INTO page_databases (id, workspace_id, page_id, title, column_schema, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [databaseId, page.workspace_id, page.id, title, JSON.stringify(schema), userId]
+  );
+  await db.query(
+    `INSERT INTO database_views (id, database_id, name, type, filters, sorts, group_by, created_by)
+     VALUES (?, ?, ?, 'table', '[]', '[]', NULL, ?)`,
+    [uuidv4(), databaseId, 'Bảng', userId]
+  );
+
+  try {
+    const { block, version } = await blockService.createBlock(mongoDB, {
+      pageId: page.id,
+      userId,
+      type: DATABASE_BLOCK_TYPE,
+      properties: { databaseId },
+      parentId,
+      position
+    });
+
+    return { database: await findDatabase(databaseId), views: await listViews(databaseId), block, version };
+  } catch (error) {
+    // Không tạo được block hiển thị thì bỏ cơ sở dữ liệu vừa tạo
+    await db.query('DELETE FROM database_views WHERE database_id = ?', [databaseId]);
+    await db.query('DELETE FROM page_databases WHERE id = ?', [databaseId]);
+    throw error;
+  }
+};
+
+/**
+ * Ghi định nghĩa cột của cơ sở dữ liệu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Array} columns - Danh sách cột mới.
+ * @returns {Promise<Object>} - Cơ sở dữ liệu sau khi cập nhật.
+ */
+const saveColumns = async (database, columns) => {
+  await db.query(
+    'UPDATE page_databases SET column_schema = ?, updated_at = NOW() WHERE id = ?',
+    [JSON.stringify(columns), database.id]
+  );
+  return { ...database, columns };
+};
+
+/**
+ * Cập nhật tiêu đề cơ sở dữ liệu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Object} data - { title }.
+ * @returns {Promise<Object>} - Cơ sở dữ liệu sau khi cập nhật.
+ */
+const updateDatabase = async (database, { title }) => {
+  if (title !== undefined) {
+    await db.query('UPDATE page_databases SET title = ?, updated_at = NOW() WHERE id = ?', [title, database.id]);
+  }
+  return findDatabase(database.id);
+};
+
+/**
+ * Bỏ giá trị không còn hợp lệ của một cột ở mọi hàng (sau khi đổi loại cột, xóa lựa chọn hoặc xóa cột).
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} columnId - ID cột.
+ * @param {Object|null} column - Định nghĩa cột mới; null nếu cột bị xóa.
+ * @param {boolean} [dropAll=false] - Bỏ mọi giá trị của cột.
+ */
+const pruneColumnValues = async (database, columnId, column, dropAll = false) => {
+  const [rows] = await db.query(
+    `SELECT id, JSON_EXTRACT(properties, ?) AS value FROM pages
+     WHERE database_id = ? AND JSON_CONTAINS_PATH(properties, 'one', ?)`,
+    [toJsonPath(columnId), database.id, toJsonPath(columnId)]
+  );
+
+  const invalidIds = rows
+    .filter(row => dropAll || !column || !databaseColumns.isValidCellValue(column, parseJson(row.value, null)))
+    .map(row => row.id);
+  if (invalidIds.length === 0) return;
+
+  await db.query(
+    'UPDATE pages SET properties = JSON_REMOVE(properties, ?) WHERE id IN (?)',
+    [toJsonPath(columnId), invalidIds]
+  );
+};
+
+/**
+ * Bỏ khỏi các view đã lưu những điều kiện không còn hợp lệ với danh sách cột mới.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu (với danh sách cột mới).
+ * @param {string} columnId - ID cột vừa thay đổi hoặc bị xóa.
+ */
+const pruneViews = async (database, columnId) => {
+  for (const view of await listViews(database.id)) {
+    const current = { ...view, groupBy: view.group_by };
+    try {
+      databaseQuery.validateView(current, database.columns);
+      continue;
+    } catch (error) {
+      if (!error.status) throw error;
+    }
+
+    const groupBy = view.group_by === columnId ? null : view.group_by;
+    const pruned = databaseQuery.validateView({
+      name: view.name,
+      type: view.type === 'board' && !groupBy ? 'table' : view.type,
+      filters: view.filters.filter(filter => filter.columnId !== columnId),
+      sorts: view.sorts.filter(sort => sort.columnId !== columnId),
+      groupBy
+    }, database.columns);
+
+    await db.query(
+      'UPDATE database_views SET type = ?, filters = ?, sorts = ?, group_by = ?, updated_at = NOW() WHERE id = ?',
+      [pruned.type, JSON.stringify(pruned.filters), JSON.stringify(pruned.sorts), pruned.groupBy, view.id]
+    );
+  }
+};
+
+/**
+ * Thêm cột vào cơ sở dữ liệu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Object} data - { name, type, options, relationDatabaseId }.
+ * @returns {Promise<Object>} - { database, column }.
+ * @throws {BadRequestError} - Nếu định nghĩa cột không hợp lệ.
+ */
+const addColumn = async (database, data) => {
+  const column = databaseColumns.validateColumn(data);
+  await checkRelationTargets(database.workspace_id, [column]);
+
+  const updated = await saveColumns(database, [...database.columns, column]);
+  return { database: updated, column };
+};
+
+/**
+ * Cập nhật cột (tên, loại, lựa chọn, cơ sở dữ liệu liên kết).
+ * Giá trị không còn hợp lệ với định nghĩa mới bị bỏ, view đã lưu được điều chỉnh theo.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} columnId - ID cột.
+ * @param {Object} data - Các trường cần cập nhật.
+ * @returns {Promise<Object>} - { database, column }.
+ * @throws {BadRequestError} - Nếu cột không tồn tại hoặc định nghĩa mới không hợp lệ.
+ */
+const updateColumn = async (database, columnId, data) => {
+  const current = databaseColumns.requireColumn(database.columns, columnId);
+  const column = databaseColumns.validateColumn(data, { current });
+  await checkRelationTargets(database.workspace_id, [column]);
+
+  const updated = await saveColumns(
+    database,
+    database.columns.map(item => (item.id === columnId ? column : item))
+  );
+
+  if (JSON.stringify(column) !== JSON.stringify(current)) {
+    // Giá trị dạng ID (lựa chọn, người dùng, trang) không còn ý nghĩa khi đổi loại hoặc đổi cơ sở dữ liệu liên kết
+    const idTypes = ['select', 'multi_select', 'person', 'relation'];
+    const dropAll = (column.type !== current.type && (idTypes.includes(column.type) || idTypes.includes(current.type))) ||
+      column.relationDatabaseId !== current.relationDatabaseId;
+    if (column.type !== 'title') {
+      await pruneColumnValues(updated, columnId, column, dropAll);
+    }
+    await pruneViews(updated, columnId);
+  }
+
+  return { database: updated, column };
+};
+
+/**
+ * Xóa cột cùng giá trị của nó ở mọi hàng (không xóa được cột tiêu đề).
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} columnId - ID cột.
+ * @returns {Promise<Object>} - Cơ sở dữ liệu sau khi cập nhật.
+ * @throws {BadRequestError} - Nếu cột không tồn tại hoặc là cột tiêu đề.
+ */
+const deleteColumn = async (database, columnId) => {
+  const column = databaseColumns.requireColumn(database.columns, columnId);
+  if (column.type === 'title') {
+    throw new BadRequestError('Không thể xóa cột tiêu đề');
+  }
+
+  const updated = await saveColumns(database, database.columns.filter(item => item.id !== columnId));
+  await pruneColumnValues(updated, columnId, null);
+  await pruneViews(updated, columnId);
+  return updated;
+};
+
+/**
+ * Chuyển cột relation thành cột văn bản chứa tiêu đề các trang đã liên kết, dùng khi cơ sở dữ liệu liên kết
+ * không còn cùng workspace (trang chứa một trong hai cơ sở dữ liệu được chuyển sang workspace khác).
+ * Điều kiện lọc theo cột trong các view đã lưu bị bỏ vì giá trị lọc là ID trang.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} columnId - ID cột relation.
+ * @returns {Promise<Object>} - { database, column }.
+ * @throws {BadRequestError} - Nếu cột không tồn tại.
+ */
+const detachRelationColumn = async (database, columnId) => {
+  const current = databaseColumns.requireColumn(database.columns, columnId);
+  const column = { id: current.id, name: current.name, type: 'text' };
+
+  const [rows] = await db.query(
+    `SELECT id, JSON_EXTRACT(properties, ?) AS value FROM pages
+     WHERE database_id = ? AND JSON_CONTAINS_PATH(properties, 'one', ?)`,
+    [toJsonPath(columnId), database.id, toJsonPath(columnId)]
+  );
+  const values = rows.map(row => ({ id: row.id, pageIds: [].concat(parseJson(row.value, [])) }));
+
+  const linkedIds = [...new Set(values.flatMap(value => value.pageIds))];
+  const titles = new Map();
+  if (linkedIds.length > 0) {
+    const [pages] = await db.query('SELECT id, title FROM pages WHERE id IN (?)', [linkedIds]);
+    pages.forEach(page => titles.set(page.id, page.title));
+  }
+
+  for (const { id, pageIds } of values) {
+    const text = pageIds.map(pageId => titles.get(pageId)).filter(Boolean).join(', ');
+    if (text) {
+      await db.query('UPDATE pages SET properties = JSON_SET(properties, ?, ?) WHERE id = ?', [toJsonPath(columnId), text, id]);
+    } else {
+      await db.query('UPDATE pages SET properties = JSON_REMOVE(properties, ?) WHERE id = ?', [toJsonPath(columnId), id]);
+    }
+  }
+
+  const updated = await saveColumns(
+    database,
+    database.columns.map(item => (item.id === columnId ? column : item))
+  );
+
+  for (const view of await listViews(database.id)) {
+    if (!view.filters.some(filter => filter.columnId === columnId)) continue;
+    await db.query(
+      'UPDATE database_views SET filters = ?, updated_at = NOW() WHERE id = ?',
+      [JSON.stringify(view.filters.filter(filter => filter.columnId !== columnId)), view.id]
+    );
+  }
+
+  return { database: updated, column };
+};
+
+/**
+ * Lấy các hàng của cơ sở dữ liệu theo thứ tự tạo.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Set<string>} [options.visiblePageIds] - Chỉ lấy các hàng có trang nằm trong tập này (trang người dùng xem được).
+ * @returns {Promise<Array>}
+ */
+const listRows = async (database, { visiblePageIds } = {}) => {
+  const [pages] = await db.query(
+    `SELECT ${ROW_FIELDS} FROM pages p WHERE p.database_id = ? AND p.deleted_at IS NULL ORDER BY p.created_at ASC, p.id ASC`,
+    [database.id]
+  );
+  return pages
+    .filter(page => !visiblePageIds || visiblePageIds.has(page.id))
+    .map(toRow);
+};
+
+/**
+ * Lấy một hàng của cơ sở dữ liệu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} rowId - ID trang của hàng.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu trang không phải hàng của cơ sở dữ liệu.
+ */
+const findRow = async (database, rowId) => {
+  const [pages] = await db.query(
+    `SELECT ${ROW_FIELDS} FROM pages p WHERE p.id = ? AND p.database_id = ? AND p.deleted_at IS NULL`,
+    [rowId, database.id]
+  );
+  if (pages.length === 0) {
+    throw new NotFoundError('Hàng không tồn tại trong cơ sở dữ liệu');
+  }
+  return toRow(pages[0]);
+};
+
+/**
+ * Thêm hàng (trang con của trang chứa cơ sở dữ liệu).
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} userId - ID người tạo.
+ * @param {Object} data - { title, icon, values }.
+ * @returns {Promise<Object>} - Hàng vừa tạo.
+ * @throws {BadRequestError} - Nếu giá trị không hợp lệ.
+ */
+const createRow = async (database, userId, { title, icon = null, values = {} }) => {
+  const normalized = await normalizeRowValues(database, values);
+  const rowTitle = title !== undefined ? title : normalized.title;
+
+  const rowId = uuidv4();
+  await db.query(
+    `INSERT INTO pages
+     (id, workspace_id, title, icon, parent_page_id, created_by, database_id, properties)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [rowId, database.workspace_id, rowTitle || '', icon, database.page_id, userId, database.id, JSON.stringify(normalized.set)]
+  );
+
+  return findRow(database, rowId);
+};
+
+/**
+ * Cập nhật giá trị các ô của một hàng. Mỗi ô được ghi riêng bằng JSON_SET/JSON_REMOVE
+ * nên hai người sửa hai ô khác nhau cùng lúc không ghi đè nhau.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} rowId - ID trang của hàng.
+ * @param {Object} values - Giá trị theo ID cột; null để xóa giá trị.
+ * @returns {Promise<Object>} - Hàng sau khi cập nhật.
+ * @throws {BadRequestError|NotFoundError} - Nếu giá trị không hợp lệ hoặc hàng không tồn tại.
+ * @example
+ * await updateRowValues(database, rowId, { title: 'Viết báo cáo', '3f0c…': 'opt-id', '9a1d…': null });
+ */
+const updateRowValues = async (database, rowId, values) => {
+  await findRow(database, rowId);
+  const { title, set, remove } = await normalizeRowValues(database, values);
+
+  const assignments = ['updated_at = NOW()'];
+  const params = [];
+
+  if (title !== undefined) {
+    assignments.push('title = ?');
+    params.push(title);
+  }
+
+  const setEntries = Object.entries(set);
+  if (setEntries.length > 0 || remove.length > 0) {
+    let expression = 'COALESCE(properties, JSON_OBJECT())';
+    if (setEntries.length > 0) {
+      expression = `JSON_SET(${expression}, ${setEntries.map(() => '?, CAST(? AS JSON)').join(', ')})`;
+      setEntries.forEach(([columnId, value]) => params.push(toJsonPath(columnId), JSON.stringify(value)));
+    }
+    if (remove.length > 0) {
+      expression = `JSON_REMOVE(${expression}, ${remove.map(() => '?').join(', ')})`;
+      remove.forEach(columnId => params.push(toJsonPath(columnId)));
+    }
+    assignments.push(`properties = ${expression}`);
+  }
+
+  await db.query(
+    `UPDATE pages SET ${assignments.join(', ')} WHERE id = ? AND database_id = ?`,
+    [...params, rowId, database.id]
+  );
+
+  return findRow(database, rowId);
+};
+
+/**
+ * Lọc, sắp xếp và nhóm các hàng phía server.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {Object} query - { filters, sorts, groupBy }.
+ * @param {Object} [options] - Tùy chọn của listRows ({ visiblePageIds }).
+ * @returns {Promise<Object>} - { rows, total } hoặc { groups, total }.
+ * @throws {BadRequestError} - Nếu điều kiện không hợp lệ.
+ */
+const queryRows = async (database, query, options = {}) => {
+  const normalized = databaseQuery.validateQuery(query, database.columns);
+  return databaseQuery.runQuery(await listRows(database, options), database.columns, normalized);
+};
+
+/**
+ * Tạo view đã lưu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} userId - ID người tạo.
+ * @param {Object} data - { name, type, filters, sorts, group_by }.
+ * @returns {Promise<Object>} - View vừa tạo.
+ * @throws {BadRequestError} - Nếu view không hợp lệ.
+ */
+const createView = async (database, userId, data) => {
+  const view = databaseQuery.validateView({ ...data, groupBy: data.group_by }, database.columns);
+
+  const viewId = uuidv4();
+  await db.query(
+    `INSERT INTO database_views (id, database_id, name, type, filters, sorts, group_by, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [viewId, database.id, view.name, view.type, JSON.stringify(view.filters), JSON.stringify(view.sorts), view.groupBy, userId]
+  );
+  return findView(database, viewId);
+};
+
+/**
+ * Cập nhật view đã lưu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} viewId - ID view.
+ * @param {Object} data - Các trường cần cập nhật ({ name, type, filters, sorts, group_by }).
+ * @returns {Promise<Object>} - View sau khi cập nhật.
+ * @throws {BadRequestError|NotFoundError} - Nếu view không hợp lệ hoặc không tồn tại.
+ */
+const updateView = async (database, viewId, data) => {
+  const current = await findView(database, viewId);
+  const view = databaseQuery.validateView(
+    { ...data, groupBy: data.group_by },
+    database.columns,
+    { current: { ...current, groupBy: current.group_by } }
+  );
+
+  await db.query(
+    'UPDATE database_views SET name = ?, type = ?, filters = ?, sorts = ?, group_by = ?, updated_at = NOW() WHERE id = ?',
+    [view.name, view.type, JSON.stringify(view.filters), JSON.stringify(view.sorts), view.groupBy, viewId]
+  );
+  return findView(database, viewId);
+};
+
+/**
+ * Xóa view đã lưu (phải còn ít nhất một view).
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} viewId - ID view.
+ * @throws {BadRequestError|NotFoundError} - Nếu là view cuối cùng hoặc không tồn tại.
+ */
+const deleteView = async (database, viewId) => {
+  await findView(database, viewId);
+  const views = await listViews(database.id);
+  if (views.length <= 1) {
+    throw new BadRequestError('Cơ sở dữ liệu phải có ít nhất một view');
+  }
+  await db.query('DELETE FROM database_views WHERE id = ?', [viewId]);
+};
+
+/**
+ * Lấy các hàng theo view đã lưu.
+ * @async
+ * @param {Object} database - Cơ sở dữ liệu.
+ * @param {string} viewId - ID view.
+ * @param {Object} [options] - Tùy chọn của listRows ({ visiblePageIds }).
+ * @returns {Promise<Object>} - { view, rows, total } hoặc { view, groups, total }.
+ */
+const queryView = async (database, viewId, options = {}) => {
+  const view = await findView(database, viewId);
+  const result = await queryRows(
+    database,
+    { filters: view.filters, sorts: view.sorts, groupBy: view.group_by },
+    options
+  );
+  return { view, ...result };
+};
+
+module.exports = {
+  DATABASE_BLOCK_TYPE,
+  findDatabase,
+  listViews,
+  findView,
+  createDatabase,
+  updateDatabase,
+  addColumn,
+  updateColumn,
+  deleteColumn,
+  detachRelationColumn,
+  listRows,
+  findRow,
+  createRow,
+  updateRowValues,
+  queryRows,
+  createView,
+  updateView,
+  deleteView,
+  queryView
+};
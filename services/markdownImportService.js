@@ -0,0 +1,312 @@
+const path = require('path');
+const { ObjectId } = require('mongodb');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError } = require('../middlewares/error');
+const dataDeletionService = require('./dataDeletionService');
+const pageOrderService = require('./pageOrderService');
+const { loadPageBlocks, savePageContent } = require('./pageContentService');
+const { generateNKeysBetween } = require('../utils/fractionalIndex');
+const { buildBlockTree } = require('../utils/blockTree');
+const { parseMarkdown } = require('../utils/markdown');
+const { readZipEntries } = require('../utils/zipArchive');
+
+/*
+ * Nhập Markdown vào trang. Nội dung được lưu qua pageContentService.savePageContent (cùng đường lưu với
+ * updatePageContent: kiểm tra loại block, tăng version, lịch sử và snapshot).
+ * Tệp zip nhiều tệp Markdown tạo cây trang con: mỗi thư mục / tệp .md là một trang (tệp `Tên.md` cạnh thư mục `Tên/`
+ * hoặc `index.md` / `README.md` trong thư mục là nội dung của trang thư mục); ảnh và tệp được tham chiếu bằng đường dẫn
+ * tương đối trong zip được lưu thành tệp đính kèm.
+ */
+
+const IMPORT_MODES = ['append', 'replace'];
+
+// Số trang tối đa được tạo từ một tệp zip
+const MAX_ARCHIVE_PAGES = 200;
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+const INDEX_FILE = /^(index|readme)\.(md|markdown)$/i;
+
+// Hậu tố ID trong tên tệp xuất từ Notion ("Ghi chú 0123456789abcdef0123456789abcdef.md")
+const NOTION_ID_SUFFIX = /\s+[0-9a-f]{32}$/i;
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.bmp': 'image/bmp',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Đếm số block trong cây block.
+ * @param {Array} blocks - Cây block.
+ * @returns {number}
+ */
+const countBlocks = blocks => blocks.reduce((total, block) => total + 1 + countBlocks(block.children), 0);
+
+/**
+ * Nhập một tệp Markdown vào trang: thêm vào cuối nội dung hiện có hoặc thay thế toàn bộ nội dung.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} page - Trang đích.
+ * @param {string} userId - ID người nhập.
+ * @param {string} markdown - Nội dung Markdown.
+ * @param {Object} [options] - { mode: 'append' | 'replace' }.
+ * @returns {Promise<Object>} - { version, blockCount, unsupported }.
+ * @throws {BadRequestError|ConflictError} - Nếu chế độ không hợp lệ, tệp không có nội dung, hoặc trang vừa bị sửa
+ *   trong lúc nhập.
+ * @example
+ * await importMarkdown(mongoDB, page, userId, '# Ghi chú\n- [ ] Việc 1', { mode: 'append' });
+ * // => { version: 8, blockCount: 2, unsupported: [] }
+ */
+const importMarkdown = async (mongoDB, page, userId, markdown, { mode = 'append' } = {}) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new BadRequestError(`mode phải là một trong: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const { blocks, unsupported } = parseMarkdown(markdown);
+  if (blocks.length === 0) {
+    throw new BadRequestError('Nội dung Markdown trống');
+  }
+
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: page.id });
+  const existing = mode === 'append' ? buildBlockTree(await loadPageBlocks(mongoDB, pageContent)) : [];
+
+  // baseVersion là version vừa đọc: nếu trang bị sửa trong lúc nhập, lần lưu bị từ chối thay vì làm mất thay đổi
+  const { version } = await savePageContent(mongoDB, {
+    pageId: page.id,
+    userId,
+    blocks: [...existing, ...blocks],
+    baseVersion: pageContent ? pageContent.version : 0
+  });
+
+  return { version, blockCount: countBlocks(blocks), unsupported };
+};
+
+/**
+ * Dựng cây trang từ các tệp trong zip.
+ * @param {Array<Object>} entries - [{ name, data }] đã bỏ tệp hệ thống.
+ * @returns {Object} - Nút gốc ảo { children: Map } với mỗi nút { key, name, file, children }.
+ */
+const buildArchiveTree = (entries) => {
+  const root = { key: '', name: '', file: null, children: new Map() };
+
+  const ensureNode = (segments) => segments.reduce((parent, segment, index) => {
+    if (!parent.children.has(segment)) {
+      parent.children.set(segment, {
+        key: segments.slice(0, index + 1).join('/'),
+        name: segment,
+        file: null,
+        children: new Map()
+      });
+    }
+    return parent.children.get(segment);
+  }, root);
+
+  const indexFiles = [];
+  entries.filter(entry => MARKDOWN_FILE.test(entry.name)).forEach((entry) => {
+    const segments = entry.name.split('/');
+    const fileName = segments.pop();
+    if (INDEX_FILE.test(fileName) && segments.length > 0) {
+      indexFiles.push({ segments, entry });
+      return;
+    }
+    ensureNode([...segments, fileName.replace(MARKDOWN_FILE, '')]).file = entry;
+  });
+
+  // index.md / README.md là nội dung của trang thư mục nếu không có tệp `Tên.md` cạnh thư mục
+  indexFiles.forEach(({ segments, entry }) => {
+    const node = ensureNode(segments);
+    if (node.file) {
+      ensureNode([...segments, entry.name.split('/').pop().replace(MARKDOWN_FILE, '')]).file = entry;
+    } else {
+      node.file = entry;
+    }
+  });
+
+  return root;
+};
+
+/**
+ * Nhập tệp zip chứa nhiều tệp Markdown thành cây trang con của trang đích.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} parentPage - Trang cha của các trang được tạo.
+ * @param {string} userId - ID người nhập.
+ * @param {Buffer} buffer - Nội dung tệp zip.
+ * @returns {Promise<Object>} - { pages, unsupported } với `pages` là [{ id, title, parent_page_id, path }] theo thứ
+ *   tự cây và `unsupported` là báo cáo của từng tệp ({ file, construct, message, count, lines }).
+ * @throws {BadRequestError} - Nếu tệp zip không đọc được, không có tệp Markdown hoặc tạo quá nhiều trang.
+ */
+const importMarkdownArchive = async (mongoDB, parentPage, userId, buffer) => {
+  let entries;
+  try {
+    entries = readZipEntries(buffer);
+  } catch (error) {
+    throw new BadRequestError(error.message);
+  }
+
+  // Bỏ tệp hệ thống (thư mục __MACOSX, tệp ẩn)
+  entries = entries.filter(entry => !entry.name.split('/').some(segment => segment === '__MACOSX' || segment.startsWith('.')));
+  const files = new Map(entries.map(entry => [path.posix.normalize(entry.name), entry]));
+
+  const tree = buildArchiveTree(entries);
+
+  // Mỗi nút của cây là một trang; kiểm tra số trang trước khi phân tích nội dung các tệp
+  const countPages = node => [...node.children.values()].reduce((total, child) => total + 1 + countPages(child), 0);
+  const pageCount = countPages(tree);
+  if (pageCount === 0) {
+    throw new BadRequestError('Tệp zip không có tệp Markdown nào');
+  }
+  if (pageCount > MAX_ARCHIVE_PAGES) {
+    throw new BadRequestError(`Tệp zip tạo quá nhiều trang (tối đa ${MAX_ARCHIVE_PAGES})`);
+  }
+
+  const pages = [];
+  const attachments = [];
+  const unsupported = [];
+
+  // Duyệt cây theo thứ tự tên (số được so sánh theo giá trị) và phân tích nội dung từng trang
+  const visit = (node, parentPageId) => {
+    const children = [...node.children.values()]
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
+
+    children.forEach((child) => {
+      const page = {
+        id: uuidv4(),
+        title: child.name.replace(NOTION_ID_SUFFIX, ''),
+        parent_page_id: parentPageId,
+        path: child.file ? child.file.name : `${child.key}/`,
+        blocks: [],
+        attachmentIds: []
+      };
+
+      if (child.file) {
+        const directory = path.posix.dirname(child.file.name);
+        const assets = new Map();
+        const parsed = parseMarkdown(child.file.data.toString('utf8'), {
+          resolveAsset: (target) => {
+            const assetPath = path.posix.normalize(path.posix.join(directory, target)).replace(/^\/+/, '');
+            const asset = files.get(assetPath);
+            if (!asset || MARKDOWN_FILE.test(assetPath)) return null;
+
+            if (!assets.has(assetPath)) {
+              const attachment = {
+                _id: new ObjectId(),
+                blockId: null,
+                fileName: path.posix.basename(assetPath),
+                fileSize: asset.data.length,
+                fileType: MIME_TYPES[path.posix.extname(assetPath).toLowerCase()] || 'application/octet-stream',
+                fileData: asset.data.toString('base64'),
+                uploadedBy: userId,
+                uploadedAt: new Date()
+              };
+              assets.set(assetPath, attachment);
+              attachments.push(attachment);
+              page.attachmentIds.push(attachment._id.toString());
+            }
+            const attachment = assets.get(assetPath);
+            return { attachmentId: attachment._id.toString(), name: attachment.fileName, size: attachment.fileSize };
+          }
+        });
+
+        // Tiêu đề cấp 1 ở đầu tệp là tiêu đề của trang
+        const [first] = parsed.blocks;
+        if (first && first.type === 'heading_1' && first.children.length === 0 && first.content.trim()) {
+          page.title = first.content.trim();
+          parsed.blocks.shift();
+        }
+        page.blocks = parsed.blocks;
+        parsed.unsupported.forEach(entry => unsupported.push({ file: child.file.name, ...entry }));
+      }
+
+      page.title = page.title.slice(0, 255);
+      pages.push(page);
+      visit(child, page.id);
+    });
+  };
+  visit(tree, parentPage.id);
+
+  // Trang cấp cao nhất được đặt ở cuối danh sách trang con của trang đích, trang con giữ thứ tự tên
+  const transaction = await db.beginTransaction();
+  try {
+    const siblings = new Map();
+    pages.forEach((page) => {
+      if (!siblings.has(page.parent_page_id)) siblings.set(page.parent_page_id, []);
+      siblings.get(page.parent_page_id).push(page);
+    });
+
+    const firstKey = await pageOrderService.appendSortKey(transaction, parentPage.workspace_id, parentPage.id);
+    const sortKeys = new Map();
+    siblings.forEach((group, parentPageId) => {
+      const keys = parentPageId === parentPage.id
+        ? [firstKey, ...generateNKeysBetween(firstKey, null, group.length - 1)]
+        : generateNKeysBetween(null, null, group.length);
+      group.forEach((page, index) => sortKeys.set(page.id, keys[index]));
+    });
+
+    for (const page of pages) {
+      await transaction.execute(
+        `INSERT INTO pages (id, workspace_id, title, parent_page_id, sort_key, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [page.id, parentPage.workspace_id, page.title, page.parent_page_id, sortKeys.get(page.id), userId]
+      );
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  // Trang đã được tạo trong MySQL: nếu ghi MongoDB lỗi, xóa các trang và tệp đính kèm vừa tạo
+  try {
+    if (attachments.length > 0) {
+      await mongoDB.collection('attachments').insertMany(attachments);
+    }
+
+    for (const page of pages.filter(item => item.blocks.length > 0)) {
+      await savePageContent(mongoDB, { pageId: page.id, userId, blocks: page.blocks });
+
+      // Gắn tệp đính kèm với block ảnh/tệp vừa tạo
+      if (page.attachmentIds.length > 0) {
+        const blocks = await mongoDB.collection('blocks')
+          .find({ pageId: page.id, 'properties.attachmentId': { $in: page.attachmentIds } })
+          .toArray();
+        for (const block of blocks) {
+          await mongoDB.collection('attachments').updateOne(
+            { _id: new ObjectId(block.properties.attachmentId), blockId: null },
+            { $set: { blockId: block._id } }
+          );
+        }
+      }
+    }
+  } catch (error) {
+    if (attachments.length > 0) {
+      await mongoDB.collection('attachments').deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+    }
+    await dataDeletionService.deletePages(mongoDB, pages.map(page => page.id));
+    throw error;
+  }
+
+  return {
+    pages: pages.map(({ id, title, parent_page_id: parentPageId, path: filePath }) => (
+      { id, title, parent_page_id: parentPageId, path: filePath }
+    )),
+    unsupported
+  };
+};
+
+module.exports = {
+  IMPORT_MODES,
+  importMarkdown,
+  importMarkdownArchive
+};
@@ -0,0 +1,74 @@
+const { MongoClient } = require('mongodb');
+const db = require('../config/database');
+const mongoConfig = require('../config/mongodb');
+const { getMongoDB } = require('../config/mongoClient');
+const dataDeletionService = require('./dataDeletionService');
+
+/**
+ * Tóm tắt báo cáo tài liệu mồ côi thành một dòng log.
+ * @param {Object} report - Báo cáo từ dataDeletionService.reconcileOrphans.
+ * @returns {string|null} - Null nếu không có tài liệu mồ côi.
+ */
+const summarize = (report) => {
+  const parts = Object.entries(report.collections).map(([collection, count]) => `${collection}: ${count}`);
+  if (report.attachments > 0) parts.push(`attachments: ${report.attachments}`);
+  if (report.templateIds.length > 0) parts.push(`templates: ${report.templateIds.length}`);
+  if (parts.length === 0) return null;
+
+  return `${report.removed ? 'Removed' : 'Found'} orphaned MongoDB documents ` +
+    `(${report.pageIds.length} missing page(s)) - ${parts.join(', ')}`;
+};
+
+/**
+ * Định kỳ tìm tài liệu MongoDB không còn trang/template tương ứng trong MySQL và ghi log.
+ * Chỉ xóa khi ORPHAN_RECONCILE_REMOVE=true.
+ * @returns {Timeout} - Bộ đếm thời gian của tác vụ nền.
+ */
+const startOrphanReconciler = () => {
+  const intervalMs = parseInt(process.env.ORPHAN_RECONCILE_INTERVAL_MS) || 24 * 60 * 60 * 1000;
+  const remove = process.env.ORPHAN_RECONCILE_REMOVE === 'true';
+
+  const timer = setInterval(async () => {
+    try {
+      const mongoDB = await getMongoDB();
+      const report = await dataDeletionService.reconcileOrphans(mongoDB, { remove });
+      const summary = summarize(report);
+      if (summary) {
+        console.warn(summary);
+      }
+    } catch (error) {
+      console.error('Error reconciling orphaned documents:', error);
+    }
+  }, intervalMs);
+
+  // Không giữ tiến trình sống chỉ vì bộ đếm này
+  timer.unref();
+  return timer;
+};
+
+// Chạy một lần từ dòng lệnh: npm run reconcile-orphans [-- --remove]
+if (require.main === module) {
+  const remove = process.argv.includes('--remove');
+  let client;
+
+  MongoClient.connect(mongoConfig.url)
+    .then((connected) => {
+      client = connected;
+      return dataDeletionService.reconcileOrphans(client.db(mongoConfig.dbName), { remove });
+    })
+    .then((report) => {
+      console.log(summarize(report) || 'No orphaned documents.');
+      if (report.pageIds.length > 0) console.log('Missing pages:', report.pageIds.join(', '));
+      if (report.templateIds.length > 0) console.log('Missing templates:', report.templateIds.join(', '));
+    })
+    .catch((error) => {
+      console.error('Reconciliation failed:', error);
+      process.exitCode = 1;
+    })
+    .finally(async () => {
+      if (client) await client.close();
+      await db.pool.end();
+    });
+}
+
+module.exports = { startOrphanReconciler };
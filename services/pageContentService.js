@@ -0,0 +1,350 @@
+const { ObjectId } = require('mongodb');
+const { BadRequestError, ConflictError } = require('../middlewares/error');
+const { diffBlocks, mergeBlocks, isSameBlock } = require('../utils/blockDiff');
+const { flattenBlockTree, orderBlockTree, assignSortKeys } = require('../utils/blockTree');
+const blockService = require('./blockService');
+const blockTypes = require('./blockTypes');
+const textOperations = require('./textOperations');
+const {
+  isSyncedBlock,
+  getSourceBlockId,
+  requireSourceBlock,
+  findReferencesOutside,
+  detachReferences
+} = require('./syncedBlockService');
+
+// Số version gần nhất của mỗi trang được giữ snapshot để phục vụ trộn ba chiều
+const SNAPSHOT_RETENTION = 50;
+
+const { toBlockObjectIds, loadPageBlocks } = blockService;
+
+/**
+ * Lưu snapshot nội dung trang tại một version (không ghi đè nếu đã có).
+ * Snapshot cũ hơn SNAPSHOT_RETENTION version so với version này được xóa, nên việc lưu khi đọc trang
+ * không làm collection lớn dần.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {number} version - Version của nội dung.
+ * @param {Array} blocks - Danh sách block tại version này.
+ */
+const saveSnapshot = async (mongoDB, pageId, version, blocks) => {
+  await mongoDB.collection('page_snapshots').updateOne(
+    { pageId, version },
+    { $setOnInsert: { pageId, version, blocks, createdAt: new Date() } },
+    { upsert: true }
+  );
+  await mongoDB.collection('page_snapshots').deleteMany({
+    pageId,
+    version: { $lte: version - SNAPSHOT_RETENTION }
+  });
+};
+
+/**
+ * Lấy snapshot nội dung trang tại một version.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID của trang.
+ * @param {number} version - Version cần lấy.
+ * @returns {Promise<Object|null>} - Snapshot hoặc null nếu không còn lưu.
+ */
+const getSnapshot = async (mongoDB, pageId, version) => {
+  return mongoDB.collection('page_snapshots').findOne({ pageId, version });
+};
+
+/**
+ * Tạo lại các block của một phiên bản trong page_history đã bị xóa khỏi collection blocks.
+ * Chỉ phiên bản có lưu kèm nội dung block (trường `blocks`) mới tạo lại được; block còn tồn tại được giữ nguyên.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} historyEntry - Bản ghi page_history cần khôi phục.
+ * @returns {Promise<number>} - Số block đã tạo lại.
+ */
+const restoreHistoryBlocks = async (mongoDB, historyEntry) => {
+  if (!historyEntry.blocks || historyEntry.blocks.length === 0) return 0;
+
+  const existingIds = new Set(await mongoDB.collection('blocks')
+    .find({ _id: { $in: historyEntry.blocks.map(block => block._id) } }, { projection: { _id: 1 } })
+    .map(block => block._id.toString())
+    .toArray());
+  const missingBlocks = historyEntry.blocks.filter(block => !existingIds.has(block._id.toString()));
+
+  if (missingBlocks.length > 0) {
+    await mongoDB.collection('blocks').insertMany(missingBlocks);
+  }
+  return missingBlocks.length;
+};
+
+/**
+ * Kiểm tra các block sắp lưu theo danh mục loại block.
+ * Block đã có và không thay đổi được giữ nguyên để trang cũ vẫn lưu được.
+ * @param {Array} orderedBlocks - Danh sách block theo thứ tự tài liệu (kết quả của orderBlockTree).
+ * @param {Map<string, Object>} currentBlockMap - Block hiện tại của trang theo ID.
+ * @returns {Array} - Danh sách block đã chuẩn hóa type/content/properties.
+ * @throws {BadRequestError} - Nếu có block không hợp lệ.
+ */
+const validatePageBlocks = (orderedBlocks, currentBlockMap) => orderedBlocks.map((block, index) => {
+  const label = `Block #${index + 1}`;
+  const previous = currentBlockMap.get(block._id.toString());
+
+  const validated = previous && isSameBlock(previous, block)
+    ? block
+    : { ...block, ...blockTypes.validateBlock(block, { label }) };
+
+  if (validated.children.length > 0 && !blockTypes.allowsChildren(validated)) {
+    throw new BadRequestError(`${label}: block loại '${validated.type}' không thể chứa block con`);
+  }
+  return validated;
+});
+
+/**
+ * Hoàn tác các block đã ghi của một lần lưu không cập nhật được page_contents: xóa block vừa thêm và
+ * ghi lại block bị sửa đúng như lúc đã đọc.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array<ObjectId>} insertedIds - ID các block vừa thêm.
+ * @param {Array<Object>} originals - Tài liệu đầy đủ của các block bị sửa trước khi ghi.
+ */
+const undoSavedBlocks = async (mongoDB, insertedIds, originals) => {
+  const writes = [
+    ...insertedIds.map(_id => ({ deleteOne: { filter: { _id } } })),
+    ...originals.map(original => ({
+      replaceOne: { filter: { _id: original._id, pageId: original.pageId }, replacement: original }
+    }))
+  ];
+
+  if (writes.length > 0) {
+    await mongoDB.collection('blocks').bulkWrite(writes);
+  }
+};
+
+/**
+ * Lưu toàn bộ danh sách block của trang với kiểm soát đồng thời lạc quan.
+ * Nếu client gửi `baseVersion` khác version hiện tại, yêu cầu bị từ chối với ConflictError
+ * (kèm diff mức block), trừ khi `merge` được bật và hai phía thay đổi các block khác nhau.
+ * `blocks` có thể là cây block lồng nhau (children chứa block con) hoặc danh sách phẳng có parentId.
+ * Block được ghi trước, page_contents được cập nhật có điều kiện theo version sau cùng; nếu lần lưu khác chen vào
+ * thì các block đã ghi được hoàn tác trước khi báo ConflictError.
+ * Block đồng bộ mới hoặc đổi block nguồn phải trỏ tới block nguồn người dùng xem được; xóa block đang là nguồn
+ * của block đồng bộ khác bị từ chối, trừ khi `detach` được bật để tách các bản đồng bộ thành block độc lập.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} data - Dữ liệu lưu.
+ * @param {string} data.pageId - ID của trang.
+ * @param {string} data.userId - ID người chỉnh sửa.
+ * @param {Array} data.blocks - Cây hoặc danh sách block theo thứ tự mới.
+ * @param {number|null} [data.baseVersion=null] - Version client dựa vào; null để bỏ qua kiểm tra.
+ * @param {boolean} [data.merge=false] - Cho phép trộn ba chiều khi version đã cũ.
+ * @param {boolean} [data.detach=false] - Tách các block đồng bộ tham chiếu tới block bị xóa thay vì từ chối.
+ * @returns {Promise<Object>} - { version, blockIds, merged, detached } với `detached` là
+ *   [{ blockId, pageId, version }] của các block đồng bộ đã tách.
+ * @throws {ConflictError} - Nếu nội dung đã bị thay đổi và không thể trộn, hoặc block bị xóa đang được đồng bộ
+ *   tới nơi khác (kèm `references`) mà `detach` không được bật.
+ * @throws {NotFoundError|ForbiddenError} - Nếu block nguồn của block đồng bộ không tồn tại hoặc không xem được.
+ * @throws {BadRequestError} - Nếu có block không hợp lệ với loại của nó hoặc ID block không thuộc trang.
+ */
+const savePageContent = async (mongoDB, { pageId, userId, blocks, baseVersion = null, merge = false, detach = false }) => {
+  const currentPageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+  const currentVersion = currentPageContent ? currentPageContent.version : 0;
+  const currentBlocks = await loadPageBlocks(mongoDB, currentPageContent);
+
+  // Cấp ID cho block mới ngay từ đầu để block con lồng bên trong tham chiếu được tới block cha
+  const { blocks: clientBlocks, newIds } = flattenBlockTree(blocks, () => new ObjectId());
+
+  let blocksToSave = clientBlocks;
+  let merged = false;
+
+  if (baseVersion !== null && baseVersion !== currentVersion) {
+    const baseSnapshot = await getSnapshot(mongoDB, pageId, baseVersion);
+
+    if (merge && baseSnapshot) {
+      const result = mergeBlocks(baseSnapshot.blocks, currentBlocks, clientBlocks);
+      if (result.conflicts.length > 0) {
+        throw new ConflictError('Nội dung trang đã thay đổi và không thể tự động trộn', {
+          baseVersion,
+          currentVersion,
+          conflicts: result.conflicts,
+          diff: diffBlocks(baseSnapshot.blocks, currentBlocks)
+        });
+      }
+      blocksToSave = result.blocks;
+      merged = true;
+    } else {
+      throw new ConflictError('Nội dung trang đã bị thay đổi bởi người khác', {
+        baseVersion,
+        currentVersion,
+        mergeable: Boolean(baseSnapshot),
+        // Không còn bản gốc thì so sánh trực tiếp bản client gửi lên với bản hiện tại
+        diff: diffBlocks(baseSnapshot ? baseSnapshot.blocks : clientBlocks, currentBlocks)
+      });
+    }
+  }
+
+  const nextVersion = currentVersion + 1;
+  const now = new Date();
+  const currentBlockMap = new Map(currentBlocks.map(block => [block._id.toString(), block]));
+
+  // Vị trí và danh sách con được tính lại theo cây; block có cha không còn tồn tại được đưa lên cấp cao nhất.
+  // Khóa sắp xếp lấy từ bản đã lưu (không tin khóa client gửi), chỉ block mới hoặc đổi thứ tự được cấp khóa mới
+  const validatedBlocks = validatePageBlocks(orderBlockTree(blocksToSave), currentBlockMap);
+  const keyedBlocks = assignSortKeys(validatedBlocks.map(block => ({
+    ...block,
+    sortKey: currentBlockMap.get(block._id.toString())?.sortKey ?? null
+  })));
+  const preparedBlocks = keyedBlocks.map((block) => {
+    const { _id, ...data } = blockService.toStoredBlock(block);
+    blockService.PROTECTED_FIELDS.forEach(field => delete data[field]);
+    return {
+      _id: blockService.toObjectId(_id),
+      isNew: newIds.has(_id.toString()),
+      data: {
+        ...data,
+        pageId,
+        parentId: data.parentId ? blockService.toObjectId(data.parentId) : null,
+        updatedAt: now
+      }
+    };
+  });
+  const blockIds = preparedBlocks.map(block => block._id);
+
+  // ID do client gửi phải là block hiện có của trang hoặc block mới vừa được cấp ID
+  const unknownBlock = preparedBlocks.find(block => !block.isNew && !currentBlockMap.has(block._id.toString()));
+  if (unknownBlock) {
+    throw new BadRequestError(`Block ${unknownBlock._id} không thuộc trang này`);
+  }
+
+  // Block không còn trong danh sách bị xóa cùng lịch sử thao tác, bình luận và tệp đính kèm của chúng
+  const savedIds = new Set(blockIds.map(id => id.toString()));
+  const removedIds = currentBlocks.map(block => block._id).filter(id => !savedIds.has(id.toString()));
+
+  // Block đồng bộ mới hoặc đổi block nguồn được kiểm tra như khi tạo qua blockController.createBlock
+  for (const { _id, isNew, data } of preparedBlocks) {
+    const previous = isNew ? null : currentBlockMap.get(_id.toString());
+    if (isSyncedBlock(data) && !(isSyncedBlock(previous) && getSourceBlockId(previous) === getSourceBlockId(data))) {
+      await requireSourceBlock(mongoDB, getSourceBlockId(data), userId);
+    }
+  }
+
+  // Block bị xóa đang là nguồn của block đồng bộ còn lại: từ chối, hoặc tách các bản đồng bộ nếu được yêu cầu
+  const references = await findReferencesOutside(mongoDB, removedIds);
+  if (references.length > 0 && !detach) {
+    throw new ConflictError('Block đang được đồng bộ tới nơi khác, gửi detach=true để tách các bản đồng bộ trước khi xóa', {
+      references
+    });
+  }
+
+  // Ghi block trước, cập nhật page_contents sau cùng: nếu dừng giữa chừng, page_contents không trỏ tới block chưa được ghi
+  const insertedIds = [];
+  const originals = [];
+  const changedBlocks = [];
+  for (const { _id, isNew, data } of preparedBlocks) {
+    if (isNew) {
+      await mongoDB.collection('blocks').insertOne({
+        _id,
+        ...data,
+        revision: 0,
+        createdBy: userId,
+        createdAt: now
+      });
+      insertedIds.push(_id);
+      continue;
+    }
+
+    const previous = currentBlockMap.get(_id.toString());
+    const contentChanged = previous && data.content !== undefined &&
+      JSON.stringify(data.content) !== JSON.stringify(previous.content);
+    const update = { $set: data };
+    if (contentChanged) {
+      update.$inc = { revision: 1 };
+      changedBlocks.push({ previous, content: data.content });
+    }
+
+    // Chỉ cập nhật block thuộc trang này, tránh ghi đè block của trang khác qua ID do client gửi
+    await mongoDB.collection('blocks').updateOne({ _id, pageId }, update);
+    originals.push(previous);
+  }
+
+  // Cập nhật có điều kiện theo version để hai lần lưu đồng thời không ghi đè nhau
+  if (currentPageContent) {
+    const result = await mongoDB.collection('page_contents').updateOne(
+      { pageId, version: currentVersion },
+      {
+        $set: {
+          blocks: blockIds,
+          version: nextVersion,
+          lastEditedBy: userId,
+          lastEditedAt: now
+        }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      // Có lần lưu khác chen vào: trả các block đã ghi về trạng thái đã đọc
+      await undoSavedBlocks(mongoDB, insertedIds, originals);
+      throw new ConflictError('Nội dung trang vừa được cập nhật bởi người khác', {
+        baseVersion: baseVersion !== null ? baseVersion : currentVersion,
+        mergeable: false
+      });
+    }
+
+    // Lưu trữ lịch sử phiên bản kèm nội dung block, để xem và khôi phục được cả khi block đã bị xóa
+    await mongoDB.collection('page_history').insertOne({
+      pageId,
+      version: currentVersion,
+      content: currentPageContent.blocks,
+      blocks: currentBlocks,
+      editedBy: userId,
+      editedAt: now
+    });
+  } else {
+    await mongoDB.collection('page_contents').insertOne({
+      pageId,
+      blocks: blockIds,
+      version: nextVersion,
+      lastEditedBy: userId,
+      lastEditedAt: now
+    });
+  }
+
+  // Nội dung bị ghi đè được ghi nhận như một thao tác để các client đang gõ rebase đúng
+  for (const { previous, content } of changedBlocks) {
+    const bothText = typeof previous.content === 'string' && typeof content === 'string';
+    await blockService.recordOperation(mongoDB, previous, userId, {
+      revision: (previous.revision || 0) + 1,
+      ops: bothText ? textOperations.fromReplacement(previous.content, content) : null
+    });
+  }
+
+  // Snapshot của version mới là bản gốc cho lần lưu tiếp theo của client
+  const savedBlocks = await loadPageBlocks(mongoDB, { pageId, blocks: blockIds });
+  await saveSnapshot(mongoDB, pageId, nextVersion, savedBlocks);
+
+  // Block nguồn được lấy từ nội dung đã đọc (page_contents không còn trỏ tới chúng), trước khi bị xóa
+  const detached = references.length > 0
+    ? await detachReferences(mongoDB, references, userId, { sourceBlocks: currentBlocks })
+    : [];
+
+  // Block bị xóa chỉ được xóa khi page_contents không còn trỏ tới chúng
+  if (removedIds.length > 0) {
+    await mongoDB.collection('blocks').deleteMany({ _id: { $in: removedIds }, pageId });
+    await mongoDB.collection('block_operations').deleteMany({ blockId: { $in: removedIds } });
+    await mongoDB.collection('comments').deleteMany({ blockId: { $in: removedIds } });
+    await mongoDB.collection('attachments').deleteMany({ blockId: { $in: removedIds } });
+  }
+
+  await blockService.touchPage(pageId);
+  await blockService.queueRebalanceIfNeeded(pageId, keyedBlocks);
+
+  // Tách bản đồng bộ nằm ngay trong trang này làm version tăng thêm
+  const version = Math.max(nextVersion, ...detached.filter(item => item.pageId === pageId).map(item => item.version));
+  return { version, blockIds, merged, detached };
+};
+
+module.exports = {
+  toBlockObjectIds,
+  loadPageBlocks,
+  saveSnapshot,
+  restoreHistoryBlocks,
+  getSnapshot,
+  savePageContent
+};
@@ -0,0 +1,363 @@
+const { v4: uuidv4 } = require('uuid');
+const { ObjectId } = require('mongodb');
+const db = require('../config/database');
+const blockService = require('./blockService');
+const dataDeletionService = require('./dataDeletionService');
+const pageOrderService = require('./pageOrderService');
+const { MANAGER_ROLES, getWorkspaceRole } = require('./permissionService');
+
+/*
+ * Nhân bản sâu một cây trang: bản ghi MySQL (trang, cơ sở dữ liệu trong trang và các view, view công việc),
+ * nội dung trang (page_contents, blocks) và tùy chọn bình luận, tệp đính kèm trong MongoDB.
+ * Mọi ID thuộc cây được nhân bản (trang, block, cơ sở dữ liệu, tệp đính kèm) xuất hiện trong nội dung hoặc thuộc
+ * tính đều được thay bằng ID của bản sao, nên liên kết nội bộ (block đồng bộ, block cơ sở dữ liệu, liên kết tới
+ * trang/block, hàng liên kết) trỏ vào bản sao; liên kết ra ngoài cây được giữ nguyên.
+ * Quyền trang (kế thừa và mục quyền) được chép theo; mục quyền cấp cho nhóm chỉ được chép trong cùng workspace.
+ */
+
+const ID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|\b[0-9a-f]{24}\b/gi;
+
+const PAGE_FIELDS = `id, title, icon, cover_url, is_public, parent_page_id, database_id, properties, status,
+  DATE_FORMAT(due_date, '%Y-%m-%d') AS due_date, task_sort_key, sort_key, inherit_permissions`;
+
+/**
+ * Thay các ID cũ trong giá trị (chuỗi, mảng, đối tượng thuần) bằng ID của bản sao.
+ * ObjectId, Date và các đối tượng khác được giữ nguyên.
+ * @param {*} value - Giá trị cần thay.
+ * @param {Map<string, string>} idMap - Ánh xạ ID cũ -> ID mới (chữ thường).
+ * @returns {*}
+ */
+const remapIds = (value, idMap) => {
+  if (typeof value === 'string') {
+    return value.replace(ID_PATTERN, id => idMap.get(id.toLowerCase()) || id);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => remapIds(item, idMap));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)]));
+  }
+  return value;
+};
+
+/**
+ * Đọc giá trị cột JSON (mysql2 đã parse sẵn, hoặc chuỗi với một số driver).
+ * @param {*} value - Giá trị cột.
+ * @returns {*}
+ */
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Lấy các trang (chưa bị xóa) trong cây theo thứ tự duyệt theo chiều rộng; anh em giữ thứ tự tạo.
+ * @async
+ * @param {string} pageId - ID trang gốc.
+ * @param {Set<string>|null} [visiblePageIds=null] - Chỉ lấy các trang này (cùng nhánh con của chúng); null để lấy tất cả.
+ * @returns {Promise<Array>} - Bản ghi các trang, trang gốc đứng đầu.
+ */
+const loadSubtree = async (pageId, visiblePageIds = null) => {
+  const [roots] = await db.query(`SELECT ${PAGE_FIELDS} FROM pages WHERE id = ? AND deleted_at IS NULL`, [pageId]);
+  const pages = [...roots];
+
+  for (let index = 0; index < pages.length; index++) {
+    const [children] = await db.query(
+      `SELECT ${PAGE_FIELDS} FROM pages
+       WHERE parent_page_id = ? AND deleted_at IS NULL
+       ORDER BY created_at ASC, id ASC`,
+      [pages[index].id]
+    );
+    pages.push(...children.filter(child => !visiblePageIds || visiblePageIds.has(child.id)));
+  }
+
+  return pages;
+};
+
+/**
+ * Chép các bản ghi MySQL của cây trang trong một transaction.
+ * @async
+ * @param {Object} context - { pages, databases, views, taskViews, permissions, idMap, rootTitle, workspaceId, parentPageId,
+ *   userId, keepAccess } với `keepAccess` là true khi cần cấp quyền full cho người nhân bản trên các bản sao ngừng kế thừa
+ *   quyền (để họ không mất quyền truy cập bản sao vừa tạo).
+ * @returns {Promise<void>}
+ */
+const copySqlRecords = async ({
+  pages, databases, views, taskViews, permissions, idMap, rootTitle, workspaceId, parentPageId, userId, keepAccess
+}) => {
+  const transaction = await db.beginTransaction();
+  try {
+    // Bản sao được đặt ở cuối danh sách trang con của trang cha, trang con cháu giữ thứ tự như trang gốc
+    const rootSortKey = await pageOrderService.appendSortKey(transaction, workspaceId, parentPageId);
+
+    for (const [index, page] of pages.entries()) {
+      // Trang gốc là hàng của cơ sở dữ liệu: bản sao vẫn là hàng nếu ở cùng trang cha (cùng cơ sở dữ liệu)
+      const databaseId = index === 0 && page.parent_page_id === parentPageId
+        ? page.database_id
+        : idMap.get(page.database_id) || null;
+      const properties = databaseId ? parseJson(page.properties) : null;
+      await transaction.execute(
+        `INSERT INTO pages
+         (id, workspace_id, title, icon, cover_url, parent_page_id, is_public, created_by,
+          database_id, properties, status, due_date, task_sort_key, sort_key, inherit_permissions)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          idMap.get(page.id),
+          workspaceId,
+          index === 0 ? rootTitle : page.title,
+          page.icon,
+          page.cover_url,
+          index === 0 ? parentPageId : idMap.get(page.parent_page_id),
+          page.is_public,
+          userId,
+          databaseId,
+          properties ? JSON.stringify(remapIds(properties, idMap)) : null,
+          page.status,
+          page.due_date,
+          page.task_sort_key,
+          index === 0 ? rootSortKey : page.sort_key,
+          page.inherit_permissions ?? 1
+        ]
+      );
+    }
+
+    for (const permission of permissions) {
+      await transaction.execute(
+        `INSERT INTO page_permissions (id, page_id, principal_type, principal_id, access_level, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), idMap.get(permission.page_id), permission.principal_type, permission.principal_id, permission.access_level, userId]
+      );
+    }
+
+    if (keepAccess) {
+      for (const page of pages.filter(item => Number(item.inherit_permissions ?? 1) === 0)) {
+        await transaction.execute(
+          `INSERT INTO page_permissions (id, page_id, principal_type, principal_id, access_level, created_by)
+           VALUES (?, ?, 'user', ?, 'full', ?)
+           ON DUPLICATE KEY UPDATE access_level = 'full'`,
+          [uuidv4(), idMap.get(page.id), userId, userId]
+        );
+      }
+    }
+
+    for (const database of databases) {
+      await transaction.execute(
+        `INSERT INTO page_databases (id, workspace_id, page_id, title, column_schema, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          idMap.get(database.id),
+          workspaceId,
+          idMap.get(database.page_id),
+          database.title,
+          JSON.stringify(remapIds(parseJson(database.column_schema), idMap)),
+          userId
+        ]
+      );
+    }
+
+    for (const view of views) {
+      await transaction.execute(
+        `INSERT INTO database_views (id, database_id, name, type, filters, sorts, group_by, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(),
+          idMap.get(view.database_id),
+          view.name,
+          view.type,
+          JSON.stringify(remapIds(parseJson(view.filters), idMap)),
+          JSON.stringify(parseJson(view.sorts)),
+          view.group_by,
+          userId
+        ]
+      );
+    }
+
+    for (const view of taskViews) {
+      await transaction.execute(
+        'INSERT INTO page_task_views (id, page_id, name, type, lanes, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+        [uuidv4(), idMap.get(view.page_id), view.name, view.type, view.lanes ? JSON.stringify(parseJson(view.lanes)) : null, userId]
+      );
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Chép nội dung, tệp đính kèm và bình luận của các trang sang bản sao trong MongoDB.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Object} context - { pageBlocks, idMap, userId, includeComments, includeAttachments }.
+ * @returns {Promise<Object>} - { blocks, attachments, comments } - số tài liệu đã chép.
+ */
+const copyMongoDocuments = async (mongoDB, { pageBlocks, idMap, userId, includeComments, includeAttachments }) => {
+  const now = new Date();
+  const counts = { blocks: 0, attachments: 0, comments: 0 };
+  const toCopyId = (id) => (id && idMap.has(id.toString()) ? new ObjectId(idMap.get(id.toString())) : null);
+
+  for (const { pageId, blocks } of pageBlocks) {
+    const copies = blocks.map(({ position, children, ...block }) => ({
+      ...block,
+      _id: toCopyId(block._id),
+      pageId: idMap.get(pageId),
+      parentId: toCopyId(block.parentId),
+      content: remapIds(block.content, idMap),
+      properties: remapIds(block.properties || {}, idMap),
+      revision: 0,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now
+    }));
+
+    if (copies.length > 0) {
+      await mongoDB.collection('blocks').insertMany(copies);
+    }
+    await mongoDB.collection('page_contents').insertOne({
+      pageId: idMap.get(pageId),
+      blocks: copies.map(block => block._id),
+      version: 1,
+      lastEditedBy: userId,
+      lastEditedAt: now
+    });
+    counts.blocks += copies.length;
+
+    // Tệp đính kèm được đọc theo từng trang để không giữ toàn bộ dữ liệu tệp trong bộ nhớ cùng lúc
+    if (includeAttachments && blocks.length > 0) {
+      const attachments = await mongoDB.collection('attachments')
+        .find({ blockId: { $in: blocks.map(block => block._id) } })
+        .toArray();
+      if (attachments.length > 0) {
+        await mongoDB.collection('attachments').insertMany(attachments.map(attachment => ({
+          ...attachment,
+          _id: toCopyId(attachment._id),
+          blockId: toCopyId(attachment.blockId),
+          ...(attachment.pageId ? { pageId: idMap.get(pageId) } : {}),
+          uploadedBy: userId
+        })));
+        counts.attachments += attachments.length;
+      }
+    }
+  }
+
+  if (includeComments) {
+    const pageIds = pageBlocks.map(({ pageId }) => pageId);
+    const comments = await mongoDB.collection('comments').find({ pageId: { $in: pageIds } }).toArray();
+    // Bình luận trên block không còn trong nội dung trang không được chép
+    const copies = comments
+      .filter(comment => !comment.blockId || idMap.has(comment.blockId.toString()))
+      .map(comment => ({
+        ...comment,
+        _id: new ObjectId(),
+        pageId: idMap.get(comment.pageId),
+        ...(comment.blockId ? { blockId: toCopyId(comment.blockId) } : {}),
+        content: remapIds(comment.content, idMap)
+      }));
+    if (copies.length > 0) {
+      await mongoDB.collection('comments').insertMany(copies);
+    }
+    counts.comments = copies.length;
+  }
+
+  return counts;
+};
+
+/**
+ * Nhân bản sâu trang và các trang con cháu (có thể sang workspace khác).
+ * Bản ghi MySQL được tạo trước trong một transaction; nếu bước chép MongoDB lỗi, các bản sao đã tạo bị xóa
+ * trên cả hai nơi để không để lại trang rỗng.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Object} options - Tùy chọn.
+ * @param {Object} options.page - Trang gốc cần nhân bản.
+ * @param {string} options.userId - ID người nhân bản.
+ * @param {string} options.workspaceId - Workspace đích.
+ * @param {string|null} options.parentPageId - Trang cha của bản sao trong workspace đích.
+ * @param {boolean} [options.includeComments=false] - Chép bình luận.
+ * @param {boolean} [options.includeAttachments=true] - Chép tệp đính kèm của block (nếu không, block ảnh/tệp vẫn trỏ tới tệp gốc).
+ * @param {Set<string>|null} [options.visiblePageIds=null] - Chỉ chép các trang con cháu người dùng xem được; null để chép tất cả.
+ * @returns {Promise<Object>} - { pageId, pageIdMap, counts: { pages, blocks, attachments, comments } }.
+ * @example
+ * await duplicatePageTree(mongoDB, { page, userId, workspaceId: page.workspace_id, parentPageId: page.parent_page_id });
+ */
+const duplicatePageTree = async (mongoDB, {
+  page,
+  userId,
+  workspaceId,
+  parentPageId,
+  includeComments = false,
+  includeAttachments = true,
+  visiblePageIds = null
+}) => {
+  const pages = await loadSubtree(page.id, visiblePageIds);
+  const pageIds = pages.map(item => item.id);
+  const ids = pageIds.map(() => '?').join(', ');
+
+  const [databases] = await db.query(`SELECT * FROM page_databases WHERE page_id IN (${ids})`, pageIds);
+  const [views] = databases.length > 0
+    ? await db.query('SELECT * FROM database_views WHERE database_id IN (?) ORDER BY created_at, id', [databases.map(item => item.id)])
+    : [[]];
+  const [taskViews] = await db.query(`SELECT * FROM page_task_views WHERE page_id IN (${ids}) ORDER BY created_at, id`, pageIds);
+  // Sang workspace khác: bỏ quyền cấp cho nhóm (nhóm thuộc workspace cũ) và cho người không phải thành viên workspace đích
+  const [permissions] = workspaceId === page.workspace_id
+    ? await db.query(`SELECT * FROM page_permissions WHERE page_id IN (${ids})`, pageIds)
+    : await db.query(
+      `SELECT * FROM page_permissions
+       WHERE page_id IN (${ids}) AND principal_type = 'user'
+       AND principal_id IN (SELECT user_id FROM workspace_members WHERE workspace_id = ?)`,
+      [...pageIds, workspaceId]
+    );
+
+  // Nội dung hiện tại của từng trang (theo page_contents, đúng thứ tự block)
+  const pageBlocks = [];
+  for (const pageId of pageIds) {
+    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+    pageBlocks.push({ pageId, blocks: await blockService.loadPageBlocks(mongoDB, pageContent) });
+  }
+
+  // Ánh xạ mọi ID thuộc cây sang ID mới
+  const idMap = new Map();
+  pages.forEach(item => idMap.set(item.id, uuidv4()));
+  databases.forEach(item => idMap.set(item.id, uuidv4()));
+  pageBlocks.forEach(({ blocks }) => blocks.forEach(block => idMap.set(block._id.toString(), new ObjectId().toString())));
+  if (includeAttachments) {
+    const blockIds = pageBlocks.flatMap(({ blocks }) => blocks.map(block => block._id));
+    const attachments = await mongoDB.collection('attachments')
+      .find({ blockId: { $in: blockIds } }, { projection: { _id: 1 } })
+      .toArray();
+    attachments.forEach(attachment => idMap.set(attachment._id.toString(), new ObjectId().toString()));
+  }
+
+  await copySqlRecords({
+    pages,
+    databases,
+    views,
+    taskViews,
+    permissions,
+    idMap,
+    rootTitle: `${page.title} (Copy)`,
+    workspaceId,
+    parentPageId,
+    userId,
+    keepAccess: !MANAGER_ROLES.includes(await getWorkspaceRole(workspaceId, userId))
+  });
+
+  const copyIds = pageIds.map(id => idMap.get(id));
+  let counts;
+  try {
+    counts = await copyMongoDocuments(mongoDB, { pageBlocks, idMap, userId, includeComments, includeAttachments });
+  } catch (error) {
+    await dataDeletionService.deletePages(mongoDB, copyIds);
+    throw error;
+  }
+
+  return {
+    pageId: idMap.get(page.id),
+    pageIdMap: Object.fromEntries(pageIds.map(id => [id, idMap.get(id)])),
+    counts: { pages: pages.length, ...counts }
+  };
+};
+
+module.exports = {
+  remapIds,
+  duplicatePageTree
+};
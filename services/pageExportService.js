@@ -0,0 +1,334 @@
+const { ObjectId } = require('mongodb');
+const db = require('../config/database');
+const { BadRequestError } = require('../middlewares/error');
+const { getPageAccess, getWorkspacePageAccess } = require('./permissionService');
+const { PAGE_ORDER } = require('./pageOrderService');
+const { loadPageBlocks } = require('./pageContentService');
+const { resolveSyncedBlocks } = require('./syncedBlockService');
+const { buildBlockTree } = require('../utils/blockTree');
+const { escapeHtml, renderBlocksHtml, renderHtmlDocument } = require('../utils/blockRenderer');
+const { escapeMarkdown, renderBlocksMarkdown, renderMarkdownDocument } = require('../utils/markdown');
+const { renderPdfDocument } = require('../utils/pdfDocument');
+const { createZipArchive } = require('../utils/zipArchive');
+
+/*
+ * Xuất trang ra Markdown, HTML hoặc PDF. Nội dung là các block của page_contents theo thứ tự (gồm block con; block đồng
+ * bộ hiển thị nội dung block nguồn nếu người xuất xem được).
+ * Tệp đính kèm là liên kết tới /api/attachments/:id, hoặc ảnh được nhúng thẳng vào tệp (data URI với md/html, luôn nhúng
+ * với PDF). Khi xuất kèm trang con, kết quả là tệp zip giữ cây trang: `Tên.md` cạnh thư mục `Tên/` chứa trang con (cùng
+ * cấu trúc mà markdownImportService đọc được) và tệp đính kèm nằm trong thư mục `files/`.
+ */
+
+const EXPORT_FORMATS = ['md', 'html', 'pdf'];
+const ATTACHMENT_MODES = ['link', 'embed'];
+
+// Số trang tối đa trong một tệp zip
+const MAX_EXPORT_PAGES = 200;
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  pdf: 'application/pdf',
+  zip: 'application/zip'
+};
+
+// Ảnh được nhúng: data URI (md/html, cùng danh sách với utils/blockRenderer) và PDF (pdfkit chỉ đọc PNG/JPEG)
+const EMBEDDED_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const PDF_IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Tên tệp / thư mục an toàn trên mọi hệ điều hành.
+ * @param {string} name - Tên gốc.
+ * @param {string} [fallback='Không có tiêu đề'] - Tên dùng khi tên gốc trống.
+ * @returns {string}
+ */
+const sanitizeFileName = (name, fallback = 'Không có tiêu đề') => {
+  const cleaned = String(name || '')
+    .replace(/[\\/:*?"<>|\u0000-\u001f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .slice(0, 100)
+    .trim();
+  return cleaned || fallback;
+};
+
+/**
+ * Mã hóa đường dẫn tương đối trong zip thành URL.
+ * @param {string} filePath - Đường dẫn (phân cách bằng '/').
+ * @returns {string}
+ */
+const encodePath = filePath => filePath.split('/').map(segment => (segment === '..' || segment === '.'
+  ? segment
+  : encodeURIComponent(segment).replace(/\(/g, '%28').replace(/\)/g, '%29'))).join('/');
+
+/**
+ * Lấy ID tệp đính kèm trong cây block (gồm nội dung block đồng bộ).
+ * @param {Array} blocks - Cây block.
+ * @param {Set<string>} [ids] - Tập ID đang gom.
+ * @returns {Set<string>}
+ */
+const collectAttachmentIds = (blocks, ids = new Set()) => {
+  blocks.forEach((block) => {
+    if (block.properties?.attachmentId) ids.add(String(block.properties.attachmentId));
+    if (block.synced?.block) collectAttachmentIds([block.synced.block], ids);
+    if (block.children) collectAttachmentIds(block.children, ids);
+  });
+  return ids;
+};
+
+/**
+ * Lọc các tệp đính kèm người xuất được xem: tệp của block (hoặc gắn trực tiếp với trang) thuộc trang người xuất xem
+ * được, hoặc tệp chưa gắn với block do chính người xuất tải lên (như attachmentController.getAttachmentById).
+ * attachmentId trong block có thể trỏ tới tệp của trang bất kỳ nên không đủ để xác định quyền.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Array<Object>} attachments - Tài liệu attachments.
+ * @param {string} userId - ID người xuất.
+ * @returns {Promise<Array<Object>>}
+ */
+const filterViewableAttachments = async (mongoDB, attachments, userId) => {
+  const blockIds = attachments.filter(attachment => attachment.blockId).map(attachment => attachment.blockId);
+  const blocks = blockIds.length > 0
+    ? await mongoDB.collection('blocks').find({ _id: { $in: blockIds } }, { projection: { pageId: 1 } }).toArray()
+    : [];
+  const blockPages = new Map(blocks.map(block => [block._id.toString(), block.pageId]));
+
+  const canView = new Map();
+  const viewable = [];
+  for (const attachment of attachments) {
+    const ownerPageId = attachment.pageId || (attachment.blockId ? blockPages.get(attachment.blockId.toString()) : null);
+    if (!ownerPageId) {
+      if (!attachment.blockId && attachment.uploadedBy === userId) viewable.push(attachment);
+      continue;
+    }
+    if (!canView.has(ownerPageId)) {
+      canView.set(ownerPageId, (await getPageAccess(ownerPageId, userId)).canView);
+    }
+    if (canView.get(ownerPageId)) viewable.push(attachment);
+  }
+  return viewable;
+};
+
+/**
+ * Tải nội dung trang để xuất: cây block và tệp đính kèm được tham chiếu mà người xuất được xem (tệp còn lại chỉ được
+ * xuất dưới dạng liên kết tới /api/attachments/:id).
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID trang.
+ * @param {string} userId - ID người xuất (quyền xem block nguồn của block đồng bộ và tệp đính kèm).
+ * @returns {Promise<Object>} - { blocks, attachments } với `attachments` là Map ID -> tài liệu attachments.
+ */
+const loadExportContent = async (mongoDB, pageId, userId) => {
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+  const blocks = await resolveSyncedBlocks(mongoDB, await loadPageBlocks(mongoDB, pageContent), userId);
+  const tree = buildBlockTree(blocks);
+
+  const ids = [...collectAttachmentIds(tree)].filter(id => ObjectId.isValid(id));
+  const attachments = ids.length > 0
+    ? await filterViewableAttachments(
+      mongoDB,
+      await mongoDB.collection('attachments').find({ _id: { $in: ids.map(id => new ObjectId(id)) } }).toArray(),
+      userId
+    )
+    : [];
+
+  return {
+    blocks: tree,
+    attachments: new Map(attachments.map(attachment => [attachment._id.toString(), attachment]))
+  };
+};
+
+/**
+ * Render một trang theo định dạng.
+ * @async
+ * @param {string} format - md | html | pdf.
+ * @param {Object} page - Trang ({ title, icon, cover_url }).
+ * @param {Object} content - Kết quả loadExportContent.
+ * @param {Object} options - { resolveFile, subpages } với `subpages` là [{ title, url }].
+ * @returns {Promise<string|Buffer>}
+ */
+const renderPage = async (format, page, { blocks, attachments }, { resolveFile, subpages = [] }) => {
+  if (format === 'pdf') {
+    return renderPdfDocument(page, blocks, {
+      resolveFile,
+      subpages,
+      resolveImage: (block) => {
+        const attachment = attachments.get(String(block.properties?.attachmentId));
+        return attachment && PDF_IMAGE_TYPES.includes(attachment.fileType)
+          ? Buffer.from(attachment.fileData, 'base64')
+          : null;
+      }
+    });
+  }
+
+  if (format === 'md') {
+    const links = subpages.map(subpage => `- [${escapeMarkdown(subpage.title || 'Không có tiêu đề')}](${subpage.url})`);
+    const body = [renderBlocksMarkdown(blocks, { resolveFile }), links.join('\n')].filter(Boolean).join('\n\n');
+    return renderMarkdownDocument({ title: page.title, body });
+  }
+
+  const links = subpages.map(subpage => `<li><a href="${escapeHtml(subpage.url)}">${escapeHtml(subpage.title || 'Không có tiêu đề')}</a></li>`);
+  return renderHtmlDocument({
+    title: page.title,
+    icon: page.icon,
+    coverUrl: page.cover_url,
+    body: `${renderBlocksHtml(blocks, { resolveFile })}${links.length > 0 ? `\n<ul class="subpages">${links.join('')}</ul>` : ''}`
+  });
+};
+
+/**
+ * Lấy cây trang con mà người dùng xem được (trang bị ẩn thì cả nhánh con cũng không được xuất).
+ * @async
+ * @param {Object} page - Trang gốc.
+ * @param {string} userId - ID người xuất.
+ * @returns {Promise<Object>} - Nút gốc { page, children } với mỗi nút con có cùng cấu trúc.
+ * @throws {BadRequestError} - Nếu cây có quá nhiều trang.
+ */
+const loadExportTree = async (page, userId) => {
+  const access = await getWorkspacePageAccess(page.workspace_id, userId);
+  const [rows] = await db.query(
+    `SELECT p.id, p.title, p.icon, p.cover_url, p.parent_page_id FROM pages p
+     WHERE p.workspace_id = ? AND p.deleted_at IS NULL AND p.database_id IS NULL
+     ORDER BY ${PAGE_ORDER}`,
+    [page.workspace_id]
+  );
+
+  const childrenOf = new Map();
+  rows.filter(row => access.has(row.id)).forEach((row) => {
+    if (!childrenOf.has(row.parent_page_id)) childrenOf.set(row.parent_page_id, []);
+    childrenOf.get(row.parent_page_id).push(row);
+  });
+
+  let count = 1;
+  const visited = new Set([page.id]);
+  const build = (node) => ({
+    page: node,
+    children: (childrenOf.get(node.id) || []).filter(child => !visited.has(child.id)).map((child) => {
+      visited.add(child.id);
+      count += 1;
+      if (count > MAX_EXPORT_PAGES) {
+        throw new BadRequestError(`Trang có quá nhiều trang con để xuất (tối đa ${MAX_EXPORT_PAGES})`);
+      }
+      return build(child);
+    })
+  });
+
+  return build(page);
+};
+
+/**
+ * Xuất trang cùng toàn bộ trang con thành tệp zip giữ cây trang.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} page - Trang gốc.
+ * @param {string} userId - ID người xuất.
+ * @param {string} format - md | html | pdf.
+ * @returns {Promise<Object>} - { fileName, contentType, data }.
+ */
+const exportPageArchive = async (mongoDB, page, userId, format) => {
+  const tree = await loadExportTree(page, userId);
+  const entries = [];
+  const files = new Map();
+
+  // Tên duy nhất trong cùng thư mục (không phân biệt hoa thường)
+  const uniqueNames = (nodes) => {
+    const used = new Set();
+    return nodes.map((node) => {
+      const base = sanitizeFileName(node.page.title);
+      let name = base;
+      for (let index = 2; used.has(name.toLowerCase()); index += 1) name = `${base} (${index})`;
+      used.add(name.toLowerCase());
+      return name;
+    });
+  };
+
+  const visit = async (node, name, directory) => {
+    const depth = directory ? directory.split('/').length - 1 : 0;
+    const toRoot = depth > 0 ? '../'.repeat(depth) : './';
+    const content = await loadExportContent(mongoDB, node.page.id, userId);
+
+    content.attachments.forEach((attachment, id) => {
+      if (!files.has(id)) {
+        files.set(id, `files/${id}-${sanitizeFileName(attachment.fileName, 'tep')}`);
+        entries.push({ name: files.get(id), data: Buffer.from(attachment.fileData || '', 'base64') });
+      }
+    });
+
+    const childNames = uniqueNames(node.children);
+    const data = await renderPage(format, node.page, content, {
+      resolveFile: (block) => {
+        const attachmentId = block.properties.attachmentId;
+        if (!attachmentId) return block.properties.url;
+        return files.has(String(attachmentId))
+          ? encodePath(`${toRoot}${files.get(String(attachmentId))}`)
+          : `/api/attachments/${attachmentId}`;
+      },
+      subpages: node.children.map((child, index) => ({
+        title: child.page.title,
+        url: encodePath(`./${name}/${childNames[index]}.${format}`)
+      }))
+    });
+    entries.push({ name: `${directory}${name}.${format}`, data });
+
+    for (let index = 0; index < node.children.length; index += 1) {
+      await visit(node.children[index], childNames[index], `${directory}${name}/`);
+    }
+  };
+
+  const rootName = sanitizeFileName(page.title);
+  await visit(tree, rootName, '');
+
+  return { fileName: `${rootName}.zip`, contentType: CONTENT_TYPES.zip, data: createZipArchive(entries) };
+};
+
+/**
+ * Xuất trang ra Markdown, HTML hoặc PDF (kèm trang con thì trả về tệp zip).
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} page - Trang cần xuất (người dùng đã được kiểm tra quyền xem).
+ * @param {string} userId - ID người xuất.
+ * @param {Object} options - Tùy chọn.
+ * @param {string} options.format - md | html | pdf.
+ * @param {boolean} [options.includeChildren=false] - Xuất kèm toàn bộ trang con thành tệp zip.
+ * @param {string} [options.attachments='link'] - link: liên kết tới /api/attachments/:id; embed: nhúng ảnh vào tệp
+ *   (PDF luôn nhúng ảnh PNG/JPEG; trong zip tệp đính kèm luôn nằm trong thư mục files/).
+ * @returns {Promise<Object>} - { fileName, contentType, data } với `data` là chuỗi hoặc Buffer.
+ * @throws {BadRequestError} - Nếu định dạng hoặc chế độ tệp đính kèm không hợp lệ, hoặc có quá nhiều trang con.
+ * @example
+ * await exportPage(mongoDB, page, userId, { format: 'md', includeChildren: true });
+ * // => { fileName: 'Ghi chú.zip', contentType: 'application/zip', data: <Buffer ...> }
+ */
+const exportPage = async (mongoDB, page, userId, { format, includeChildren = false, attachments = 'link' }) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new BadRequestError(`format phải là một trong: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  if (!ATTACHMENT_MODES.includes(attachments)) {
+    throw new BadRequestError(`attachments phải là một trong: ${ATTACHMENT_MODES.join(', ')}`);
+  }
+
+  if (includeChildren) {
+    return exportPageArchive(mongoDB, page, userId, format);
+  }
+
+  const content = await loadExportContent(mongoDB, page.id, userId);
+  const data = await renderPage(format, page, content, {
+    resolveFile: (block) => {
+      const attachmentId = block.properties.attachmentId;
+      if (!attachmentId) return block.properties.url;
+
+      const attachment = content.attachments.get(String(attachmentId));
+      if (attachments === 'embed' && block.type === 'image' && attachment && EMBEDDED_IMAGE_TYPES.includes(attachment.fileType)) {
+        return `data:${attachment.fileType};base64,${attachment.fileData}`;
+      }
+      return `/api/attachments/${attachmentId}`;
+    }
+  });
+
+  return { fileName: `${sanitizeFileName(page.title)}.${format}`, contentType: CONTENT_TYPES[format], data };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  ATTACHMENT_MODES,
+  exportPage
+};
@@ -0,0 +1,218 @@
+const db = require('../config/database');
+const { BadRequestError } = require('../middlewares/error');
+const databaseService = require('./databaseService');
+const pageOrderService = require('./pageOrderService');
+const syncedBlockService = require('./syncedBlockService');
+
+/*
+ * Chuyển cây trang sang workspace khác. Trang giữ nguyên ID nên block, bình luận, tệp đính kèm và lịch sử trong
+ * MongoDB (gắn theo pageId) đi theo trang mà không cần chép. Những gì gắn với workspace được xử lý lại:
+ *   - trang gốc là hàng của cơ sở dữ liệu ở workspace cũ thì được tách thành trang thường;
+ *   - mục yêu thích của người không phải thành viên workspace đích bị bỏ;
+ *   - mục quyền cấp cho nhóm và cho người không phải thành viên workspace đích bị bỏ (như khi nhân bản sang workspace
+ *     khác), để trang không âm thầm trở thành trang chia sẻ cho khách ở workspace đích;
+ *   - cột relation giữa cơ sở dữ liệu trong cây và cơ sở dữ liệu ở lại workspace cũ được chuyển thành cột văn bản;
+ *   - block đồng bộ tham chiếu qua ranh giới cây (ở cả hai chiều) được tách thành bản sao độc lập.
+ */
+
+/**
+ * Tạo chuỗi placeholder cho mệnh đề IN (transaction.execute không hỗ trợ truyền mảng).
+ * @param {Array} values - Danh sách giá trị.
+ * @returns {string}
+ */
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Lấy ID mọi trang con cháu của một trang (kể cả trang trong thùng rác, chúng đi theo cây).
+ * @async
+ * @param {Object} transaction - Transaction MySQL.
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<Array<string>>}
+ */
+const getDescendantIds = async (transaction, pageId) => {
+  const descendantIds = [];
+  const queue = [pageId];
+
+  while (queue.length > 0) {
+    const children = await transaction.execute('SELECT id FROM pages WHERE parent_page_id = ?', [queue.shift()]);
+    children.forEach(({ id }) => {
+      descendantIds.push(id);
+      queue.push(id);
+    });
+  }
+
+  return descendantIds;
+};
+
+/**
+ * Chuyển các bản ghi MySQL của cây trang sang workspace đích trong một transaction.
+ * @async
+ * @param {Object} options - { page, workspaceId, parentPageId }.
+ * @returns {Promise<Object>} - { pageIds, databaseIds, favoritesRemoved }.
+ * @throws {BadRequestError} - Nếu trang đã bị xóa hoặc chuyển đi trong lúc xử lý.
+ */
+const moveSqlRecords = async ({ page, workspaceId, parentPageId }) => {
+  const transaction = await db.beginTransaction();
+  try {
+    // Khóa trang gốc để hai yêu cầu chuyển cùng một trang không chạy chồng lên nhau
+    const roots = await transaction.execute(
+      'SELECT id FROM pages WHERE id = ? AND workspace_id = ? AND deleted_at IS NULL FOR UPDATE',
+      [page.id, page.workspace_id]
+    );
+    if (roots.length === 0) {
+      throw new BadRequestError('Trang đã bị xóa hoặc đã được chuyển đi');
+    }
+
+    const pageIds = [page.id, ...await getDescendantIds(transaction, page.id)];
+    const inPages = placeholders(pageIds);
+
+    const databases = await transaction.execute(`SELECT id FROM page_databases WHERE page_id IN (${inPages})`, pageIds);
+    const databaseIds = databases.map(({ id }) => id);
+
+    // Hàng thuộc cơ sở dữ liệu nằm ngoài cây (trang gốc là hàng của cơ sở dữ liệu ở trang cha) trở thành trang thường
+    await transaction.execute(
+      `UPDATE pages SET database_id = NULL, properties = NULL
+       WHERE id IN (${inPages}) AND database_id IS NOT NULL
+       ${databaseIds.length > 0 ? `AND database_id NOT IN (${placeholders(databaseIds)})` : ''}`,
+      [...pageIds, ...databaseIds]
+    );
+
+    // Trang gốc được đặt ở cuối danh sách trang con của trang cha trong workspace đích
+    const sortKey = await pageOrderService.appendSortKey(transaction, workspaceId, parentPageId);
+    await transaction.execute(
+      'UPDATE pages SET parent_page_id = ?, sort_key = ?, task_sort_key = NULL WHERE id = ?',
+      [parentPageId, sortKey, page.id]
+    );
+    await transaction.execute(`UPDATE pages SET workspace_id = ? WHERE id IN (${inPages})`, [workspaceId, ...pageIds]);
+    await transaction.execute(
+      `UPDATE page_databases SET workspace_id = ? WHERE page_id IN (${inPages})`,
+      [workspaceId, ...pageIds]
+    );
+
+    const favorites = await transaction.execute(
+      `SELECT COUNT(*) AS total FROM favorites
+       WHERE page_id IN (${inPages})
+       AND user_id NOT IN (SELECT user_id FROM workspace_members WHERE workspace_id = ?)`,
+      [...pageIds, workspaceId]
+    );
+    await transaction.execute(
+      `DELETE FROM favorites
+       WHERE page_id IN (${inPages})
+       AND user_id NOT IN (SELECT user_id FROM workspace_members WHERE workspace_id = ?)`,
+      [...pageIds, workspaceId]
+    );
+
+    // Nhóm thuộc về workspace cũ nên mục quyền cấp cho nhóm không còn ý nghĩa ở workspace đích; người không phải
+    // thành viên workspace đích không giữ quyền trên trang
+    await transaction.execute(
+      `DELETE FROM page_permissions
+       WHERE page_id IN (${inPages})
+       AND (principal_type = 'group'
+         OR principal_id NOT IN (SELECT user_id FROM workspace_members WHERE workspace_id = ?))`,
+      [...pageIds, workspaceId]
+    );
+
+    // Bản xuất bản gắn với slug của workspace cũ; trang chuyển đi không còn được xuất bản
+    await transaction.execute(
+      `DELETE FROM published_pages
+       WHERE page_id IN (${inPages})
+       OR publication_id IN (SELECT id FROM page_publications WHERE root_page_id IN (${inPages}))`,
+      [...pageIds, ...pageIds]
+    );
+    await transaction.execute(`DELETE FROM page_publications WHERE root_page_id IN (${inPages})`, pageIds);
+
+    await transaction.commit();
+    return { pageIds, databaseIds, favoritesRemoved: Number(favorites[0].total) };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Chuyển các cột relation nối cơ sở dữ liệu trong cây với cơ sở dữ liệu ở lại workspace cũ thành cột văn bản.
+ * @async
+ * @param {string} sourceWorkspaceId - Workspace cũ.
+ * @param {Array<string>} databaseIds - ID các cơ sở dữ liệu trong cây đã chuyển.
+ * @returns {Promise<Array>} - Các cơ sở dữ liệu có cột đã chuyển (sau khi cập nhật).
+ */
+const detachRelations = async (sourceWorkspaceId, databaseIds) => {
+  const moved = new Set(databaseIds);
+  const detached = [];
+
+  const [outside] = await db.query('SELECT id FROM page_databases WHERE workspace_id = ?', [sourceWorkspaceId]);
+  const candidates = [...databaseIds, ...outside.map(({ id }) => id)];
+
+  for (const databaseId of candidates) {
+    let database = await databaseService.findDatabase(databaseId);
+    const crossing = database.columns.filter(column => column.type === 'relation' &&
+      moved.has(column.relationDatabaseId) !== moved.has(database.id));
+
+    if (crossing.length === 0) continue;
+
+    for (const column of crossing) {
+      ({ database } = await databaseService.detachRelationColumn(database, column.id));
+    }
+    detached.push(database);
+  }
+
+  return detached;
+};
+
+/**
+ * Tách các block đồng bộ tham chiếu qua ranh giới cây trang: block ngoài cây đồng bộ từ block trong cây,
+ * và block trong cây đồng bộ từ block ngoài cây.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Array<string>} pageIds - ID các trang trong cây.
+ * @param {string} userId - ID người thực hiện.
+ * @returns {Promise<Array>} - [{ blockId, pageId, version }] các block đã tách.
+ */
+const detachSyncedBlocks = async (mongoDB, pageIds, userId) => {
+  const inTree = new Set(pageIds);
+  const blocks = await mongoDB.collection('blocks')
+    .find({ pageId: { $in: pageIds } }, { projection: { _id: 1, pageId: 1, type: 1, properties: 1 } })
+    .toArray();
+  const blockIds = new Set(blocks.map(block => block._id.toString()));
+
+  const incoming = (await syncedBlockService.findReferences(mongoDB, [...blockIds]))
+    .filter(reference => !inTree.has(reference.pageId));
+  const outgoing = blocks
+    .filter(block => syncedBlockService.isSyncedBlock(block) &&
+      !blockIds.has(syncedBlockService.getSourceBlockId(block)))
+    .map(block => ({ _id: block._id, pageId: block.pageId, sourceBlockId: syncedBlockService.getSourceBlockId(block) }));
+
+  return syncedBlockService.detachReferences(mongoDB, [...incoming, ...outgoing], userId);
+};
+
+/**
+ * Chuyển trang cùng các trang con cháu sang workspace khác.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Object} options - Tùy chọn.
+ * @param {Object} options.page - Trang cần chuyển (chưa bị xóa).
+ * @param {string} options.userId - ID người thực hiện.
+ * @param {string} options.workspaceId - Workspace đích (khác workspace hiện tại).
+ * @param {string|null} options.parentPageId - Trang cha trong workspace đích, null để đặt ở cấp gốc.
+ * @returns {Promise<Object>} - { pageIds, favoritesRemoved, relations, syncedBlocks }.
+ * @throws {BadRequestError} - Nếu workspace đích trùng workspace hiện tại.
+ * @example
+ * await movePageToWorkspace(mongoDB, { page, userId, workspaceId: 'target-workspace', parentPageId: null });
+ */
+const movePageToWorkspace = async (mongoDB, { page, userId, workspaceId, parentPageId }) => {
+  if (workspaceId === page.workspace_id) {
+    throw new BadRequestError('Trang đã thuộc workspace này');
+  }
+
+  const { pageIds, databaseIds, favoritesRemoved } = await moveSqlRecords({ page, workspaceId, parentPageId });
+
+  // Liên kết từ các trang khác được sửa sau khi chuyển; cây trang đã ở workspace mới kể cả khi bước này lỗi
+  const relations = await detachRelations(page.workspace_id, databaseIds);
+  const syncedBlocks = await detachSyncedBlocks(mongoDB, pageIds, userId);
+
+  return { pageIds, favoritesRemoved, relations, syncedBlocks };
+};
+
+module.exports = {
+  movePageToWorkspace
+};
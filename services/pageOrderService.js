@@ -0,0 +1,108 @@
+const db = require('../config/database');
+const { generateKeyBetween, fillKeys } = require('../utils/fractionalIndex');
+
+/*
+ * Thứ tự các trang cùng cấp trong cây trang (pages.sort_key, khóa phân số theo utils/fractionalIndex).
+ * Mọi thao tác cấp khóa đều khóa trang cha (hoặc workspace với trang cấp gốc) bằng SELECT ... FOR UPDATE
+ * để các thao tác tạo / kéo thả đồng thời dưới cùng trang cha không cấp trùng khóa.
+ * Hàng của cơ sở dữ liệu trong trang (pages.database_id) không thuộc cây trang nên không có khóa.
+ */
+
+// Trang có khóa sắp xếp đứng trước, trang chưa có khóa xếp theo thời gian tạo
+const PAGE_ORDER = 'p.sort_key IS NULL, p.sort_key, p.created_at, p.id';
+
+const SIBLING_CONDITION = `p.workspace_id = ? AND p.parent_page_id <=> ?
+  AND p.database_id IS NULL AND p.deleted_at IS NULL`;
+
+/**
+ * Khóa nhóm trang anh em dưới một trang cha trong transaction.
+ * @async
+ * @param {Object} transaction - Transaction MySQL.
+ * @param {string} workspaceId - ID workspace.
+ * @param {string|null} parentPageId - ID trang cha, null với trang cấp gốc.
+ */
+const lockSiblings = async (transaction, workspaceId, parentPageId) => {
+  if (parentPageId) {
+    await transaction.execute('SELECT id FROM pages WHERE id = ? FOR UPDATE', [parentPageId]);
+  } else {
+    await transaction.execute('SELECT id FROM workspaces WHERE id = ? FOR UPDATE', [workspaceId]);
+  }
+};
+
+/**
+ * Cấp khóa sắp xếp để đặt trang mới ở cuối danh sách trang con của trang cha.
+ * Phải được gọi trong transaction tạo / chuyển trang; nhóm anh em bị khóa tới khi transaction kết thúc.
+ * @async
+ * @param {Object} transaction - Transaction MySQL.
+ * @param {string} workspaceId - ID workspace.
+ * @param {string|null} parentPageId - ID trang cha, null với trang cấp gốc.
+ * @returns {Promise<string>} - Khóa sắp xếp mới.
+ * @example
+ * const sortKey = await appendSortKey(transaction, workspaceId, parentPageId);
+ * await transaction.execute('INSERT INTO pages (..., sort_key) VALUES (..., ?)', [..., sortKey]);
+ */
+const appendSortKey = async (transaction, workspaceId, parentPageId) => {
+  await lockSiblings(transaction, workspaceId, parentPageId);
+
+  const [last] = await transaction.execute(
+    `SELECT MAX(p.sort_key) AS sort_key FROM pages p WHERE ${SIBLING_CONDITION}`,
+    [workspaceId, parentPageId]
+  );
+  return generateKeyBetween(last?.sort_key || null, null);
+};
+
+/**
+ * Đặt trang vào vị trí `position` trong danh sách trang con của `parentPageId` (mặc định cuối danh sách).
+ * Các trang anh em chưa có khóa (hoặc khóa sai thứ tự) cũng được cấp khóa để giữ đúng thứ tự hiển thị.
+ * Việc kiểm tra trang cha (cùng workspace, không phải con cháu của trang) do nơi gọi thực hiện.
+ * @async
+ * @param {Object} page - Trang cần đặt lại vị trí.
+ * @param {Object} data - { parentPageId, position }.
+ * @returns {Promise<Array>} - ID các trang con của trang cha theo thứ tự mới.
+ */
+const reorderPage = async (page, { parentPageId, position }) => {
+  const transaction = await db.beginTransaction();
+  try {
+    await lockSiblings(transaction, page.workspace_id, parentPageId);
+
+    const siblings = await transaction.execute(
+      `SELECT p.id, p.sort_key FROM pages p
+       WHERE ${SIBLING_CONDITION} AND p.id <> ?
+       ORDER BY ${PAGE_ORDER}`,
+      [page.workspace_id, parentPageId, page.id]
+    );
+
+    const index = position === undefined || position === null || position > siblings.length
+      ? siblings.length
+      : position;
+    const ordered = [
+      ...siblings.slice(0, index),
+      { id: page.id, sort_key: null },
+      ...siblings.slice(index)
+    ];
+    const keys = fillKeys(ordered.map(item => item.sort_key));
+
+    for (let i = 0; i < ordered.length; i++) {
+      if (ordered[i].id === page.id) {
+        await transaction.execute(
+          'UPDATE pages SET parent_page_id = ?, sort_key = ? WHERE id = ?',
+          [parentPageId, keys[i], page.id]
+        );
+      } else if (keys[i] !== ordered[i].sort_key) {
+        await transaction.execute('UPDATE pages SET sort_key = ? WHERE id = ?', [keys[i], ordered[i].id]);
+      }
+    }
+
+    await transaction.commit();
+    return ordered.map(item => item.id);
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  PAGE_ORDER,
+  appendSortKey,
+  reorderPage
+};
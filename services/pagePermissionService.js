@@ -0,0 +1,209 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../middlewares/error');
+const { MANAGER_ROLES, ACCESS_LEVELS, PRINCIPAL_TYPES, getInheritanceChain, getWorkspaceRole } = require('./permissionService');
+
+/*
+ * Quản lý mục quyền của trang (page_permissions) và việc kế thừa quyền (pages.inherit_permissions).
+ * Cách tính quyền từ các mục này nằm trong permissionService.
+ */
+
+const PERMISSION_FIELDS = `pp.id, pp.page_id, src.title AS page_title, pp.principal_type, pp.principal_id,
+  u.full_name AS user_name, u.email AS user_email, g.name AS group_name, pp.access_level,
+  pp.created_by, pp.created_at, pp.updated_at`;
+
+const PERMISSION_JOINS = `JOIN pages src ON src.id = pp.page_id
+  LEFT JOIN users u ON pp.principal_type = 'user' AND u.id = pp.principal_id
+  LEFT JOIN workspace_groups g ON pp.principal_type = 'group' AND g.id = pp.principal_id`;
+
+/**
+ * Lấy các mục quyền áp dụng cho trang: mục của chính trang và mục kế thừa từ trang tổ tiên.
+ * @async
+ * @param {Object} page - Trang.
+ * @returns {Promise<Object>} - { inherit, restricted, permissions, inherited } với `restricted` cho biết trang
+ *   (hoặc trang tổ tiên mà nó kế thừa) đã ngừng kế thừa quyền của workspace; mục kế thừa có `page_id`, `page_title`
+ *   là trang nguồn.
+ */
+const listPagePermissions = async (page) => {
+  const { pageIds, restricted } = await getInheritanceChain(page);
+
+  const [entries] = await db.query(
+    `SELECT ${PERMISSION_FIELDS} FROM page_permissions pp ${PERMISSION_JOINS}
+     WHERE pp.page_id IN (?)
+     ORDER BY pp.created_at ASC, pp.id ASC`,
+    [pageIds]
+  );
+
+  return {
+    inherit: Number(page.inherit_permissions ?? 1) !== 0,
+    restricted,
+    permissions: entries.filter(entry => entry.page_id === page.id),
+    inherited: entries.filter(entry => entry.page_id !== page.id)
+  };
+};
+
+/**
+ * Lấy mục quyền của trang theo ID.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} permissionId - ID mục quyền.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu mục quyền không thuộc trang.
+ */
+const findPermission = async (page, permissionId) => {
+  const [entries] = await db.query(
+    `SELECT ${PERMISSION_FIELDS} FROM page_permissions pp ${PERMISSION_JOINS}
+     WHERE pp.id = ? AND pp.page_id = ?`,
+    [permissionId, page.id]
+  );
+  if (entries.length === 0) {
+    throw new NotFoundError('Mục quyền không tồn tại');
+  }
+  return entries[0];
+};
+
+/**
+ * Kiểm tra dữ liệu mục quyền và đối tượng được cấp quyền.
+ * Người dùng có thể nằm ngoài workspace (khách); nhóm phải thuộc workspace của trang.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {Object} data - { principal_type, principal_id, access_level }.
+ * @throws {BadRequestError} - Nếu dữ liệu không hợp lệ.
+ */
+const validatePermission = async (page, { principal_type: principalType, principal_id: principalId, access_level: accessLevel }) => {
+  if (!PRINCIPAL_TYPES.includes(principalType)) {
+    throw new BadRequestError(`principal_type phải là một trong: ${PRINCIPAL_TYPES.join(', ')}`);
+  }
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    throw new BadRequestError(`access_level phải là một trong: ${ACCESS_LEVELS.join(', ')}`);
+  }
+
+  const [principals] = principalType === 'user'
+    ? await db.query('SELECT id FROM users WHERE id = ?', [principalId])
+    : await db.query('SELECT id FROM workspace_groups WHERE id = ? AND workspace_id = ?', [principalId, page.workspace_id]);
+  if (principals.length === 0) {
+    throw new BadRequestError(principalType === 'user'
+      ? 'Người dùng không tồn tại'
+      : 'Nhóm không tồn tại trong workspace');
+  }
+};
+
+/**
+ * Cấp quyền trên trang cho người dùng hoặc nhóm; nếu đối tượng đã có mục quyền trên trang thì cập nhật mức quyền.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} userId - ID người cấp quyền.
+ * @param {Object} data - { principal_type, principal_id, access_level }.
+ * @returns {Promise<Object>} - Mục quyền sau khi ghi.
+ * @example
+ * await grantPermission(page, userId, { principal_type: 'user', principal_id: 'guest-id', access_level: 'comment' });
+ */
+const grantPermission = async (page, userId, data) => {
+  await validatePermission(page, data);
+
+  await db.query(
+    `INSERT INTO page_permissions (id, page_id, principal_type, principal_id, access_level, created_by)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE access_level = VALUES(access_level)`,
+    [uuidv4(), page.id, data.principal_type, data.principal_id, data.access_level, userId]
+  );
+
+  const [entries] = await db.query(
+    'SELECT id FROM page_permissions WHERE page_id = ? AND principal_type = ? AND principal_id = ?',
+    [page.id, data.principal_type, data.principal_id]
+  );
+  return findPermission(page, entries[0].id);
+};
+
+/**
+ * Đổi mức quyền của mục quyền.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} permissionId - ID mục quyền.
+ * @param {string} accessLevel - Mức quyền mới.
+ * @returns {Promise<Object>} - Mục quyền sau khi cập nhật.
+ * @throws {BadRequestError|NotFoundError} - Nếu mức quyền không hợp lệ hoặc mục quyền không tồn tại.
+ */
+const updatePermission = async (page, permissionId, accessLevel) => {
+  if (!ACCESS_LEVELS.includes(accessLevel)) {
+    throw new BadRequestError(`access_level phải là một trong: ${ACCESS_LEVELS.join(', ')}`);
+  }
+  await findPermission(page, permissionId);
+
+  await db.query('UPDATE page_permissions SET access_level = ? WHERE id = ?', [accessLevel, permissionId]);
+  return findPermission(page, permissionId);
+};
+
+/**
+ * Thu hồi mục quyền của trang.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} permissionId - ID mục quyền.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - Nếu mục quyền không tồn tại.
+ */
+const revokePermission = async (page, permissionId) => {
+  await findPermission(page, permissionId);
+  await db.query('DELETE FROM page_permissions WHERE id = ?', [permissionId]);
+};
+
+/**
+ * Bật / tắt kế thừa quyền của trang.
+ * Khi ngừng kế thừa, các mục quyền đang kế thừa từ trang tổ tiên được chép vào trang (trừ khi `copyInherited`
+ * là false) và người thực hiện (nếu không phải OWNER/ADMIN) được cấp quyền full để không tự mất quyền truy cập.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} userId - ID người thực hiện.
+ * @param {Object} options - { inherit, copyInherited }.
+ * @returns {Promise<Object>} - Danh sách quyền của trang sau khi cập nhật (như listPagePermissions).
+ */
+const setInheritance = async (page, userId, { inherit, copyInherited = true }) => {
+  const transaction = await db.beginTransaction();
+  try {
+    if (!inherit) {
+      const { pageIds } = await getInheritanceChain(page);
+      const ancestorIds = pageIds.filter(id => id !== page.id);
+      const grants = copyInherited && ancestorIds.length > 0
+        ? await transaction.execute(
+          `SELECT principal_type, principal_id, access_level FROM page_permissions
+           WHERE page_id IN (${ancestorIds.map(() => '?').join(', ')})`,
+          ancestorIds
+        )
+        : [];
+
+      const role = await getWorkspaceRole(page.workspace_id, userId);
+      if (!MANAGER_ROLES.includes(role)) {
+        grants.push({ principal_type: 'user', principal_id: userId, access_level: 'full' });
+      }
+
+      // Giữ mức quyền cao nhất khi cùng một đối tượng có nhiều mục quyền
+      for (const grant of grants) {
+        await transaction.execute(
+          `INSERT INTO page_permissions (id, page_id, principal_type, principal_id, access_level, created_by)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE access_level = IF(
+             FIELD(VALUES(access_level), ${ACCESS_LEVELS.map(() => '?').join(', ')}) >
+             FIELD(access_level, ${ACCESS_LEVELS.map(() => '?').join(', ')}),
+             VALUES(access_level), access_level)`,
+          [uuidv4(), page.id, grant.principal_type, grant.principal_id, grant.access_level, userId, ...ACCESS_LEVELS, ...ACCESS_LEVELS]
+        );
+      }
+    }
+
+    await transaction.execute('UPDATE pages SET inherit_permissions = ? WHERE id = ?', [inherit ? 1 : 0, page.id]);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return listPagePermissions({ ...page, inherit_permissions: inherit ? 1 : 0 });
+};
+
+module.exports = {
+  listPagePermissions,
+  grantPermission,
+  updatePermission,
+  revokePermission,
+  setInheritance
+};
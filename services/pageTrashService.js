@@ -0,0 +1,237 @@
+const db = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../middlewares/error');
+const dataDeletionService = require('./dataDeletionService');
+const { getWorkspaceRole, getAccessForPage, getWorkspacePageAccess } = require('./permissionService');
+
+/*
+ * Thùng rác của workspace. Xóa trang chỉ đánh dấu trang và các trang con cháu (deleted_at, deleted_by,
+ * deleted_root_id = trang được xóa) nên có thể khôi phục nguyên cây. Trang trong thùng rác bị ẩn khỏi mọi API
+ * khác; sau thời gian lưu giữ (PAGE_TRASH_RETENTION_DAYS) hoặc khi người dùng xóa vĩnh viễn, trang bị xóa khỏi
+ * MySQL cùng với block, bình luận, tệp đính kèm và lịch sử trong MongoDB.
+ */
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Số ngày trang được giữ trong thùng rác trước khi bị xóa vĩnh viễn.
+ * @returns {number}
+ */
+const getRetentionDays = () => parseInt(process.env.PAGE_TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+/**
+ * Tạo chuỗi placeholder cho mệnh đề IN (transaction.execute không hỗ trợ truyền mảng).
+ * @param {Array} values - Danh sách giá trị.
+ * @returns {string}
+ */
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Lấy ID các trang con cháu chưa bị xóa của một trang.
+ * @async
+ * @param {Object} transaction - Transaction MySQL.
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<Array<string>>}
+ */
+const getLiveDescendantIds = async (transaction, pageId) => {
+  const descendantIds = [];
+  const queue = [pageId];
+
+  while (queue.length > 0) {
+    const children = await transaction.execute(
+      'SELECT id FROM pages WHERE parent_page_id = ? AND deleted_at IS NULL',
+      [queue.shift()]
+    );
+    children.forEach(({ id }) => {
+      descendantIds.push(id);
+      queue.push(id);
+    });
+  }
+
+  return descendantIds;
+};
+
+/**
+ * Chuyển trang và các trang con cháu vào thùng rác.
+ * Trang con đã ở trong thùng rác từ trước giữ nguyên mục riêng của nó.
+ * @async
+ * @param {Object} page - Trang cần xóa (chưa bị xóa).
+ * @param {string} userId - ID người xóa.
+ * @returns {Promise<Array<string>>} - ID các trang đã chuyển vào thùng rác (trang gốc đứng đầu).
+ */
+const trashPage = async (page, userId) => {
+  const transaction = await db.beginTransaction();
+  try {
+    const pageIds = [page.id, ...await getLiveDescendantIds(transaction, page.id)];
+
+    await transaction.execute(
+      `UPDATE pages SET deleted_at = NOW(), deleted_by = ?, deleted_root_id = ?
+       WHERE id IN (${placeholders(pageIds)}) AND deleted_at IS NULL`,
+      [userId, page.id, ...pageIds]
+    );
+
+    await transaction.commit();
+    return pageIds;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Lấy mục trong thùng rác (trang gốc đã bị người dùng xóa).
+ * @async
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<Object>} - Trang.
+ * @throws {NotFoundError|BadRequestError} - Nếu trang không tồn tại, chưa bị xóa hoặc bị xóa cùng trang cha.
+ */
+const findTrashedPage = async (pageId) => {
+  const [pages] = await db.query('SELECT * FROM pages WHERE id = ?', [pageId]);
+  if (pages.length === 0) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+
+  const page = pages[0];
+  if (!page.deleted_at) {
+    throw new BadRequestError('Trang không nằm trong thùng rác');
+  }
+  if (page.deleted_root_id !== page.id) {
+    throw new BadRequestError('Trang bị xóa cùng trang cha, hãy khôi phục hoặc xóa trang cha');
+  }
+  return page;
+};
+
+/**
+ * Lấy các mục trong thùng rác của workspace mà người dùng xem được, mới xóa nhất trước.
+ * Quyền trên mỗi mục được tính như khi trang chưa bị xóa (quyền trang, kế thừa và nhóm); tiêu đề trang cha chỉ được
+ * trả về khi người dùng cũng xem được trang cha.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} userId - ID người xem.
+ * @param {Object} [options] - { limit, offset }.
+ * @returns {Promise<Object>} - { total, retentionDays, pages: [{ id, title, icon, parent_page_id, parent_title,
+ *   deleted_at, deleted_by, deleted_by_name, descendant_count, purge_at, access }] }.
+ */
+const listTrash = async (workspaceId, userId, { limit = 50, offset = 0 } = {}) => {
+  const retentionDays = getRetentionDays();
+
+  const [entries] = await db.query(
+    `SELECT p.id, p.workspace_id, p.title, p.icon, p.parent_page_id, p.inherit_permissions, p.is_public,
+            parent.title AS parent_title, p.deleted_at, p.deleted_by, u.full_name AS deleted_by_name,
+            (SELECT COUNT(*) FROM pages d WHERE d.deleted_root_id = p.id AND d.id <> p.id) AS descendant_count,
+            p.deleted_at + INTERVAL ? DAY AS purge_at
+     FROM pages p
+     LEFT JOIN pages parent ON parent.id = p.parent_page_id
+     LEFT JOIN users u ON u.id = p.deleted_by
+     WHERE p.workspace_id = ? AND p.deleted_at IS NOT NULL AND p.deleted_root_id = p.id
+     ORDER BY p.deleted_at DESC, p.id`,
+    [retentionDays, workspaceId]
+  );
+
+  const role = await getWorkspaceRole(workspaceId, userId);
+  const visible = [];
+  for (const entry of entries) {
+    const { access, canView } = await getAccessForPage(entry, userId, role);
+    if (canView) visible.push({ ...entry, access });
+  }
+
+  const liveAccess = await getWorkspacePageAccess(workspaceId, userId);
+  const visibleIds = new Set(visible.map(entry => entry.id));
+  const start = Number(offset) || 0;
+  const pages = visible.slice(start, start + (Number(limit) || 50))
+    .map(({ workspace_id: pageWorkspaceId, inherit_permissions: inherits, is_public: isPublic, ...entry }) => ({
+      ...entry,
+      parent_title: entry.parent_page_id && (liveAccess.has(entry.parent_page_id) || visibleIds.has(entry.parent_page_id))
+        ? entry.parent_title
+        : null
+    }));
+
+  return { total: visible.length, retentionDays, pages };
+};
+
+/**
+ * Khôi phục mục trong thùng rác cùng các trang con cháu bị xóa theo, giữ nguyên cấu trúc cây.
+ * Nếu trang cha ban đầu không còn (đã bị xóa), trang được khôi phục ở cấp gốc của workspace.
+ * @async
+ * @param {Object} page - Mục trong thùng rác (từ findTrashedPage).
+ * @returns {Promise<Object>} - { pageIds, parentPageId }.
+ */
+const restorePage = async (page) => {
+  const transaction = await db.beginTransaction();
+  try {
+    let parentPageId = page.parent_page_id;
+    if (parentPageId) {
+      const parents = await transaction.execute(
+        'SELECT id FROM pages WHERE id = ? AND deleted_at IS NULL',
+        [parentPageId]
+      );
+      if (parents.length === 0) parentPageId = null;
+    }
+
+    const restored = await transaction.execute('SELECT id FROM pages WHERE deleted_root_id = ?', [page.id]);
+
+    await transaction.execute('UPDATE pages SET parent_page_id = ? WHERE id = ?', [parentPageId, page.id]);
+    await transaction.execute(
+      'UPDATE pages SET deleted_at = NULL, deleted_by = NULL, deleted_root_id = NULL WHERE deleted_root_id = ?',
+      [page.id]
+    );
+
+    await transaction.commit();
+    return { pageIds: restored.map(({ id }) => id), parentPageId };
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Xóa vĩnh viễn mục trong thùng rác cùng các trang con cháu bị xóa theo.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @param {Object} page - Mục trong thùng rác.
+ * @returns {Promise<Array<string>>} - ID các trang đã bị xóa.
+ */
+const deleteTrashedPage = async (mongoDB, page) => {
+  const [rows] = await db.query('SELECT id FROM pages WHERE deleted_root_id = ?', [page.id]);
+  const pageIds = rows.map(({ id }) => id);
+  if (pageIds.length === 0) return [];
+
+  await dataDeletionService.deletePages(mongoDB, pageIds);
+
+  return pageIds;
+};
+
+/**
+ * Xóa vĩnh viễn các mục đã ở trong thùng rác quá thời gian lưu giữ.
+ * @async
+ * @param {Object} mongoDB - Đối tượng database MongoDB.
+ * @returns {Promise<number>} - Số mục đã xóa.
+ */
+const purgeExpiredTrash = async (mongoDB) => {
+  const [expired] = await db.query(
+    `SELECT * FROM pages
+     WHERE deleted_at IS NOT NULL AND deleted_root_id = id AND deleted_at < NOW() - INTERVAL ? DAY
+     ORDER BY deleted_at`,
+    [getRetentionDays()]
+  );
+
+  let purged = 0;
+  for (const page of expired) {
+    try {
+      await deleteTrashedPage(mongoDB, page);
+      purged++;
+    } catch (error) {
+      console.error(`Error purging trashed page ${page.id}:`, error);
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  getRetentionDays,
+  trashPage,
+  findTrashedPage,
+  listTrash,
+  restorePage,
+  deleteTrashedPage,
+  purgeExpiredTrash
+};
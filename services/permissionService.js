@@ -0,0 +1,302 @@
+const db = require('../config/database');
+
+/*
+ * Quyền truy cập trang.
+ * Mức quyền (từ thấp tới cao): view < comment < edit < full; `full` cho phép quản lý quyền của trang.
+ *   - OWNER/ADMIN của workspace luôn có quyền full trên mọi trang của workspace.
+ *   - Thành viên khác có quyền mặc định theo vai trò (MEMBER: edit, VIEWER: view), trừ khi trang nằm dưới một
+ *     trang ngừng kế thừa quyền (pages.inherit_permissions = 0).
+ *   - Mục quyền của trang (page_permissions, cho người dùng hoặc nhóm workspace) áp dụng cho trang và các trang
+ *     con cháu cho tới trang ngừng kế thừa; người dùng nhận mức cao nhất trong các nguồn. Người ngoài workspace
+ *     (khách) chỉ có quyền qua mục quyền cấp cho chính họ.
+ *   - Trang public cho phép mọi người xem.
+ */
+
+// Các vai trò được phép chỉnh sửa nội dung trang
+const EDIT_ROLES = ['OWNER', 'ADMIN', 'MEMBER'];
+
+// Các vai trò quản lý workspace, luôn có toàn quyền trên mọi trang
+const MANAGER_ROLES = ['OWNER', 'ADMIN'];
+
+const ACCESS_LEVELS = ['view', 'comment', 'edit', 'full'];
+
+const PRINCIPAL_TYPES = ['user', 'group'];
+
+// Quyền mặc định của thành viên theo vai trò trên trang kế thừa quyền của workspace
+const ROLE_ACCESS = {
+  OWNER: 'full',
+  ADMIN: 'full',
+  MEMBER: 'edit',
+  VIEWER: 'view'
+};
+
+/**
+ * Thứ hạng của mức quyền (0 nếu không có quyền).
+ * @param {string|null} level - Mức quyền.
+ * @returns {number}
+ */
+const accessRank = (level) => ACCESS_LEVELS.indexOf(level) + 1;
+
+/**
+ * Mức quyền cao hơn trong hai mức.
+ * @param {string|null} a - Mức quyền.
+ * @param {string|null} b - Mức quyền.
+ * @returns {string|null}
+ */
+const maxAccess = (a, b) => (accessRank(a) >= accessRank(b) ? a : b);
+
+/**
+ * Kiểm tra mức quyền có đạt mức yêu cầu hay không.
+ * @param {string|null} level - Mức quyền hiện có.
+ * @param {string} required - Mức quyền yêu cầu.
+ * @returns {boolean}
+ * @example
+ * hasAccess('edit', 'comment'); // => true
+ */
+const hasAccess = (level, required) => accessRank(level) >= accessRank(required);
+
+/**
+ * Kiểm tra trang có kế thừa quyền từ trang cha hay không.
+ * @param {Object} page - Trang.
+ * @returns {boolean}
+ */
+const inheritsPermissions = (page) => Number(page.inherit_permissions ?? 1) !== 0;
+
+/**
+ * Lấy vai trò của người dùng trong workspace.
+ * @async
+ * @param {string} workspaceId - ID của workspace.
+ * @param {string} userId - ID của người dùng.
+ * @returns {Promise<string|null>} - Tên vai trò (OWNER, ADMIN, MEMBER, VIEWER) hoặc null nếu không phải thành viên.
+ */
+const getWorkspaceRole = async (workspaceId, userId) => {
+  const [members] = await db.query(
+    `SELECT r.name as role_name FROM workspace_members wm
+     JOIN roles r ON wm.role_id = r.id
+     WHERE wm.workspace_id = ? AND wm.user_id = ?`,
+    [workspaceId, userId]
+  );
+
+  return members.length > 0 ? members[0].role_name : null;
+};
+
+/**
+ * Lấy ID các nhóm của workspace mà người dùng thuộc về.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Array<string>>}
+ */
+const getUserGroupIds = async (workspaceId, userId) => {
+  const [groups] = await db.query(
+    `SELECT gm.group_id FROM workspace_group_members gm
+     JOIN workspace_groups g ON g.id = gm.group_id
+     WHERE g.workspace_id = ? AND gm.user_id = ?`,
+    [workspaceId, userId]
+  );
+  return groups.map(group => group.group_id);
+};
+
+/**
+ * Điều kiện SQL chọn các mục quyền áp dụng cho người dùng (trực tiếp hoặc qua nhóm).
+ * @param {string} userId - ID người dùng.
+ * @param {Array<string>} groupIds - ID các nhóm của người dùng.
+ * @returns {Object} - { sql, params } dùng với bảng page_permissions có bí danh `pp`.
+ */
+const principalCondition = (userId, groupIds) => (groupIds.length > 0
+  ? {
+    sql: "((pp.principal_type = 'user' AND pp.principal_id = ?) OR (pp.principal_type = 'group' AND pp.principal_id IN (?)))",
+    params: [userId, groupIds]
+  }
+  : { sql: "(pp.principal_type = 'user' AND pp.principal_id = ?)", params: [userId] });
+
+/**
+ * Lấy chuỗi kế thừa quyền của trang: trang và các trang tổ tiên cho tới trang đầu tiên ngừng kế thừa (bao gồm).
+ * @async
+ * @param {Object} page - Trang (cần id, parent_page_id, inherit_permissions).
+ * @returns {Promise<Object>} - { pageIds, restricted } với `restricted` cho biết chuỗi dừng ở trang ngừng kế thừa.
+ */
+const getInheritanceChain = async (page) => {
+  const pageIds = [page.id];
+  let current = page;
+
+  while (inheritsPermissions(current) && current.parent_page_id && !pageIds.includes(current.parent_page_id)) {
+    const [parents] = await db.query(
+      'SELECT id, parent_page_id, inherit_permissions FROM pages WHERE id = ?',
+      [current.parent_page_id]
+    );
+    if (parents.length === 0) break;
+
+    current = parents[0];
+    pageIds.push(current.id);
+  }
+
+  return { pageIds, restricted: !inheritsPermissions(current) };
+};
+
+/**
+ * Tính mức quyền của người dùng trên trang.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} userId - ID người dùng.
+ * @param {string|null} role - Vai trò của người dùng trong workspace của trang.
+ * @returns {Promise<string|null>} - Mức quyền, null nếu không có quyền.
+ */
+const resolvePageAccess = async (page, userId, role) => {
+  if (MANAGER_ROLES.includes(role)) return 'full';
+
+  const { pageIds, restricted } = await getInheritanceChain(page);
+  let level = restricted ? null : ROLE_ACCESS[role] || null;
+
+  const groupIds = role ? await getUserGroupIds(page.workspace_id, userId) : [];
+  const principal = principalCondition(userId, groupIds);
+  const [entries] = await db.query(
+    `SELECT pp.access_level FROM page_permissions pp WHERE pp.page_id IN (?) AND ${principal.sql}`,
+    [pageIds, ...principal.params]
+  );
+  entries.forEach(entry => {
+    level = maxAccess(level, entry.access_level);
+  });
+
+  if (page.is_public) {
+    level = maxAccess(level, 'view');
+  }
+  return level;
+};
+
+/**
+ * Lấy quyền truy cập của người dùng trên một trang đã tải, kể cả trang trong thùng rác (getPageAccess bỏ qua trang
+ * đã bị xóa).
+ * @async
+ * @param {Object} page - Trang (cần id, workspace_id, parent_page_id, inherit_permissions, is_public).
+ * @param {string} userId - ID của người dùng.
+ * @param {string|null} [role] - Vai trò của người dùng trong workspace của trang, nếu đã biết.
+ * @returns {Promise<Object>} - { page, role, access, canView, canComment, canEdit, canManage }.
+ */
+const getAccessForPage = async (page, userId, role = undefined) => {
+  const workspaceRole = role !== undefined ? role : await getWorkspaceRole(page.workspace_id, userId);
+  const access = await resolvePageAccess(page, userId, workspaceRole);
+
+  return {
+    page,
+    role: workspaceRole,
+    access,
+    canView: hasAccess(access, 'view'),
+    canComment: hasAccess(access, 'comment'),
+    canEdit: hasAccess(access, 'edit'),
+    canManage: hasAccess(access, 'full')
+  };
+};
+
+/**
+ * Lấy quyền truy cập của người dùng trên một trang.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {string} userId - ID của người dùng.
+ * @returns {Promise<Object>} - { page, role, access, canView, canComment, canEdit, canManage };
+ *   `page` là null nếu trang không tồn tại, `access` là mức quyền (null nếu không có quyền).
+ */
+const getPageAccess = async (pageId, userId) => {
+  const [pages] = await db.query(
+    'SELECT p.*, w.id as workspace_id FROM pages p JOIN workspaces w ON p.workspace_id = w.id WHERE p.id = ? AND p.deleted_at IS NULL',
+    [pageId]
+  );
+
+  if (pages.length === 0) {
+    return { page: null, role: null, access: null, canView: false, canComment: false, canEdit: false, canManage: false };
+  }
+
+  return getAccessForPage(pages[0], userId);
+};
+
+/**
+ * Tính mức quyền của người dùng trên mọi trang (chưa bị xóa) của workspace trong một lần.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Map<string, string>>} - Mức quyền theo ID trang (chỉ gồm các trang người dùng xem được).
+ */
+const getWorkspacePageAccess = async (workspaceId, userId) => {
+  const role = await getWorkspaceRole(workspaceId, userId);
+  const [pages] = await db.query(
+    'SELECT id, parent_page_id, inherit_permissions, is_public FROM pages WHERE workspace_id = ? AND deleted_at IS NULL',
+    [workspaceId]
+  );
+
+  const levels = new Map();
+  if (MANAGER_ROLES.includes(role)) {
+    pages.forEach(page => levels.set(page.id, 'full'));
+    return levels;
+  }
+
+  const groupIds = role ? await getUserGroupIds(workspaceId, userId) : [];
+  const principal = principalCondition(userId, groupIds);
+  const [entries] = await db.query(
+    `SELECT pp.page_id, pp.access_level FROM page_permissions pp
+     JOIN pages p ON p.id = pp.page_id
+     WHERE p.workspace_id = ? AND ${principal.sql}`,
+    [workspaceId, ...principal.params]
+  );
+  const grants = new Map();
+  entries.forEach(entry => grants.set(entry.page_id, maxAccess(grants.get(entry.page_id) || null, entry.access_level)));
+
+  // Quyền kế thừa (không tính public) của từng trang, tính từ trên xuống và ghi nhớ
+  const pageMap = new Map(pages.map(page => [page.id, page]));
+  const inherited = new Map();
+  const resolve = (page, visiting = new Set()) => {
+    if (inherited.has(page.id)) return inherited.get(page.id);
+
+    const parent = pageMap.get(page.parent_page_id);
+    let level;
+    if (!inheritsPermissions(page)) {
+      level = null;
+    } else if (parent && !visiting.has(parent.id)) {
+      visiting.add(page.id);
+      level = resolve(parent, visiting);
+    } else {
+      level = ROLE_ACCESS[role] || null;
+    }
+
+    level = maxAccess(level, grants.get(page.id) || null);
+    inherited.set(page.id, level);
+    return level;
+  };
+
+  pages.forEach(page => {
+    const level = page.is_public ? maxAccess(resolve(page), 'view') : resolve(page);
+    if (hasAccess(level, 'view')) levels.set(page.id, level);
+  });
+  return levels;
+};
+
+/**
+ * Lấy ID các workspace mà người dùng là thành viên hoặc được chia sẻ trang trực tiếp (khách).
+ * @async
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Array<string>>}
+ */
+const getAccessibleWorkspaceIds = async (userId) => {
+  const [workspaces] = await db.query(
+    `SELECT workspace_id FROM workspace_members WHERE user_id = ?
+     UNION
+     SELECT p.workspace_id FROM page_permissions pp
+     JOIN pages p ON p.id = pp.page_id
+     WHERE pp.principal_type = 'user' AND pp.principal_id = ? AND p.deleted_at IS NULL`,
+    [userId, userId]
+  );
+  return workspaces.map(workspace => workspace.workspace_id);
+};
+
+module.exports = {
+  EDIT_ROLES,
+  MANAGER_ROLES,
+  ACCESS_LEVELS,
+  PRINCIPAL_TYPES,
+  hasAccess,
+  getWorkspaceRole,
+  getInheritanceChain,
+  getAccessForPage,
+  getPageAccess,
+  getWorkspacePageAccess,
+  getAccessibleWorkspaceIds
+};
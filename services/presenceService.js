@@ -0,0 +1,164 @@
+const db = require('../config/database');
+const { getPubSub } = require('./pubsub');
+
+// Hiện diện được lưu trong pub/sub dùng chung để mọi instance thấy cùng danh sách:
+//   presence:page:<pageId> - hash socketId -> thông tin hiện diện
+//   presence:pages         - tập các trang đang có người mở
+const PAGES_KEY = 'presence:pages';
+const pageKey = (pageId) => `presence:page:${pageId}`;
+
+/**
+ * Lấy thông tin hiển thị (tên, đường dẫn ảnh đại diện) của người dùng.
+ * Entry hiện diện được phát lại qua pub/sub mỗi lần vào trang, di chuyển con trỏ và heartbeat nên không chứa dữ liệu
+ * ảnh; client tải ảnh một lần qua `avatarUrl`.
+ * @async
+ * @param {string} userId - ID của người dùng.
+ * @returns {Promise<Object>} - { userId, fullName, avatarUrl }.
+ */
+const getUserProfile = async (userId) => {
+  const [users] = await db.query(
+    'SELECT id, full_name, avatar_binary IS NOT NULL AS has_avatar FROM users WHERE id = ?',
+    [userId]
+  );
+
+  return {
+    userId,
+    fullName: users.length > 0 ? users[0].full_name : null,
+    avatarUrl: users.length > 0 && users[0].has_avatar ? `/api/usersProfile/${userId}/avatar` : null
+  };
+};
+
+/**
+ * Ghi nhận một socket đang mở trang.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {string} socketId - ID của socket.
+ * @param {string} userId - ID của người dùng.
+ * @returns {Promise<Object>} - Thông tin hiện diện vừa tạo.
+ */
+const join = async (pageId, socketId, userId) => {
+  const profile = await getUserProfile(userId);
+  const entry = {
+    ...profile,
+    socketId,
+    blockId: null,
+    selection: null,
+    lastSeen: Date.now()
+  };
+
+  const pubsub = getPubSub();
+  await pubsub.hashSet(pageKey(pageId), socketId, entry);
+  await pubsub.setAdd(PAGES_KEY, pageId);
+
+  return entry;
+};
+
+/**
+ * Xóa socket khỏi danh sách hiện diện của trang.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {string} socketId - ID của socket.
+ * @returns {Promise<Object|null>} - Thông tin hiện diện đã xóa, hoặc null nếu không có.
+ */
+const leave = async (pageId, socketId) => {
+  const pubsub = getPubSub();
+  const entry = await pubsub.hashGet(pageKey(pageId), socketId);
+  if (!entry) return null;
+
+  // Chỉ instance thực sự xóa được mới trả về entry, tránh thông báo rời trang hai lần
+  const removed = await pubsub.hashDelete(pageKey(pageId), socketId);
+  return removed ? entry : null;
+};
+
+/**
+ * Cập nhật block đang focus và vị trí con trỏ/vùng chọn của socket.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {string} socketId - ID của socket.
+ * @param {Object} cursor - { blockId, selection } với selection dạng { anchor, head }.
+ * @returns {Promise<Object|null>} - Thông tin hiện diện sau khi cập nhật, hoặc null nếu socket chưa tham gia.
+ */
+const updateCursor = async (pageId, socketId, { blockId, selection }) => {
+  const pubsub = getPubSub();
+  const entry = await pubsub.hashGet(pageKey(pageId), socketId);
+  if (!entry) return null;
+
+  entry.blockId = blockId || null;
+  entry.selection = selection || null;
+  entry.lastSeen = Date.now();
+  await pubsub.hashSet(pageKey(pageId), socketId, entry);
+  return entry;
+};
+
+/**
+ * Làm mới thời điểm hoạt động cuối của socket trên trang.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @param {string} socketId - ID của socket.
+ * @returns {Promise<boolean>} - true nếu socket đang có mặt trên trang.
+ */
+const heartbeat = async (pageId, socketId) => {
+  const pubsub = getPubSub();
+  const entry = await pubsub.hashGet(pageKey(pageId), socketId);
+  if (!entry) return false;
+
+  entry.lastSeen = Date.now();
+  await pubsub.hashSet(pageKey(pageId), socketId, entry);
+  // Đảm bảo trang vẫn nằm trong danh sách được dọn dẹp định kỳ
+  await pubsub.setAdd(PAGES_KEY, pageId);
+  return true;
+};
+
+/**
+ * Lấy danh sách người dùng đang có mặt trên trang.
+ * @async
+ * @param {string} pageId - ID của trang.
+ * @returns {Promise<Array>} - Danh sách thông tin hiện diện.
+ */
+const list = async (pageId) => {
+  const entries = await getPubSub().hashGetAll(pageKey(pageId));
+  return Object.values(entries);
+};
+
+/**
+ * Xóa các socket không gửi heartbeat trong khoảng thời gian cho phép.
+ * Mọi instance đều có thể chạy đồng thời; mỗi entry chỉ được trả về ở instance đã xóa nó.
+ * @async
+ * @param {number} timeoutMs - Thời gian tối đa (ms) kể từ lần hoạt động cuối.
+ * @returns {Promise<Array>} - Danh sách { pageId, entry } đã bị xóa.
+ */
+const removeExpired = async (timeoutMs) => {
+  const expiredBefore = Date.now() - timeoutMs;
+  const removed = [];
+
+  const pubsub = getPubSub();
+  const pageIds = await pubsub.setMembers(PAGES_KEY);
+
+  for (const pageId of pageIds) {
+    const entries = await pubsub.hashGetAll(pageKey(pageId));
+    let remaining = 0;
+
+    for (const [socketId, entry] of Object.entries(entries)) {
+      if (entry.lastSeen >= expiredBefore) {
+        remaining++;
+      } else if (await pubsub.hashDelete(pageKey(pageId), socketId)) {
+        removed.push({ pageId, entry });
+      }
+    }
+
+    if (remaining === 0) {
+      await pubsub.setRemove(PAGES_KEY, pageId);
+    }
+  }
+
+  return removed;
+};
+
+module.exports = {
+  join,
+  leave,
+  updateCursor,
+  heartbeat,
+  list,
+  removeExpired
+};
@@ -0,0 +1,512 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError, ConflictError } = require('../middlewares/error');
+const { getInheritanceChain } = require('./permissionService');
+const { getSharedTree } = require('./shareLinkService');
+const { loadPageBlocks } = require('./pageContentService');
+const { SYNCED_BLOCK_TYPE, getSourceBlockId, resolveSyncedBlocks } = require('./syncedBlockService');
+const { buildBlockTree } = require('../utils/blockTree');
+const { renderBlocksHtml, renderNavHtml, renderHtmlDocument } = require('../utils/blockRenderer');
+
+/*
+ * Xuất bản cây trang thành trang web tĩnh chỉ đọc, phục vụ không cần đăng nhập tại /p/:workspaceSlug/:pageSlug.
+ * Một bản xuất bản (page_publications) gồm trang gốc và các trang con cháu theo cùng quy tắc với liên kết chia sẻ
+ * (getSharedTree): không gồm trang đã xóa, hàng cơ sở dữ liệu và nhánh dưới trang ngừng kế thừa quyền.
+ * Mỗi trang có một slug cố định và bản HTML đã render (published_pages). Bản HTML được render lại khi phục vụ nếu
+ * version nội dung của trang hoặc cây điều hướng (tiêu đề, biểu tượng, slug, thứ tự trang) đã thay đổi, nên sửa
+ * nội dung không cần xuất bản lại. Bản xuất bản của trang nằm trong cây của bản xuất bản khác bị gộp vào bản ngoài.
+ */
+
+const SLUG_MAX_LENGTH = 100;
+
+/**
+ * Tạo slug từ tiêu đề (bỏ dấu tiếng Việt, chữ thường, nối bằng '-').
+ * @param {string} text - Tiêu đề.
+ * @param {string} fallback - Slug dùng khi tiêu đề không có ký tự hợp lệ.
+ * @returns {string}
+ * @example
+ * slugify('Hướng dẫn Đăng nhập'); // => 'huong-dan-dang-nhap'
+ */
+const slugify = (text, fallback = 'page') => {
+  const slug = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+};
+
+/**
+ * Chọn slug chưa dùng (thêm hậu tố -2, -3, ...) và đánh dấu đã dùng.
+ * @param {string} base - Slug gốc.
+ * @param {Set<string>} taken - Các slug đã dùng.
+ * @returns {string}
+ */
+const uniqueSlug = (base, taken) => {
+  let slug = base;
+  for (let suffix = 2; taken.has(slug); suffix += 1) {
+    slug = `${base}-${suffix}`;
+  }
+  taken.add(slug);
+  return slug;
+};
+
+/**
+ * Đường dẫn công khai của trang đã xuất bản.
+ * @param {string} workspaceSlug - Slug của workspace.
+ * @param {string} pageSlug - Slug của trang.
+ * @returns {string}
+ */
+const publishedUrl = (workspaceSlug, pageSlug) => `/p/${workspaceSlug}/${pageSlug}`;
+
+/**
+ * Lấy slug của workspace, tạo từ tên workspace nếu chưa có (slug không đổi khi đổi tên workspace).
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @returns {Promise<string>}
+ * @throws {NotFoundError} - Nếu workspace không tồn tại.
+ */
+const ensureWorkspaceSlug = async (workspaceId) => {
+  const [workspaces] = await db.query('SELECT name, slug FROM workspaces WHERE id = ?', [workspaceId]);
+  if (workspaces.length === 0) {
+    throw new NotFoundError('Workspace không tồn tại');
+  }
+  if (workspaces[0].slug) return workspaces[0].slug;
+
+  const base = slugify(workspaces[0].name, 'workspace');
+  const [existing] = await db.query('SELECT slug FROM workspaces WHERE slug = ? OR slug LIKE ?', [base, `${base}-%`]);
+  const slug = uniqueSlug(base, new Set(existing.map(row => row.slug)));
+
+  await db.query('UPDATE workspaces SET slug = ? WHERE id = ? AND slug IS NULL', [slug, workspaceId]);
+  const [updated] = await db.query('SELECT slug FROM workspaces WHERE id = ?', [workspaceId]);
+  return updated[0].slug;
+};
+
+/**
+ * Duyệt cây trang theo thứ tự hiển thị.
+ * @param {Object} tree - Trang gốc kèm `children`.
+ * @returns {Array<Object>} - Các nút của cây.
+ */
+const flattenTree = (tree) => [tree, ...tree.children.flatMap(flattenTree)];
+
+/**
+ * Đồng bộ published_pages với cây trang hiện tại của bản xuất bản: gộp trang của các bản xuất bản nằm trong cây,
+ * cấp slug cho trang mới và bỏ trang không còn thuộc cây. Không ghi gì khi cây không đổi.
+ * @async
+ * @param {Object} publication - Bản xuất bản.
+ * @param {Object} rootPage - Trang gốc.
+ * @returns {Promise<Object>} - { tree, nodes (Map ID trang -> nút), slugs (Map ID trang -> slug) }.
+ */
+const syncPublication = async (publication, rootPage) => {
+  const { pageIds, tree } = await getSharedTree(rootPage);
+  const ids = [...pageIds];
+
+  const [rows] = await db.query(
+    'SELECT page_id, publication_id, slug FROM published_pages WHERE page_id IN (?) OR publication_id = ?',
+    [ids, publication.id]
+  );
+
+  const removed = rows.filter(row => row.publication_id === publication.id && !pageIds.has(row.page_id));
+  if (removed.length > 0) {
+    await db.query('DELETE FROM published_pages WHERE page_id IN (?)', [removed.map(row => row.page_id)]);
+  }
+
+  const absorbed = rows.filter(row => row.publication_id !== publication.id && pageIds.has(row.page_id));
+  if (absorbed.length > 0) {
+    await db.query('DELETE FROM page_publications WHERE root_page_id IN (?) AND id <> ?', [ids, publication.id]);
+    await db.query(
+      'UPDATE published_pages SET publication_id = ? WHERE page_id IN (?)',
+      [publication.id, absorbed.map(row => row.page_id)]
+    );
+  }
+
+  const slugs = new Map(rows.filter(row => pageIds.has(row.page_id)).map(row => [row.page_id, row.slug]));
+  const nodes = new Map(flattenTree(tree).map(node => [node.id, node]));
+  const added = [...nodes.values()].filter(node => !slugs.has(node.id));
+
+  if (added.length > 0) {
+    const [existing] = await db.query('SELECT slug FROM published_pages WHERE workspace_id = ?', [rootPage.workspace_id]);
+    const taken = new Set(existing.map(row => row.slug));
+    const values = added.map(node => [
+      node.id, publication.id, rootPage.workspace_id, uniqueSlug(slugify(node.title), taken)
+    ]);
+
+    // IGNORE: yêu cầu song song có thể đã thêm cùng trang/slug; slug thực tế được đọc lại bên dưới
+    await db.query('INSERT IGNORE INTO published_pages (page_id, publication_id, workspace_id, slug) VALUES ?', [values]);
+
+    const [inserted] = await db.query(
+      'SELECT page_id, slug FROM published_pages WHERE page_id IN (?) AND publication_id = ?',
+      [added.map(node => node.id), publication.id]
+    );
+    inserted.forEach(row => slugs.set(row.page_id, row.slug));
+  }
+
+  return { tree, nodes, slugs };
+};
+
+/**
+ * Đồng bộ lại mọi bản xuất bản của workspace sau khi cây trang thay đổi (tạo, chuyển, xóa hoặc khôi phục trang, đổi
+ * kế thừa quyền...). Đường dẫn công khai chỉ đọc published_pages nên trang mới vào cây chỉ có slug sau bước này;
+ * nội dung thay đổi không cần đồng bộ vì HTML được render lại khi phiên bản nội dung khác bản đã render.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @returns {Promise<void>}
+ */
+const syncWorkspacePublications = async (workspaceId) => {
+  const [publications] = await db.query(
+    'SELECT id FROM page_publications WHERE workspace_id = ? ORDER BY published_at, id',
+    [workspaceId]
+  );
+
+  for (const publication of publications) {
+    // Bản xuất bản có thể đã bị gộp vào bản xuất bản khác ở vòng trước
+    const [roots] = await db.query(
+      `SELECT root.* FROM page_publications pub
+       JOIN pages root ON root.id = pub.root_page_id AND root.deleted_at IS NULL
+       WHERE pub.id = ?`,
+      [publication.id]
+    );
+    if (roots.length > 0) {
+      await syncPublication(publication, roots[0]);
+    }
+  }
+};
+
+/**
+ * Đọc cây trang hiện tại của bản xuất bản cùng slug đã cấp, không ghi gì vào cơ sở dữ liệu.
+ * Trang chưa được đồng bộ vào bản xuất bản không có slug.
+ * @async
+ * @param {Object} publication - Bản xuất bản.
+ * @param {Object} rootPage - Trang gốc.
+ * @returns {Promise<Object>} - { tree, nodes (Map ID trang -> nút), slugs (Map ID trang -> slug) }.
+ */
+const loadPublication = async (publication, rootPage) => {
+  const { pageIds, tree } = await getSharedTree(rootPage);
+  const [rows] = await db.query('SELECT page_id, slug FROM published_pages WHERE publication_id = ?', [publication.id]);
+
+  return {
+    tree,
+    nodes: new Map(flattenTree(tree).map(node => [node.id, node])),
+    slugs: new Map(rows.filter(row => pageIds.has(row.page_id)).map(row => [row.page_id, row.slug]))
+  };
+};
+
+/**
+ * Mã băm của cây điều hướng (đổi khi tiêu đề, biểu tượng, ảnh bìa, slug hoặc thứ tự trang thay đổi).
+ * @param {string} workspaceSlug - Slug workspace.
+ * @param {Object} tree - Cây trang.
+ * @param {Map<string, string>} slugs - Slug theo ID trang.
+ * @returns {string}
+ */
+const hashNavigation = (workspaceSlug, tree, slugs) => {
+  const toNav = node => [node.id, slugs.get(node.id), node.title, node.icon, node.cover_url, node.children.map(toNav)];
+  return crypto.createHash('sha1').update(JSON.stringify([workspaceSlug, toNav(tree)])).digest('hex');
+};
+
+/**
+ * Mã băm của nội dung nguồn mà các block đồng bộ trên trang hiển thị: version hiện tại của các trang chứa block nguồn
+ * (đổi khi block nguồn hoặc block con của nó được chỉnh sửa).
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<string|null>} - null nếu trang không có block đồng bộ.
+ */
+const hashSyncedSources = async (mongoDB, pageId) => {
+  const instances = await mongoDB.collection('blocks')
+    .find({ pageId, type: SYNCED_BLOCK_TYPE }, { projection: { type: 1, properties: 1 } })
+    .toArray();
+  const sourceIds = [...new Set(instances.map(getSourceBlockId))]
+    .filter(id => typeof id === 'string' && ObjectId.isValid(id))
+    .sort();
+  if (sourceIds.length === 0) return null;
+
+  const sources = await mongoDB.collection('blocks')
+    .find({ _id: { $in: sourceIds.map(id => new ObjectId(id)) } }, { projection: { pageId: 1 } })
+    .toArray();
+  const contents = await mongoDB.collection('page_contents')
+    .find({ pageId: { $in: [...new Set(sources.map(source => source.pageId))] } }, { projection: { pageId: 1, version: 1 } })
+    .toArray();
+  const versions = new Map(contents.map(content => [content.pageId, content.version]));
+
+  const state = sourceIds.map((id) => {
+    const source = sources.find(item => item._id.toString() === id);
+    return [id, source ? source.pageId : null, source ? versions.get(source.pageId) ?? 0 : null];
+  });
+  return crypto.createHash('sha1').update(JSON.stringify(state)).digest('hex');
+};
+
+/**
+ * Render một trang đã xuất bản thành HTML (nội dung như getPageContent với người xem ẩn danh, thanh điều hướng là
+ * cây trang của bản xuất bản) và lưu vào published_pages.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} site - { workspaceSlug, tree, slugs }.
+ * @param {Object} node - Nút của trang trong cây.
+ * @returns {Promise<string>} - HTML của trang.
+ */
+const renderPublishedPage = async (mongoDB, { workspaceSlug, tree, slugs }, node) => {
+  const pageUrl = publishedUrl(workspaceSlug, slugs.get(node.id));
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: node.id });
+  const blocks = await loadPageBlocks(mongoDB, pageContent);
+
+  // Người xem ẩn danh: block đồng bộ chỉ hiển thị nội dung của block nguồn nằm trên trang public
+  const renderedBlocks = await resolveSyncedBlocks(mongoDB, blocks, null);
+
+  const html = renderHtmlDocument({
+    title: node.title,
+    icon: node.icon,
+    coverUrl: node.cover_url,
+    nav: renderNavHtml(tree, {
+      currentId: node.id,
+      hrefFor: navNode => (slugs.has(navNode.id) ? publishedUrl(workspaceSlug, slugs.get(navNode.id)) : '#')
+    }),
+    body: renderBlocksHtml(buildBlockTree(renderedBlocks), {
+      resolveFile: block => (block.properties.attachmentId
+        ? `${pageUrl}/files/${block.properties.attachmentId}`
+        : block.properties.url)
+    })
+  });
+
+  await db.query(
+    `UPDATE published_pages SET html = ?, content_version = ?, nav_hash = ?, sources_hash = ?, rendered_at = NOW()
+     WHERE page_id = ?`,
+    [
+      html,
+      pageContent ? pageContent.version : 0,
+      hashNavigation(workspaceSlug, tree, slugs),
+      await hashSyncedSources(mongoDB, node.id),
+      node.id
+    ]
+  );
+  return html;
+};
+
+/**
+ * Lấy bản xuất bản chứa trang (trang gốc hoặc trang con cháu đã được đồng bộ).
+ * @async
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<Object|null>} - Bản xuất bản kèm `url` và danh sách `pages` ({ page_id, title, slug, url }).
+ */
+const getPublication = async (pageId) => {
+  const [publications] = await db.query(
+    `SELECT pub.id, pub.workspace_id, w.slug AS workspace_slug, pub.root_page_id, root.title AS root_title,
+            pub.published_by, u.full_name AS published_by_name, pub.published_at, pub.updated_at
+     FROM page_publications pub
+     JOIN workspaces w ON w.id = pub.workspace_id
+     JOIN pages root ON root.id = pub.root_page_id
+     LEFT JOIN users u ON u.id = pub.published_by
+     WHERE pub.root_page_id = ? OR pub.id = (SELECT publication_id FROM published_pages WHERE page_id = ?)
+     LIMIT 1`,
+    [pageId, pageId]
+  );
+  if (publications.length === 0) return null;
+
+  const publication = publications[0];
+  const [pages] = await db.query(
+    `SELECT pp.page_id, p.title, pp.slug, pp.rendered_at FROM published_pages pp
+     JOIN pages p ON p.id = pp.page_id
+     WHERE pp.publication_id = ?`,
+    [publication.id]
+  );
+  const toPage = page => ({ ...page, url: publishedUrl(publication.workspace_slug, page.slug) });
+  const root = pages.find(page => page.page_id === publication.root_page_id);
+
+  return {
+    ...publication,
+    url: root ? publishedUrl(publication.workspace_slug, root.slug) : null,
+    pages: pages.map(toPage)
+  };
+};
+
+/**
+ * Lấy các bản xuất bản của workspace.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @returns {Promise<Array>} - Bản xuất bản kèm `url` của trang gốc và số trang `page_count`.
+ */
+const listPublications = async (workspaceId) => {
+  const [publications] = await db.query(
+    `SELECT pub.id, pub.root_page_id, root.title AS root_title, w.slug AS workspace_slug, rp.slug AS root_slug,
+            (SELECT COUNT(*) FROM published_pages pp WHERE pp.publication_id = pub.id) AS page_count,
+            pub.published_by, u.full_name AS published_by_name, pub.published_at, pub.updated_at
+     FROM page_publications pub
+     JOIN workspaces w ON w.id = pub.workspace_id
+     JOIN pages root ON root.id = pub.root_page_id AND root.deleted_at IS NULL
+     LEFT JOIN published_pages rp ON rp.page_id = pub.root_page_id
+     LEFT JOIN users u ON u.id = pub.published_by
+     WHERE pub.workspace_id = ?
+     ORDER BY pub.published_at DESC`,
+    [workspaceId]
+  );
+  return publications.map(({ root_slug: rootSlug, ...publication }) => ({
+    ...publication,
+    page_count: Number(publication.page_count),
+    url: rootSlug ? publishedUrl(publication.workspace_slug, rootSlug) : null
+  }));
+};
+
+/**
+ * Xuất bản trang cùng các trang con cháu (hoặc render lại toàn bộ nếu trang đã được xuất bản).
+ * Bản xuất bản của các trang con cháu được gộp vào bản này.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {Object} page - Trang gốc.
+ * @param {string} userId - ID người xuất bản.
+ * @returns {Promise<Object>} - Bản xuất bản (như getPublication).
+ * @throws {BadRequestError|ConflictError} - Nếu trang là hàng cơ sở dữ liệu hoặc đã nằm trong bản xuất bản của
+ *   trang tổ tiên (`details.rootPageId`).
+ */
+const publishPage = async (mongoDB, page, userId) => {
+  if (page.database_id) {
+    throw new BadRequestError('Không thể xuất bản hàng của cơ sở dữ liệu');
+  }
+
+  // Trang thuộc bản xuất bản của tổ tiên nếu tổ tiên đó nằm trên chuỗi kế thừa quyền của trang
+  const { pageIds: chain } = await getInheritanceChain(page);
+  const ancestorIds = chain.filter(id => id !== page.id);
+  if (ancestorIds.length > 0) {
+    const [outer] = await db.query('SELECT root_page_id FROM page_publications WHERE root_page_id IN (?)', [ancestorIds]);
+    if (outer.length > 0) {
+      throw new ConflictError('Trang đã được xuất bản cùng trang cha', { rootPageId: outer[0].root_page_id });
+    }
+  }
+
+  const workspaceSlug = await ensureWorkspaceSlug(page.workspace_id);
+
+  const [existing] = await db.query('SELECT * FROM page_publications WHERE root_page_id = ?', [page.id]);
+  let publication = existing[0];
+  if (publication) {
+    await db.query('UPDATE page_publications SET updated_at = NOW() WHERE id = ?', [publication.id]);
+  } else {
+    publication = { id: uuidv4() };
+    await db.query(
+      'INSERT INTO page_publications (id, workspace_id, root_page_id, published_by) VALUES (?, ?, ?, ?)',
+      [publication.id, page.workspace_id, page.id, userId]
+    );
+  }
+
+  const site = { workspaceSlug, ...await syncPublication(publication, page) };
+  for (const node of site.nodes.values()) {
+    await renderPublishedPage(mongoDB, site, node);
+  }
+
+  return getPublication(page.id);
+};
+
+/**
+ * Gỡ bản xuất bản có gốc là trang; các đường dẫn /p/... của bản xuất bản không còn truy cập được.
+ * @async
+ * @param {Object} page - Trang gốc.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - Nếu trang không phải gốc của bản xuất bản nào.
+ */
+const unpublishPage = async (page) => {
+  const [publications] = await db.query('SELECT id FROM page_publications WHERE root_page_id = ?', [page.id]);
+  if (publications.length === 0) {
+    throw new NotFoundError('Trang không phải là trang gốc của bản xuất bản nào');
+  }
+
+  await db.query('DELETE FROM published_pages WHERE publication_id = ?', [publications[0].id]);
+  await db.query('DELETE FROM page_publications WHERE id = ?', [publications[0].id]);
+};
+
+/**
+ * Tìm trang đã xuất bản theo đường dẫn và đọc cây trang của bản xuất bản (không đồng bộ published_pages).
+ * @async
+ * @param {string} workspaceSlug - Slug workspace.
+ * @param {string} pageSlug - Slug trang.
+ * @returns {Promise<Object>} - { page (bản ghi published_pages), site: { workspaceSlug, tree, nodes, slugs }, node }.
+ * @throws {NotFoundError} - Nếu đường dẫn không thuộc bản xuất bản nào hoặc trang không còn trong cây.
+ */
+const findPublishedPage = async (workspaceSlug, pageSlug) => {
+  const [rows] = await db.query(
+    `SELECT pp.page_id, pp.html, pp.content_version, pp.nav_hash, pp.sources_hash, pub.id AS publication_id, pub.root_page_id
+     FROM published_pages pp
+     JOIN workspaces w ON w.id = pp.workspace_id
+     JOIN page_publications pub ON pub.id = pp.publication_id
+     WHERE w.slug = ? AND pp.slug = ?`,
+    [workspaceSlug, pageSlug]
+  );
+  if (rows.length === 0) {
+    throw new NotFoundError('Trang không tồn tại hoặc chưa được xuất bản');
+  }
+
+  const page = rows[0];
+  const [roots] = await db.query('SELECT * FROM pages WHERE id = ? AND deleted_at IS NULL', [page.root_page_id]);
+  if (roots.length === 0) {
+    throw new NotFoundError('Trang không tồn tại hoặc chưa được xuất bản');
+  }
+
+  const site = { workspaceSlug, ...await loadPublication({ id: page.publication_id }, roots[0]) };
+  const node = site.nodes.get(page.page_id);
+  if (!node) {
+    throw new NotFoundError('Trang không tồn tại hoặc chưa được xuất bản');
+  }
+  return { page, site, node };
+};
+
+/**
+ * Lấy HTML của trang đã xuất bản, render lại nếu nội dung (kể cả nội dung nguồn của block đồng bộ) hoặc cây điều hướng
+ * đã thay đổi từ lần render trước.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {string} workspaceSlug - Slug workspace.
+ * @param {string} pageSlug - Slug trang.
+ * @returns {Promise<string>}
+ * @throws {NotFoundError} - Nếu trang chưa được xuất bản.
+ */
+const servePublishedPage = async (mongoDB, workspaceSlug, pageSlug) => {
+  const { page, site, node } = await findPublishedPage(workspaceSlug, pageSlug);
+
+  const pageContent = await mongoDB.collection('page_contents')
+    .findOne({ pageId: node.id }, { projection: { version: 1 } });
+  const stale = page.html === null
+    || page.content_version !== (pageContent ? pageContent.version : 0)
+    || page.nav_hash !== hashNavigation(workspaceSlug, site.tree, site.slugs)
+    || page.sources_hash !== await hashSyncedSources(mongoDB, node.id);
+
+  return stale ? renderPublishedPage(mongoDB, site, node) : page.html;
+};
+
+/**
+ * Lấy tệp đính kèm thuộc trang đã xuất bản: tệp của một block trên trang (hoặc gắn trực tiếp với trang). Chỉ tham
+ * chiếu attachmentId trong block là chưa đủ, vì người chỉnh sửa có thể trỏ block tới tệp của trang riêng tư khác.
+ * @async
+ * @param {Object} mongoDB - Database MongoDB.
+ * @param {string} workspaceSlug - Slug workspace.
+ * @param {string} pageSlug - Slug trang.
+ * @param {string} attachmentId - ID tệp đính kèm.
+ * @returns {Promise<Object>} - Tài liệu attachments.
+ * @throws {NotFoundError} - Nếu trang chưa được xuất bản hoặc tệp không thuộc trang.
+ */
+const getPublishedAttachment = async (mongoDB, workspaceSlug, pageSlug, attachmentId) => {
+  const { node } = await findPublishedPage(workspaceSlug, pageSlug);
+
+  const attachment = await mongoDB.collection('attachments').findOne({ _id: new ObjectId(attachmentId) });
+  const ownerBlock = attachment && attachment.blockId
+    ? await mongoDB.collection('blocks').findOne({ _id: attachment.blockId, pageId: node.id }, { projection: { _id: 1 } })
+    : null;
+  if (!attachment || (!ownerBlock && attachment.pageId !== node.id)) {
+    throw new NotFoundError('Tệp đính kèm không tồn tại');
+  }
+  return attachment;
+};
+
+module.exports = {
+  slugify,
+  publishedUrl,
+  ensureWorkspaceSlug,
+  getPublication,
+  listPublications,
+  publishPage,
+  syncWorkspacePublications,
+  unpublishPage,
+  servePublishedPage,
+  getPublishedAttachment
+};
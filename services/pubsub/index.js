@@ -0,0 +1,36 @@
+const createMemoryPubSub = require('./memoryPubSub');
+const createRedisPubSub = require('./redisPubSub');
+const createSocketAdapter = require('./socketAdapter');
+
+let pubsub = null;
+
+/**
+ * Lấy lớp pub/sub dùng chung của tiến trình.
+ * Chọn cài đặt theo biến môi trường PUBSUB_DRIVER: 'memory' (mặc định, một instance)
+ * hoặc 'redis' (nhiều instance, dùng REDIS_URL).
+ * @returns {Object} - Đối tượng pub/sub.
+ */
+const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = process.env.PUBSUB_DRIVER === 'redis'
+      ? createRedisPubSub(process.env.REDIS_URL || 'redis://localhost:6379')
+      : createMemoryPubSub();
+  }
+  return pubsub;
+};
+
+/**
+ * Thay lớp pub/sub dùng chung (ví dụ dùng bản trong bộ nhớ khi kiểm thử).
+ * @param {Object} instance - Đối tượng pub/sub mới.
+ */
+const setPubSub = (instance) => {
+  pubsub = instance;
+};
+
+module.exports = {
+  getPubSub,
+  setPubSub,
+  createMemoryPubSub,
+  createRedisPubSub,
+  createSocketAdapter
+};
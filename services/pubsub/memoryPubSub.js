@@ -0,0 +1,145 @@
+const { encode, decode } = require('./serializer');
+
+/**
+ * Tạo lớp pub/sub lưu trong bộ nhớ tiến trình.
+ * Dùng khi chạy một instance duy nhất hoặc trong kiểm thử; có cùng giao diện với createRedisPubSub.
+ * Giá trị luôn được mã hóa JSON như khi đi qua Redis để hai cài đặt hoạt động giống nhau.
+ * @returns {Object} - Đối tượng pub/sub.
+ * @example
+ * const pubsub = createMemoryPubSub();
+ * const unsubscribe = await pubsub.subscribe('channel', message => console.log(message));
+ * await pubsub.publish('channel', { hello: 'world' });
+ */
+const createMemoryPubSub = () => {
+  // channel -> Set(handler)
+  const channels = new Map();
+  // key -> { value, expiresAt }
+  const values = new Map();
+  // key -> Map(field -> value)
+  const hashes = new Map();
+  // key -> Set(member)
+  const sets = new Map();
+
+  const readValue = (key) => {
+    const item = values.get(key);
+    if (!item) return null;
+    if (item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      values.delete(key);
+      return null;
+    }
+    return item.value;
+  };
+
+  return {
+    /**
+     * Phát thông điệp tới mọi subscriber của kênh (kể cả chính instance này).
+     * @async
+     * @param {string} channel - Tên kênh.
+     * @param {*} message - Nội dung thông điệp.
+     */
+    async publish(channel, message) {
+      const handlers = channels.get(channel);
+      if (!handlers) return;
+
+      const payload = encode(message);
+      // Giao thông điệp bất đồng bộ giống như khi đi qua Redis
+      setImmediate(() => {
+        handlers.forEach((handler) => {
+          try {
+            handler(decode(payload));
+          } catch (error) {
+            console.error(`Error handling pub/sub message on ${channel}:`, error);
+          }
+        });
+      });
+    },
+
+    /**
+     * Đăng ký nhận thông điệp của kênh.
+     * @async
+     * @param {string} channel - Tên kênh.
+     * @param {Function} handler - Hàm xử lý thông điệp.
+     * @returns {Promise<Function>} - Hàm hủy đăng ký.
+     */
+    async subscribe(channel, handler) {
+      if (!channels.has(channel)) {
+        channels.set(channel, new Set());
+      }
+      channels.get(channel).add(handler);
+
+      return async () => {
+        const handlers = channels.get(channel);
+        if (!handlers) return;
+        handlers.delete(handler);
+        if (handlers.size === 0) channels.delete(channel);
+      };
+    },
+
+    async get(key) {
+      return decode(readValue(key));
+    },
+
+    async set(key, value, ttlSeconds = null) {
+      values.set(key, {
+        value: encode(value),
+        expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+      });
+    },
+
+    async del(key) {
+      values.delete(key);
+      hashes.delete(key);
+      sets.delete(key);
+    },
+
+    async hashSet(key, field, value) {
+      if (!hashes.has(key)) hashes.set(key, new Map());
+      hashes.get(key).set(field, encode(value));
+    },
+
+    async hashGet(key, field) {
+      return decode(hashes.get(key)?.get(field) ?? null);
+    },
+
+    async hashGetAll(key) {
+      const hash = hashes.get(key);
+      const result = {};
+      if (hash) {
+        hash.forEach((value, field) => { result[field] = decode(value); });
+      }
+      return result;
+    },
+
+    async hashDelete(key, field) {
+      const hash = hashes.get(key);
+      if (!hash || !hash.delete(field)) return false;
+      if (hash.size === 0) hashes.delete(key);
+      return true;
+    },
+
+    async setAdd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+    },
+
+    async setRemove(key, member) {
+      const set = sets.get(key);
+      if (!set || !set.delete(member)) return false;
+      if (set.size === 0) sets.delete(key);
+      return true;
+    },
+
+    async setMembers(key) {
+      return [...(sets.get(key) || [])];
+    },
+
+    async close() {
+      channels.clear();
+      values.clear();
+      hashes.clear();
+      sets.clear();
+    }
+  };
+};
+
+module.exports = createMemoryPubSub;
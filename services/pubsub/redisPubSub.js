@@ -0,0 +1,115 @@
+const { createClient } = require('redis');
+const { encode, decode } = require('./serializer');
+
+/**
+ * Tạo lớp pub/sub dùng Redis (hoặc máy chủ tương thích giao thức Redis) để chia sẻ
+ * thông điệp và dữ liệu giữa nhiều instance API.
+ * Redis yêu cầu kết nối riêng cho chế độ subscribe, nên dùng hai client: một để ra lệnh, một để nhận thông điệp.
+ * @param {string} url - Địa chỉ Redis, ví dụ redis://localhost:6379.
+ * @returns {Object} - Đối tượng pub/sub có cùng giao diện với createMemoryPubSub.
+ */
+const createRedisPubSub = (url) => {
+  const client = createClient({ url });
+  const subscriber = client.duplicate();
+
+  client.on('error', error => console.error('Redis client error:', error));
+  subscriber.on('error', error => console.error('Redis subscriber error:', error));
+
+  // Kết nối khi được dùng lần đầu; thử lại ở lần gọi sau nếu kết nối thất bại
+  let connecting = null;
+  const ready = () => {
+    if (!connecting) {
+      connecting = Promise.all([client.connect(), subscriber.connect()]).catch((error) => {
+        connecting = null;
+        throw error;
+      });
+    }
+    return connecting;
+  };
+
+  return {
+    async publish(channel, message) {
+      await ready();
+      await client.publish(channel, encode(message));
+    },
+
+    async subscribe(channel, handler) {
+      await ready();
+      const listener = (message) => {
+        try {
+          handler(decode(message));
+        } catch (error) {
+          console.error(`Error handling pub/sub message on ${channel}:`, error);
+        }
+      };
+      await subscriber.subscribe(channel, listener);
+
+      return async () => {
+        await subscriber.unsubscribe(channel, listener);
+      };
+    },
+
+    async get(key) {
+      await ready();
+      return decode(await client.get(key));
+    },
+
+    async set(key, value, ttlSeconds = null) {
+      await ready();
+      const options = ttlSeconds ? { expiration: { type: 'EX', value: ttlSeconds } } : undefined;
+      await client.set(key, encode(value), options);
+    },
+
+    async del(key) {
+      await ready();
+      await client.del(key);
+    },
+
+    async hashSet(key, field, value) {
+      await ready();
+      await client.hSet(key, field, encode(value));
+    },
+
+    async hashGet(key, field) {
+      await ready();
+      return decode(await client.hGet(key, field));
+    },
+
+    async hashGetAll(key) {
+      await ready();
+      const hash = await client.hGetAll(key);
+      const result = {};
+      Object.entries(hash).forEach(([field, value]) => { result[field] = decode(value); });
+      return result;
+    },
+
+    async hashDelete(key, field) {
+      await ready();
+      // HDEL trả về số trường đã xóa: chỉ một instance nhận được 1 khi nhiều instance cùng xóa
+      return (await client.hDel(key, field)) > 0;
+    },
+
+    async setAdd(key, member) {
+      await ready();
+      await client.sAdd(key, member);
+    },
+
+    async setRemove(key, member) {
+      await ready();
+      return (await client.sRem(key, member)) > 0;
+    },
+
+    async setMembers(key) {
+      await ready();
+      return client.sMembers(key);
+    },
+
+    async close() {
+      if (!connecting) return;
+      await Promise.all([client.quit(), subscriber.quit()]);
+      connecting = null;
+    }
+  };
+};
+
+module.exports = createRedisPubSub;
@@ -0,0 +1,34 @@
+/*
+ * Mã hóa/giải mã giá trị trao đổi qua lớp pub/sub.
+ * Buffer trong gói tin (nếu có) được khôi phục lại thành Buffer khi giải mã để gói tin phát lại trên instance khác
+ * giống hệt gói tin phát trên instance gốc. Thông tin hiện diện chỉ mang URL ảnh đại diện, không mang dữ liệu ảnh.
+ */
+
+/**
+ * Chuyển giá trị sang chuỗi JSON.
+ * @param {*} value - Giá trị cần mã hóa.
+ * @returns {string}
+ */
+const encode = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Khôi phục Buffer từ dạng JSON { type: 'Buffer', data: [...] }.
+ * @param {string} key - Khóa hiện tại.
+ * @param {*} value - Giá trị đã parse.
+ * @returns {*}
+ */
+const reviveBuffer = (key, value) => {
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data);
+  }
+  return value;
+};
+
+/**
+ * Chuyển chuỗi JSON về giá trị ban đầu.
+ * @param {string|null} text - Chuỗi đã mã hóa.
+ * @returns {*} - Giá trị, hoặc null nếu không có dữ liệu.
+ */
+const decode = (text) => (text === null || text === undefined ? null : JSON.parse(text, reviveBuffer));
+
+module.exports = { encode, decode };
@@ -0,0 +1,65 @@
+const { randomUUID } = require('crypto');
+const { Adapter } = require('socket.io-adapter');
+
+/**
+ * Tạo lớp Adapter của Socket.io phát lại các broadcast qua pub/sub,
+ * để `io.to(pageId).emit(...)` trên một instance đến được socket kết nối vào instance khác.
+ * Phòng (room) vẫn được quản lý cục bộ: mỗi instance chỉ gửi gói tin tới socket của chính nó.
+ * Broadcast có ack và các thao tác như fetchSockets chỉ áp dụng trên instance hiện tại.
+ * @param {Object} pubsub - Đối tượng pub/sub (xem services/pubsub).
+ * @returns {Function} - Lớp Adapter dùng với `io.adapter(...)`.
+ * @example
+ * io.adapter(createSocketAdapter(getPubSub()));
+ */
+const createSocketAdapter = (pubsub) => class PubSubAdapter extends Adapter {
+  constructor(nsp) {
+    super(nsp);
+    this.uid = randomUUID();
+    this.channel = `socket.io#${nsp.name}`;
+
+    this.subscription = pubsub
+      .subscribe(this.channel, message => this.onMessage(message))
+      .catch((error) => {
+        console.error(`Error subscribing to ${this.channel}:`, error);
+        return null;
+      });
+  }
+
+  /**
+   * Nhận broadcast từ instance khác và gửi tới các socket cục bộ.
+   * @param {Object} message - { uid, packet, opts }.
+   */
+  onMessage({ uid, packet, opts }) {
+    if (uid === this.uid) return;
+
+    super.broadcast(packet, {
+      rooms: new Set(opts.rooms),
+      except: new Set(opts.except),
+      flags: opts.flags
+    });
+  }
+
+  broadcast(packet, opts) {
+    super.broadcast(packet, opts);
+
+    // Gói tin đánh dấu local chỉ gửi trên instance hiện tại
+    if (opts.flags?.local) return;
+
+    pubsub.publish(this.channel, {
+      uid: this.uid,
+      packet,
+      opts: {
+        rooms: [...opts.rooms],
+        except: [...(opts.except || [])],
+        flags: opts.flags || {}
+      }
+    }).catch(error => console.error(`Error publishing to ${this.channel}:`, error));
+  }
+
+  async close() {
+    const unsubscribe = await this.subscription;
+    if (unsubscribe) await unsubscribe();
+  }
+};
+
+module.exports = createSocketAdapter;
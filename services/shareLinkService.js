@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, UnauthorizedError, NotFoundError } = require('../middlewares/error');
+const { PAGE_ORDER } = require('./pageOrderService');
+
+/*
+ * Liên kết chia sẻ công khai của trang (page_share_links).
+ * Người có token xem được trang và các trang con cháu không bị xóa, không phải hàng cơ sở dữ liệu và không nằm dưới
+ * trang ngừng kế thừa quyền (trang giới hạn quyền không bị lộ qua liên kết của trang cha). Liên kết mức `comment`
+ * cho phép người dùng đã đăng nhập bình luận qua liên kết.
+ */
+
+const SHARE_ACCESS_LEVELS = ['view', 'comment'];
+
+const LINK_FIELDS = `l.id, l.page_id, p.title AS page_title, l.token, l.access_level, l.password_hash IS NOT NULL AS has_password,
+  l.expires_at, l.expires_at IS NOT NULL AND l.expires_at <= NOW() AS expired, l.created_by, u.full_name AS created_by_name,
+  l.created_at, l.last_accessed_at`;
+
+const LINK_JOINS = `JOIN pages p ON p.id = l.page_id
+  LEFT JOIN users u ON u.id = l.created_by`;
+
+/**
+ * Chuẩn hóa liên kết trả về cho client (cờ MySQL -> boolean).
+ * @param {Object} link - Bản ghi liên kết.
+ * @returns {Object}
+ */
+const formatLink = (link) => ({ ...link, has_password: Boolean(link.has_password), expired: Boolean(link.expired) });
+
+/**
+ * Lấy các liên kết chia sẻ của một trang hoặc của mọi trang trong workspace.
+ * @async
+ * @param {Object} filter - { pageId } hoặc { workspaceId }.
+ * @returns {Promise<Array>} - Liên kết mới nhất đứng đầu, có `has_password` và `expired` (không trả về mật khẩu).
+ */
+const listShareLinks = async ({ pageId, workspaceId }) => {
+  const [links] = await db.query(
+    `SELECT ${LINK_FIELDS} FROM page_share_links l ${LINK_JOINS}
+     WHERE ${pageId ? 'l.page_id = ?' : 'p.workspace_id = ? AND p.deleted_at IS NULL'}
+     ORDER BY l.created_at DESC, l.id DESC`,
+    [pageId || workspaceId]
+  );
+  return links.map(formatLink);
+};
+
+/**
+ * Lấy liên kết chia sẻ của trang theo ID.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} linkId - ID liên kết.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu liên kết không thuộc trang.
+ */
+const findShareLink = async (page, linkId) => {
+  const [links] = await db.query(
+    `SELECT ${LINK_FIELDS} FROM page_share_links l ${LINK_JOINS} WHERE l.id = ? AND l.page_id = ?`,
+    [linkId, page.id]
+  );
+  if (links.length === 0) {
+    throw new NotFoundError('Liên kết chia sẻ không tồn tại');
+  }
+  return formatLink(links[0]);
+};
+
+/**
+ * Tạo liên kết chia sẻ mới cho trang.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} userId - ID người tạo.
+ * @param {Object} options - { accessLevel = 'view', expiresAt = null, password = null }.
+ * @returns {Promise<Object>} - Liên kết vừa tạo (kèm token).
+ * @throws {BadRequestError} - Nếu mức quyền không hợp lệ hoặc hạn dùng đã qua.
+ * @example
+ * await createShareLink(page, userId, { accessLevel: 'comment', expiresAt: '2030-01-01T00:00:00Z', password: 'secret' });
+ */
+const createShareLink = async (page, userId, { accessLevel = 'view', expiresAt = null, password = null }) => {
+  if (!SHARE_ACCESS_LEVELS.includes(accessLevel)) {
+    throw new BadRequestError(`access_level phải là một trong: ${SHARE_ACCESS_LEVELS.join(', ')}`);
+  }
+  const expires = expiresAt ? new Date(expiresAt) : null;
+  if (expires && expires.getTime() <= Date.now()) {
+    throw new BadRequestError('Thời điểm hết hạn phải ở tương lai');
+  }
+
+  const linkId = uuidv4();
+  const passwordHash = password ? await bcrypt.hash(password, 10) : null;
+  await db.query(
+    `INSERT INTO page_share_links (id, page_id, token, access_level, password_hash, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [linkId, page.id, crypto.randomBytes(32).toString('hex'), accessLevel, passwordHash, expires, userId]
+  );
+  return findShareLink(page, linkId);
+};
+
+/**
+ * Thu hồi (xóa) liên kết chia sẻ; token của liên kết không còn dùng được.
+ * @async
+ * @param {Object} page - Trang.
+ * @param {string} linkId - ID liên kết.
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} - Nếu liên kết không thuộc trang.
+ */
+const revokeShareLink = async (page, linkId) => {
+  await findShareLink(page, linkId);
+  await db.query('DELETE FROM page_share_links WHERE id = ?', [linkId]);
+};
+
+/**
+ * Lấy cây trang truy cập được qua liên kết chia sẻ của trang gốc (đọc các trang của workspace trong một truy vấn).
+ * Cũng dùng cho trang xuất bản (publishingService), vốn áp dụng cùng quy tắc.
+ * @async
+ * @param {Object} rootPage - Trang được chia sẻ.
+ * @returns {Promise<Object>} - { pageIds (Set), tree } với `tree` là trang gốc kèm `children` theo thứ tự trong cây trang.
+ */
+const getSharedTree = async (rootPage) => {
+  const [pages] = await db.query(
+    `SELECT p.id, p.title, p.icon, p.cover_url, p.parent_page_id FROM pages p
+     WHERE p.workspace_id = ? AND p.database_id IS NULL AND p.deleted_at IS NULL AND p.inherit_permissions <> 0
+     ORDER BY ${PAGE_ORDER}`,
+    [rootPage.workspace_id]
+  );
+
+  const childrenOf = new Map();
+  pages.forEach((page) => {
+    if (!childrenOf.has(page.parent_page_id)) childrenOf.set(page.parent_page_id, []);
+    childrenOf.get(page.parent_page_id).push(page);
+  });
+
+  const pick = ({ id, title, icon, cover_url: coverUrl, parent_page_id: parentPageId }) => (
+    { id, title, icon, cover_url: coverUrl, parent_page_id: parentPageId, children: [] }
+  );
+  const tree = pick(rootPage);
+  const pageIds = new Set([rootPage.id]);
+  const queue = [tree];
+
+  while (queue.length > 0) {
+    const parent = queue.shift();
+    (childrenOf.get(parent.id) || []).filter(child => !pageIds.has(child.id)).forEach((child) => {
+      const node = pick(child);
+      pageIds.add(child.id);
+      parent.children.push(node);
+      queue.push(node);
+    });
+  }
+
+  return { pageIds, tree };
+};
+
+/**
+ * Xác thực token chia sẻ (hạn dùng, mật khẩu) và ghi nhận lần truy cập.
+ * @async
+ * @param {string} token - Token của liên kết.
+ * @param {string|undefined} password - Mật khẩu người xem gửi kèm (nếu liên kết có mật khẩu).
+ * @returns {Promise<Object>} - { link, page } với `page` là trang được chia sẻ.
+ * @throws {NotFoundError|UnauthorizedError} - Nếu liên kết không tồn tại, đã hết hạn, trang đã bị xóa, hoặc sai mật khẩu
+ *   (lỗi 401 có `passwordRequired: true` trong `details`).
+ */
+const resolveShareLink = async (token, password) => {
+  const [links] = await db.query(
+    `SELECT l.*, l.expires_at IS NOT NULL AND l.expires_at <= NOW() AS expired
+     FROM page_share_links l WHERE l.token = ?`,
+    [token]
+  );
+  if (links.length === 0) {
+    throw new NotFoundError('Liên kết chia sẻ không tồn tại hoặc đã bị thu hồi');
+  }
+  const link = links[0];
+  if (link.expired) {
+    throw new NotFoundError('Liên kết chia sẻ đã hết hạn');
+  }
+
+  const [pages] = await db.query('SELECT * FROM pages WHERE id = ? AND deleted_at IS NULL', [link.page_id]);
+  if (pages.length === 0) {
+    throw new NotFoundError('Trang được chia sẻ không còn tồn tại');
+  }
+
+  if (link.password_hash && !(password && await bcrypt.compare(password, link.password_hash))) {
+    throw new UnauthorizedError(
+      password ? 'Mật khẩu liên kết chia sẻ không đúng' : 'Liên kết chia sẻ yêu cầu mật khẩu',
+      { passwordRequired: true }
+    );
+  }
+
+  await db.query('UPDATE page_share_links SET last_accessed_at = NOW() WHERE id = ?', [link.id]);
+
+  return {
+    link: { id: link.id, page_id: link.page_id, access_level: link.access_level, expires_at: link.expires_at },
+    page: pages[0]
+  };
+};
+
+module.exports = {
+  SHARE_ACCESS_LEVELS,
+  listShareLinks,
+  createShareLink,
+  revokeShareLink,
+  getSharedTree,
+  resolveShareLink
+};
@@ -0,0 +1,287 @@
+const { ObjectId } = require('mongodb');
+const { BadRequestError, NotFoundError, ForbiddenError } = require('../middlewares/error');
+const { getBlockId } = require('../utils/blockDiff');
+const blockTree = require('../utils/blockTree');
+const blockService = require('./blockService');
+const { getPageAccess } = require('./permissionService');
+
+/*
+ * Block đồng bộ (synced block): block loại `synced_block` chỉ lưu `properties.sourceBlockId`,
+ * nội dung hiển thị là block nguồn (cùng các block con) được lấy lại mỗi lần đọc trang.
+ * Chỉnh sửa qua bất kỳ bản đồng bộ nào đều được ghi vào block nguồn.
+ */
+
+const SYNCED_BLOCK_TYPE = 'synced_block';
+
+/**
+ * Kiểm tra block có phải block đồng bộ hay không.
+ * @param {Object} block - Block.
+ * @returns {boolean}
+ */
+const isSyncedBlock = (block) => Boolean(block) && block.type === SYNCED_BLOCK_TYPE;
+
+/**
+ * Lấy ID block nguồn của block đồng bộ.
+ * @param {Object} block - Block đồng bộ.
+ * @returns {string|null}
+ */
+const getSourceBlockId = (block) => block.properties?.sourceBlockId || null;
+
+/**
+ * Lấy block nguồn và kiểm tra quyền của người dùng trên trang chứa nó.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {string} sourceBlockId - ID block nguồn.
+ * @param {string} userId - ID người dùng.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {boolean} [options.edit=false] - Yêu cầu quyền chỉnh sửa (mặc định chỉ cần quyền xem).
+ * @returns {Promise<Object>} - Block nguồn.
+ * @throws {BadRequestError} - Nếu ID không hợp lệ hoặc block nguồn cũng là block đồng bộ.
+ * @throws {NotFoundError} - Nếu block nguồn không còn tồn tại.
+ * @throws {ForbiddenError} - Nếu người dùng không có quyền trên trang nguồn.
+ */
+const requireSourceBlock = async (mongoDB, sourceBlockId, userId, { edit = false } = {}) => {
+  if (typeof sourceBlockId !== 'string' || !ObjectId.isValid(sourceBlockId)) {
+    throw new BadRequestError('Block nguồn không hợp lệ');
+  }
+
+  const source = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(sourceBlockId) });
+  if (!source) {
+    throw new NotFoundError('Block nguồn không tồn tại');
+  }
+  if (isSyncedBlock(source)) {
+    throw new BadRequestError('Không thể đồng bộ từ một block đồng bộ khác');
+  }
+
+  const access = await getPageAccess(source.pageId, userId);
+  if (!(edit ? access.canEdit : access.canView)) {
+    throw new ForbiddenError(edit
+      ? 'Không có quyền chỉnh sửa trang chứa block nguồn'
+      : 'Không có quyền truy cập trang chứa block nguồn');
+  }
+
+  return source;
+};
+
+/**
+ * Gắn nội dung nguồn vào các block đồng bộ trong danh sách (trường `synced`, không được lưu lại).
+ * `synced.status` là 'ok' (kèm `block` là cây block nguồn), 'forbidden' nếu người dùng không xem được
+ * trang nguồn, hoặc 'missing' nếu block nguồn đã bị xóa.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array} blocks - Danh sách block phẳng của trang.
+ * @param {string} userId - ID người xem.
+ * @returns {Promise<Array>} - Danh sách block, block đồng bộ có thêm trường `synced`.
+ * @example
+ * const rendered = await resolveSyncedBlocks(mongoDB, blocks, userId);
+ * // => [..., { _id, type: 'synced_block', properties: { sourceBlockId }, synced: { status: 'ok', pageId, block } }]
+ */
+const resolveSyncedBlocks = async (mongoDB, blocks, userId) => {
+  const instances = blocks.filter(isSyncedBlock);
+  if (instances.length === 0) return blocks;
+
+  const sourceIds = [...new Set(instances.map(getSourceBlockId))]
+    .filter(id => typeof id === 'string' && ObjectId.isValid(id));
+  const sources = await mongoDB.collection('blocks')
+    .find({ _id: { $in: sourceIds.map(id => new ObjectId(id)) } })
+    .toArray();
+
+  // Mỗi trang nguồn chỉ kiểm tra quyền và tải block một lần
+  const pageBlocks = new Map();
+  for (const pageId of new Set(sources.map(source => source.pageId))) {
+    const access = await getPageAccess(pageId, userId);
+    if (!access.canView) {
+      pageBlocks.set(pageId, null);
+      continue;
+    }
+    const pageContent = await mongoDB.collection('page_contents').findOne({ pageId });
+    pageBlocks.set(pageId, await blockService.loadPageBlocks(mongoDB, pageContent));
+  }
+
+  const rendered = new Map();
+  sources.forEach((source) => {
+    const sourceId = getBlockId(source);
+    const sourcePageBlocks = pageBlocks.get(source.pageId);
+    if (!sourcePageBlocks) {
+      rendered.set(sourceId, { status: 'forbidden', pageId: source.pageId });
+      return;
+    }
+    // Block nguồn đã bị gỡ khỏi nội dung trang
+    if (!sourcePageBlocks.some(item => getBlockId(item) === sourceId) || isSyncedBlock(source)) {
+      return;
+    }
+
+    const subtreeIds = blockTree.getSubtreeIds(sourcePageBlocks, source._id);
+    const [tree] = blockTree.buildBlockTree(sourcePageBlocks
+      .filter(item => subtreeIds.has(getBlockId(item)))
+      .map(item => (getBlockId(item) === sourceId ? { ...item, parentId: null } : item)));
+    rendered.set(sourceId, { status: 'ok', pageId: source.pageId, block: tree });
+  });
+
+  return blocks.map((block) => {
+    if (!isSyncedBlock(block)) return block;
+    const sourceBlockId = getSourceBlockId(block);
+    return {
+      ...block,
+      synced: { sourceBlockId, ...(rendered.get(sourceBlockId) || { status: 'missing' }) }
+    };
+  });
+};
+
+/**
+ * Liệt kê các block đồng bộ tham chiếu tới các block nguồn.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array<string|ObjectId>} sourceBlockIds - ID các block nguồn.
+ * @returns {Promise<Array>} - [{ _id, pageId, sourceBlockId }].
+ */
+const findReferences = async (mongoDB, sourceBlockIds) => {
+  if (sourceBlockIds.length === 0) return [];
+
+  const references = await mongoDB.collection('blocks')
+    .find(
+      { type: SYNCED_BLOCK_TYPE, 'properties.sourceBlockId': { $in: sourceBlockIds.map(String) } },
+      { projection: { _id: 1, pageId: 1, properties: 1 } }
+    )
+    .toArray();
+
+  return references.map(reference => ({
+    _id: reference._id,
+    pageId: reference.pageId,
+    sourceBlockId: getSourceBlockId(reference)
+  }));
+};
+
+/**
+ * Liệt kê các block đồng bộ không thuộc tập block sẽ bị xóa nhưng tham chiếu tới một block trong tập đó.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array<string|ObjectId>} blockIds - ID các block sẽ bị xóa.
+ * @returns {Promise<Array>} - [{ _id, pageId, sourceBlockId }].
+ */
+const findReferencesOutside = async (mongoDB, blockIds) => {
+  const removed = new Set(blockIds.map(String));
+  const references = await findReferences(mongoDB, [...removed]);
+  return references.filter(reference => !removed.has(getBlockId(reference)));
+};
+
+/**
+ * Liệt kê các block đồng bộ nằm ngoài cây con của block sẽ bị xóa nhưng tham chiếu tới block trong cây con đó.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} block - Block gốc của cây con sẽ bị xóa.
+ * @returns {Promise<Array>} - [{ _id, pageId, sourceBlockId }].
+ */
+const findExternalReferences = async (mongoDB, block) => {
+  const pageContent = await mongoDB.collection('page_contents').findOne({ pageId: block.pageId });
+  const blocks = await blockService.loadPageBlocks(mongoDB, pageContent);
+  return findReferencesOutside(mongoDB, [...blockTree.getSubtreeIds(blocks, block._id)]);
+};
+
+/**
+ * Ghi chỉnh sửa (type, content, properties) gửi tới một block đồng bộ vào block nguồn của nó.
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Object} instance - Block đồng bộ được chỉnh sửa.
+ * @param {string} userId - ID người chỉnh sửa.
+ * @param {Object} updateData - Dữ liệu cập nhật.
+ * @returns {Promise<Object>} - { block, version, references } với `block` là block nguồn sau khi cập nhật.
+ * @throws {NotFoundError|ForbiddenError|BadRequestError} - Nếu không thể ghi vào block nguồn.
+ */
+const updateSource = async (mongoDB, instance, userId, updateData) => {
+  const source = await requireSourceBlock(mongoDB, getSourceBlockId(instance), userId, { edit: true });
+
+  // Block nguồn không thể tự trở thành block đồng bộ
+  if (updateData.type !== undefined && updateData.type === SYNCED_BLOCK_TYPE) {
+    throw new BadRequestError('Không thể đổi block nguồn thành block đồng bộ');
+  }
+
+  const { block, version } = await blockService.updateBlock(mongoDB, source, userId, updateData);
+  const references = await findReferences(mongoDB, [source._id]);
+
+  return { block, version, references };
+};
+
+/**
+ * Tách các block đồng bộ khỏi block nguồn: mỗi block đồng bộ trở thành bản sao độc lập của block nguồn
+ * (giữ nguyên ID của block đồng bộ, các block con của nguồn được sao chép với ID mới).
+ * @async
+ * @param {Db} mongoDB - Database MongoDB.
+ * @param {Array} references - Các block đồng bộ cần tách ([{ _id, pageId, sourceBlockId }]).
+ * @param {string} userId - ID người thực hiện.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Array} [options.sourceBlocks] - Danh sách block chứa các block nguồn cùng con cháu, dùng khi nội dung
+ *   trang nguồn đã được ghi lại không còn các block này (mặc định đọc từ nội dung trang nguồn).
+ * @returns {Promise<Array>} - [{ blockId, pageId, version }] cho từng block đã tách.
+ */
+const detachReferences = async (mongoDB, references, userId, { sourceBlocks } = {}) => {
+  const detached = [];
+  const sourceTrees = new Map();
+
+  for (const reference of references) {
+    if (!sourceTrees.has(reference.sourceBlockId)) {
+      const source = await mongoDB.collection('blocks').findOne({ _id: new ObjectId(reference.sourceBlockId) });
+      let descendants = [];
+      if (source) {
+        const blocks = sourceBlocks || await blockService.loadPageBlocks(
+          mongoDB,
+          await mongoDB.collection('page_contents').findOne({ pageId: source.pageId })
+        );
+        const subtreeIds = blockTree.getSubtreeIds(blocks, source._id);
+        descendants = blocks.filter(item => subtreeIds.has(getBlockId(item)) && getBlockId(item) !== getBlockId(source));
+      }
+      sourceTrees.set(reference.sourceBlockId, { source, descendants });
+    }
+
+    const { source, descendants } = sourceTrees.get(reference.sourceBlockId);
+    // Block nguồn đã mất: không còn gì để sao chép
+    if (!source) continue;
+
+    const now = new Date();
+    const { version } = await blockService.restructurePage(mongoDB, reference.pageId, userId, (blocks) => {
+      if (!blocks.some(item => getBlockId(item) === getBlockId(reference))) {
+        return { blocks };
+      }
+
+      // Con cháu của nguồn được sao chép vào dưới block đồng bộ, giữ nguyên thứ tự và khóa sắp xếp
+      const idMap = new Map(descendants.map(item => [getBlockId(item), new ObjectId()]));
+      idMap.set(getBlockId(source), reference._id);
+      const copies = descendants.map(item => ({
+        ...item,
+        _id: idMap.get(getBlockId(item)),
+        pageId: reference.pageId,
+        parentId: idMap.get(blockTree.getParentId(item)),
+        properties: { ...item.properties },
+        revision: 0,
+        createdBy: userId,
+        createdAt: now,
+        updatedAt: now
+      }));
+
+      return { blocks: [...blocks, ...copies], newBlocks: copies };
+    });
+
+    await mongoDB.collection('blocks').updateOne(
+      { _id: reference._id, type: SYNCED_BLOCK_TYPE },
+      { $set: { type: source.type, content: source.content, properties: { ...source.properties }, updatedAt: now } }
+    );
+    await blockService.touchPage(reference.pageId);
+
+    detached.push({ blockId: reference._id, pageId: reference.pageId, version });
+  }
+
+  return detached;
+};
+
+module.exports = {
+  SYNCED_BLOCK_TYPE,
+  isSyncedBlock,
+  getSourceBlockId,
+  requireSourceBlock,
+  resolveSyncedBlocks,
+  findReferences,
+  findReferencesOutside,
+  findExternalReferences,
+  updateSource,
+  detachReferences
+};
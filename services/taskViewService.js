@@ -0,0 +1,598 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError } = require('../middlewares/error');
+const { fillKeys } = require('../utils/fractionalIndex');
+
+/*
+ * Chế độ xem công việc trên các trang con của một trang.
+ * Mỗi trang con là một công việc: trạng thái (pages.status), hạn chót (pages.due_date) và thứ tự trong cột
+ * Kanban (pages.task_sort_key, khóa phân số) lưu ngay trên bản ghi trang. Các view đã lưu (page_task_views):
+ *   - board: nhóm trang con thành các cột theo trạng thái (lanes), kèm một cột cuối cho trang chưa có trạng thái
+ *     hoặc có trạng thái không thuộc view;
+ *   - calendar: xếp trang con theo ngày của hạn chót.
+ * Hàng của cơ sở dữ liệu trong trang (pages.database_id) không được tính là công việc.
+ */
+
+const TASK_VIEW_TYPES = ['board', 'calendar'];
+
+const DEFAULT_LANES = ['Cần làm', 'Đang làm', 'Hoàn thành'];
+
+// ID của cột chứa các trang chưa có trạng thái (hoặc trạng thái không thuộc view)
+const NO_STATUS_LANE = '__none__';
+
+const MAX_LANES = 20;
+const MAX_STATUS_LENGTH = 100;
+
+const DEFAULT_LANE_LIMIT = 25;
+const DEFAULT_DAY_LIMIT = 10;
+const MAX_PAGE_LIMIT = 100;
+const MAX_CALENDAR_DAYS = 62;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TASK_FIELDS = `p.id, p.title, p.icon, p.status, DATE_FORMAT(p.due_date, '%Y-%m-%d') AS due_date,
+  p.task_sort_key, p.created_by, p.created_at, p.updated_at`;
+
+// Trang có khóa sắp xếp đứng trước, trang chưa có khóa xếp theo thời gian tạo
+const TASK_ORDER = 'p.task_sort_key IS NULL, p.task_sort_key, p.created_at, p.id';
+
+const CHILD_CONDITION = 'p.parent_page_id = ? AND p.database_id IS NULL AND p.deleted_at IS NULL';
+
+/**
+ * Chuyển bản ghi page_task_views sang dạng trả về.
+ * @param {Object} record - Bản ghi SQL.
+ * @returns {Object}
+ */
+const toTaskView = (record) => {
+  const lanes = typeof record.lanes === 'string' ? JSON.parse(record.lanes) : record.lanes;
+  return { ...record, lanes: record.type === 'board' ? lanes || [] : null };
+};
+
+/**
+ * Chuyển bản ghi trang sang công việc (bỏ khóa sắp xếp nội bộ).
+ * @param {Object} record - Bản ghi SQL của trang.
+ * @returns {Object} - { id, title, icon, status, due_date, created_by, created_at, updated_at }.
+ */
+const toTask = ({ task_sort_key: taskSortKey, ...record }) => record;
+
+/**
+ * Kiểm tra và chuẩn hóa trạng thái công việc.
+ * @param {*} value - Trạng thái; null hoặc chuỗi rỗng để xóa.
+ * @returns {string|null}
+ * @throws {BadRequestError} - Nếu trạng thái không hợp lệ.
+ */
+const normalizeStatus = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') {
+    throw new BadRequestError('Trạng thái phải là chuỗi');
+  }
+  const status = value.trim();
+  if (status === '') return null;
+  if (status.length > MAX_STATUS_LENGTH) {
+    throw new BadRequestError(`Trạng thái tối đa ${MAX_STATUS_LENGTH} ký tự`);
+  }
+  if (status === NO_STATUS_LANE) {
+    throw new BadRequestError(`Trạng thái '${NO_STATUS_LANE}' được dành riêng`);
+  }
+  return status;
+};
+
+/**
+ * Chuyển chuỗi YYYY-MM-DD sang mốc thời gian UTC.
+ * @param {string} value - Ngày.
+ * @returns {number|null} - Mốc thời gian, null nếu không phải ngày hợp lệ.
+ */
+const parseDay = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  if (Number.isNaN(time) || new Date(time).toISOString().slice(0, 10) !== value) return null;
+  return time;
+};
+
+/**
+ * Định dạng mốc thời gian UTC thành YYYY-MM-DD.
+ * @param {number} time - Mốc thời gian.
+ * @returns {string}
+ */
+const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Kiểm tra và chuẩn hóa hạn chót.
+ * @param {*} value - Ngày dạng YYYY-MM-DD; null để xóa.
+ * @returns {string|null}
+ * @throws {BadRequestError} - Nếu ngày không hợp lệ.
+ */
+const normalizeDueDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (parseDay(value) === null) {
+    throw new BadRequestError('Hạn chót phải là ngày hợp lệ dạng YYYY-MM-DD');
+  }
+  return value;
+};
+
+/**
+ * Kiểm tra và chuẩn hóa danh sách cột của view board.
+ * @param {*} lanes - Danh sách trạng thái theo thứ tự cột.
+ * @returns {Array<string>}
+ * @throws {BadRequestError} - Nếu danh sách không hợp lệ.
+ */
+const normalizeLanes = (lanes) => {
+  if (!Array.isArray(lanes) || lanes.length === 0 || lanes.length > MAX_LANES) {
+    throw new BadRequestError(`lanes phải là mảng từ 1 đến ${MAX_LANES} trạng thái`);
+  }
+
+  const seen = new Set();
+  return lanes.map((lane) => {
+    const status = normalizeStatus(lane);
+    if (status === null) {
+      throw new BadRequestError('Trạng thái của cột không được để trống');
+    }
+    if (seen.has(status.toLowerCase())) {
+      throw new BadRequestError(`Trạng thái '${status}' bị trùng`);
+    }
+    seen.add(status.toLowerCase());
+    return status;
+  });
+};
+
+/**
+ * Kiểm tra và chuẩn hóa định nghĩa view.
+ * @param {Object} data - { name, type, lanes }.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Object} [options.current] - View hiện tại khi cập nhật.
+ * @returns {Object} - { name, type, lanes } (lanes là null với view calendar).
+ * @throws {BadRequestError} - Nếu định nghĩa không hợp lệ.
+ */
+const validateTaskView = (data, { current = null } = {}) => {
+  const name = data.name !== undefined ? data.name : current?.name;
+  if (typeof name !== 'string' || name.trim() === '' || name.length > 255) {
+    throw new BadRequestError('Tên view không được để trống và tối đa 255 ký tự');
+  }
+
+  const type = data.type !== undefined ? data.type : current?.type || 'board';
+  if (!TASK_VIEW_TYPES.includes(type)) {
+    throw new BadRequestError(`Loại view phải là một trong: ${TASK_VIEW_TYPES.join(', ')}`);
+  }
+
+  let lanes = null;
+  if (type === 'board') {
+    const rawLanes = data.lanes !== undefined
+      ? data.lanes
+      : (current?.type === 'board' ? current.lanes : DEFAULT_LANES);
+    lanes = normalizeLanes(rawLanes);
+  }
+
+  return { name: name.trim(), type, lanes };
+};
+
+/**
+ * Lấy các view công việc của trang.
+ * @async
+ * @param {string} pageId - ID trang cha.
+ * @returns {Promise<Array>}
+ */
+const listTaskViews = async (pageId) => {
+  const [views] = await db.query(
+    'SELECT * FROM page_task_views WHERE page_id = ? ORDER BY created_at ASC, id ASC',
+    [pageId]
+  );
+  return views.map(toTaskView);
+};
+
+/**
+ * Lấy view công việc của trang.
+ * @async
+ * @param {string} pageId - ID trang cha.
+ * @param {string} viewId - ID view.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu view không tồn tại trong trang.
+ */
+const findTaskView = async (pageId, viewId) => {
+  const [views] = await db.query(
+    'SELECT * FROM page_task_views WHERE id = ? AND page_id = ?',
+    [viewId, pageId]
+  );
+  if (views.length === 0) {
+    throw new NotFoundError('View không tồn tại');
+  }
+  return toTaskView(views[0]);
+};
+
+/**
+ * Tạo view công việc.
+ * @async
+ * @param {string} pageId - ID trang cha.
+ * @param {string} userId - ID người tạo.
+ * @param {Object} data - { name, type, lanes }.
+ * @returns {Promise<Object>} - View vừa tạo.
+ * @example
+ * await createTaskView(pageId, userId, { name: 'Tiến độ', type: 'board', lanes: ['Cần làm', 'Đang làm', 'Xong'] });
+ */
+const createTaskView = async (pageId, userId, data) => {
+  const view = validateTaskView(data);
+
+  const viewId = uuidv4();
+  await db.query(
+    'INSERT INTO page_task_views (id, page_id, name, type, lanes, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [viewId, pageId, view.name, view.type, view.lanes ? JSON.stringify(view.lanes) : null, userId]
+  );
+  return findTaskView(pageId, viewId);
+};
+
+/**
+ * Cập nhật view công việc. Trạng thái của các trang con không thay đổi khi đổi danh sách cột:
+ * trang có trạng thái không còn thuộc view sẽ nằm trong cột "chưa có trạng thái".
+ * @async
+ * @param {string} pageId - ID trang cha.
+ * @param {string} viewId - ID view.
+ * @param {Object} data - { name, type, lanes }.
+ * @returns {Promise<Object>} - View sau khi cập nhật.
+ */
+const updateTaskView = async (pageId, viewId, data) => {
+  const current = await findTaskView(pageId, viewId);
+  const view = validateTaskView(data, { current });
+
+  await db.query(
+    'UPDATE page_task_views SET name = ?, type = ?, lanes = ?, updated_at = NOW() WHERE id = ?',
+    [view.name, view.type, view.lanes ? JSON.stringify(view.lanes) : null, viewId]
+  );
+  return findTaskView(pageId, viewId);
+};
+
+/**
+ * Xóa view công việc.
+ * @async
+ * @param {string} pageId - ID trang cha.
+ * @param {string} viewId - ID view.
+ * @returns {Promise<void>}
+ */
+const deleteTaskView = async (pageId, viewId) => {
+  await findTaskView(pageId, viewId);
+  await db.query('DELETE FROM page_task_views WHERE id = ?', [viewId]);
+};
+
+/**
+ * Lấy công việc (trang) theo ID.
+ * @async
+ * @param {string} pageId - ID trang.
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError} - Nếu trang không tồn tại.
+ */
+const findTask = async (pageId) => {
+  const [pages] = await db.query(`SELECT ${TASK_FIELDS} FROM pages p WHERE p.id = ? AND p.deleted_at IS NULL`, [pageId]);
+  if (pages.length === 0) {
+    throw new NotFoundError('Trang không tồn tại');
+  }
+  return toTask(pages[0]);
+};
+
+/**
+ * Cập nhật trạng thái và hạn chót của trang. Trường không được gửi lên (undefined) giữ nguyên.
+ * @async
+ * @param {string} pageId - ID trang.
+ * @param {Object} data - { status, due_date } (null để xóa).
+ * @returns {Promise<Object>} - Công việc sau khi cập nhật.
+ * @throws {BadRequestError} - Nếu giá trị không hợp lệ.
+ */
+const updateTaskFields = async (pageId, { status, due_date: dueDate }) => {
+  const assignments = ['updated_at = NOW()'];
+  const params = [];
+
+  if (status !== undefined) {
+    assignments.push('status = ?');
+    params.push(normalizeStatus(status));
+  }
+  if (dueDate !== undefined) {
+    assignments.push('due_date = ?');
+    params.push(normalizeDueDate(dueDate));
+  }
+
+  await db.query(`UPDATE pages SET ${assignments.join(', ')} WHERE id = ?`, [...params, pageId]);
+  return findTask(pageId);
+};
+
+/**
+ * Điều kiện SQL chọn các trang con thuộc một cột của view board.
+ * @param {Object} view - View board.
+ * @param {string|null} status - Trạng thái của cột; null cho cột "chưa có trạng thái".
+ * @returns {Object} - { sql, params }.
+ */
+const laneCondition = (view, status) => {
+  if (status !== null) {
+    return { sql: 'p.status = ?', params: [status] };
+  }
+  return {
+    sql: `(p.status IS NULL OR p.status NOT IN (${view.lanes.map(() => '?').join(', ')}))`,
+    params: view.lanes
+  };
+};
+
+/**
+ * Điều kiện SQL chỉ chọn các trang người dùng xem được.
+ * @param {Set<string>} visiblePageIds - ID các trang người dùng xem được.
+ * @returns {Object} - { sql, params }.
+ */
+const visibleCondition = (visiblePageIds) => {
+  if (visiblePageIds.size === 0) {
+    return { sql: 'FALSE', params: [] };
+  }
+  return {
+    sql: `p.id IN (${[...visiblePageIds].map(() => '?').join(', ')})`,
+    params: [...visiblePageIds]
+  };
+};
+
+/**
+ * Giới hạn số phần tử mỗi trang kết quả.
+ * @param {*} value - Giá trị client gửi lên.
+ * @param {number} fallback - Giá trị mặc định.
+ * @returns {number}
+ */
+const clampLimit = (value, fallback) => {
+  const limit = Number.parseInt(value, 10);
+  if (!Number.isInteger(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_PAGE_LIMIT);
+};
+
+/**
+ * Truy vấn view board: mỗi cột trả về một trang kết quả theo thứ tự kéo thả.
+ * Khi có `lane`, chỉ trả về cột đó bắt đầu từ `offset` (tải thêm một cột).
+ * @async
+ * @param {Object} view - View board.
+ * @param {Object} options - { lane, limit, offset, visiblePageIds }; chỉ các trang con thuộc `visiblePageIds` được tính.
+ * @returns {Promise<Object>} - { type, total, lanes: [{ id, status, total, items, nextOffset }] }.
+ * @throws {BadRequestError} - Nếu cột không thuộc view.
+ */
+const queryBoard = async (view, { lane, limit, offset, visiblePageIds }) => {
+  const pageSize = clampLimit(limit, DEFAULT_LANE_LIMIT);
+  const visible = visibleCondition(visiblePageIds);
+  const statuses = [...view.lanes, null];
+  let selected = statuses;
+  let start = 0;
+
+  if (lane !== undefined) {
+    const status = lane === NO_STATUS_LANE ? null : lane;
+    if (status !== null && !view.lanes.includes(status)) {
+      throw new BadRequestError(`Cột '${lane}' không thuộc view`);
+    }
+    selected = [status];
+    start = Math.max(Number.parseInt(offset, 10) || 0, 0);
+  }
+
+  const lanes = [];
+  for (const status of selected) {
+    const condition = laneCondition(view, status);
+    const [[{ total }]] = await db.query(
+      `SELECT COUNT(*) AS total FROM pages p WHERE ${CHILD_CONDITION} AND ${condition.sql} AND ${visible.sql}`,
+      [view.page_id, ...condition.params, ...visible.params]
+    );
+    const [items] = await db.query(
+      `SELECT ${TASK_FIELDS} FROM pages p WHERE ${CHILD_CONDITION} AND ${condition.sql} AND ${visible.sql}
+       ORDER BY ${TASK_ORDER} LIMIT ? OFFSET ?`,
+      [view.page_id, ...condition.params, ...visible.params, pageSize, start]
+    );
+
+    lanes.push({
+      id: status === null ? NO_STATUS_LANE : status,
+      status,
+      total,
+      items: items.map(toTask),
+      nextOffset: start + items.length < total ? start + items.length : null
+    });
+  }
+
+  return {
+    type: 'board',
+    total: lanes.reduce((sum, item) => sum + item.total, 0),
+    lanes
+  };
+};
+
+/**
+ * Khoảng ngày liền trước/liền sau: trọn tháng nếu khoảng hiện tại là trọn một tháng, ngược lại cùng số ngày.
+ * @param {number} fromTime - Ngày đầu (UTC).
+ * @param {number} toTime - Ngày cuối (UTC).
+ * @param {number} direction - -1 (trước) hoặc 1 (sau).
+ * @returns {Object} - { from, to }.
+ */
+const shiftWindow = (fromTime, toTime, direction) => {
+  const from = new Date(fromTime);
+  const isMonth = from.getUTCDate() === 1 &&
+    toTime === Date.UTC(from.getUTCFullYear(), from.getUTCMonth() + 1, 0);
+
+  if (isMonth) {
+    const month = from.getUTCMonth() + direction;
+    return {
+      from: formatDay(Date.UTC(from.getUTCFullYear(), month, 1)),
+      to: formatDay(Date.UTC(from.getUTCFullYear(), month + 1, 0))
+    };
+  }
+
+  const span = (toTime - fromTime + DAY_MS) * direction;
+  return { from: formatDay(fromTime + span), to: formatDay(toTime + span) };
+};
+
+/**
+ * Truy vấn view calendar: các trang con có hạn chót trong khoảng [from, to], nhóm theo ngày.
+ * Mỗi ngày trả về tối đa `limit` trang; khi có `date`, chỉ trả về ngày đó bắt đầu từ `offset` (tải thêm một ngày).
+ * Mặc định là tháng hiện tại (UTC); `previous`/`next` là khoảng liền trước/liền sau.
+ * @async
+ * @param {Object} view - View calendar.
+ * @param {Object} options - { from, to, date, limit, offset, visiblePageIds }; chỉ các trang con thuộc
+ *   `visiblePageIds` được tính.
+ * @returns {Promise<Object>} - { type, from, to, total, undated, days: [{ date, total, items, nextOffset }], previous, next }.
+ * @throws {BadRequestError} - Nếu khoảng ngày không hợp lệ.
+ */
+const queryCalendar = async (view, { from, to, date, limit, offset, visiblePageIds }) => {
+  const pageSize = clampLimit(limit, DEFAULT_DAY_LIMIT);
+  const visible = visibleCondition(visiblePageIds);
+  let fromTime;
+  let toTime;
+
+  if (date !== undefined) {
+    fromTime = parseDay(date);
+    toTime = fromTime;
+    if (fromTime === null) {
+      throw new BadRequestError('date phải là ngày hợp lệ dạng YYYY-MM-DD');
+    }
+  } else if (from === undefined && to === undefined) {
+    const now = new Date();
+    fromTime = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    toTime = Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0);
+  } else {
+    fromTime = parseDay(from);
+    toTime = parseDay(to);
+    if (fromTime === null || toTime === null) {
+      throw new BadRequestError('from và to phải là ngày hợp lệ dạng YYYY-MM-DD');
+    }
+  }
+
+  const dayCount = (toTime - fromTime) / DAY_MS + 1;
+  if (dayCount < 1 || dayCount > MAX_CALENDAR_DAYS) {
+    throw new BadRequestError(`Khoảng ngày phải từ 1 đến ${MAX_CALENDAR_DAYS} ngày và from không được sau to`);
+  }
+
+  const [items] = await db.query(
+    `SELECT ${TASK_FIELDS} FROM pages p
+     WHERE ${CHILD_CONDITION} AND ${visible.sql} AND p.due_date BETWEEN ? AND ?
+     ORDER BY p.due_date, ${TASK_ORDER}`,
+    [view.page_id, ...visible.params, formatDay(fromTime), formatDay(toTime)]
+  );
+  const [[{ undated }]] = await db.query(
+    `SELECT COUNT(*) AS undated FROM pages p WHERE ${CHILD_CONDITION} AND ${visible.sql} AND p.due_date IS NULL`,
+    [view.page_id, ...visible.params]
+  );
+
+  const start = date !== undefined ? Math.max(Number.parseInt(offset, 10) || 0, 0) : 0;
+  const byDay = new Map();
+  items.forEach((item) => {
+    if (!byDay.has(item.due_date)) byDay.set(item.due_date, []);
+    byDay.get(item.due_date).push(toTask(item));
+  });
+
+  const days = [...byDay.entries()].map(([day, dayItems]) => {
+    const pageItems = dayItems.slice(start, start + pageSize);
+    return {
+      date: day,
+      total: dayItems.length,
+      items: pageItems,
+      nextOffset: start + pageItems.length < dayItems.length ? start + pageItems.length : null
+    };
+  });
+
+  return {
+    type: 'calendar',
+    from: formatDay(fromTime),
+    to: formatDay(toTime),
+    total: items.length,
+    undated,
+    days,
+    previous: shiftWindow(fromTime, toTime, -1),
+    next: shiftWindow(fromTime, toTime, 1)
+  };
+};
+
+/**
+ * Truy vấn view công việc, trả về kết quả đã nhóm và phân trang theo loại view.
+ * @async
+ * @param {Object} view - View công việc.
+ * @param {Object} options - board: { lane, limit, offset }; calendar: { from, to, date, limit, offset }; cả hai cần
+ *   `visiblePageIds` là ID các trang người dùng xem được.
+ * @returns {Promise<Object>}
+ * @example
+ * await queryTaskView(boardView, { limit: 20, visiblePageIds });
+ * // => { type: 'board', total: 12, lanes: [{ id: 'Cần làm', status: 'Cần làm', total: 5, items: [...], nextOffset: null }, …] }
+ */
+const queryTaskView = async (view, options) => (
+  view.type === 'board' ? queryBoard(view, options) : queryCalendar(view, options)
+);
+
+/**
+ * Kéo thả trang con vào một cột của view board: đặt trạng thái theo cột và cấp khóa sắp xếp
+ * để trang đứng ở vị trí `position` trong cột (mặc định cuối cột). `position` được tính trên các trang người dùng
+ * xem được; trang bị ẩn giữ nguyên chỗ trong cột.
+ * Trang cha được khóa (SELECT ... FOR UPDATE) để các thao tác kéo thả đồng thời trên cùng bảng không cấp trùng khóa.
+ * @async
+ * @param {Object} view - View board.
+ * @param {Object} data - { taskId, status, position, visiblePageIds }; status null để chuyển vào cột "chưa có trạng thái".
+ * @returns {Promise<Object>} - Công việc sau khi di chuyển.
+ * @throws {BadRequestError|NotFoundError} - Nếu view không phải board, cột không hợp lệ hoặc trang không phải trang con.
+ */
+const moveTask = async (view, { taskId, status, position, visiblePageIds }) => {
+  if (view.type !== 'board') {
+    throw new BadRequestError('Chỉ có thể kéo thả trong view board');
+  }
+
+  const laneStatus = status === NO_STATUS_LANE ? null : normalizeStatus(status);
+  if (laneStatus !== null && !view.lanes.includes(laneStatus)) {
+    throw new BadRequestError(`Cột '${laneStatus}' không thuộc view`);
+  }
+
+  const transaction = await db.beginTransaction();
+  try {
+    await transaction.execute('SELECT id FROM pages WHERE id = ? FOR UPDATE', [view.page_id]);
+
+    const tasks = await transaction.execute(
+      `SELECT p.id FROM pages p WHERE p.id = ? AND ${CHILD_CONDITION}`,
+      [taskId, view.page_id]
+    );
+    if (tasks.length === 0) {
+      throw new NotFoundError('Trang không phải trang con của trang này');
+    }
+
+    const condition = laneCondition(view, laneStatus);
+    const siblings = await transaction.execute(
+      `SELECT p.id, p.task_sort_key FROM pages p
+       WHERE ${CHILD_CONDITION} AND p.id <> ? AND ${condition.sql}
+       ORDER BY ${TASK_ORDER}`,
+      [view.page_id, taskId, ...condition.params]
+    );
+
+    const visibleSiblings = siblings.filter(item => visiblePageIds.has(item.id));
+    const index = position === undefined || position === null || position >= visibleSiblings.length
+      ? siblings.length
+      : siblings.indexOf(visibleSiblings[position]);
+    const ordered = [
+      ...siblings.slice(0, index),
+      { id: taskId, task_sort_key: null },
+      ...siblings.slice(index)
+    ];
+    const keys = fillKeys(ordered.map(item => item.task_sort_key));
+
+    // Các trang chưa có khóa (hoặc khóa sai thứ tự) trong cột cũng được cấp khóa để giữ đúng thứ tự hiển thị
+    for (let i = 0; i < ordered.length; i++) {
+      if (ordered[i].id === taskId) {
+        await transaction.execute(
+          'UPDATE pages SET status = ?, task_sort_key = ?, updated_at = NOW() WHERE id = ?',
+          [laneStatus, keys[i], taskId]
+        );
+      } else if (keys[i] !== ordered[i].task_sort_key) {
+        await transaction.execute('UPDATE pages SET task_sort_key = ? WHERE id = ?', [keys[i], ordered[i].id]);
+      }
+    }
+
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+
+  return findTask(taskId);
+};
+
+module.exports = {
+  TASK_VIEW_TYPES,
+  DEFAULT_LANES,
+  NO_STATUS_LANE,
+  validateTaskView,
+  listTaskViews,
+  findTaskView,
+  createTaskView,
+  updateTaskView,
+  deleteTaskView,
+  findTask,
+  updateTaskFields,
+  queryTaskView,
+  moveTask
+};
@@ -0,0 +1,201 @@
+const { BadRequestError } = require('../middlewares/error');
+
+/*
+ * Biến đổi thao tác (Operational Transformation) cho nội dung văn bản của block.
+ * Một thao tác là một mảng các thành phần áp dụng tuần tự lên toàn bộ văn bản:
+ *   - số nguyên dương n: giữ nguyên (retain) n ký tự
+ *   - số nguyên âm -n: xóa n ký tự
+ *   - chuỗi s: chèn chuỗi s tại vị trí hiện tại
+ * Ví dụ: [5, 'abc', -2, 10] giữ 5 ký tự, chèn 'abc', xóa 2 ký tự, giữ 10 ký tự.
+ */
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+
+/**
+ * Thêm một thành phần vào thao tác, gộp với thành phần liền trước nếu cùng loại.
+ * Thao tác chèn luôn được đặt trước thao tác xóa liền kề để dạng chuẩn là duy nhất.
+ * @param {Array} ops - Thao tác đang xây dựng (bị thay đổi trực tiếp).
+ * @param {number|string} component - Thành phần cần thêm.
+ * @returns {Array} - Chính mảng `ops`.
+ */
+const pushComponent = (ops, component) => {
+  if (component === 0 || component === '') return ops;
+
+  const last = ops[ops.length - 1];
+
+  if (isInsert(component)) {
+    if (isInsert(last)) {
+      ops[ops.length - 1] = last + component;
+    } else if (isDelete(last)) {
+      // Đưa phần chèn lên trước phần xóa
+      const beforeLast = ops[ops.length - 2];
+      if (isInsert(beforeLast)) {
+        ops[ops.length - 2] = beforeLast + component;
+      } else {
+        ops.splice(ops.length - 1, 0, component);
+      }
+    } else {
+      ops.push(component);
+    }
+    return ops;
+  }
+
+  if ((isRetain(component) && isRetain(last)) || (isDelete(component) && isDelete(last))) {
+    ops[ops.length - 1] = last + component;
+  } else {
+    ops.push(component);
+  }
+  return ops;
+};
+
+/**
+ * Kiểm tra và chuẩn hóa thao tác nhận từ client.
+ * @param {Array} ops - Thao tác cần kiểm tra.
+ * @returns {Array} - Thao tác ở dạng chuẩn.
+ * @throws {BadRequestError} - Nếu thao tác sai định dạng.
+ */
+const normalize = (ops) => {
+  if (!Array.isArray(ops)) {
+    throw new BadRequestError('Thao tác phải là một mảng');
+  }
+
+  return ops.reduce((result, component) => {
+    if (!isRetain(component) && !isDelete(component) && typeof component !== 'string') {
+      throw new BadRequestError('Thành phần thao tác không hợp lệ');
+    }
+    return pushComponent(result, component);
+  }, []);
+};
+
+/**
+ * Độ dài văn bản mà thao tác yêu cầu để áp dụng được.
+ * @param {Array} ops - Thao tác.
+ * @returns {number}
+ */
+const baseLength = (ops) => ops.reduce(
+  (length, component) => (isInsert(component) ? length : length + Math.abs(component)),
+  0
+);
+
+/**
+ * Áp dụng thao tác lên văn bản.
+ * @param {string} text - Văn bản hiện tại.
+ * @param {Array} ops - Thao tác ở dạng chuẩn.
+ * @returns {string} - Văn bản sau khi áp dụng.
+ * @throws {BadRequestError} - Nếu thao tác không khớp với độ dài văn bản.
+ */
+const apply = (text, ops) => {
+  if (baseLength(ops) !== text.length) {
+    throw new BadRequestError('Thao tác không khớp với nội dung block');
+  }
+
+  let index = 0;
+  const parts = [];
+  ops.forEach((component) => {
+    if (isInsert(component)) {
+      parts.push(component);
+    } else if (isRetain(component)) {
+      parts.push(text.slice(index, index + component));
+      index += component;
+    } else {
+      index -= component;
+    }
+  });
+  return parts.join('');
+};
+
+/**
+ * Biến đổi hai thao tác đồng thời `a` và `b` (cùng áp dụng trên một văn bản) thành [a', b']
+ * sao cho apply(apply(s, a), b') === apply(apply(s, b), a').
+ * Khi cả hai cùng chèn tại một vị trí, phần chèn của `a` được đặt trước.
+ * @param {Array} a - Thao tác đã được áp dụng trước (phía server).
+ * @param {Array} b - Thao tác đến sau (phía client).
+ * @returns {Array[]} - [a', b'].
+ * @throws {BadRequestError} - Nếu hai thao tác không cùng độ dài gốc.
+ */
+const transform = (a, b) => {
+  if (baseLength(a) !== baseLength(b)) {
+    throw new BadRequestError('Hai thao tác không áp dụng trên cùng một nội dung');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let opA = a[i++];
+  let opB = b[j++];
+
+  while (opA !== undefined || opB !== undefined) {
+    if (isInsert(opA)) {
+      pushComponent(aPrime, opA);
+      pushComponent(bPrime, opA.length);
+      opA = a[i++];
+      continue;
+    }
+    if (isInsert(opB)) {
+      pushComponent(aPrime, opB.length);
+      pushComponent(bPrime, opB);
+      opB = b[j++];
+      continue;
+    }
+
+    const lengthA = Math.abs(opA);
+    const lengthB = Math.abs(opB);
+    const length = Math.min(lengthA, lengthB);
+
+    if (isRetain(opA) && isRetain(opB)) {
+      pushComponent(aPrime, length);
+      pushComponent(bPrime, length);
+    } else if (isDelete(opA) && isRetain(opB)) {
+      pushComponent(aPrime, -length);
+    } else if (isRetain(opA) && isDelete(opB)) {
+      pushComponent(bPrime, -length);
+    }
+    // Cả hai cùng xóa một đoạn: không cần thêm gì
+
+    // Phần còn lại của thành phần dài hơn (giữ nguyên dấu)
+    opA = lengthA > length ? Math.sign(opA) * (lengthA - length) : a[i++];
+    opB = lengthB > length ? Math.sign(opB) * (lengthB - length) : b[j++];
+  }
+
+  return [aPrime, bPrime];
+};
+
+/**
+ * Tạo thao tác thay thế toàn bộ văn bản (dùng khi nội dung được ghi đè trực tiếp).
+ * @param {string} oldText - Văn bản cũ.
+ * @param {string} newText - Văn bản mới.
+ * @returns {Array} - Thao tác tương đương, giữ lại phần đầu và phần cuối chung.
+ */
+const fromReplacement = (oldText, newText) => {
+  let prefix = 0;
+  while (prefix < oldText.length && prefix < newText.length && oldText[prefix] === newText[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < oldText.length - prefix &&
+    suffix < newText.length - prefix &&
+    oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const ops = [];
+  pushComponent(ops, prefix);
+  pushComponent(ops, newText.slice(prefix, newText.length - suffix));
+  pushComponent(ops, -(oldText.length - prefix - suffix));
+  pushComponent(ops, suffix);
+  return ops;
+};
+
+module.exports = {
+  normalize,
+  baseLength,
+  apply,
+  transform,
+  fromReplacement
+};
@@ -0,0 +1,29 @@
+const { getMongoDB } = require('../config/mongoClient');
+const pageTrashService = require('./pageTrashService');
+
+/**
+ * Định kỳ xóa vĩnh viễn các trang đã ở trong thùng rác quá thời gian lưu giữ (PAGE_TRASH_RETENTION_DAYS).
+ * Việc xóa có thể chạy lại nên nhiều instance cùng chạy tác vụ này không gây lỗi.
+ * @returns {Timeout} - Bộ đếm thời gian của tác vụ nền.
+ */
+const startTrashPurger = () => {
+  const intervalMs = parseInt(process.env.PAGE_TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+  const timer = setInterval(async () => {
+    try {
+      const mongoDB = await getMongoDB();
+      const purged = await pageTrashService.purgeExpiredTrash(mongoDB);
+      if (purged > 0) {
+        console.log(`Purged ${purged} expired page(s) from trash`);
+      }
+    } catch (error) {
+      console.error('Error purging page trash:', error);
+    }
+  }, intervalMs);
+
+  // Không giữ tiến trình sống chỉ vì bộ đếm này
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startTrashPurger };
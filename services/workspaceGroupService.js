@@ -0,0 +1,183 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../config/database');
+const { BadRequestError, NotFoundError, ConflictError } = require('../middlewares/error');
+
+/*
+ * Nhóm người dùng của workspace, dùng làm đối tượng của mục quyền trang (page_permissions).
+ * Thành viên nhóm phải là thành viên workspace; khi người dùng rời workspace họ bị bỏ khỏi các nhóm.
+ */
+
+/**
+ * Lấy các nhóm của workspace kèm số thành viên.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @returns {Promise<Array>} - [{ id, workspace_id, name, member_count, created_by, created_at, updated_at }].
+ */
+const listGroups = async (workspaceId) => {
+  const [groups] = await db.query(
+    `SELECT g.*, (SELECT COUNT(*) FROM workspace_group_members gm WHERE gm.group_id = g.id) AS member_count
+     FROM workspace_groups g
+     WHERE g.workspace_id = ?
+     ORDER BY g.name ASC, g.id ASC`,
+    [workspaceId]
+  );
+  return groups;
+};
+
+/**
+ * Lấy nhóm theo ID kèm danh sách thành viên.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} groupId - ID nhóm.
+ * @returns {Promise<Object>} - Nhóm với `members` là [{ id, email, full_name, added_at }].
+ * @throws {NotFoundError} - Nếu nhóm không tồn tại trong workspace.
+ */
+const findGroup = async (workspaceId, groupId) => {
+  const [groups] = await db.query(
+    'SELECT * FROM workspace_groups WHERE id = ? AND workspace_id = ?',
+    [groupId, workspaceId]
+  );
+  if (groups.length === 0) {
+    throw new NotFoundError('Nhóm không tồn tại');
+  }
+
+  const [members] = await db.query(
+    `SELECT u.id, u.email, u.full_name, gm.added_at
+     FROM workspace_group_members gm
+     JOIN users u ON u.id = gm.user_id
+     WHERE gm.group_id = ?
+     ORDER BY u.full_name ASC, u.id ASC`,
+    [groupId]
+  );
+  return { ...groups[0], members };
+};
+
+/**
+ * Kiểm tra tên nhóm chưa được dùng trong workspace.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} name - Tên nhóm.
+ * @param {string|null} [exceptId=null] - ID nhóm đang đổi tên.
+ * @throws {ConflictError} - Nếu tên đã tồn tại.
+ */
+const ensureUniqueName = async (workspaceId, name, exceptId = null) => {
+  const [groups] = await db.query(
+    'SELECT id FROM workspace_groups WHERE workspace_id = ? AND name = ? AND id <> ?',
+    [workspaceId, name, exceptId || '']
+  );
+  if (groups.length > 0) {
+    throw new ConflictError(`Nhóm '${name}' đã tồn tại`);
+  }
+};
+
+/**
+ * Tạo nhóm mới.
+ * @async
+ * @param {string} workspaceId - ID workspace.
+ * @param {string} userId - ID người tạo.
+ * @param {Object} data - { name }.
+ * @returns {Promise<Object>} - Nhóm vừa tạo.
+ */
+const createGroup = async (workspaceId, userId, { name }) => {
+  await ensureUniqueName(workspaceId, name);
+
+  const groupId = uuidv4();
+  await db.query(
+    'INSERT INTO workspace_groups (id, workspace_id, name, created_by) VALUES (?, ?, ?, ?)',
+    [groupId, workspaceId, name, userId]
+  );
+  return findGroup(workspaceId, groupId);
+};
+
+/**
+ * Đổi tên nhóm.
+ * @async
+ * @param {Object} group - Nhóm.
+ * @param {Object} data - { name }.
+ * @returns {Promise<Object>} - Nhóm sau khi cập nhật.
+ */
+const updateGroup = async (group, { name }) => {
+  if (name !== undefined) {
+    await ensureUniqueName(group.workspace_id, name, group.id);
+    await db.query('UPDATE workspace_groups SET name = ? WHERE id = ?', [name, group.id]);
+  }
+  return findGroup(group.workspace_id, group.id);
+};
+
+/**
+ * Xóa nhóm cùng các thành viên và mục quyền trang cấp cho nhóm.
+ * @async
+ * @param {Object} group - Nhóm.
+ * @returns {Promise<void>}
+ */
+const deleteGroup = async (group) => {
+  const transaction = await db.beginTransaction();
+  try {
+    await transaction.execute(
+      "DELETE FROM page_permissions WHERE principal_type = 'group' AND principal_id = ?",
+      [group.id]
+    );
+    await transaction.execute('DELETE FROM workspace_group_members WHERE group_id = ?', [group.id]);
+    await transaction.execute('DELETE FROM workspace_groups WHERE id = ?', [group.id]);
+    await transaction.commit();
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Thêm thành viên vào nhóm (bỏ qua người đã có trong nhóm).
+ * @async
+ * @param {Object} group - Nhóm.
+ * @param {Array<string>} userIds - ID người dùng.
+ * @returns {Promise<Object>} - Nhóm sau khi cập nhật.
+ * @throws {BadRequestError} - Nếu có người dùng không phải thành viên workspace.
+ */
+const addMembers = async (group, userIds) => {
+  const uniqueIds = [...new Set(userIds)];
+  const [members] = await db.query(
+    'SELECT user_id FROM workspace_members WHERE workspace_id = ? AND user_id IN (?)',
+    [group.workspace_id, uniqueIds]
+  );
+  const memberIds = new Set(members.map(member => member.user_id));
+  const missing = uniqueIds.find(id => !memberIds.has(id));
+  if (missing) {
+    throw new BadRequestError(`Người dùng '${missing}' không thuộc workspace`);
+  }
+
+  await db.query(
+    'INSERT IGNORE INTO workspace_group_members (group_id, user_id) VALUES ?',
+    [uniqueIds.map(userId => [group.id, userId])]
+  );
+  return findGroup(group.workspace_id, group.id);
+};
+
+/**
+ * Bỏ thành viên khỏi nhóm.
+ * @async
+ * @param {Object} group - Nhóm.
+ * @param {string} userId - ID người dùng.
+ * @returns {Promise<Object>} - Nhóm sau khi cập nhật.
+ * @throws {NotFoundError} - Nếu người dùng không thuộc nhóm.
+ */
+const removeMember = async (group, userId) => {
+  const [result] = await db.query(
+    'DELETE FROM workspace_group_members WHERE group_id = ? AND user_id = ?',
+    [group.id, userId]
+  );
+  if (result.affectedRows === 0) {
+    throw new NotFoundError('Người dùng không thuộc nhóm');
+  }
+  return findGroup(group.workspace_id, group.id);
+};
+
+module.exports = {
+  listGroups,
+  findGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup,
+  addMembers,
+  removeMember
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getBlockId, isSameBlock, diffBlocks, mergeBlocks } = require('../utils/blockDiff');
+
+const block = (id, content, extra = {}) => ({ _id: id, type: 'paragraph', content, properties: {}, ...extra });
+const ids = blocks => blocks.map(item => getBlockId(item) || item.content);
+
+test('getBlockId trả về chuỗi hoặc null với block mới', () => {
+  assert.equal(getBlockId({ _id: { toString: () => 'abc' } }), 'abc');
+  assert.equal(getBlockId({ content: 'x' }), null);
+  assert.equal(getBlockId(null), null);
+});
+
+test('isSameBlock không phụ thuộc thứ tự khóa và bỏ qua trường ngoài nội dung', () => {
+  const a = block('a', 'x', { properties: { level: 1, color: 'red' }, updatedAt: 1 });
+  const b = block('a', 'x', { properties: { color: 'red', level: 1 }, updatedAt: 2 });
+  assert.equal(isSameBlock(a, b), true);
+  assert.equal(isSameBlock(a, { ...b, parentId: 'p' }), false);
+});
+
+test('diffBlocks phát hiện block thêm, xóa, sửa và đổi chỗ', () => {
+  const from = [block('a', '1'), block('b', '2'), block('c', '3'), block('d', '4')];
+  const to = [block('a', '1'), block('d', '4'), block('b', '2'), block('c', 'changed'), { type: 'paragraph', content: 'new' }];
+
+  const diff = diffBlocks(from, to);
+  assert.deepEqual(ids(diff.added), ['new']);
+  assert.deepEqual(diff.removed, []);
+  assert.deepEqual(diff.modified.map(item => item.blockId), ['c']);
+  assert.deepEqual(diff.moved, ['d']);
+
+  assert.deepEqual(diffBlocks(from, from.slice(1)).removed, ['a']);
+});
+
+test('mergeBlocks trộn thay đổi trên các block khác nhau', () => {
+  const base = [block('a', '1'), block('b', '2'), block('c', '3')];
+  const theirs = [block('a', '1 (server)'), block('b', '2'), block('c', '3'), block('s', 'server')];
+  const mine = [block('a', '1'), { type: 'paragraph', content: 'mine' }, block('b', '2 (client)')];
+
+  const { blocks, conflicts } = mergeBlocks(base, theirs, mine);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(ids(blocks), ['a', 'mine', 'b', 's']);
+  assert.equal(blocks[0].content, '1 (server)');
+  assert.equal(blocks[2].content, '2 (client)');
+});
+
+test('mergeBlocks giữ thứ tự của phía đã sắp xếp lại', () => {
+  const base = [block('a', '1'), block('b', '2'), block('c', '3')];
+  const theirs = [block('a', '1'), block('b', '2'), block('c', '3 (server)')];
+  const mine = [block('c', '3'), block('a', '1'), block('b', '2')];
+
+  const { blocks, conflicts } = mergeBlocks(base, theirs, mine);
+  assert.deepEqual(conflicts, []);
+  assert.deepEqual(ids(blocks), ['c', 'a', 'b']);
+  assert.equal(blocks[0].content, '3 (server)');
+});
+
+test('mergeBlocks báo xung đột khi cùng sửa hoặc sửa block đã bị xóa', () => {
+  const base = [block('a', '1'), block('b', '2')];
+
+  const edited = mergeBlocks(base, [block('a', 'server'), block('b', '2')], [block('a', 'client'), block('b', '2')]);
+  assert.deepEqual(edited.blocks, []);
+  assert.deepEqual(edited.conflicts.map(item => item.blockId), ['a']);
+
+  const deleted = mergeBlocks(base, [block('b', '2')], [block('a', 'client'), block('b', '2')]);
+  assert.deepEqual(deleted.conflicts.map(item => item.blockId), ['a']);
+
+  const reordered = mergeBlocks(
+    [...base, block('c', '3')],
+    [block('b', '2'), block('a', '1'), block('c', '3')],
+    [block('a', '1'), block('c', '3'), block('b', '2')]
+  );
+  assert.deepEqual(reordered.conflicts.map(item => item.blockId), [null]);
+});
+
+test('mergeBlocks không báo xung đột khi hai phía sửa giống nhau', () => {
+  const base = [block('a', '1')];
+  const { blocks, conflicts } = mergeBlocks(base, [block('a', 'same')], [block('a', 'same')]);
+  assert.deepEqual(conflicts, []);
+  assert.equal(blocks[0].content, 'same');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { escapeHtml, renderBlocksHtml, renderNavHtml, renderHtmlDocument } = require('../utils/blockRenderer');
+
+const block = (type, content = '', properties = {}, children = []) => ({ type, content, properties, children });
+
+test('escapeHtml escape ký tự đặc biệt và giá trị rỗng', () => {
+  assert.equal(escapeHtml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(3), '3');
+});
+
+test('renderBlocksHtml escape nội dung và giữ xuống dòng', () => {
+  assert.equal(
+    renderBlocksHtml([block('paragraph', '<script>alert(1)</script>\ndòng 2')]),
+    '<p>&lt;script&gt;alert(1)&lt;/script&gt;<br>dòng 2</p>'
+  );
+});
+
+test('renderBlocksHtml gộp mục danh sách liền nhau cùng loại', () => {
+  const html = renderBlocksHtml([
+    block('bulleted_list', 'a'),
+    block('bulleted_list', 'b'),
+    block('numbered_list', 'c', { start: 3 }),
+    block('to_do', 'd', { checked: true }),
+    block('paragraph', 'e')
+  ]);
+
+  assert.equal(html.match(/<ul>/g).length, 1);
+  assert.match(html, /<ol start="3">\n<li>c<\/li>\n<\/ol>/);
+  assert.match(html, /<ul class="todo-list">\n<li class="todo checked"><input type="checkbox" disabled checked> <span>d<\/span><\/li>\n<\/ul>/);
+  assert.ok(html.endsWith('<p>e</p>'));
+});
+
+test('renderBlocksHtml render block con, tiêu đề thu gọn và bảng', () => {
+  const html = renderBlocksHtml([
+    block('heading_2', 'Mục', { toggleable: true }, [block('paragraph', 'con')]),
+    block('table', [['A', 'B'], ['1', '2']], { hasColumnHeader: true })
+  ]);
+
+  assert.match(html, /<details><summary><h2>Mục<\/h2><\/summary><div class="children"><p>con<\/p><\/div><\/details>/);
+  assert.match(html, /<table><tr><th>A<\/th><th>B<\/th><\/tr><tr><td>1<\/td><td>2<\/td><\/tr><\/table>/);
+});
+
+test('renderBlocksHtml chỉ giữ URL an toàn', () => {
+  const render = (url) => renderBlocksHtml([block('embed', '', { url, caption: 'x' })]);
+
+  assert.match(render('https://example.com/a?b=1&c=2'), /href="https:\/\/example.com\/a\?b=1&amp;c=2"/);
+  assert.equal(render('javascript:alert(1)'), '');
+  assert.equal(render('data:text/html;base64,PHNjcmlwdD4='), '');
+
+  const image = renderBlocksHtml(
+    [block('image', '', { caption: 'ảnh' })],
+    { resolveFile: () => 'data:image/png;base64,iVBORw0KGgo=' }
+  );
+  assert.match(image, /<img src="data:image\/png;base64,iVBORw0KGgo=" alt="ảnh">/);
+});
+
+test('renderBlocksHtml dùng resolveFile cho tệp và ẩn block đồng bộ không xem được', () => {
+  const file = block('file', '', { name: 'a.pdf', attachmentId: 'f1' });
+  assert.equal(
+    renderBlocksHtml([file], { resolveFile: item => `/files/${item.properties.attachmentId}` }),
+    '<p class="file"><a href="/files/f1" download>📎 a.pdf</a></p>'
+  );
+
+  const synced = { ...block('synced_block'), synced: { status: 'ok', block: block('paragraph', 'nguồn') } };
+  assert.equal(renderBlocksHtml([synced]), '<div class="synced"><p>nguồn</p></div>');
+  assert.equal(renderBlocksHtml([{ ...synced, synced: { status: 'forbidden' } }]), '');
+});
+
+test('renderNavHtml đánh dấu trang hiện tại', () => {
+  const tree = { id: 'a', title: 'Gốc', icon: '📘', children: [{ id: 'b', title: '<B>', children: [] }] };
+  const html = renderNavHtml(tree, { hrefFor: node => `/p/${node.id}`, currentId: 'b' });
+
+  assert.equal(
+    html,
+    '<ul><li><a href="/p/a">📘 Gốc</a><ul><li><a href="/p/b" aria-current="page" class="current">&lt;B&gt;</a></li></ul></li></ul>'
+  );
+});
+
+test('renderHtmlDocument escape tiêu đề và bỏ ảnh bìa không an toàn', () => {
+  const html = renderHtmlDocument({ title: 'A & B', coverUrl: 'javascript:alert(1)', body: '<p>x</p>' });
+
+  assert.match(html, /<title>A &amp; B<\/title>/);
+  assert.match(html, /<h1 class="page-title">A &amp; B<\/h1>/);
+  assert.doesNotMatch(html, /class="cover"/);
+  assert.doesNotMatch(html, /<nav>/);
+});
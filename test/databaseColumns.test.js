@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  listColumnTypes,
+  requireColumn,
+  validateColumn,
+  normalizeCellValue,
+  isValidCellValue
+} = require('../services/databaseColumns');
+
+const selectColumn = {
+  id: 'status',
+  name: 'Trạng thái',
+  type: 'select',
+  options: [{ id: 'todo', name: 'Cần làm', color: 'default' }, { id: 'done', name: 'Xong', color: 'green' }]
+};
+
+test('listColumnTypes không gồm cột tiêu đề có sẵn', () => {
+  const types = listColumnTypes().map(item => item.type);
+  assert.ok(!types.includes('title'));
+  assert.ok(types.includes('select'));
+});
+
+test('requireColumn báo lỗi khi cột không tồn tại', () => {
+  assert.equal(requireColumn([selectColumn], 'status'), selectColumn);
+  assert.throws(() => requireColumn([selectColumn], 'missing'), { status: 400 });
+});
+
+test('validateColumn cấp ID cho cột và lựa chọn mới, giữ ID lựa chọn đã có', () => {
+  const column = validateColumn({ name: ' Trạng thái ', type: 'select', options: ['Cần làm', { id: 'done', name: 'Xong', color: 'green' }] });
+
+  assert.equal(column.name, 'Trạng thái');
+  assert.equal(typeof column.id, 'string');
+  assert.equal(column.options[0].name, 'Cần làm');
+  assert.equal(column.options[0].color, 'default');
+  assert.deepEqual(column.options[1], { id: 'done', name: 'Xong', color: 'green' });
+});
+
+test('validateColumn từ chối định nghĩa không hợp lệ', () => {
+  assert.throws(() => validateColumn({ name: '', type: 'text' }), { status: 400 });
+  assert.throws(() => validateColumn({ name: 'A', type: 'unknown' }), { status: 400 });
+  assert.throws(() => validateColumn({ name: 'A', type: 'title' }), { status: 400 });
+  assert.throws(() => validateColumn({ name: 'A', type: 'select', options: ['x', 'x'] }), { status: 400 });
+  assert.throws(() => validateColumn({ name: 'A', type: 'select', options: [{ name: 'x', color: 'neon' }] }), { status: 400 });
+  assert.throws(() => validateColumn({ name: 'A', type: 'relation' }), { status: 400 });
+});
+
+test('validateColumn khi cập nhật chỉ kiểm tra trường được gửi lên', () => {
+  const renamed = validateColumn({ name: 'Tình trạng' }, { current: selectColumn });
+  assert.equal(renamed.id, 'status');
+  assert.deepEqual(renamed.options, selectColumn.options);
+
+  const title = { id: 'title', name: 'Tên', type: 'title' };
+  assert.equal(validateColumn({ name: 'Tiêu đề' }, { current: title }).type, 'title');
+  assert.throws(() => validateColumn({ type: 'text' }, { current: title }), { status: 400 });
+});
+
+test('normalizeCellValue kiểm tra giá trị theo loại cột', () => {
+  assert.equal(normalizeCellValue({ name: 'N', type: 'number' }, 3.5), 3.5);
+  assert.throws(() => normalizeCellValue({ name: 'N', type: 'number' }, '3'), { status: 400 });
+  assert.throws(() => normalizeCellValue({ name: 'N', type: 'number' }, Infinity), { status: 400 });
+  assert.equal(normalizeCellValue({ name: 'C', type: 'checkbox' }, false), false);
+  assert.equal(normalizeCellValue({ name: 'D', type: 'date' }, '2026-11-05'), '2026-11-05');
+  assert.throws(() => normalizeCellValue({ name: 'D', type: 'date' }, '05/11/2026'), { status: 400 });
+  assert.throws(() => normalizeCellValue({ name: 'D', type: 'date' }, '2026-13-45'), { status: 400 });
+  assert.equal(normalizeCellValue(selectColumn, 'done'), 'done');
+  assert.throws(() => normalizeCellValue(selectColumn, 'other'), { status: 400 });
+  assert.equal(normalizeCellValue({ name: 'T', type: 'text' }, null), null);
+});
+
+test('normalizeCellValue bỏ trùng giá trị danh sách và coi danh sách rỗng là ô trống', () => {
+  const multi = { ...selectColumn, type: 'multi_select' };
+  assert.deepEqual(normalizeCellValue(multi, ['todo', 'todo', 'done']), ['todo', 'done']);
+  assert.equal(normalizeCellValue(multi, []), null);
+  assert.throws(() => normalizeCellValue(multi, ['other']), { status: 400 });
+
+  const person = { name: 'Người', type: 'person' };
+  assert.deepEqual(normalizeCellValue(person, ['u1', 'u1']), ['u1']);
+  assert.throws(() => normalizeCellValue(person, ['']), { status: 400 });
+});
+
+test('isValidCellValue cho biết giá trị đã lưu còn hợp lệ sau khi đổi cột', () => {
+  assert.equal(isValidCellValue(selectColumn, 'todo'), true);
+  assert.equal(isValidCellValue(selectColumn, 'removed'), false);
+  assert.equal(isValidCellValue({ name: 'N', type: 'number' }, 'abc'), false);
+  assert.equal(isValidCellValue({ name: 'T', type: 'text' }, null), false);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getCellValue,
+  validateQuery,
+  validateView,
+  filterRows,
+  sortRows,
+  groupRows,
+  runQuery
+} = require('../services/databaseQuery');
+
+const columns = [
+  { id: 'title', name: 'Tên', type: 'title' },
+  {
+    id: 'status',
+    name: 'Trạng thái',
+    type: 'select',
+    options: [{ id: 'todo', name: 'Cần làm', color: 'default' }, { id: 'done', name: 'Xong', color: 'green' }]
+  },
+  {
+    id: 'tags',
+    name: 'Nhãn',
+    type: 'multi_select',
+    options: [{ id: 'a', name: 'A', color: 'default' }, { id: 'b', name: 'B', color: 'default' }]
+  },
+  { id: 'points', name: 'Điểm', type: 'number' },
+  { id: 'due', name: 'Hạn', type: 'date' },
+  { id: 'urgent', name: 'Gấp', type: 'checkbox' }
+];
+
+const rows = [
+  { id: '1', title: 'Viết báo cáo', values: { status: 'done', tags: ['a'], points: 3, due: '2026-11-05', urgent: true } },
+  { id: '2', title: 'đọc tài liệu', values: { status: 'todo', tags: ['a', 'b'], points: 1, due: '2026-11-01T09:00:00Z' } },
+  { id: '3', title: 'Chuẩn bị', values: { points: 5 } },
+  { id: '4', title: '', values: { status: 'todo', tags: [] } }
+];
+
+const ids = items => items.map(row => row.id);
+const query = data => validateQuery(data, columns);
+
+test('getCellValue coi chuỗi rỗng và mảng rỗng là ô trống', () => {
+  assert.equal(getCellValue(rows[0], columns[0]), 'Viết báo cáo');
+  assert.equal(getCellValue(rows[3], columns[0]), null);
+  assert.equal(getCellValue(rows[3], columns[2]), null);
+  assert.equal(getCellValue(rows[2], columns[1]), null);
+});
+
+test('validateQuery chuẩn hóa điều kiện và lấy phần tử đầu cho cột dạng danh sách', () => {
+  const normalized = query({
+    filters: [{ columnId: 'tags', operator: 'contains', value: 'b' }, { columnId: 'status', operator: 'is_empty', value: 'x' }],
+    sorts: [{ columnId: 'points' }],
+    groupBy: 'status'
+  });
+
+  assert.deepEqual(normalized, {
+    filters: [{ columnId: 'tags', operator: 'contains', value: 'b' }, { columnId: 'status', operator: 'is_empty' }],
+    sorts: [{ columnId: 'points', direction: 'asc' }],
+    groupBy: 'status'
+  });
+});
+
+test('validateQuery từ chối điều kiện không hợp lệ', () => {
+  assert.throws(() => query({ filters: {} }), { status: 400 });
+  assert.throws(() => query({ filters: [{ columnId: 'missing', operator: 'equals', value: 1 }] }), { status: 400 });
+  assert.throws(() => query({ filters: [{ columnId: 'points', operator: 'contains', value: 1 }] }), { status: 400 });
+  assert.throws(() => query({ filters: [{ columnId: 'points', operator: 'equals' }] }), { status: 400 });
+  assert.throws(() => query({ sorts: [{ columnId: 'tags' }] }), { status: 400 });
+  assert.throws(() => query({ sorts: [{ columnId: 'points', direction: 'up' }] }), { status: 400 });
+  assert.throws(() => query({ groupBy: 'points' }), { status: 400 });
+});
+
+test('validateView yêu cầu board phải nhóm theo cột', () => {
+  assert.throws(() => validateView({ name: 'Kanban', type: 'board' }, columns), { status: 400 });
+  assert.throws(() => validateView({ name: 'X', type: 'gallery' }, columns), { status: 400 });
+
+  const view = validateView({ name: ' Kanban ', type: 'board', groupBy: 'status' }, columns);
+  assert.equal(view.name, 'Kanban');
+  assert.equal(view.groupBy, 'status');
+
+  const updated = validateView({ name: 'Đổi tên' }, columns, { current: { ...view, filters: [], sorts: [] } });
+  assert.equal(updated.type, 'board');
+  assert.equal(updated.groupBy, 'status');
+});
+
+test('filterRows lọc văn bản không phân biệt hoa thường', () => {
+  assert.deepEqual(ids(filterRows(rows, columns, query({ filters: [{ columnId: 'title', operator: 'starts_with', value: 'ĐỌC' }] }).filters)), ['2']);
+  assert.deepEqual(ids(filterRows(rows, columns, query({ filters: [{ columnId: 'title', operator: 'is_empty' }] }).filters)), ['4']);
+});
+
+test('filterRows so sánh số, ngày, lựa chọn và hộp kiểm', () => {
+  const run = filters => ids(filterRows(rows, columns, query({ filters }).filters));
+
+  assert.deepEqual(run([{ columnId: 'points', operator: 'greater_than_or_equal_to', value: 3 }]), ['1', '3']);
+  assert.deepEqual(run([{ columnId: 'points', operator: 'not_equals', value: 3 }]), ['2', '3', '4']);
+  assert.deepEqual(run([{ columnId: 'due', operator: 'on_or_before', value: '2026-11-01' }]), ['2']);
+  assert.deepEqual(run([{ columnId: 'status', operator: 'not_equals', value: 'todo' }]), ['1', '3']);
+  assert.deepEqual(run([{ columnId: 'urgent', operator: 'equals', value: false }]), ['2', '3', '4']);
+  assert.deepEqual(run([{ columnId: 'tags', operator: 'not_contains', value: 'a' }]), ['3', '4']);
+});
+
+test('filterRows yêu cầu thỏa tất cả điều kiện', () => {
+  const { filters } = query({
+    filters: [
+      { columnId: 'tags', operator: 'contains', value: 'a' },
+      { columnId: 'points', operator: 'less_than', value: 2 }
+    ]
+  });
+  assert.deepEqual(ids(filterRows(rows, columns, filters)), ['2']);
+});
+
+test('sortRows đưa ô trống xuống cuối và giữ thứ tự khi bằng nhau', () => {
+  const run = sorts => ids(sortRows(rows, columns, query({ sorts }).sorts));
+
+  assert.deepEqual(run([{ columnId: 'points', direction: 'desc' }]), ['3', '1', '2', '4']);
+  assert.deepEqual(run([{ columnId: 'due' }]), ['2', '1', '3', '4']);
+  assert.deepEqual(run([{ columnId: 'status' }, { columnId: 'points', direction: 'desc' }]), ['2', '4', '1', '3']);
+  assert.deepEqual(run([]), ['1', '2', '3', '4']);
+});
+
+test('groupRows giữ đủ nhóm lựa chọn và đặt nhóm trống cuối cùng', () => {
+  const groups = groupRows(rows, columns[2]);
+
+  assert.deepEqual(groups.map(group => [group.value, ids(group.rows)]), [
+    ['a', ['1', '2']],
+    ['b', ['2']],
+    [null, ['3', '4']]
+  ]);
+  assert.equal(groups[2].label, 'Không có Nhãn');
+});
+
+test('groupRows theo hộp kiểm chỉ có hai nhóm', () => {
+  const groups = groupRows(rows, columns[5]);
+  assert.deepEqual(groups.map(group => [group.value, ids(group.rows)]), [
+    [true, ['1']],
+    [false, ['2', '3', '4']]
+  ]);
+});
+
+test('runQuery lọc, sắp xếp rồi nhóm và trả về tổng số hàng', () => {
+  const grouped = runQuery(rows, columns, query({
+    filters: [{ columnId: 'points', operator: 'is_not_empty' }],
+    sorts: [{ columnId: 'points' }],
+    groupBy: 'status'
+  }));
+
+  assert.equal(grouped.total, 3);
+  assert.deepEqual(grouped.groups.map(group => ids(group.rows)), [['2'], ['1'], ['3']]);
+  assert.deepEqual(runQuery(rows, columns, query({})), { rows, total: 4 });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isValidKey,
+  generateKeyBetween,
+  generateNKeysBetween,
+  fillKeys,
+  compareKeys
+} = require('../utils/fractionalIndex');
+
+const assertAscending = (keys) => {
+  keys.forEach((key, index) => {
+    assert.ok(isValidKey(key), `khóa không hợp lệ: ${key}`);
+    if (index > 0) assert.ok(keys[index - 1] < key, `${keys[index - 1]} >= ${key}`);
+  });
+};
+
+test('isValidKey chỉ nhận chuỗi base62 không kết thúc bằng 0', () => {
+  assert.equal(isValidKey('V'), true);
+  assert.equal(isValidKey('a0V'), true);
+  assert.equal(isValidKey('V0'), false);
+  assert.equal(isValidKey(''), false);
+  assert.equal(isValidKey('a-b'), false);
+  assert.equal(isValidKey(null), false);
+});
+
+test('generateKeyBetween khớp các ví dụ trong tài liệu', () => {
+  assert.equal(generateKeyBetween(null, null), 'V');
+  assert.equal(generateKeyBetween('V', null), 'W');
+  assert.equal(generateKeyBetween('V', 'W'), 'VV');
+});
+
+test('generateKeyBetween luôn tạo khóa nằm giữa hai khóa', () => {
+  const pairs = [[null, 'V'], [null, '1'], [null, '01'], ['z', null], ['zz', null], ['V', 'VV'], ['a', 'a1'], ['1', '2']];
+  pairs.forEach(([a, b]) => {
+    const key = generateKeyBetween(a, b);
+    assertAscending([a, key, b].filter(item => item !== null));
+  });
+});
+
+test('generateKeyBetween từ chối khóa sai hoặc sai thứ tự', () => {
+  assert.throws(() => generateKeyBetween('V0', null));
+  assert.throws(() => generateKeyBetween('W', 'V'));
+  assert.throws(() => generateKeyBetween('V', 'V'));
+});
+
+test('chèn liên tiếp vào cùng một vị trí vẫn giữ thứ tự', () => {
+  // Bộ sinh số giả ngẫu nhiên cố định để kết quả lặp lại được
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const keys = [];
+  for (let i = 0; i < 500; i++) {
+    const index = Math.floor(random() * (keys.length + 1));
+    keys.splice(index, 0, generateKeyBetween(keys[index - 1] ?? null, keys[index] ?? null));
+  }
+  assertAscending(keys);
+
+  const front = [];
+  for (let i = 0; i < 100; i++) front.unshift(generateKeyBetween(null, front[0] ?? null));
+  assertAscending(front);
+});
+
+test('generateNKeysBetween tạo đủ khóa tăng dần trong khoảng', () => {
+  assert.deepEqual(generateNKeysBetween('a', 'b', 0), []);
+
+  const keys = generateNKeysBetween('a', 'b', 50);
+  assert.equal(keys.length, 50);
+  assertAscending(['a', ...keys, 'b']);
+  assertAscending(generateNKeysBetween(null, null, 20));
+});
+
+test('fillKeys giữ khóa còn đúng thứ tự và cấp khóa cho phần còn lại', () => {
+  const keys = fillKeys(['B', null, 'D', 'A', null, 'X0', 'Z']);
+  assertAscending(keys);
+  assert.equal(keys[0], 'B');
+  assert.equal(keys[2], 'D');
+  assert.equal(keys[6], 'Z');
+
+  assertAscending(fillKeys([null, null, null]));
+  assert.deepEqual(fillKeys([]), []);
+});
+
+test('compareKeys đặt khóa thiếu ở cuối', () => {
+  const sorted = ['b', null, 'a', 'aV'].sort(compareKeys);
+  assert.deepEqual(sorted, ['a', 'aV', 'b', null]);
+  assert.equal(compareKeys('a', 'a'), 0);
+});
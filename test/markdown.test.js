@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseMarkdown,
+  escapeMarkdown,
+  renderBlocksMarkdown,
+  renderMarkdownDocument
+} = require('../utils/markdown');
+
+const block = (type, content = '', properties = {}, children = []) => ({ type, content, properties, children });
+const simplify = blocks => blocks.map(({ type, content, properties, children }) => (
+  { type, content, properties, children: simplify(children) }
+));
+
+test('parseMarkdown chuyển các cú pháp cơ bản thành block', () => {
+  const markdown = [
+    '# Kế hoạch',
+    '',
+    '- [x] Viết',
+    '  - con',
+    '1. một',
+    '2. hai',
+    '',
+    '> trích',
+    '',
+    '```js',
+    'const a = 1;',
+    '```',
+    '',
+    '| A | B |',
+    '|---|---|',
+    '| 1 | 2 |',
+    '',
+    '---'
+  ].join('\n');
+
+  assert.deepEqual(parseMarkdown(markdown).blocks, [
+    block('heading_1', 'Kế hoạch'),
+    block('to_do', 'Viết', { checked: true }, [block('bulleted_list', 'con')]),
+    block('numbered_list', 'một'),
+    block('numbered_list', 'hai'),
+    block('quote', 'trích'),
+    block('code', 'const a = 1;', { language: 'js' }),
+    block('table', [['A', 'B'], ['1', '2']], { hasColumnHeader: true }),
+    block('divider')
+  ]);
+});
+
+test('parseMarkdown báo cáo cú pháp không hỗ trợ kèm số dòng', () => {
+  const { blocks, unsupported } = parseMarkdown('---\ntitle: x\n---\nĐoạn **đậm** và [link](https://a.com).\n<div>x</div>');
+
+  assert.deepEqual(blocks.map(item => item.content), ['Đoạn đậm và link (https://a.com).', 'x']);
+  assert.deepEqual(
+    unsupported.map(({ construct, count, lines }) => ({ construct, count, lines })),
+    [
+      { construct: 'front_matter', count: 1, lines: [1] },
+      { construct: 'inline_link', count: 1, lines: [4] },
+      { construct: 'inline_formatting', count: 1, lines: [4] },
+      { construct: 'html', count: 1, lines: [5] }
+    ]
+  );
+  unsupported.forEach(entry => assert.equal(typeof entry.message, 'string'));
+});
+
+test('parseMarkdown dùng resolveAsset cho ảnh theo đường dẫn tương đối', () => {
+  const resolveAsset = target => (target === 'img.png' ? { attachmentId: 'att', name: 'img.png', size: 3 } : null);
+  const { blocks } = parseMarkdown('\uFEFF![ảnh](img.png)\r\n', { resolveAsset });
+
+  assert.deepEqual(blocks, [block('image', '', { attachmentId: 'att', caption: 'ảnh' })]);
+});
+
+test('escapeMarkdown escape ký tự cú pháp', () => {
+  assert.equal(escapeMarkdown('*a* [b] #c'), '\\*a\\* \\[b\\] #c');
+  assert.equal(escapeMarkdown(null), '');
+});
+
+test('renderBlocksMarkdown đánh số danh sách và thụt lề block con', () => {
+  const markdown = renderBlocksMarkdown([
+    block('numbered_list', 'một', { start: 3 }, [block('bulleted_list', 'con')]),
+    block('numbered_list', 'hai'),
+    block('to_do', 'việc', { checked: true }),
+    block('paragraph', 'đoạn')
+  ]);
+
+  assert.equal(markdown, '3. một\n   - con\n4. hai\n\n- [x] việc\n\nđoạn');
+});
+
+test('renderBlocksMarkdown chọn hàng rào mã dài hơn dấu ` trong nội dung', () => {
+  assert.equal(
+    renderBlocksMarkdown([block('code', 'a ``` b', { language: 'js' })]),
+    '````js\na ``` b\n````'
+  );
+});
+
+test('renderBlocksMarkdown dùng resolveFile cho ảnh và tệp', () => {
+  const markdown = renderBlocksMarkdown(
+    [block('image', '', { caption: 'ảnh', attachmentId: 'a1' }), block('file', '', { name: 'b c.pdf', attachmentId: 'a2' })],
+    { resolveFile: item => `files/${item.properties.attachmentId} (1)` }
+  );
+
+  assert.equal(markdown, '![ảnh](files/a1%20%281%29)\n\n[b c.pdf](files/a2%20%281%29)');
+});
+
+test('Markdown được render rồi nhập lại giữ nguyên cấu trúc block', () => {
+  const blocks = [
+    block('heading_2', 'Mục *một*'),
+    block('bulleted_list', 'a', {}, [block('bulleted_list', 'a.1')]),
+    block('bulleted_list', 'b'),
+    block('quote', 'trích dẫn'),
+    block('code', 'x = 1\ny = 2', { language: 'python' }),
+    block('table', [['A', 'B|C'], ['1', '2']], { hasColumnHeader: true }),
+    block('divider'),
+    block('paragraph', 'kết thúc')
+  ];
+
+  assert.deepEqual(simplify(parseMarkdown(renderBlocksMarkdown(blocks)).blocks), blocks);
+});
+
+test('renderMarkdownDocument đặt tiêu đề trang là tiêu đề cấp 1', () => {
+  assert.equal(renderMarkdownDocument({ title: 'Trang #1', body: 'nội dung' }), '# Trang #1\n\nnội dung\n');
+  assert.equal(renderMarkdownDocument({ title: '', body: '' }), '# Không có tiêu đề\n');
+});
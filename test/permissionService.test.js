@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/*
+ * permissionService đọc dữ liệu qua config/database; module này được thay bằng một bản giả trong require.cache
+ * trả lời các truy vấn từ dữ liệu trong bộ nhớ dưới đây.
+ */
+
+const WORKSPACE_ID = 'w1';
+
+// root ─┬─ child
+//       └─ private (ngừng kế thừa) ── privateChild
+// shared (ngừng kế thừa, public)
+const pages = [
+  { id: 'root', parent_page_id: null, inherit_permissions: 1, is_public: 0 },
+  { id: 'child', parent_page_id: 'root', inherit_permissions: 1, is_public: 0 },
+  { id: 'private', parent_page_id: 'root', inherit_permissions: 0, is_public: 0 },
+  { id: 'privateChild', parent_page_id: 'private', inherit_permissions: 1, is_public: 0 },
+  { id: 'shared', parent_page_id: null, inherit_permissions: 0, is_public: 1 }
+].map(page => ({ ...page, workspace_id: WORKSPACE_ID }));
+
+const members = { owner: 'OWNER', member: 'MEMBER', viewer: 'VIEWER' };
+
+const groupMembers = { g1: ['viewer'] };
+
+const permissions = [
+  { page_id: 'child', principal_type: 'user', principal_id: 'viewer', access_level: 'edit' },
+  { page_id: 'private', principal_type: 'group', principal_id: 'g1', access_level: 'comment' },
+  { page_id: 'private', principal_type: 'user', principal_id: 'guest', access_level: 'edit' },
+  // Nhóm của người dùng khác không ảnh hưởng
+  { page_id: 'root', principal_type: 'group', principal_id: 'g2', access_level: 'full' }
+];
+
+/**
+ * Lọc mục quyền theo tham số của principalCondition ([userId, groupIds?]).
+ */
+const matchesPrincipal = (entry, [userId, groupIds = []]) => (
+  (entry.principal_type === 'user' && entry.principal_id === userId) ||
+  (entry.principal_type === 'group' && groupIds.includes(entry.principal_id))
+);
+
+const query = async (sql, params) => {
+  if (sql.includes('FROM workspace_members wm')) {
+    const [workspaceId, userId] = params;
+    return [workspaceId === WORKSPACE_ID && members[userId] ? [{ role_name: members[userId] }] : []];
+  }
+  if (sql.includes('FROM workspace_group_members gm')) {
+    const [, userId] = params;
+    return [Object.keys(groupMembers)
+      .filter(groupId => groupMembers[groupId].includes(userId))
+      .map(groupId => ({ group_id: groupId }))];
+  }
+  if (sql.includes('JOIN workspaces w')) {
+    return [pages.filter(page => page.id === params[0])];
+  }
+  if (sql.startsWith('SELECT id, parent_page_id, inherit_permissions FROM pages WHERE id = ?')) {
+    return [pages.filter(page => page.id === params[0])];
+  }
+  if (sql.startsWith('SELECT id, parent_page_id, inherit_permissions, is_public FROM pages WHERE workspace_id = ?')) {
+    return [pages.filter(page => page.workspace_id === params[0])];
+  }
+  if (sql.includes('WHERE pp.page_id IN (?)')) {
+    const [pageIds, ...principal] = params;
+    return [permissions.filter(entry => pageIds.includes(entry.page_id) && matchesPrincipal(entry, principal))];
+  }
+  if (sql.includes('WHERE p.workspace_id = ?') && sql.includes('page_permissions pp')) {
+    const [, ...principal] = params;
+    return [permissions.filter(entry => matchesPrincipal(entry, principal))];
+  }
+  throw new Error(`Truy vấn chưa được giả lập: ${sql}`);
+};
+
+const databasePath = require.resolve('../config/database');
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: { query } };
+
+const {
+  hasAccess,
+  getInheritanceChain,
+  getPageAccess,
+  getWorkspacePageAccess
+} = require('../services/permissionService');
+
+const accessOf = async (pageId, userId) => (await getPageAccess(pageId, userId)).access;
+
+// Mức quyền mong đợi của từng người dùng trên từng trang (null: không có quyền)
+const expected = {
+  owner: { root: 'full', child: 'full', private: 'full', privateChild: 'full', shared: 'full' },
+  member: { root: 'edit', child: 'edit', private: null, privateChild: null, shared: 'view' },
+  viewer: { root: 'view', child: 'edit', private: 'comment', privateChild: 'comment', shared: 'view' },
+  guest: { root: null, child: null, private: 'edit', privateChild: 'edit', shared: 'view' }
+};
+
+test('hasAccess so sánh theo thứ tự view < comment < edit < full', () => {
+  assert.equal(hasAccess('edit', 'comment'), true);
+  assert.equal(hasAccess('view', 'edit'), false);
+  assert.equal(hasAccess(null, 'view'), false);
+});
+
+test('getInheritanceChain dừng ở trang ngừng kế thừa đầu tiên', async () => {
+  assert.deepEqual(await getInheritanceChain(pages[3]), { pageIds: ['privateChild', 'private'], restricted: true });
+  assert.deepEqual(await getInheritanceChain(pages[1]), { pageIds: ['child', 'root'], restricted: false });
+});
+
+test('getPageAccess kết hợp vai trò, mục quyền trực tiếp, nhóm và trang public', async () => {
+  for (const [userId, levels] of Object.entries(expected)) {
+    for (const [pageId, level] of Object.entries(levels)) {
+      assert.equal(await accessOf(pageId, userId), level, `${userId} trên ${pageId}`);
+    }
+  }
+});
+
+test('getPageAccess trả về cờ quyền theo mức quyền', async () => {
+  const access = await getPageAccess('private', 'viewer');
+  assert.equal(access.role, 'VIEWER');
+  assert.deepEqual(
+    [access.canView, access.canComment, access.canEdit, access.canManage],
+    [true, true, false, false]
+  );
+
+  const missing = await getPageAccess('missing', 'owner');
+  assert.equal(missing.page, null);
+  assert.equal(missing.canView, false);
+});
+
+test('getWorkspacePageAccess khớp getPageAccess và bỏ các trang không xem được', async () => {
+  for (const [userId, levels] of Object.entries(expected)) {
+    const map = await getWorkspacePageAccess(WORKSPACE_ID, userId);
+    const visible = Object.fromEntries(Object.entries(levels).filter(([, level]) => level !== null));
+    assert.deepEqual(Object.fromEntries(map), visible, userId);
+  }
+});
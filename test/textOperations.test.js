@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalize, baseLength, apply, transform, fromReplacement } = require('../services/textOperations');
+
+test('normalize gộp thành phần cùng loại và đưa phần chèn lên trước phần xóa', () => {
+  assert.deepEqual(normalize([2, 3, 'a', 'b', -1, -2, '']), [5, 'ab', -3]);
+  assert.deepEqual(normalize([1, -2, 'x']), [1, 'x', -2]);
+});
+
+test('normalize từ chối thao tác sai định dạng', () => {
+  assert.throws(() => normalize('abc'), { status: 400 });
+  assert.throws(() => normalize([1.5]), { status: 400 });
+  assert.throws(() => normalize([null]), { status: 400 });
+});
+
+test('baseLength bỏ qua phần chèn', () => {
+  assert.equal(baseLength([5, 'abc', -2, 10]), 17);
+  assert.equal(baseLength(['abc']), 0);
+});
+
+test('apply giữ, chèn và xóa theo thứ tự', () => {
+  assert.equal(apply('hello world', [6, 'big ', -5, 'earth']), 'hello big earth');
+  assert.equal(apply('', ['abc']), 'abc');
+});
+
+test('apply từ chối thao tác không khớp độ dài văn bản', () => {
+  assert.throws(() => apply('abc', [2]), { status: 400 });
+});
+
+test('transform hội tụ khi hai bên sửa đồng thời', () => {
+  const text = 'abcdef';
+  const cases = [
+    [[3, 'X', 3], [1, -2, 3]],
+    [[6, '!'], ['?', 6]],
+    [[-6], [2, 'Y', 4]],
+    [[1, -3, 2], [2, -3, 1]],
+    [[2, 'A', 4], [2, 'B', 4]]
+  ];
+
+  cases.forEach(([a, b]) => {
+    const [aPrime, bPrime] = transform(a, b);
+    assert.equal(apply(apply(text, a), bPrime), apply(apply(text, b), aPrime));
+  });
+});
+
+test('transform đặt phần chèn của thao tác đến trước lên trước khi cùng vị trí', () => {
+  const [, bPrime] = transform([2, 'A', 4], [2, 'B', 4]);
+  assert.equal(apply(apply('abcdef', [2, 'A', 4]), bPrime), 'abABcdef');
+});
+
+test('transform từ chối hai thao tác khác độ dài gốc', () => {
+  assert.throws(() => transform([3], [4]), { status: 400 });
+});
+
+test('fromReplacement chỉ thay phần khác nhau', () => {
+  assert.deepEqual(fromReplacement('hello world', 'hello there world'), [6, 'there ', 5]);
+  assert.deepEqual(fromReplacement('abc', 'abc'), [3]);
+  assert.deepEqual(fromReplacement('abc', ''), [-3]);
+
+  const ops = fromReplacement('the cat sat', 'the dog sat');
+  assert.equal(apply('the cat sat', ops), 'the dog sat');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readZipEntries, createZipArchive } = require('../utils/zipArchive');
+
+test('createZipArchive rồi readZipEntries trả lại đúng tên và nội dung', () => {
+  const entries = [
+    { name: 'Ghi chú/Họp.md', data: '# Họp\n'.repeat(200) },
+    { name: 'ảnh.png', data: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]) },
+    { name: 'rỗng.txt', data: '' }
+  ];
+
+  const read = readZipEntries(createZipArchive(entries));
+  assert.deepEqual(read.map(entry => entry.name), entries.map(entry => entry.name));
+  read.forEach((entry, index) => {
+    const expected = Buffer.isBuffer(entries[index].data) ? entries[index].data : Buffer.from(entries[index].data);
+    assert.ok(entry.data.equals(expected), entry.name);
+  });
+});
+
+test('createZipArchive chỉ nén khi giúp giảm dung lượng và ghi đúng CRC-32', () => {
+  const archive = createZipArchive([{ name: 'a.txt', data: '123456789' }]);
+
+  assert.equal(archive.readUInt16LE(8), 0);
+  assert.equal(archive.readUInt32LE(14), 0xcbf43926);
+
+  const compressed = createZipArchive([{ name: 'b.txt', data: 'a'.repeat(1000) }]);
+  assert.equal(compressed.readUInt16LE(8), 8);
+  assert.ok(compressed.length < 1000);
+});
+
+test('readZipEntries từ chối tệp không phải ZIP', () => {
+  assert.throws(() => readZipEntries(Buffer.from('không phải zip')), /không phải định dạng ZIP/);
+  assert.throws(() => readZipEntries(Buffer.alloc(0)), /không phải định dạng ZIP/);
+});
+
+test('readZipEntries áp dụng giới hạn số mục và dung lượng', () => {
+  const archive = createZipArchive([{ name: 'a.txt', data: 'a'.repeat(100) }, { name: 'b.txt', data: 'b' }]);
+
+  assert.throws(() => readZipEntries(archive, { maxEntries: 1 }), /quá nhiều mục/);
+  assert.throws(() => readZipEntries(archive, { maxTotalSize: 100 }), /vượt quá dung lượng/);
+  assert.equal(readZipEntries(archive, { maxEntries: 2, maxTotalSize: 101 }).length, 2);
+});
+
+test('readZipEntries từ chối thư mục trung tâm bị hỏng', () => {
+  const archive = createZipArchive([{ name: 'a.txt', data: 'abc' }]);
+  const end = archive.length - 22;
+  archive.writeUInt32LE(archive.readUInt32LE(end + 16) + 1, end + 16);
+
+  assert.throws(() => readZipEntries(archive), /bị hỏng/);
+});
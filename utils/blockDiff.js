@@ -0,0 +1,216 @@
+/*
+ * So sánh và trộn (three-way merge) danh sách block của một trang ở mức block.
+ * Block được nhận diện theo `_id`; block chưa có `_id` được xem là block mới.
+ */
+
+/**
+ * Lấy ID dạng chuỗi của block.
+ * @param {Object} block - Block.
+ * @returns {string|null} - ID của block, hoặc null nếu là block mới.
+ */
+const getBlockId = (block) => (block && block._id ? block._id.toString() : null);
+
+/**
+ * Chuyển giá trị sang JSON với khóa được sắp xếp để so sánh ổn định.
+ * @param {*} value - Giá trị cần chuyển.
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Lấy phần so sánh được của block: loại, nội dung, thuộc tính và block cha.
+ * @param {Object} block - Block.
+ * @returns {Object}
+ */
+const comparableBlock = (block) => ({
+  type: block.type,
+  content: block.content ?? '',
+  properties: block.properties || {},
+  parentId: block.parentId ? block.parentId.toString() : null
+});
+
+/**
+ * Kiểm tra hai block có cùng nội dung (type, content, properties) và cùng block cha hay không.
+ * @param {Object} a - Block thứ nhất.
+ * @param {Object} b - Block thứ hai.
+ * @returns {boolean}
+ */
+const isSameBlock = (a, b) => stableStringify(comparableBlock(a)) === stableStringify(comparableBlock(b));
+
+/**
+ * Tạo Map từ ID sang block (bỏ qua block mới chưa có ID).
+ * @param {Array} blocks - Danh sách block.
+ * @returns {Map<string, Object>}
+ */
+const toBlockMap = (blocks) => new Map(
+  blocks.filter(block => getBlockId(block)).map(block => [getBlockId(block), block])
+);
+
+/**
+ * Tìm các ID đã đổi chỗ: những phần tử không thuộc dãy con tăng dài nhất theo thứ tự cũ.
+ * @param {Array<string>} fromOrder - Thứ tự cũ của các block chung.
+ * @param {Array<string>} toOrder - Thứ tự mới của các block chung.
+ * @returns {Array<string>} - Danh sách ID đã bị di chuyển.
+ */
+const findMovedIds = (fromOrder, toOrder) => {
+  const fromIndex = new Map(fromOrder.map((id, index) => [id, index]));
+  const sequence = toOrder.map(id => fromIndex.get(id));
+
+  // Dãy con tăng dài nhất (O(n log n)), lưu vết để dựng lại dãy
+  const tails = [];
+  const tailIndexes = [];
+  const previous = new Array(sequence.length).fill(-1);
+  sequence.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (tails[mid] < value) low = mid + 1;
+      else high = mid;
+    }
+    tails[low] = value;
+    tailIndexes[low] = index;
+    previous[index] = low > 0 ? tailIndexes[low - 1] : -1;
+  });
+
+  const stable = new Set();
+  let cursor = tailIndexes.length > 0 ? tailIndexes[tailIndexes.length - 1] : -1;
+  while (cursor !== -1) {
+    stable.add(toOrder[cursor]);
+    cursor = previous[cursor];
+  }
+
+  return toOrder.filter(id => !stable.has(id));
+};
+
+/**
+ * So sánh hai danh sách block.
+ * @param {Array} fromBlocks - Danh sách block gốc.
+ * @param {Array} toBlocks - Danh sách block mới.
+ * @returns {Object} - { added, removed, modified, moved }.
+ */
+const diffBlocks = (fromBlocks, toBlocks) => {
+  const fromMap = toBlockMap(fromBlocks);
+  const toMap = toBlockMap(toBlocks);
+
+  const added = toBlocks.filter(block => !fromMap.has(getBlockId(block)));
+  const removed = [...fromMap.keys()].filter(id => !toMap.has(id));
+  const modified = toBlocks
+    .filter(block => fromMap.has(getBlockId(block)) && !isSameBlock(fromMap.get(getBlockId(block)), block))
+    .map(block => ({
+      blockId: getBlockId(block),
+      before: fromMap.get(getBlockId(block)),
+      after: block
+    }));
+
+  const fromOrder = fromBlocks.map(getBlockId).filter(id => id && toMap.has(id));
+  const toOrder = toBlocks.map(getBlockId).filter(id => id && fromMap.has(id));
+  const moved = findMovedIds(fromOrder, toOrder);
+
+  return { added, removed, modified, moved };
+};
+
+/**
+ * Lấy thứ tự các block chung theo một phía.
+ * @param {Array} blocks - Danh sách block của phía cần lấy thứ tự.
+ * @param {Set<string>} commonIds - ID của các block có mặt ở cả ba phiên bản.
+ * @returns {Array<string>} - Thứ tự các block chung theo phía này.
+ */
+const commonOrder = (blocks, commonIds) => blocks.map(getBlockId).filter(id => commonIds.has(id));
+
+/**
+ * Trộn ba chiều danh sách block: bản gốc (base), bản hiện tại trên server (theirs) và bản client gửi lên (mine).
+ * Chỉ trộn được khi hai phía thay đổi các block khác nhau.
+ * @param {Array} baseBlocks - Danh sách block tại version client dựa vào.
+ * @param {Array} theirBlocks - Danh sách block hiện tại trên server.
+ * @param {Array} myBlocks - Danh sách block client gửi lên.
+ * @returns {Object} - { blocks, conflicts } với `blocks` là kết quả trộn (rỗng nếu có xung đột).
+ */
+const mergeBlocks = (baseBlocks, theirBlocks, myBlocks) => {
+  const baseMap = toBlockMap(baseBlocks);
+  const theirMap = toBlockMap(theirBlocks);
+  const myMap = toBlockMap(myBlocks);
+  const conflicts = [];
+
+  // Xung đột nội dung trên từng block gốc
+  for (const [blockId, baseBlock] of baseMap) {
+    const theirBlock = theirMap.get(blockId);
+    const myBlock = myMap.get(blockId);
+    const theirsChanged = theirBlock && !isSameBlock(baseBlock, theirBlock);
+    const mineChanged = myBlock && !isSameBlock(baseBlock, myBlock);
+
+    if (!theirBlock && mineChanged) {
+      conflicts.push({ blockId, reason: 'Block đã bị xóa trên server nhưng được chỉnh sửa bởi client' });
+    } else if (!myBlock && theirsChanged) {
+      conflicts.push({ blockId, reason: 'Block đã được chỉnh sửa trên server nhưng bị xóa bởi client' });
+    } else if (theirsChanged && mineChanged && !isSameBlock(theirBlock, myBlock)) {
+      conflicts.push({ blockId, reason: 'Block được chỉnh sửa ở cả hai phía' });
+    }
+  }
+
+  // Xung đột thứ tự: cả hai phía cùng sắp xếp lại các block chung theo cách khác nhau
+  const commonIds = new Set([...baseMap.keys()].filter(id => theirMap.has(id) && myMap.has(id)));
+  const baseOrder = commonOrder(baseBlocks, commonIds);
+  const theirOrder = commonOrder(theirBlocks, commonIds);
+  const myOrder = commonOrder(myBlocks, commonIds);
+  const theirsReordered = theirOrder.join() !== baseOrder.join();
+  const mineReordered = myOrder.join() !== baseOrder.join();
+
+  if (theirsReordered && mineReordered && theirOrder.join() !== myOrder.join()) {
+    conflicts.push({ blockId: null, reason: 'Thứ tự block bị thay đổi ở cả hai phía' });
+  }
+
+  if (conflicts.length > 0) {
+    return { blocks: [], conflicts };
+  }
+
+  // Lấy thứ tự của phía đã sắp xếp lại (mặc định là server), rồi chèn block mới của phía còn lại
+  const [primary, secondary] = mineReordered ? [myBlocks, theirBlocks] : [theirBlocks, myBlocks];
+  const secondaryMap = mineReordered ? theirMap : myMap;
+
+  const merged = primary.filter((block) => {
+    const blockId = getBlockId(block);
+    // Bỏ các block gốc đã bị phía còn lại xóa
+    return !(blockId && baseMap.has(blockId) && !secondaryMap.has(blockId));
+  });
+
+  let anchorIndex = -1;
+  secondary.forEach((block) => {
+    const blockId = getBlockId(block);
+    const existingIndex = blockId ? merged.findIndex(item => getBlockId(item) === blockId) : -1;
+
+    if (existingIndex !== -1) {
+      anchorIndex = existingIndex;
+    } else if (!blockId || !baseMap.has(blockId)) {
+      merged.splice(anchorIndex + 1, 0, block);
+      anchorIndex += 1;
+    }
+  });
+
+  // Với block gốc, lấy phiên bản của phía đã chỉnh sửa (ưu tiên client nếu client có thay đổi)
+  const blocks = merged.map((block) => {
+    const blockId = getBlockId(block);
+    if (!blockId || !baseMap.has(blockId)) return block;
+
+    const myBlock = myMap.get(blockId);
+    return myBlock && !isSameBlock(baseMap.get(blockId), myBlock) ? myBlock : theirMap.get(blockId);
+  });
+
+  return { blocks, conflicts: [] };
+};
+
+module.exports = {
+  getBlockId,
+  isSameBlock,
+  diffBlocks,
+  mergeBlocks
+};
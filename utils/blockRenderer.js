@@ -0,0 +1,247 @@
+/*
+ * Chuyển cây block của trang (utils/blockTree.buildBlockTree, block đồng bộ đã được resolveSyncedBlocks điền `synced`)
+ * thành HTML tĩnh chỉ đọc. Dùng cho trang xuất bản và xuất trang ra HTML.
+ * Mọi nội dung văn bản đều được escape; URL chỉ được giữ khi là http(s), đường dẫn tương đối hoặc ảnh nhúng (data URI
+ * PNG/JPEG/GIF/WebP khi xuất trang kèm tệp đính kèm).
+ */
+
+const LIST_TAGS = {
+  bulleted_list: 'ul',
+  numbered_list: 'ol',
+  to_do: 'ul'
+};
+
+/**
+ * Escape chuỗi để chèn vào HTML (nội dung và giá trị thuộc tính).
+ * @param {*} value - Giá trị cần escape.
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Chỉ giữ URL an toàn (http, https, mailto, đường dẫn tương đối hoặc ảnh nhúng base64).
+ * @param {*} url - URL.
+ * @returns {string|null}
+ */
+const safeUrl = (url) => (typeof url === 'string'
+  && /^(https?:\/\/|mailto:|\/|\.{0,2}\/|[\w-]+\.\w+|data:image\/(png|jpeg|gif|webp);base64,)/i.test(url)
+  && !/^\s*javascript:/i.test(url)
+  ? url
+  : null);
+
+/**
+ * Văn bản nhiều dòng -> HTML (giữ xuống dòng).
+ * @param {string} text - Văn bản.
+ * @returns {string}
+ */
+const renderText = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+
+/**
+ * Lớp CSS theo màu của block.
+ * @param {Object} block - Block.
+ * @returns {string}
+ */
+const colorClass = (block) => {
+  const color = block.properties?.color;
+  return color && color !== 'default' ? ` class="color-${escapeHtml(color)}"` : '';
+};
+
+/**
+ * Render một block (cùng block con).
+ * @param {Object} block - Block.
+ * @param {Object} options - Tùy chọn render (xem renderBlocksHtml).
+ * @returns {string}
+ */
+const renderBlock = (block, options) => {
+  const properties = block.properties || {};
+  const children = block.children && block.children.length > 0
+    ? renderBlocksHtml(block.children, options)
+    : '';
+  const nested = children ? `<div class="children">${children}</div>` : '';
+  const text = typeof block.content === 'string' ? renderText(block.content) : '';
+
+  switch (block.type) {
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3': {
+      const tag = `h${block.type.slice(-1)}`;
+      const heading = `<${tag}${colorClass(block)}>${text}</${tag}>`;
+      return properties.toggleable
+        ? `<details><summary>${heading}</summary>${nested}</details>`
+        : heading + nested;
+    }
+    case 'bulleted_list':
+    case 'numbered_list':
+      return `<li${colorClass(block)}>${text}${nested}</li>`;
+    case 'to_do':
+      return `<li class="todo${properties.checked ? ' checked' : ''}"><input type="checkbox" disabled${properties.checked ? ' checked' : ''}> <span>${text}</span>${nested}</li>`;
+    case 'code': {
+      const language = properties.language && properties.language !== 'plain text'
+        ? ` class="language-${escapeHtml(properties.language)}"`
+        : '';
+      const caption = properties.caption ? `<figcaption>${escapeHtml(properties.caption)}</figcaption>` : '';
+      return `<figure class="code"><pre><code${language}>${escapeHtml(block.content)}</code></pre>${caption}</figure>`;
+    }
+    case 'quote':
+      return `<blockquote${colorClass(block)}>${text}${nested}</blockquote>`;
+    case 'callout':
+      return `<div class="callout ${escapeHtml(properties.color || 'gray_background')}"><span class="callout-icon">${escapeHtml(properties.icon || '💡')}</span><div>${text}${nested}</div></div>`;
+    case 'image': {
+      const src = safeUrl(options.resolveFile(block));
+      if (!src) return '';
+      const caption = properties.caption ? `<figcaption>${escapeHtml(properties.caption)}</figcaption>` : '';
+      const width = properties.width ? ` width="${escapeHtml(properties.width)}"` : '';
+      return `<figure class="image"><img src="${escapeHtml(src)}" alt="${escapeHtml(properties.caption || '')}"${width}>${caption}</figure>`;
+    }
+    case 'file': {
+      const href = safeUrl(options.resolveFile(block));
+      const name = escapeHtml(properties.name || properties.caption || 'Tệp đính kèm');
+      return href
+        ? `<p class="file"><a href="${escapeHtml(href)}" download>📎 ${name}</a></p>`
+        : `<p class="file">📎 ${name}</p>`;
+    }
+    case 'embed': {
+      const href = safeUrl(properties.url);
+      const caption = escapeHtml(properties.caption || properties.url || '');
+      return href ? `<p class="embed"><a href="${escapeHtml(href)}" rel="noopener noreferrer">${caption}</a></p>` : '';
+    }
+    case 'divider':
+      return '<hr>';
+    case 'table': {
+      const rows = Array.isArray(block.content) ? block.content : [];
+      const body = rows.map((row, rowIndex) => `<tr>${row.map((cell, cellIndex) => {
+        const header = (properties.hasColumnHeader && rowIndex === 0) || (properties.hasRowHeader && cellIndex === 0);
+        return header ? `<th>${renderText(cell)}</th>` : `<td>${renderText(cell)}</td>`;
+      }).join('')}</tr>`).join('');
+      return `<table>${body}</table>`;
+    }
+    case 'database':
+      return '<div class="database">Cơ sở dữ liệu</div>';
+    case 'synced_block':
+      return block.synced?.status === 'ok' && block.synced.block
+        ? `<div class="synced">${renderBlocksHtml([block.synced.block], options)}</div>`
+        : '';
+    default:
+      return `<p${colorClass(block)}>${text}</p>${nested}`;
+  }
+};
+
+/**
+ * Render danh sách block anh em thành HTML; các mục danh sách liền nhau cùng loại được gộp vào một thẻ ul/ol.
+ * @param {Array} blocks - Cây block (mỗi block có `children`).
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Function} [options.resolveFile] - Hàm trả về URL của block ảnh/tệp; mặc định dùng `properties.url`.
+ * @returns {string}
+ * @example
+ * renderBlocksHtml(buildBlockTree(blocks), { resolveFile: block => `/files/${block.properties.attachmentId}` });
+ */
+const renderBlocksHtml = (blocks, options = {}) => {
+  const renderOptions = { resolveFile: block => block.properties?.url, ...options };
+  const parts = [];
+  let openList = null;
+
+  blocks.forEach((block) => {
+    const listTag = LIST_TAGS[block.type] || null;
+    const listKey = listTag ? `${listTag}:${block.type === 'to_do' ? 'todo' : block.type}` : null;
+    if (listKey !== openList) {
+      if (openList) parts.push(`</${openList.split(':')[0]}>`);
+      if (listKey) {
+        const start = block.type === 'numbered_list' && block.properties?.start
+          ? ` start="${escapeHtml(block.properties.start)}"`
+          : '';
+        parts.push(`<${listTag}${block.type === 'to_do' ? ' class="todo-list"' : ''}${start}>`);
+      }
+      openList = listKey;
+    }
+    parts.push(renderBlock(block, renderOptions));
+  });
+  if (openList) parts.push(`</${openList.split(':')[0]}>`);
+
+  return parts.join('\n');
+};
+
+/**
+ * Render cây trang thành menu điều hướng lồng nhau.
+ * @param {Object} tree - Trang gốc kèm `children`.
+ * @param {Object} options - { hrefFor(node), currentId }.
+ * @returns {string}
+ */
+const renderNavHtml = (tree, { hrefFor, currentId = null }) => {
+  const renderNode = (node) => {
+    const label = `${node.icon ? `${escapeHtml(node.icon)} ` : ''}${escapeHtml(node.title || 'Không có tiêu đề')}`;
+    const current = node.id === currentId ? ' aria-current="page" class="current"' : '';
+    const children = node.children && node.children.length > 0
+      ? `<ul>${node.children.map(renderNode).join('')}</ul>`
+      : '';
+    return `<li><a href="${escapeHtml(hrefFor(node))}"${current}>${label}</a>${children}</li>`;
+  };
+  return `<ul>${renderNode(tree)}</ul>`;
+};
+
+const DOCUMENT_STYLE = `
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #37352f; line-height: 1.6; }
+  .layout { display: flex; min-height: 100vh; }
+  nav { width: 260px; flex-shrink: 0; padding: 24px 16px; background: #f7f6f3; border-right: 1px solid #e9e9e7; font-size: 14px; }
+  nav ul { list-style: none; margin: 0; padding-left: 12px; }
+  nav > ul { padding-left: 0; }
+  nav a { color: inherit; text-decoration: none; display: block; padding: 2px 4px; border-radius: 4px; }
+  nav a.current { background: #e9e9e7; font-weight: 600; }
+  main { flex: 1; max-width: 820px; padding: 48px 64px; }
+  .cover { width: 100%; max-height: 240px; object-fit: cover; border-radius: 4px; }
+  .children { padding-left: 24px; }
+  .todo-list { list-style: none; padding-left: 4px; }
+  .todo.checked > span { text-decoration: line-through; color: #9b9a97; }
+  blockquote { border-left: 3px solid currentColor; margin: 8px 0; padding-left: 14px; }
+  .callout { display: flex; gap: 8px; padding: 16px; border-radius: 4px; background: #f1f1ef; }
+  pre { background: #f7f6f3; padding: 16px; border-radius: 4px; overflow-x: auto; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e9e9e7; padding: 6px 10px; text-align: left; }
+  figure { margin: 8px 0; }
+  figure img { max-width: 100%; }
+  figcaption { color: #9b9a97; font-size: 14px; }
+  .database { padding: 12px; border: 1px dashed #e9e9e7; color: #9b9a97; }
+  @media (max-width: 720px) { .layout { display: block; } nav { width: auto; } main { padding: 24px; } }
+`;
+
+/**
+ * Ghép trang HTML hoàn chỉnh.
+ * @param {Object} options - { title, icon, coverUrl, body, nav } với `body`, `nav` là HTML đã render; bỏ `nav` để không
+ *   có thanh điều hướng.
+ * @returns {string}
+ */
+const renderHtmlDocument = ({ title, icon = null, coverUrl = null, body, nav = null }) => {
+  const heading = `${icon ? `${escapeHtml(icon)} ` : ''}${escapeHtml(title || 'Không có tiêu đề')}`;
+  const cover = safeUrl(coverUrl) ? `<img class="cover" src="${escapeHtml(coverUrl)}" alt="">` : '';
+  return `<!DOCTYPE html>
+<html lang="vi">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title || 'Không có tiêu đề')}</title>
+<style>${DOCUMENT_STYLE}</style>
+</head>
+<body>
+<div class="layout">
+${nav ? `<nav>${nav}</nav>` : ''}
+<main>
+${cover}
+<h1 class="page-title">${heading}</h1>
+${body}
+</main>
+</div>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  renderBlocksHtml,
+  renderNavHtml,
+  renderHtmlDocument
+};
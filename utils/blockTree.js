@@ -0,0 +1,227 @@
+/*
+ * Xử lý cây block của một trang.
+ * Trong MongoDB mỗi block lưu `parentId` (null nếu ở cấp cao nhất) và `sortKey` (khóa sắp xếp phân số trong
+ * các block anh em, xem utils/fractionalIndex); page_contents.blocks lưu mọi block của trang theo thứ tự tài liệu
+ * (duyệt cây theo chiều sâu). `position` và `children` được tính lại khi đọc, không lưu vào database.
+ */
+const { getBlockId } = require('./blockDiff');
+const { fillKeys, compareKeys } = require('./fractionalIndex');
+
+/**
+ * Lấy ID cha dạng chuỗi của block.
+ * @param {Object} block - Block.
+ * @returns {string|null} - ID block cha, hoặc null nếu ở cấp cao nhất.
+ */
+const getParentId = (block) => (block && block.parentId ? block.parentId.toString() : null);
+
+/**
+ * Kiểm tra một phần tử trong `children` là block lồng nhau (không phải ID).
+ * @param {*} value - Phần tử cần kiểm tra.
+ * @returns {boolean}
+ */
+const isBlockNode = (value) => value !== null && typeof value === 'object' && !value._bsontype;
+
+/**
+ * Sắp xếp danh sách block phẳng theo thứ tự tài liệu và tính lại parentId, position, children.
+ * Thứ tự giữa các block anh em là thứ tự xuất hiện trong danh sách đầu vào.
+ * Block có cha không nằm trong danh sách (hoặc thuộc một chu trình) được đưa lên cấp cao nhất.
+ * @param {Array} blocks - Danh sách block phẳng (mỗi block đều đã có `_id`).
+ * @returns {Array} - Bản sao các block theo thứ tự tài liệu.
+ */
+const orderBlockTree = (blocks) => {
+  const ids = new Set(blocks.map(getBlockId));
+  const childrenOf = new Map();
+  const roots = [];
+
+  blocks.forEach((block) => {
+    const parentId = getParentId(block);
+    if (!parentId || parentId === getBlockId(block) || !ids.has(parentId)) {
+      roots.push(block);
+      return;
+    }
+    if (!childrenOf.has(parentId)) childrenOf.set(parentId, []);
+    childrenOf.get(parentId).push(block);
+  });
+
+  const ordered = [];
+  const visited = new Set();
+
+  const visit = (block, parentId, position) => {
+    const blockId = getBlockId(block);
+    visited.add(blockId);
+
+    const kids = (childrenOf.get(blockId) || []).filter(kid => !visited.has(getBlockId(kid)));
+    ordered.push({ ...block, parentId, position, children: kids.map(kid => kid._id) });
+    kids.forEach((kid, index) => visit(kid, block._id, index));
+  };
+
+  let rootPosition = 0;
+  roots.forEach((block) => {
+    if (!visited.has(getBlockId(block))) visit(block, null, rootPosition++);
+  });
+
+  // Các block nằm trong chu trình cha-con không đi tới được từ gốc
+  blocks.forEach((block) => {
+    if (!visited.has(getBlockId(block))) visit(block, null, rootPosition++);
+  });
+
+  return ordered;
+};
+
+/**
+ * Sắp xếp ổn định danh sách block theo khóa sắp xếp; block chưa có khóa (dữ liệu cũ) giữ thứ tự ban đầu.
+ * Vì orderBlockTree giữ thứ tự xuất hiện giữa các block anh em, kết quả là các block anh em theo thứ tự khóa.
+ * @param {Array} blocks - Danh sách block phẳng.
+ * @returns {Array} - Danh sách mới đã sắp xếp.
+ */
+const sortBlocksByKey = (blocks) => blocks
+  .map((block, index) => ({ block, index }))
+  .sort((a, b) => compareKeys(a.block.sortKey, b.block.sortKey) || a.index - b.index)
+  .map(({ block }) => block);
+
+/**
+ * Cấp khóa sắp xếp cho các block theo thứ tự trong danh sách.
+ * Khóa hiện có được giữ nếu vẫn đúng thứ tự, nên chèn hoặc di chuyển một block (đã xóa `sortKey`)
+ * chỉ làm thay đổi khóa của chính block đó.
+ * @param {Array} blocks - Danh sách block theo thứ tự tài liệu (kết quả của orderBlockTree).
+ * @returns {Array} - Bản sao các block với `sortKey` tăng dần trong mỗi nhóm anh em.
+ */
+const assignSortKeys = (blocks) => {
+  const groups = new Map();
+  blocks.forEach((block) => {
+    const parentId = getParentId(block);
+    if (!groups.has(parentId)) groups.set(parentId, []);
+    groups.get(parentId).push(block);
+  });
+
+  const sortKeys = new Map();
+  groups.forEach((siblings) => {
+    const keys = fillKeys(siblings.map(block => block.sortKey ?? null));
+    siblings.forEach((block, index) => sortKeys.set(getBlockId(block), keys[index]));
+  });
+
+  return blocks.map(block => ({ ...block, sortKey: sortKeys.get(getBlockId(block)) }));
+};
+
+/**
+ * Dựng cây block lồng nhau (children chứa block con) từ danh sách phẳng.
+ * @param {Array} blocks - Danh sách block phẳng theo thứ tự tài liệu.
+ * @returns {Array} - Các block cấp cao nhất, mỗi block có `children` là mảng block con.
+ */
+const buildBlockTree = (blocks) => {
+  const nodes = new Map();
+  const roots = [];
+
+  orderBlockTree(blocks).forEach((block) => {
+    const node = { ...block, children: [] };
+    nodes.set(getBlockId(node), node);
+
+    const parentId = getParentId(node);
+    if (parentId) {
+      nodes.get(parentId).children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Chuyển cây block client gửi lên thành danh sách phẳng có parentId.
+ * Chấp nhận cả cây lồng nhau lẫn danh sách phẳng (block tự khai báo parentId).
+ * @param {Array} tree - Cây hoặc danh sách block.
+ * @param {Function} createId - Hàm tạo ID cho block mới chưa có `_id`.
+ * @returns {Object} - { blocks, newIds } với `newIds` là tập ID (chuỗi) vừa được cấp.
+ */
+const flattenBlockTree = (tree, createId) => {
+  const blocks = [];
+  const newIds = new Set();
+
+  const visit = (nodes, parentId) => {
+    nodes.forEach((node) => {
+      const { children, ...block } = node;
+      if (!block._id) {
+        block._id = createId();
+        newIds.add(block._id.toString());
+      }
+      block.parentId = parentId !== undefined ? parentId : block.parentId || null;
+      blocks.push(block);
+
+      if (Array.isArray(children)) {
+        visit(children.filter(isBlockNode), block._id);
+      }
+    });
+  };
+
+  visit(tree || [], undefined);
+  return { blocks, newIds };
+};
+
+/**
+ * Lấy ID của block và toàn bộ block con cháu.
+ * @param {Array} blocks - Danh sách block phẳng.
+ * @param {string|ObjectId} rootId - ID block gốc.
+ * @returns {Set<string>} - Tập ID (chuỗi) thuộc cây con.
+ */
+const getSubtreeIds = (blocks, rootId) => {
+  const subtree = new Set([rootId.toString()]);
+  let added = true;
+
+  // Lặp đến khi không còn block nào có cha thuộc cây con
+  while (added) {
+    added = false;
+    blocks.forEach((block) => {
+      const blockId = getBlockId(block);
+      if (!subtree.has(blockId) && subtree.has(getParentId(block))) {
+        subtree.add(blockId);
+        added = true;
+      }
+    });
+  }
+
+  return subtree;
+};
+
+/**
+ * Lấy các block anh em (cùng cha) theo thứ tự trong danh sách.
+ * @param {Array} blocks - Danh sách block phẳng.
+ * @param {string|ObjectId|null} parentId - ID block cha, null cho cấp cao nhất.
+ * @returns {Array} - Danh sách block con trực tiếp của `parentId`.
+ */
+const getSiblings = (blocks, parentId) => {
+  const key = parentId ? parentId.toString() : null;
+  return blocks.filter(block => getParentId(block) === key);
+};
+
+/**
+ * Chèn một nhóm block (block gốc đứng đầu, theo sau là con cháu) vào danh sách
+ * tại vị trí `position` trong các block anh em của block gốc.
+ * @param {Array} blocks - Danh sách block phẳng (không chứa nhóm cần chèn).
+ * @param {Array} group - Nhóm block cần chèn; `group[0].parentId` xác định block cha.
+ * @param {number} [position] - Vị trí trong các block anh em; mặc định là cuối.
+ * @returns {Array} - Danh sách mới.
+ */
+const insertBlocks = (blocks, group, position) => {
+  const siblings = getSiblings(blocks, group[0].parentId);
+  const result = [...blocks];
+
+  if (Number.isInteger(position) && position >= 0 && position < siblings.length) {
+    result.splice(result.indexOf(siblings[position]), 0, ...group);
+  } else {
+    result.push(...group);
+  }
+  return result;
+};
+
+module.exports = {
+  getParentId,
+  orderBlockTree,
+  sortBlocksByKey,
+  assignSortKeys,
+  buildBlockTree,
+  flattenBlockTree,
+  getSubtreeIds,
+  getSiblings,
+  insertBlocks
+};
@@ -0,0 +1,144 @@
+/*
+ * Khóa sắp xếp dạng phân số (fractional indexing) cho các block anh em.
+ * Khóa là chuỗi các chữ số base62 biểu diễn phần thập phân của một số trong (0, 1), so sánh theo thứ tự từ điển.
+ * Luôn tìm được khóa nằm giữa hai khóa bất kỳ, nên chèn hoặc di chuyển một block chỉ cần ghi khóa của block đó.
+ * Khóa không bao giờ kết thúc bằng chữ số 0 để luôn có khóa nhỏ hơn nó.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Kiểm tra khóa sắp xếp hợp lệ.
+ * @param {*} key - Giá trị cần kiểm tra.
+ * @returns {boolean}
+ */
+const isValidKey = (key) => typeof key === 'string' &&
+  key.length > 0 &&
+  !key.endsWith('0') &&
+  [...key].every(char => DIGITS.includes(char));
+
+/**
+ * Tìm chuỗi chữ số nằm giữa `a` và `b` (a < b, b = null nghĩa là không có cận trên).
+ * @param {string} a - Cận dưới ('' là nhỏ nhất).
+ * @param {string|null} b - Cận trên.
+ * @returns {string}
+ */
+const midpoint = (a, b) => {
+  // Bỏ phần tiền tố chung
+  if (b !== null) {
+    let n = 0;
+    while ((a[n] || '0') === b[n]) n++;
+    if (n > 0) return b.slice(0, n) + midpoint(a.slice(n), b.slice(n));
+  }
+
+  const digitA = a ? DIGITS.indexOf(a[0]) : 0;
+  const digitB = b !== null ? DIGITS.indexOf(b[0]) : DIGITS.length;
+
+  if (digitB - digitA > 1) {
+    return DIGITS[Math.round((digitA + digitB) / 2)];
+  }
+
+  // Hai chữ số liền nhau: giữ chữ số của `a` và tìm tiếp ở vị trí sau
+  if (b !== null && b.length > 1) return b.slice(0, 1);
+  return DIGITS[digitA] + midpoint(a.slice(1), null);
+};
+
+/**
+ * Tạo khóa nằm giữa hai khóa.
+ * @param {string|null} a - Khóa đứng trước (null nếu chèn vào đầu).
+ * @param {string|null} b - Khóa đứng sau (null nếu chèn vào cuối).
+ * @returns {string} - Khóa mới, a < khóa < b.
+ * @throws {Error} - Nếu khóa không hợp lệ hoặc a >= b.
+ * @example
+ * generateKeyBetween(null, null); // => 'V'
+ * generateKeyBetween('V', null);  // => 'W'
+ * generateKeyBetween('V', 'W');   // => 'VV'
+ */
+const generateKeyBetween = (a, b) => {
+  if (a !== null && !isValidKey(a)) throw new Error(`Khóa sắp xếp không hợp lệ: ${a}`);
+  if (b !== null && !isValidKey(b)) throw new Error(`Khóa sắp xếp không hợp lệ: ${b}`);
+  if (a !== null && b !== null && a >= b) throw new Error(`Khóa sắp xếp không đúng thứ tự: ${a} >= ${b}`);
+
+  // Thêm vào cuối (trường hợp thường gặp nhất): tăng chữ số đầu tiên chưa tối đa để khóa dài ra chậm
+  if (a !== null && b === null) {
+    const index = [...a].findIndex(char => char !== DIGITS[DIGITS.length - 1]);
+    if (index >= 0) return a.slice(0, index) + DIGITS[DIGITS.indexOf(a[index]) + 1];
+  }
+
+  return midpoint(a || '', b);
+};
+
+/**
+ * Tạo `n` khóa tăng dần nằm giữa hai khóa, phân bố đều để độ dài khóa tăng chậm.
+ * @param {string|null} a - Khóa đứng trước.
+ * @param {string|null} b - Khóa đứng sau.
+ * @param {number} n - Số khóa cần tạo.
+ * @returns {Array<string>}
+ */
+const generateNKeysBetween = (a, b, n) => {
+  if (n <= 0) return [];
+  if (n === 1) return [generateKeyBetween(a, b)];
+
+  const middle = Math.floor(n / 2);
+  const key = midpoint(a || '', b);
+  return [
+    ...generateNKeysBetween(a, key, middle),
+    key,
+    ...generateNKeysBetween(key, b, n - middle - 1)
+  ];
+};
+
+/**
+ * Điền khóa cho danh sách các phần tử anh em theo thứ tự mong muốn.
+ * Khóa hiện có được giữ lại nếu vẫn tăng dần; phần tử thiếu khóa hoặc có khóa sai thứ tự được cấp khóa mới
+ * nằm giữa hai phần tử giữ khóa gần nhất.
+ * @param {Array<string|null>} keys - Khóa hiện tại theo thứ tự mong muốn (null nếu cần cấp mới).
+ * @returns {Array<string>} - Khóa tăng dần nghiêm ngặt.
+ */
+const fillKeys = (keys) => {
+  const result = [];
+  let last = null;
+  keys.forEach((key) => {
+    const keep = isValidKey(key) && (last === null || key > last);
+    result.push(keep ? key : null);
+    if (keep) last = key;
+  });
+
+  for (let start = 0; start < result.length; start++) {
+    if (result[start] !== null) continue;
+
+    let end = start;
+    while (end < result.length && result[end] === null) end++;
+
+    const generated = generateNKeysBetween(
+      start > 0 ? result[start - 1] : null,
+      end < result.length ? result[end] : null,
+      end - start
+    );
+    result.splice(start, end - start, ...generated);
+    start = end - 1;
+  }
+
+  return result;
+};
+
+/**
+ * So sánh hai khóa sắp xếp (khóa thiếu đứng sau cùng).
+ * @param {string|null} a - Khóa thứ nhất.
+ * @param {string|null} b - Khóa thứ hai.
+ * @returns {number}
+ */
+const compareKeys = (a, b) => {
+  if (a === b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return a < b ? -1 : 1;
+};
+
+module.exports = {
+  isValidKey,
+  generateKeyBetween,
+  generateNKeysBetween,
+  fillKeys,
+  compareKeys
+};
@@ -0,0 +1,656 @@
+/*
+ * Chuyển đổi giữa Markdown (CommonMark + bảng, việc cần làm và callout kiểu GitHub) và cây block theo danh mục
+ * services/blockTypes. Nội dung block là văn bản thuần nên định dạng trong dòng (đậm, nghiêng, mã, liên kết) không
+ * giữ được khi nhập; các cú pháp bị chuyển đổi hoặc bỏ qua được ghi lại trong báo cáo `unsupported`.
+ */
+
+const UNSUPPORTED_MESSAGES = {
+  front_matter: 'Front matter YAML ở đầu tệp bị bỏ qua',
+  heading_level: 'Tiêu đề cấp 4 đến 6 được chuyển thành tiêu đề cấp 3',
+  inline_formatting: 'Định dạng trong dòng (đậm, nghiêng, gạch ngang, mã) bị bỏ, chỉ giữ văn bản',
+  inline_link: 'Liên kết trong đoạn văn được giữ dưới dạng văn bản "tiêu đề (URL)"',
+  inline_image: 'Ảnh nằm trong đoạn văn chỉ giữ lại chú thích',
+  media_source: 'Ảnh/tệp có đường dẫn không tải được (đường dẫn tương đối không có trong tệp nhập, data URI) được giữ dưới dạng văn bản',
+  html: 'HTML không được hỗ trợ, chỉ giữ phần văn bản',
+  footnote: 'Chú thích cuối trang (footnote) được giữ dưới dạng văn bản'
+};
+
+// Số dòng tối đa được liệt kê cho mỗi loại cú pháp không hỗ trợ
+const MAX_REPORTED_LINES = 20;
+
+const CALLOUT_ICONS = {
+  note: 'ℹ️',
+  tip: '💡',
+  important: '❗',
+  warning: '⚠️',
+  caution: '🛑'
+};
+
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE = /^ {0,3}> ?(.*)$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(?:( {1,4}|[ \t]+)(.*)|[ \t]*)$/;
+const TODO = /^\[([ xX])\](?:[ \t]+(.*)|[ \t]*)$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const HTML_BLOCK = /^ {0,3}<(?:!--|\/?[a-zA-Z][\w-]*(?:[\s/>]|$))/;
+const FOOTNOTE_DEFINITION = /^ {0,3}\[\^[^\]]+\]:/;
+const REFERENCE_DEFINITION = /^ {0,3}\[([^\]^][^\]]*)\]:[ \t]*<?(\S+?)>?(?:[ \t]+["'(].*["')])?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const IMAGE_ONLY = /^!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+["'(][^)]*["')])?\s*\)$/;
+const LINK_ONLY = /^\[([^\]]+)\]\(\s*<?([^\s)>]+)>?(?:\s+["'(][^)]*["')])?\s*\)$/;
+const ESCAPED_CHARACTER = /\\([!-/:-@[-`{-~])/g;
+const PUNCTUATION = /[!-/:-@[-`{-~]/g;
+const PROTECTED_CHARACTER = /[\uE000-\uE07F]/g;
+
+/**
+ * Tạo báo cáo cú pháp không hỗ trợ (gộp theo loại).
+ * @returns {Object} - { add(construct, line), list() }.
+ */
+const createReport = () => {
+  const entries = new Map();
+  return {
+    add: (construct, line) => {
+      if (!entries.has(construct)) {
+        entries.set(construct, { construct, message: UNSUPPORTED_MESSAGES[construct], count: 0, lines: [] });
+      }
+      const entry = entries.get(construct);
+      entry.count += 1;
+      if (entry.lines.length < MAX_REPORTED_LINES && !entry.lines.includes(line)) entry.lines.push(line);
+    },
+    list: () => [...entries.values()]
+  };
+};
+
+/**
+ * Ký tự đã escape được thay tạm bằng ký tự riêng (U+E000 + mã ASCII) để không bị hiểu là cú pháp.
+ * @param {string} character - Ký tự ASCII.
+ * @returns {string}
+ */
+const protect = character => String.fromCharCode(0xE000 + character.charCodeAt(0));
+
+const unprotect = character => String.fromCharCode(character.charCodeAt(0) - 0xE000);
+
+const indentOf = text => text.match(/^ */)[0].length;
+
+const isBlank = line => !line || line.text.trim() === '';
+
+/**
+ * Bỏ tối đa `count` khoảng trắng đầu dòng.
+ * @param {Object} line - { text, number }.
+ * @param {number} count - Số khoảng trắng.
+ * @returns {Object}
+ */
+const dedent = (line, count) => ({ ...line, text: line.text.slice(Math.min(count, indentOf(line.text))) });
+
+/**
+ * Tạo block theo định dạng lưu của updatePageContent.
+ * @param {string} type - Loại block.
+ * @param {*} content - Nội dung.
+ * @param {Object} [properties] - Thuộc tính.
+ * @param {Array} [children] - Block con.
+ * @returns {Object}
+ */
+const createBlock = (type, content, properties = {}, children = []) => ({ type, content, properties, children });
+
+/**
+ * Chuyển văn bản Markdown trong dòng thành văn bản thuần.
+ * @param {string} text - Văn bản Markdown.
+ * @param {number} line - Số dòng (cho báo cáo).
+ * @param {Object} context - Ngữ cảnh phân tích.
+ * @returns {string}
+ */
+const convertInline = (text, line, { report, references }) => {
+  let result = text.replace(ESCAPED_CHARACTER, (match, character) => protect(character));
+  const before = result;
+
+  result = result
+    .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => code.replace(/^ ([\s\S]*) $/, '$1').replace(PUNCTUATION, protect))
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, (match, alt) => {
+      report.add('inline_image', line);
+      return alt;
+    })
+    .replace(/\[([^\]]+)\]\(\s*<?([^\s)>]*)>?(?:\s+["'(][^)]*)?\)/g, (match, label, url) => {
+      report.add('inline_link', line);
+      return url && url !== label ? `${label} (${url})` : label;
+    })
+    .replace(/\[([^\]^][^\]]*)\]\[([^\]]*)\]/g, (match, label, reference) => {
+      const url = references.get((reference || label).toLowerCase());
+      if (!url) return match;
+      report.add('inline_link', line);
+      return `${label} (${url})`;
+    })
+    .replace(/\[\^[^\]]+\]/g, (match) => {
+      report.add('footnote', line);
+      return match;
+    })
+    .replace(/<((?:https?|mailto):[^\s>]+)>/gi, '$1')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?[a-zA-Z][^>]*>/g, () => {
+      report.add('html', line);
+      return '';
+    });
+
+  const formatted = result
+    .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+    .replace(/\*([^\s*](?:[^*]*[^\s*])?)\*/g, '$1')
+    .replace(/(^|[^\w])_([^\s_](?:[^_]*[^\s_])?)_(?!\w)/g, '$1$2');
+
+  // Mã trong dòng cũng là định dạng: so sánh với bản trước khi bỏ dấu `
+  if (formatted !== result || /(`+)[\s\S]*?[^`]\1(?!`)/.test(before)) {
+    report.add('inline_formatting', line);
+  }
+  return formatted.replace(PROTECTED_CHARACTER, unprotect);
+};
+
+/**
+ * Tạo block ảnh/tệp từ đường dẫn: URL http(s) được giữ nguyên, đường dẫn tương đối được tìm trong tệp nhập qua
+ * `resolveAsset`.
+ * @param {string} type - 'image' hoặc 'file'.
+ * @param {string} target - Đường dẫn trong Markdown.
+ * @param {string} caption - Chú thích (alt của ảnh, tiêu đề liên kết).
+ * @param {Object} context - Ngữ cảnh phân tích.
+ * @returns {Object|null} - Block, hoặc null nếu không tải được.
+ */
+const createMediaBlock = (type, target, caption, { resolveAsset }) => {
+  const named = type === 'file' ? { name: caption } : {};
+  const captioned = caption ? { caption } : {};
+
+  if (/^https?:\/\//i.test(target)) {
+    return createBlock(type, '', { url: target, ...captioned, ...named });
+  }
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target)) return null;
+
+  let path;
+  try {
+    path = decodeURIComponent(target.split(/[?#]/)[0]);
+  } catch (error) {
+    path = target;
+  }
+  const asset = resolveAsset(path, type);
+  if (!asset) return null;
+
+  return createBlock(type, '', {
+    attachmentId: asset.attachmentId,
+    ...captioned,
+    ...(type === 'file' ? { name: asset.name, size: asset.size } : {})
+  });
+};
+
+/**
+ * Kiểm tra dòng có bắt đầu một block mới (ngắt đoạn văn đang đọc) hay không.
+ * @param {Object} line - Dòng hiện tại.
+ * @param {Object|undefined} next - Dòng kế tiếp.
+ * @returns {boolean}
+ */
+const startsBlock = (line, next) => {
+  if (isBlank(line)) return true;
+  const { text } = line;
+  if (FENCE.test(text) || ATX_HEADING.test(text) || THEMATIC_BREAK.test(text) || QUOTE.test(text)) return true;
+  if (HTML_BLOCK.test(text)) return true;
+
+  // Danh sách đánh số chỉ ngắt đoạn văn khi bắt đầu từ 1 (như CommonMark)
+  const item = LIST_ITEM.exec(text);
+  if (item && item[4] && item[1].length < 4 && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1)) return true;
+
+  return text.includes('|') && Boolean(next) && next.text.includes('|') && TABLE_DELIMITER.test(next.text);
+};
+
+/**
+ * Tách một hàng của bảng thành các ô.
+ * @param {string} text - Dòng của bảng.
+ * @returns {Array<string>}
+ */
+const splitTableRow = (text) => {
+  let row = text.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+};
+
+/**
+ * Chuyển dòng chỉ gồm một ảnh hoặc một liên kết thành block: ảnh -> image, liên kết http(s) -> embed, liên kết tới
+ * tệp trong tệp nhập -> file. Đường dẫn không tải được giữ dưới dạng đoạn văn.
+ * @param {Object} line - { text, number }.
+ * @param {Object} context - Ngữ cảnh phân tích.
+ * @returns {Object} - Block.
+ */
+const convertStandaloneLine = ({ text, number }, context) => {
+  const image = IMAGE_ONLY.exec(text.trim());
+  if (image) {
+    const [, alt, target] = image;
+    const caption = convertInline(alt, number, context);
+    const block = createMediaBlock('image', target, caption, context);
+    if (block) return block;
+
+    context.report.add('media_source', number);
+    return createBlock('paragraph', caption ? `${caption} (${target})` : target);
+  }
+
+  const [, label, target] = LINK_ONLY.exec(text.trim());
+  const caption = convertInline(label, number, context);
+  if (/^https?:\/\//i.test(target)) {
+    return createBlock('embed', '', { url: target, ...(caption !== target ? { caption } : {}) });
+  }
+
+  // Liên kết tới trang Markdown khác không phải tệp đính kèm
+  const file = !/\.(md|markdown)$/i.test(target.split(/[?#]/)[0]) && createMediaBlock('file', target, caption, context);
+  return file || createBlock('paragraph', convertInline(text.trim(), number, context));
+};
+
+/**
+ * Phân tích danh sách dòng thành các block cùng cấp (gọi đệ quy cho trích dẫn và mục danh sách).
+ * @param {Array<Object>} lines - [{ text, number }].
+ * @param {Object} context - Ngữ cảnh phân tích.
+ * @returns {Array<Object>} - Cây block.
+ */
+const parseLines = (lines, context) => {
+  const blocks = [];
+  let index = 0;
+  // Khối danh sách đánh số đang mở (mục kế tiếp không cần `start`)
+  let numbering = false;
+
+  const push = (block) => {
+    blocks.push(block);
+    numbering = block.type === 'numbered_list';
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const { text, number } = line;
+    let match;
+
+    if (isBlank(line)) {
+      index += 1;
+      continue;
+    }
+
+    // Khối mã có rào ``` hoặc ~~~
+    if ((match = FENCE.exec(text))) {
+      const [, indent, fence, language] = match;
+      const code = [];
+      index += 1;
+      while (index < lines.length) {
+        const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}[ \\t]*$`);
+        if (closing.test(lines[index].text)) {
+          index += 1;
+          break;
+        }
+        code.push(dedent(lines[index], indent.length).text);
+        index += 1;
+      }
+      push(createBlock('code', code.join('\n'), language ? { language } : {}));
+      continue;
+    }
+
+    // Khối mã thụt lề 4 khoảng trắng
+    if (indentOf(text) >= 4) {
+      const code = [];
+      while (index < lines.length && (isBlank(lines[index]) || indentOf(lines[index].text) >= 4)) {
+        code.push(dedent(lines[index], 4).text);
+        index += 1;
+      }
+      while (code.length > 0 && code[code.length - 1].trim() === '') code.pop();
+      push(createBlock('code', code.join('\n')));
+      continue;
+    }
+
+    if ((match = ATX_HEADING.exec(text))) {
+      const level = match[1].length;
+      if (level > 3) context.report.add('heading_level', number);
+      push(createBlock(`heading_${Math.min(level, 3)}`, convertInline(match[2] || '', number, context)));
+      index += 1;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(text)) {
+      push(createBlock('divider', ''));
+      index += 1;
+      continue;
+    }
+
+    // Trích dẫn (kể cả dòng tiếp nối không có dấu >) và callout `> [!NOTE]`
+    if (QUOTE.test(text)) {
+      const inner = [];
+      while (index < lines.length) {
+        const quoted = QUOTE.exec(lines[index].text);
+        if (quoted) {
+          inner.push({ text: quoted[1], number: lines[index].number });
+        } else if (inner.length === 0 || isBlank(inner[inner.length - 1]) || startsBlock(lines[index], lines[index + 1])) {
+          break;
+        } else {
+          inner.push(lines[index]);
+        }
+        index += 1;
+      }
+
+      const callout = inner.length > 0 && /^\[!(\w+)\][ \t]*(.*)$/.exec(inner[0].text);
+      const icon = callout && CALLOUT_ICONS[callout[1].toLowerCase()];
+      if (icon) {
+        inner[0] = { ...inner[0], text: callout[2] };
+      }
+
+      const children = parseLines(inner, context);
+      const content = children.length > 0 && children[0].type === 'paragraph' && children[0].children.length === 0
+        ? children.shift().content
+        : '';
+      push(icon
+        ? createBlock('callout', content, { icon }, children)
+        : createBlock('quote', content, {}, children));
+      continue;
+    }
+
+    // Mục danh sách: các dòng thụt lề sâu hơn dấu đầu dòng (hoặc dòng tiếp nối của đoạn văn) thuộc về mục
+    if ((match = LIST_ITEM.exec(text)) && match[1].length < 4) {
+      const [, indent, marker, spacing = ' ', firstLine = ''] = match;
+      const contentIndent = indent.length + marker.length + (spacing.length > 4 ? 1 : spacing.length);
+      const inner = [{ text: firstLine, number }];
+      index += 1;
+
+      while (index < lines.length) {
+        const current = lines[index];
+        if (isBlank(current)) {
+          const nextContent = lines.slice(index).find(candidate => !isBlank(candidate));
+          if (!nextContent || indentOf(nextContent.text) <= indent.length) break;
+          inner.push({ text: '', number: current.number });
+        } else if (indentOf(current.text) > indent.length) {
+          inner.push(dedent(current, contentIndent));
+        } else if (!isBlank(inner[inner.length - 1]) && !startsBlock(current, lines[index + 1])
+          && !LIST_ITEM.test(current.text)) {
+          inner.push(current);
+        } else {
+          break;
+        }
+        index += 1;
+      }
+
+      const todo = TODO.exec(inner[0].text);
+      if (todo) {
+        inner[0] = { ...inner[0], text: todo[2] || '' };
+      }
+
+      const children = parseLines(inner, context);
+      const content = children.length > 0 && children[0].type === 'paragraph' && inner[0].text.trim() !== ''
+        ? children.shift().content
+        : '';
+
+      if (todo) {
+        push(createBlock('to_do', content, { checked: todo[1] !== ' ' }, children));
+      } else if (/\d/.test(marker)) {
+        const start = parseInt(marker, 10);
+        push(createBlock('numbered_list', content, !numbering && start !== 1 ? { start } : {}, children));
+      } else {
+        push(createBlock('bulleted_list', content, {}, children));
+      }
+      continue;
+    }
+
+    // Bảng kiểu GitHub: dòng tiêu đề, dòng phân cách rồi các hàng
+    if (text.includes('|') && lines[index + 1] && lines[index + 1].text.includes('|')
+      && TABLE_DELIMITER.test(lines[index + 1].text)) {
+      const header = splitTableRow(text);
+      const rows = [header];
+      index += 2;
+      while (index < lines.length && !isBlank(lines[index]) && lines[index].text.includes('|')) {
+        rows.push(splitTableRow(lines[index].text));
+        index += 1;
+      }
+      const content = rows.map((row, rowIndex) => header.map((cell, cellIndex) => (
+        convertInline(row[cellIndex] || '', number + (rowIndex === 0 ? 0 : rowIndex + 1), context)
+      )));
+      push(createBlock('table', content, { hasColumnHeader: true }));
+      continue;
+    }
+
+    // Khối HTML (tới dòng trống): chỉ giữ phần văn bản
+    if (HTML_BLOCK.test(text)) {
+      const html = [];
+      while (index < lines.length && !isBlank(lines[index])) {
+        html.push(lines[index].text);
+        index += 1;
+      }
+      context.report.add('html', number);
+      const plain = html.join('\n').replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]+>/g, '').trim();
+      if (plain) push(createBlock('paragraph', plain));
+      continue;
+    }
+
+    // Đoạn văn (có thể là tiêu đề kiểu gạch dưới === / ---)
+    const paragraph = [line];
+    let setextLevel = 0;
+    index += 1;
+    while (index < lines.length) {
+      const underline = SETEXT_UNDERLINE.exec(lines[index].text);
+      if (underline) {
+        setextLevel = underline[1][0] === '=' ? 1 : 2;
+        index += 1;
+        break;
+      }
+      if (startsBlock(lines[index], lines[index + 1])) break;
+      paragraph.push(lines[index]);
+      index += 1;
+    }
+
+    // Xuống dòng cứng (hai khoảng trắng hoặc \ cuối dòng) được giữ, xuống dòng mềm thành khoảng trắng
+    const raw = paragraph.map((paragraphLine, lineIndex) => {
+      const content = paragraphLine.text.trim();
+      if (lineIndex === paragraph.length - 1) return content;
+      if (/ {2,}$/.test(paragraphLine.text)) return `${content}\n`;
+      if (content.endsWith('\\')) return `${content.slice(0, -1)}\n`;
+      return `${content} `;
+    }).join('');
+
+    if (setextLevel) {
+      push(createBlock(`heading_${setextLevel}`, convertInline(raw, number, context)));
+      continue;
+    }
+
+    if (FOOTNOTE_DEFINITION.test(raw)) {
+      context.report.add('footnote', number);
+      push(createBlock('paragraph', raw));
+      continue;
+    }
+
+    // Đoạn văn mà mỗi dòng chỉ là một ảnh hoặc một liên kết: mỗi dòng thành một block riêng
+    if (paragraph.every(({ text: lineText }) => IMAGE_ONLY.test(lineText.trim()) || LINK_ONLY.test(lineText.trim()))) {
+      paragraph.forEach(paragraphLine => push(convertStandaloneLine(paragraphLine, context)));
+      continue;
+    }
+
+    push(createBlock('paragraph', convertInline(raw, number, context)));
+  }
+
+  return blocks;
+};
+
+/**
+ * Phân tích Markdown thành cây block.
+ * @param {string} markdown - Nội dung Markdown.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Function} [options.resolveAsset] - (path, type) => { attachmentId, name, size } | null; tìm ảnh/tệp theo
+ *   đường dẫn tương đối (ví dụ trong tệp zip). Mặc định không tải được đường dẫn tương đối nào.
+ * @returns {Object} - { blocks, unsupported } với `blocks` là cây block ({ type, content, properties, children })
+ *   và `unsupported` là [{ construct, message, count, lines }].
+ * @example
+ * parseMarkdown('# Kế hoạch\n- [x] Viết tài liệu\n');
+ * // => { blocks: [{ type: 'heading_1', content: 'Kế hoạch', ... }, { type: 'to_do', content: 'Viết tài liệu',
+ * //      properties: { checked: true }, ... }], unsupported: [] }
+ */
+const parseMarkdown = (markdown, { resolveAsset = () => null } = {}) => {
+  const report = createReport();
+  let lines = String(markdown || '')
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map((text, index) => ({ text: text.replace(/^[ \t]+/, indent => indent.replace(/\t/g, '    ')), number: index + 1 }));
+
+  if (lines.length > 1 && lines[0].text.trim() === '---') {
+    const close = lines.findIndex((line, index) => index > 0 && /^(---|\.\.\.)[ \t]*$/.test(line.text));
+    if (close > 0) {
+      report.add('front_matter', 1);
+      lines = lines.slice(close + 1);
+    }
+  }
+
+  // Định nghĩa liên kết tham chiếu [id]: url (ngoài khối mã) được dùng cho [text][id] và không tạo block
+  const references = new Map();
+  let fence = null;
+  lines = lines.filter(({ text }) => {
+    const fenceMatch = FENCE.exec(text);
+    if (fenceMatch && (!fence || fenceMatch[2][0] === fence[0])) {
+      fence = fence ? null : fenceMatch[2];
+      return true;
+    }
+    const definition = !fence && REFERENCE_DEFINITION.exec(text);
+    if (!definition) return true;
+    references.set(definition[1].toLowerCase(), definition[2]);
+    return false;
+  });
+
+  const blocks = parseLines(lines, { report, references, resolveAsset });
+  return { blocks, unsupported: report.list() };
+};
+
+/**
+ * Escape văn bản thuần để Markdown hiển thị đúng nguyên văn (xuống dòng thành xuống dòng cứng).
+ * @param {*} text - Văn bản.
+ * @returns {string}
+ */
+const escapeMarkdown = text => String(text ?? '')
+  .replace(/([\\`*_[\]<>~|])/g, '\\$1')
+  .split('\n')
+  .map(line => line.replace(/^(\s*)([#>+=-])/, '$1\\$2').replace(/^(\s*\d+)([.)])/, '$1\\$2'))
+  .join('  \n');
+
+/**
+ * Đích liên kết Markdown (mã hóa khoảng trắng và dấu ngoặc).
+ * @param {string} url - URL hoặc đường dẫn.
+ * @returns {string}
+ */
+const markdownUrl = url => String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+const indentLines = (text, width) => text.split('\n').map(line => (line ? `${' '.repeat(width)}${line}` : line)).join('\n');
+
+const quoteLines = text => text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+
+// Loại danh sách: các mục liền nhau cùng loại không cách nhau bằng dòng trống
+const LIST_KINDS = {
+  bulleted_list: 'bullet',
+  to_do: 'bullet',
+  numbered_list: 'ordered'
+};
+
+/**
+ * Render một block (cùng block con) thành Markdown.
+ * @param {Object} block - Block.
+ * @param {Object} options - Tùy chọn render (xem renderBlocksMarkdown).
+ * @param {number} number - Số thứ tự nếu là mục danh sách đánh số.
+ * @returns {string}
+ */
+const renderBlockMarkdown = (block, options, number) => {
+  const properties = block.properties || {};
+  const text = typeof block.content === 'string' ? escapeMarkdown(block.content) : '';
+  const children = block.children && block.children.length > 0 ? renderBlocksMarkdown(block.children, options) : '';
+  const withChildren = head => [head, children].filter(Boolean).join('\n\n');
+  const listItem = (marker, width) => `${marker}${text}${children ? `\n${indentLines(children, width)}` : ''}`;
+
+  switch (block.type) {
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+      return withChildren(`${'#'.repeat(Number(block.type.slice(-1)))} ${text}`);
+    case 'bulleted_list':
+      return listItem('- ', 2);
+    case 'numbered_list':
+      return listItem(`${number}. `, `${number}. `.length);
+    case 'to_do':
+      return listItem(`- [${properties.checked ? 'x' : ' '}] `, 2);
+    case 'code': {
+      const content = block.content || '';
+      const fence = '`'.repeat(Math.max(2, ...(content.match(/`+/g) || []).map(run => run.length)) + 1);
+      const language = properties.language && properties.language !== 'plain text' ? properties.language : '';
+      return `${fence}${language}\n${content}\n${fence}`;
+    }
+    case 'quote':
+      return quoteLines(withChildren(text));
+    case 'callout': {
+      const kind = Object.keys(CALLOUT_ICONS).find(key => CALLOUT_ICONS[key] === properties.icon);
+      return quoteLines(withChildren(kind ? `[!${kind.toUpperCase()}]\n${text}` : `${properties.icon || '💡'} ${text}`));
+    }
+    case 'image': {
+      const url = options.resolveFile(block);
+      const caption = escapeMarkdown(properties.caption || '');
+      return url ? `![${caption}](${markdownUrl(url)})` : caption;
+    }
+    case 'file': {
+      const url = options.resolveFile(block);
+      const name = escapeMarkdown(properties.name || properties.caption || 'Tệp đính kèm');
+      return url ? `[${name}](${markdownUrl(url)})` : name;
+    }
+    case 'embed':
+      return properties.url ? `[${escapeMarkdown(properties.caption || properties.url)}](${markdownUrl(properties.url)})` : '';
+    case 'divider':
+      return '---';
+    case 'table': {
+      const rows = Array.isArray(block.content) && block.content.length > 0 ? block.content : [['']];
+      const cell = value => String(value ?? '').replace(/([\\|])/g, '\\$1').replace(/\n/g, '<br>');
+      const row = cells => `| ${cells.map(cell).join(' | ')} |`;
+      return [row(rows[0]), `| ${rows[0].map(() => '---').join(' | ')} |`, ...rows.slice(1).map(row)].join('\n');
+    }
+    case 'database':
+      return '*Cơ sở dữ liệu*';
+    case 'synced_block':
+      return block.synced?.status === 'ok' && block.synced.block
+        ? renderBlocksMarkdown([block.synced.block], options)
+        : '';
+    default:
+      return withChildren(text);
+  }
+};
+
+/**
+ * Render danh sách block anh em thành Markdown.
+ * @param {Array} blocks - Cây block (mỗi block có `children`; block đồng bộ đã được resolveSyncedBlocks điền `synced`).
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Function} [options.resolveFile] - Hàm trả về URL của block ảnh/tệp; mặc định dùng `properties.url`.
+ * @returns {string}
+ * @example
+ * renderBlocksMarkdown([{ type: 'to_do', content: 'Viết tài liệu', properties: { checked: true }, children: [] }]);
+ * // => '- [x] Viết tài liệu'
+ */
+const renderBlocksMarkdown = (blocks, options = {}) => {
+  const renderOptions = { resolveFile: block => block.properties?.url, ...options };
+  const parts = [];
+  let previous = null;
+  let number = 0;
+
+  blocks.forEach((block) => {
+    if (block.type === 'numbered_list') {
+      number = previous && previous.type === 'numbered_list' ? number + 1 : block.properties?.start || 1;
+    }
+    const rendered = renderBlockMarkdown(block, renderOptions, number);
+    if (!rendered) return;
+
+    const sameList = previous && LIST_KINDS[block.type] && LIST_KINDS[block.type] === LIST_KINDS[previous.type];
+    parts.push(parts.length === 0 ? '' : sameList ? '\n' : '\n\n', rendered);
+    previous = block;
+  });
+
+  return parts.join('');
+};
+
+/**
+ * Ghép tài liệu Markdown hoàn chỉnh (tiêu đề trang là tiêu đề cấp 1, như khi nhập).
+ * @param {Object} options - { title, body } với `body` là Markdown đã render.
+ * @returns {string}
+ */
+const renderMarkdownDocument = ({ title, body }) => `# ${escapeMarkdown(title || 'Không có tiêu đề')}\n${body ? `\n${body}\n` : ''}`;
+
+module.exports = {
+  UNSUPPORTED_MESSAGES,
+  parseMarkdown,
+  escapeMarkdown,
+  renderBlocksMarkdown,
+  renderMarkdownDocument
+};
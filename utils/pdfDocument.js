@@ -0,0 +1,358 @@
+/*
+ * Render cây block của trang (utils/blockTree.buildBlockTree, block đồng bộ đã được resolveSyncedBlocks điền `synced`)
+ * thành tệp PDF bằng pdfkit. Dùng khi xuất trang ra PDF.
+ * Cần font Unicode để hiển thị tiếng Việt: đường dẫn lấy từ PDF_FONT_PATH / PDF_FONT_BOLD_PATH / PDF_FONT_MONO_PATH,
+ * mặc định là bộ DejaVu của hệ thống; nếu không có thì dùng font chuẩn của PDF (không hiển thị đủ dấu).
+ */
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const DEJAVU_DIRECTORY = '/usr/share/fonts/truetype/dejavu';
+
+const STANDARD_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  mono: 'Courier'
+};
+
+const HEADING_SIZES = {
+  heading_1: 20,
+  heading_2: 16,
+  heading_3: 13
+};
+
+const BODY_SIZE = 11;
+const LIST_INDENT = 18;
+const MAX_IMAGE_HEIGHT = 400;
+
+let fontFiles = null;
+
+/**
+ * Tìm tệp font Unicode (thường, đậm, đơn cách), ghi nhớ kết quả.
+ * @returns {Object} - { regular, bold, mono } là đường dẫn tệp hoặc null.
+ */
+const resolveFontFiles = () => {
+  if (!fontFiles) {
+    const find = (...candidates) => candidates.find(candidate => candidate && fs.existsSync(candidate)) || null;
+    const regular = find(process.env.PDF_FONT_PATH, `${DEJAVU_DIRECTORY}/DejaVuSans.ttf`);
+    fontFiles = {
+      regular,
+      bold: find(process.env.PDF_FONT_BOLD_PATH, `${DEJAVU_DIRECTORY}/DejaVuSans-Bold.ttf`) || regular,
+      mono: find(process.env.PDF_FONT_MONO_PATH, `${DEJAVU_DIRECTORY}/DejaVuSansMono.ttf`) || regular
+    };
+  }
+  return fontFiles;
+};
+
+/**
+ * Chỉ tạo liên kết trong PDF với URL tuyệt đối hoặc đường dẫn tương đối của tệp xuất (không dùng data URI).
+ * @param {*} url - URL.
+ * @returns {string|null}
+ */
+const pdfLink = url => (typeof url === 'string' && /^(https?:\/\/|\.{1,2}\/)/i.test(url) ? url : null);
+
+/**
+ * Trạng thái render: tài liệu pdfkit, font và các hàm lấy tệp đính kèm.
+ * @param {Object} doc - Tài liệu pdfkit.
+ * @param {Object} options - Tùy chọn của renderPdfDocument.
+ * @returns {Object}
+ */
+const createContext = (doc, options) => {
+  const files = resolveFontFiles();
+  const fonts = { ...STANDARD_FONTS };
+  Object.keys(files).forEach((key) => {
+    if (files[key]) {
+      doc.registerFont(key, files[key]);
+      fonts[key] = key;
+    }
+  });
+
+  return {
+    doc,
+    fonts,
+    unicode: Boolean(files.regular),
+    left: doc.page.margins.left,
+    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    resolveFile: options.resolveFile || (block => block.properties?.url),
+    resolveImage: options.resolveImage || (() => null)
+  };
+};
+
+/**
+ * Sang trang mới nếu phần còn lại của trang không đủ chỗ cho khối cao `height` (khối cao hơn một trang thì để tràn).
+ * @param {Object} context - Trạng thái render.
+ * @param {number} height - Chiều cao cần.
+ */
+const ensureSpace = ({ doc }, height) => {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const usable = bottom - doc.page.margins.top;
+  if (height <= usable && doc.y + height > bottom) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Viết đoạn văn bản ở vị trí thụt lề `indent`.
+ * @param {Object} context - Trạng thái render.
+ * @param {string} text - Văn bản.
+ * @param {number} indent - Thụt lề (pt).
+ * @param {Object} [style] - { font, size, color, link, gap }.
+ */
+const writeText = (context, text, indent, { font = 'regular', size = BODY_SIZE, color = '#222222', link = null, gap = 0.4 } = {}) => {
+  const { doc } = context;
+  doc.font(context.fonts[font]).fontSize(size).fillColor(color)
+    .text(text, context.left + indent, doc.y, { width: context.width - indent, link, underline: Boolean(link) });
+  doc.moveDown(gap);
+};
+
+/**
+ * Vẽ khối nền xám (mã, callout) chứa văn bản.
+ * @param {Object} context - Trạng thái render.
+ * @param {string} text - Văn bản.
+ * @param {number} indent - Thụt lề (pt).
+ * @param {Object} style - { font, size, background }.
+ */
+const writeBox = (context, text, indent, { font, size, background }) => {
+  const { doc } = context;
+  const padding = 8;
+  const width = context.width - indent;
+  doc.font(context.fonts[font]).fontSize(size);
+  const height = doc.heightOfString(text || ' ', { width: width - padding * 2 }) + padding * 2;
+  ensureSpace(context, height);
+
+  const top = doc.y;
+  doc.save().roundedRect(context.left + indent, top, width, height, 3).fill(background).restore();
+  doc.fillColor('#222222').text(text || ' ', context.left + indent + padding, top + padding, { width: width - padding * 2 });
+  doc.y = Math.max(doc.y, top + height);
+  doc.moveDown(0.5);
+};
+
+/**
+ * Vẽ bảng (hàng đầu / cột đầu in đậm nếu là tiêu đề).
+ * @param {Object} context - Trạng thái render.
+ * @param {Object} block - Block bảng.
+ * @param {number} indent - Thụt lề (pt).
+ */
+const writeTable = (context, block, indent) => {
+  const { doc } = context;
+  const properties = block.properties || {};
+  const rows = Array.isArray(block.content) ? block.content : [];
+  const columnCount = Math.max(1, ...rows.map(row => row.length));
+  const columnWidth = (context.width - indent) / columnCount;
+  const padding = 4;
+
+  rows.forEach((row, rowIndex) => {
+    const cells = Array.from({ length: columnCount }, (value, index) => String(row[index] ?? ''));
+    const fontFor = index => ((properties.hasColumnHeader && rowIndex === 0) || (properties.hasRowHeader && index === 0)
+      ? context.fonts.bold
+      : context.fonts.regular);
+    doc.fontSize(10);
+    const height = Math.max(...cells.map((cell, index) => doc.font(fontFor(index))
+      .heightOfString(cell || ' ', { width: columnWidth - padding * 2 }))) + padding * 2;
+    ensureSpace(context, height);
+
+    const top = doc.y;
+    cells.forEach((cell, index) => {
+      const x = context.left + indent + index * columnWidth;
+      doc.save().lineWidth(0.5).strokeColor('#bbbbbb').rect(x, top, columnWidth, height).stroke().restore();
+      doc.font(fontFor(index)).fillColor('#222222').text(cell, x + padding, top + padding, { width: columnWidth - padding * 2 });
+    });
+    doc.y = top + height;
+  });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Render một block (cùng block con).
+ * @param {Object} context - Trạng thái render.
+ * @param {Object} block - Block.
+ * @param {number} indent - Thụt lề (pt).
+ * @param {number} number - Số thứ tự nếu là mục danh sách đánh số.
+ */
+const renderBlock = (context, block, indent, number) => {
+  const { doc } = context;
+  const properties = block.properties || {};
+  const text = typeof block.content === 'string' ? block.content : '';
+  let childIndent = indent + LIST_INDENT;
+
+  switch (block.type) {
+    case 'heading_1':
+    case 'heading_2':
+    case 'heading_3':
+      ensureSpace(context, HEADING_SIZES[block.type] * 3);
+      doc.moveDown(0.3);
+      writeText(context, text, indent, { font: 'bold', size: HEADING_SIZES[block.type], gap: 0.3 });
+      childIndent = indent;
+      break;
+    case 'bulleted_list':
+    case 'numbered_list':
+    case 'to_do': {
+      let marker = '•';
+      if (block.type === 'numbered_list') marker = `${number}.`;
+      if (block.type === 'to_do') {
+        marker = context.unicode ? (properties.checked ? '☑' : '☐') : (properties.checked ? '[x]' : '[ ]');
+      }
+      const top = doc.y;
+      doc.font(context.fonts.regular).fontSize(BODY_SIZE).fillColor('#222222')
+        .text(marker, context.left + indent, top, { width: LIST_INDENT, lineBreak: false });
+      doc.y = top;
+      writeText(context, text, indent + LIST_INDENT, { color: properties.checked ? '#888888' : '#222222', gap: 0.2 });
+      break;
+    }
+    case 'code':
+      writeBox(context, block.content || '', indent, { font: 'mono', size: 9.5, background: '#f3f3f3' });
+      break;
+    case 'quote': {
+      const top = doc.y;
+      const page = doc.page;
+      writeText(context, text, indent + 12, { color: '#444444', gap: 0.2 });
+      if (doc.page === page) {
+        doc.save().lineWidth(2).strokeColor('#cccccc')
+          .moveTo(context.left + indent + 3, top).lineTo(context.left + indent + 3, doc.y).stroke().restore();
+      }
+      doc.moveDown(0.2);
+      break;
+    }
+    case 'callout':
+      writeBox(context, text, indent, { font: 'regular', size: BODY_SIZE, background: '#f1f1ef' });
+      break;
+    case 'image': {
+      const image = context.resolveImage(block);
+      let embedded = false;
+      if (image) {
+        try {
+          const { width, height } = doc.openImage(image);
+          const scale = Math.min(1, (context.width - indent) / width, MAX_IMAGE_HEIGHT / height);
+          ensureSpace(context, height * scale);
+          doc.image(image, context.left + indent, doc.y, { width: width * scale, height: height * scale });
+          doc.moveDown(0.3);
+          embedded = true;
+        } catch (error) {
+          // Định dạng ảnh pdfkit không đọc được (GIF, WebP, SVG...): hiển thị liên kết thay cho ảnh
+          embedded = false;
+        }
+      }
+      const url = context.resolveFile(block);
+      if (!embedded && (url || properties.caption)) {
+        writeText(context, properties.caption || url, indent, {
+          color: '#1a55a6',
+          link: pdfLink(url)
+        });
+      } else if (embedded && properties.caption) {
+        writeText(context, properties.caption, indent, { size: 9, color: '#777777' });
+      }
+      break;
+    }
+    case 'file': {
+      const url = context.resolveFile(block);
+      writeText(context, properties.name || properties.caption || 'Tệp đính kèm', indent, {
+        color: '#1a55a6',
+        link: pdfLink(url)
+      });
+      break;
+    }
+    case 'embed':
+      if (properties.url) {
+        writeText(context, properties.caption || properties.url, indent, { color: '#1a55a6', link: pdfLink(properties.url) });
+      }
+      break;
+    case 'divider': {
+      doc.moveDown(0.3);
+      const y = doc.y;
+      doc.save().lineWidth(0.5).strokeColor('#cccccc')
+        .moveTo(context.left + indent, y).lineTo(context.left + context.width, y).stroke().restore();
+      doc.moveDown(0.6);
+      break;
+    }
+    case 'table':
+      writeTable(context, block, indent);
+      break;
+    case 'database':
+      writeText(context, 'Cơ sở dữ liệu', indent, { color: '#888888' });
+      break;
+    case 'synced_block':
+      if (block.synced?.status === 'ok' && block.synced.block) {
+        renderBlocks(context, [block.synced.block], indent);
+      }
+      childIndent = indent;
+      break;
+    default:
+      if (text) {
+        writeText(context, text, indent);
+      } else {
+        doc.moveDown(0.5);
+      }
+  }
+
+  if (block.children && block.children.length > 0) {
+    renderBlocks(context, block.children, childIndent);
+  }
+};
+
+/**
+ * Render danh sách block anh em (đánh số lại cho mỗi dãy mục danh sách đánh số liền nhau).
+ * @param {Object} context - Trạng thái render.
+ * @param {Array} blocks - Cây block.
+ * @param {number} indent - Thụt lề (pt).
+ */
+const renderBlocks = (context, blocks, indent) => {
+  let previous = null;
+  let number = 0;
+  blocks.forEach((block) => {
+    if (block.type === 'numbered_list') {
+      number = previous && previous.type === 'numbered_list' ? number + 1 : block.properties?.start || 1;
+    }
+    renderBlock(context, block, indent, number);
+    previous = block;
+  });
+};
+
+/**
+ * Tạo tệp PDF của một trang.
+ * @async
+ * @param {Object} page - { title, icon }.
+ * @param {Array} blocks - Cây block của trang.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {Function} [options.resolveFile] - Hàm trả về URL của block ảnh/tệp (liên kết trong PDF).
+ * @param {Function} [options.resolveImage] - Hàm trả về Buffer ảnh để nhúng (PNG/JPEG), null nếu không có.
+ * @param {Array<Object>} [options.subpages] - [{ title, url }] trang con liệt kê ở cuối tài liệu.
+ * @returns {Promise<Buffer>}
+ * @example
+ * const pdf = await renderPdfDocument({ title: 'Ghi chú' }, buildBlockTree(blocks));
+ */
+const renderPdfDocument = (page, blocks, options = {}) => new Promise((resolve, reject) => {
+  const title = page.title || 'Không có tiêu đề';
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 56,
+    info: { Title: title }
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    const context = createContext(doc, options);
+    writeText(context, title, 0, { font: 'bold', size: 26, gap: 0.6 });
+    renderBlocks(context, blocks, 0);
+
+    const subpages = options.subpages || [];
+    if (subpages.length > 0) {
+      doc.moveDown(0.5);
+      writeText(context, 'Trang con', 0, { font: 'bold', size: HEADING_SIZES.heading_3, gap: 0.3 });
+      subpages.forEach(subpage => writeText(context, subpage.title || 'Không có tiêu đề', LIST_INDENT, {
+        color: '#1a55a6',
+        link: pdfLink(subpage.url),
+        gap: 0.2
+      }));
+    }
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+module.exports = {
+  renderPdfDocument
+};
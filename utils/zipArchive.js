@@ -0,0 +1,193 @@
+/*
+ * Đọc và tạo tệp ZIP trong bộ nhớ (chỉ dùng zlib của Node).
+ * Hỗ trợ tệp lưu thẳng (method 0) và nén deflate (method 8); không hỗ trợ ZIP64 và tệp mã hóa.
+ */
+const zlib = require('zlib');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Tìm bản ghi kết thúc thư mục trung tâm (nằm cuối tệp, sau đó có thể có chú thích tối đa 65535 byte).
+ * @param {Buffer} buffer - Nội dung tệp ZIP.
+ * @returns {number} - Vị trí bản ghi, -1 nếu không tìm thấy.
+ */
+const findEndOfCentralDirectory = (buffer) => {
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  return -1;
+};
+
+/**
+ * Đọc các tệp trong ZIP (bỏ qua thư mục).
+ * @param {Buffer} buffer - Nội dung tệp ZIP.
+ * @param {Object} [options] - Tùy chọn.
+ * @param {number} [options.maxEntries=1000] - Số mục tối đa.
+ * @param {number} [options.maxTotalSize=52428800] - Tổng dung lượng sau giải nén tối đa (byte).
+ * @returns {Array<Object>} - [{ name, data }] với `name` là đường dẫn trong ZIP (phân cách bằng '/').
+ * @throws {Error} - Nếu tệp không phải ZIP hợp lệ, dùng tính năng không hỗ trợ hoặc vượt giới hạn.
+ * @example
+ * readZipEntries(fs.readFileSync('notes.zip'));
+ * // => [{ name: 'Ghi chú/Họp.md', data: <Buffer ...> }, ...]
+ */
+const readZipEntries = (buffer, { maxEntries = 1000, maxTotalSize = 50 * 1024 * 1024 } = {}) => {
+  const end = buffer.length >= 22 ? findEndOfCentralDirectory(buffer) : -1;
+  if (end < 0) {
+    throw new Error('Tệp không phải định dạng ZIP');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('Không hỗ trợ tệp ZIP64');
+  }
+  if (count > maxEntries) {
+    throw new Error(`Tệp ZIP có quá nhiều mục (tối đa ${maxEntries})`);
+  }
+
+  const entries = [];
+  let totalSize = 0;
+
+  for (let index = 0; index < count; index += 1) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Thư mục trung tâm của tệp ZIP bị hỏng');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength).replace(/\\/g, '/');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`Không hỗ trợ tệp mã hóa: ${name}`);
+    }
+    if (method !== 0 && method !== 8) {
+      throw new Error(`Không hỗ trợ phương thức nén ${method}: ${name}`);
+    }
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error('Tệp ZIP vượt quá dung lượng cho phép sau giải nén');
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Mục ZIP bị hỏng: ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 0 ? Buffer.from(raw) : zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) });
+
+    entries.push({ name, data });
+  }
+
+  return entries;
+};
+
+// Bảng CRC-32 (đa thức 0xEDB88320) dùng khi tạo tệp ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+/**
+ * Tính CRC-32 của dữ liệu.
+ * @param {Buffer} data - Dữ liệu.
+ * @returns {number}
+ */
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < data.length; index += 1) {
+    crc = CRC_TABLE[(crc ^ data[index]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Chuyển thời điểm sang định dạng ngày giờ MS-DOS của ZIP.
+ * @param {Date} date - Thời điểm.
+ * @returns {Object} - { time, date }.
+ */
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Tạo tệp ZIP từ danh sách tệp (tên tệp mã hóa UTF-8, nén deflate khi giúp giảm dung lượng).
+ * @param {Array<Object>} entries - [{ name, data }] với `name` là đường dẫn trong ZIP (phân cách bằng '/') và `data`
+ *   là Buffer hoặc chuỗi.
+ * @returns {Buffer}
+ * @example
+ * createZipArchive([{ name: 'Ghi chú/Họp.md', data: '# Họp' }]);
+ */
+const createZipArchive = (entries) => {
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data }) => {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    const fileName = Buffer.from(name, 'utf8');
+    const deflated = zlib.deflateRawSync(content);
+    const compressed = deflated.length < content.length;
+    const stored = compressed ? deflated : content;
+    const checksum = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(compressed ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(compressed ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, fileName, stored);
+    centralParts.push(central, fileName);
+    offset += local.length + fileName.length + stored.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+module.exports = {
+  readZipEntries,
+  createZipArchive
+};